@@ -0,0 +1,45 @@
+// Make a player an admin from the command line. This is how the first admin
+// is created; after that admins grant roles through PUT /api/admin/players/:playerId/role.
+//
+//   npm run grant-admin -- <playerId> "<reason>"
+//
+// The player is looked up by playerId, which never changes, and the grant is
+// written to the admin audit trail with `cli` as the actor.
+const DatabaseManager = require('../src/config/database');
+const Player = require('../src/models/Player');
+const AdminAuditLog = require('../src/models/AdminAuditLog');
+
+const main = async () => {
+    const [playerId, reason] = process.argv.slice(2);
+    if (!playerId || !reason) {
+        console.error('Usage: npm run grant-admin -- <playerId> "<reason>"');
+        process.exit(1);
+    }
+
+    await DatabaseManager.connect();
+
+    const previous = await Player.findOneAndUpdate({ playerId }, { $set: { role: 'admin' } }).lean();
+    if (!previous) {
+        console.error(`❌ Player ${playerId} not found`);
+        await DatabaseManager.disconnect();
+        process.exit(1);
+    }
+
+    await AdminAuditLog.record({
+        action: 'player_role',
+        actor: { playerId: 'cli', ip: null },
+        targetType: 'player',
+        targetId: playerId,
+        reason,
+        details: { previousRole: previous.role, role: 'admin' }
+    });
+
+    console.log(`✅ ${previous.username} (${playerId}) is now an admin`);
+    await DatabaseManager.disconnect();
+};
+
+main().catch(async (error) => {
+    console.error('❌ Failed to grant admin:', error.message);
+    await DatabaseManager.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Issue claim codes to players created before passwords, so they can set one
+// through POST /api/auth/claim. Run once after upgrading; admins issue codes
+// for single players through POST /api/admin/players/:playerId/password-claim.
+//
+//   npm run issue-password-claims -- "<reason>"
+//
+// Prints one line per player (playerId, username, code, expiry) to hand out.
+// Only the codes' hashes are stored, so the output is the only copy. Running it
+// again replaces the codes of players who have not claimed theirs yet.
+const DatabaseManager = require('../src/config/database');
+const Player = require('../src/models/Player');
+const AdminAuditLog = require('../src/models/AdminAuditLog');
+const { createPasswordClaim } = require('../src/services/authService');
+
+const main = async () => {
+    const [reason] = process.argv.slice(2);
+    if (!reason) {
+        console.error('Usage: npm run issue-password-claims -- "<reason>"');
+        process.exit(1);
+    }
+
+    await DatabaseManager.connect();
+
+    const players = await Player.find({ passwordHash: null }).select('playerId username').lean();
+
+    let issued = 0;
+    for (const { playerId, username } of players) {
+        const { code, codeHash, expiresAt } = createPasswordClaim();
+
+        const updated = await Player.updateOne(
+            { playerId, passwordHash: null },
+            { $set: { passwordClaim: { codeHash, expiresAt } } }
+        );
+        // Set a password in the meantime
+        if (updated.modifiedCount === 0) continue;
+
+        await AdminAuditLog.record({
+            action: 'player_password_claim',
+            actor: { playerId: 'cli', ip: null },
+            targetType: 'player',
+            targetId: playerId,
+            reason,
+            details: { expiresAt }
+        });
+
+        console.log(`${playerId}\t${username}\t${code}\t${expiresAt.toISOString()}`);
+        issued++;
+    }
+
+    // Summary on stderr so stdout holds only the codes
+    console.error(`✅ Issued claim codes to ${issued} players without a password`);
+    await DatabaseManager.disconnect();
+};
+
+main().catch(async (error) => {
+    console.error('❌ Failed to issue password claims:', error.message);
+    await DatabaseManager.disconnect();
+    process.exit(1);
+});
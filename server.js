@@ -10,11 +10,22 @@ const compression = require('compression');
 // Import services and configurations
 const DatabaseManager = require('./src/config/database');
 const SocketService = require('./src/services/socketService');
+const rankIndex = require('./src/services/rankIndexService');
+const matchmaking = require('./src/services/matchmakingService');
+const sessionScheduler = require('./src/services/sessionScheduler');
+const Player = require('./src/models/Player');
+const SessionEvent = require('./src/models/SessionEvent');
+const { apiRateLimit } = require('./src/middleware/rateLimit');
 
 // Import routes
+const authRouter = require('./src/routes/auth');
 const playersRouter = require('./src/routes/players');
 const leaderboardRouter = require('./src/routes/leaderboard');
 const sessionsRouter = require('./src/routes/sessions');
+const seasonsRouter = require('./src/routes/seasons');
+const adminRouter = require('./src/routes/admin');
+const matchmakingRouter = require('./src/routes/matchmaking');
+const teamsRouter = require('./src/routes/teams');
 
 // Initialize Express app
 const app = express();
@@ -31,7 +42,8 @@ const corsOptions = {
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Idempotent-Replayed']
 };
 
 // Initialize Socket.IO with CORS
@@ -42,6 +54,14 @@ const io = socketIo(server, {
     transports: ['websocket', 'polling']
 });
 
+// Behind a load balancer req.ip is the proxy's address unless the proxy is
+// trusted, and rate limits key on req.ip. TRUST_PROXY is a hop count or a
+// list of proxy addresses/subnets.
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware setup
 app.use(helmet({
     contentSecurityPolicy: NODE_ENV === 'production',
@@ -50,7 +70,13 @@ app.use(helmet({
 
 app.use(compression());
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body: signed game-server requests are verified against it
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -69,6 +95,7 @@ app.get('/health', (req, res) => {
         environment: NODE_ENV,
         database: DatabaseManager.getConnectionState(),
         socketConnections: socketService ? socketService.getConnectedPlayersCount() : 0,
+        rankIndexReady: rankIndex.isReady(),
         memoryUsage: process.memoryUsage(),
         version: require('./package.json').version
     };
@@ -82,21 +109,29 @@ app.get('/api', (req, res) => {
         title: 'Real-Time Leaderboard System API',
         version: '1.0.0',
         description: 'High-performance real-time leaderboard system for gaming applications',
+        authentication: 'Send `Authorization: Bearer <token>` on player-owned routes; Socket.IO takes the token in `auth.token`',
         endpoints: {
+            auth: {
+                'POST /api/auth/login': 'Exchange username and password for an access token'
+            },
             players: {
-                'POST /api/players': 'Create a new player',
+                'POST /api/players': 'Create a new player (returns an access token)',
                 'GET /api/players/:playerId': 'Get player by ID',
                 'PUT /api/players/:playerId': 'Update player information',
                 'POST /api/players/:playerId/score': 'Update player score',
                 'GET /api/players/:playerId/rank': 'Get player rank',
                 'POST /api/players/:playerId/game-result': 'Add game result',
-                'GET /api/players/:playerId/stats': 'Get detailed player statistics'
+                'GET /api/players/:playerId/stats': 'Get detailed player statistics',
+                'GET /api/players/:playerId/history': 'Get score change history',
+                'GET /api/players/:playerId/seasons': 'Get player placements in past seasons'
             },
             leaderboard: {
                 'GET /api/leaderboard': 'Get leaderboard with filtering and pagination',
                 'GET /api/leaderboard/top/:count': 'Get top N players',
                 'GET /api/leaderboard/regions': 'Get leaderboards for all regions',
                 'GET /api/leaderboard/game-modes': 'Get leaderboards for all game modes',
+                'GET /api/leaderboard/ratings': 'Get skill rating leaderboard for ranked play',
+                'GET /api/leaderboard/teams': 'Get the leaderboard of persistent teams',
                 'GET /api/leaderboard/around/:playerId': 'Get leaderboard around a player',
                 'GET /api/leaderboard/stats': 'Get leaderboard statistics',
                 'GET /api/leaderboard/live': 'Get real-time leaderboard updates'
@@ -108,9 +143,50 @@ app.get('/api', (req, res) => {
                 'POST /api/sessions/:sessionId/leave': 'Leave a game session',
                 'POST /api/sessions/:sessionId/score': 'Update score in session',
                 'POST /api/sessions/:sessionId/end': 'End a game session',
+                'POST /api/sessions/scoring/dry-run': 'Preview the score a hypothetical result would award',
                 'GET /api/sessions': 'Get active sessions',
-                'GET /api/sessions/:sessionId/events': 'Get session events',
+                'GET /api/sessions/:sessionId/events': 'Get session events (cursor paginated, filter by eventType and playerId)',
                 'GET /api/sessions/stats': 'Get session statistics'
+            },
+            teams: {
+                'POST /api/teams': 'Create a team (you become its captain)',
+                'GET /api/teams/:teamId': 'Get a team with its members and stats',
+                'POST /api/teams/:teamId/members': 'Add a player to your team',
+                'DELETE /api/teams/:teamId/members/:playerId': 'Remove a member, or leave a team'
+            },
+            matchmaking: {
+                'POST /api/matchmaking/queue': 'Queue for a match in a region and game mode',
+                'GET /api/matchmaking/queue': 'Get your ticket and estimated wait, or your match',
+                'DELETE /api/matchmaking/queue': 'Leave the matchmaking queue'
+            },
+            seasons: {
+                'POST /api/seasons': 'Create a season (admin)',
+                'GET /api/seasons': 'List seasons',
+                'GET /api/seasons/current': 'Get the active season',
+                'POST /api/seasons/:seasonId/start': 'Start a scheduled season (admin)',
+                'POST /api/seasons/:seasonId/end': 'End a season, archive standings and reset scores (admin)',
+                'GET /api/seasons/:seasonId/standings': 'Get archived final standings'
+            },
+            admin: {
+                'POST /api/admin/players/:playerId/ban': 'Ban a player',
+                'POST /api/admin/players/:playerId/unban': 'Lift a ban',
+                'POST /api/admin/players/:playerId/shadow-ban': 'Hide a player from everyone else',
+                'POST /api/admin/players/:playerId/shadow-unban': 'Lift a shadow-ban',
+                'PUT /api/admin/players/:playerId/role': 'Grant or revoke a role',
+                'POST /api/admin/players/:playerId/score': 'Reset or adjust a score',
+                'POST /api/admin/players/:playerId/anonymize': 'Strip a player\'s personal data',
+                'DELETE /api/admin/players/:playerId': 'Delete a player',
+                'POST /api/admin/sessions/:sessionId/end': 'Force-end an active session',
+                'POST /api/admin/sessions/:sessionId/void': 'Void a session without awarding scores',
+                'DELETE /api/admin/sessions/:sessionId/events': 'Purge session real-time events',
+                'GET /api/admin/audit': 'Query the admin audit trail',
+                'GET /api/admin/violations': 'List score updates rejected as implausible',
+                'GET /api/admin/quarantine': 'List score updates held for review (moderators)',
+                'POST /api/admin/quarantine/:quarantineId/approve': 'Approve and apply a held score (moderators)',
+                'POST /api/admin/quarantine/:quarantineId/reject': 'Reject a held score (moderators)',
+                'POST /api/admin/game-servers': 'Register a game server for signed submissions',
+                'GET /api/admin/game-servers': 'List registered game servers',
+                'POST /api/admin/game-servers/:serverId/revoke': 'Revoke a game server'
             }
         },
         socketEvents: {
@@ -122,6 +198,10 @@ app.get('/api', (req, res) => {
                 'leaderboard:unsubscribe': 'Unsubscribe from leaderboard',
                 'session:join': 'Join a game session room',
                 'session:leave': 'Leave a game session room',
+                'matchmaking:enqueue': 'Queue for a match in a region and game mode',
+                'matchmaking:cancel': 'Leave the matchmaking queue',
+                'session:replay': 'Replay a completed session in its original timing',
+                'session:replay_control': 'Pause, resume, seek, change speed of or stop a replay',
                 'ping': 'Heartbeat ping'
             },
             server: {
@@ -132,6 +212,18 @@ app.get('/api', (req, res) => {
                 'player:offline': 'Player went offline',
                 'session:score_updated': 'Session score update',
                 'session:ended': 'Session ended with results',
+                'session:voided': 'Session voided by an admin',
+                'session:abandoned': 'Session abandoned after sitting idle',
+                'score:held': 'Your score update was held for review',
+                'score:reviewed': 'A held score update was approved or rejected',
+                'matchmaking:queued': 'Queued for matchmaking, with the estimated wait',
+                'matchmaking:cancelled': 'Left the matchmaking queue',
+                'matchmaking:matched': 'Match found, with its sessionId',
+                'session:replay_started': 'Replay started, with the scoreboard at its start position',
+                'session:replay_event': 'A recorded session event, sent in replay time',
+                'session:replay_state': 'Replay paused, resumed, sped up or moved; a seek includes the scoreboard',
+                'session:replay_ended': 'Replay reached the last event',
+                'session:replay_stopped': 'Replay stopped by the viewer',
                 'error': 'Error occurred',
                 'pong': 'Heartbeat response'
             }
@@ -148,9 +240,17 @@ app.get('/api', (req, res) => {
 let socketService;
 
 // API Routes
+// Rate limit every API request (see src/config/rateLimits.js)
+app.use('/api', apiRateLimit);
+
+app.use('/api/auth', authRouter);
 app.use('/api/players', playersRouter);
 app.use('/api/leaderboard', leaderboardRouter);
 app.use('/api/sessions', sessionsRouter);
+app.use('/api/seasons', seasonsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/matchmaking', matchmakingRouter);
+app.use('/api/teams', teamsRouter);
 
 // Make socket service available to routes
 app.locals.socketService = null;
@@ -175,9 +275,14 @@ app.use((req, res) => {
         availableRoutes: {
             api: '/api',
             health: '/health',
+            auth: '/api/auth',
             players: '/api/players',
             leaderboard: '/api/leaderboard',
-            sessions: '/api/sessions'
+            sessions: '/api/sessions',
+            seasons: '/api/seasons',
+            admin: '/api/admin',
+            matchmaking: '/api/matchmaking',
+            teams: '/api/teams'
         }
     });
 });
@@ -191,11 +296,25 @@ async function startServer() {
         await DatabaseManager.connect();
         console.log('✅ Database connection established');
         
+        // Build the rank index in the background; ranks come from Mongo until it is ready
+        rankIndex.rebuild(Player);
+        
+        // Move events still embedded in older sessions to their own collection
+        SessionEvent.migrateEmbeddedEvents().catch(error => {
+            console.error('Error migrating embedded session events:', error);
+        });
+        
         // Initialize Socket Service
         socketService = new SocketService(io);
         app.locals.socketService = socketService;
         console.log('✅ Socket.IO service initialized');
         
+        // Match queued players into game sessions
+        matchmaking.start(socketService);
+        
+        // End sessions at their time limit and abandon idle ones
+        sessionScheduler.start(socketService);
+        
         // Start the server
         server.listen(PORT, () => {
             console.log('\n🎯 Real-Time Leaderboard System is running!');
@@ -0,0 +1,87 @@
+// Shared enumerations used by models, validation and routes
+const REGIONS = ['NA', 'EU', 'ASIA', 'SA', 'OCE', 'GLOBAL'];
+
+const GAME_MODES = ['classic', 'blitz', 'survival', 'team', 'ranked'];
+
+// Teams of a team-mode session, in the order they are filled
+const SESSION_TEAMS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+// Events recorded during a game session, see models/SessionEvent.js
+const SESSION_EVENT_TYPES = ['score_update', 'player_joined', 'player_left', 'game_start', 'game_end', 'achievement'];
+
+// Where a recorded score mutation came from
+const SCORE_CHANGE_SOURCES = [
+    'rest_score',
+    'socket_score',
+    'session_score',
+    'game_result',
+    'session_end',
+    'season_reset',
+    'admin',
+    'system'
+];
+
+// How a submitted value is applied to a stored score:
+//   set       - replace the score
+//   increment - add a (possibly negative) delta, never going below 0
+//   max       - keep the higher of the two (best score)
+//   min       - keep the lower of the two (best time in time-based modes)
+const SCORE_OPERATIONS = ['set', 'increment', 'max', 'min'];
+
+// Plausibility rules a client score update can break, see config/plausibility.js
+const SCORE_VIOLATION_CODES = [
+    'MAX_DELTA_EXCEEDED',
+    'POINTS_PER_SECOND_EXCEEDED',
+    'SESSION_SCORE_LIMIT_EXCEEDED',
+    'SESSION_TIME_LIMIT_ELAPSED'
+];
+
+// Why a score update was held for review, see services/suspicionService.js:
+//   score_jump     - gain far above the player's own recent gains
+//   rank_climb     - leap past most of the players ahead in one update
+//   update_burst   - update rate close to the rate limit
+//   pending_review - an earlier update of the player in the mode is still held
+const SUSPICION_DETECTORS = ['score_jump', 'rank_climb', 'update_burst', 'pending_review'];
+
+const QUARANTINE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Player roles; moderators review held scores, admins can use every /api/admin route
+const PLAYER_ROLES = ['player', 'moderator', 'admin'];
+
+// Actions recorded in the admin audit trail
+const ADMIN_ACTIONS = [
+    'player_ban',
+    'player_unban',
+    'player_shadow_ban',
+    'player_shadow_unban',
+    'player_role',
+    'player_password_claim',
+    'score_reset',
+    'score_adjust',
+    'player_delete',
+    'player_anonymize',
+    'session_end',
+    'session_void',
+    'session_events_purge',
+    'score_approve',
+    'score_reject',
+    'game_server_register',
+    'game_server_revoke',
+    'season_create',
+    'season_start',
+    'season_end'
+];
+
+module.exports = {
+    REGIONS,
+    GAME_MODES,
+    SESSION_TEAMS,
+    SESSION_EVENT_TYPES,
+    SCORE_CHANGE_SOURCES,
+    SCORE_OPERATIONS,
+    SCORE_VIOLATION_CODES,
+    SUSPICION_DETECTORS,
+    QUARANTINE_STATUSES,
+    PLAYER_ROLES,
+    ADMIN_ACTIONS
+};
@@ -0,0 +1,74 @@
+// Period boundaries for time-windowed leaderboards.
+// Each region resets its daily/weekly/monthly boards at local midnight,
+// expressed as an offset from UTC. Override with LEADERBOARD_PERIODS, e.g.
+// LEADERBOARD_PERIODS='{"NA":{"utcOffsetMinutes":-480,"weekStartsOn":0}}'
+const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'alltime'];
+
+const DEFAULT_PERIOD = {
+    utcOffsetMinutes: 0,
+    weekStartsOn: 1 // 0 = Sunday, 1 = Monday
+};
+
+const REGION_PERIODS = {
+    NA: { utcOffsetMinutes: -300 },
+    EU: { utcOffsetMinutes: 60 },
+    ASIA: { utcOffsetMinutes: 480 },
+    SA: { utcOffsetMinutes: -180 },
+    OCE: { utcOffsetMinutes: 600 },
+    GLOBAL: { utcOffsetMinutes: 0 }
+};
+
+const loadOverrides = () => {
+    if (!process.env.LEADERBOARD_PERIODS) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.LEADERBOARD_PERIODS);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid LEADERBOARD_PERIODS:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const getRegionPeriod = (region) => {
+    const key = region || 'GLOBAL';
+    return {
+        ...DEFAULT_PERIOD,
+        ...REGION_PERIODS[key],
+        ...overrides[key]
+    };
+};
+
+/**
+ * Start of the current window for a region, or null for all-time.
+ */
+const getWindowStart = (window, region = null, now = new Date()) => {
+    if (!window || window === 'alltime') {
+        return null;
+    }
+
+    const { utcOffsetMinutes, weekStartsOn } = getRegionPeriod(region);
+    const offsetMs = utcOffsetMinutes * 60 * 1000;
+
+    // Work in the region's local time using UTC accessors, then shift back
+    const local = new Date(now.getTime() + offsetMs);
+    const start = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+
+    if (window === 'weekly') {
+        const daysSinceWeekStart = (local.getUTCDay() - weekStartsOn + 7) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSinceWeekStart);
+    } else if (window === 'monthly') {
+        start.setUTCDate(1);
+    }
+
+    return new Date(start.getTime() - offsetMs);
+};
+
+module.exports = {
+    LEADERBOARD_WINDOWS,
+    getRegionPeriod,
+    getWindowStart
+};
@@ -0,0 +1,91 @@
+// Matchmaking rules per game mode. Players queue per region and game mode
+// and are grouped with players of similar skill.
+//
+//   basis            - skill compared: `score` (the mode's score) or `rating`
+//                      (the Glicko-2 skill rating)
+//   matchSize        - players in a full match
+//   minMatchSize     - smallest match made once a player has waited
+//                      `maxWaitSeconds`
+//   initialTolerance - largest skill difference accepted when enqueued...
+//   widenPerSecond   - ...growing by this much for every second of waiting...
+//   maxTolerance     - ...up to this limit
+//
+// Two players are matched only if each one's tolerance accepts the other.
+// Override per game mode with MATCHMAKING_RULES, e.g.
+// MATCHMAKING_RULES='{"blitz":{"matchSize":6,"maxWaitSeconds":60}}'
+const MATCHMAKING_BASES = ['score', 'rating'];
+
+const DEFAULT_RULES = {
+    basis: 'score',
+    matchSize: 4,
+    minMatchSize: 2,
+    maxWaitSeconds: 120,
+    initialTolerance: 250,
+    widenPerSecond: 25,
+    maxTolerance: 5000
+};
+
+const GAME_MODE_RULES = {
+    ranked: {
+        basis: 'rating',
+        matchSize: 2,
+        initialTolerance: 50,
+        widenPerSecond: 5,
+        maxTolerance: 400
+    }
+};
+
+// How often queued players are matched
+const MATCHMAKING_INTERVAL_MS = parseInt(process.env.MATCHMAKING_INTERVAL_MS) || 2000;
+
+const NUMERIC_RULES = ['matchSize', 'minMatchSize', 'maxWaitSeconds', 'initialTolerance', 'widenPerSecond', 'maxTolerance'];
+
+const loadOverrides = () => {
+    if (!process.env.MATCHMAKING_RULES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.MATCHMAKING_RULES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid MATCHMAKING_RULES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateRules = (rules, key) => {
+    if (!MATCHMAKING_BASES.includes(rules.basis)) {
+        throw new Error(`Unknown matchmaking basis "${rules.basis}" for ${key}`);
+    }
+
+    NUMERIC_RULES.forEach(rule => {
+        if (typeof rules[rule] !== 'number' || rules[rule] < 0) {
+            throw new Error(`Matchmaking rule "${rule}" for ${key} must be a non-negative number`);
+        }
+    });
+
+    if (rules.minMatchSize < 2 || rules.minMatchSize > rules.matchSize) {
+        throw new Error(`Matchmaking minMatchSize for ${key} must be between 2 and matchSize`);
+    }
+
+    return rules;
+};
+
+// Rules for a game mode: defaults, then the mode's own rules, then overrides
+const getMatchmakingRules = (gameMode = null) => {
+    const key = gameMode || 'default';
+
+    return validateRules({
+        ...DEFAULT_RULES,
+        ...overrides.default,
+        ...(gameMode && GAME_MODE_RULES[gameMode]),
+        ...(gameMode && overrides[gameMode])
+    }, key);
+};
+
+module.exports = {
+    MATCHMAKING_INTERVAL_MS,
+    getMatchmakingRules
+};
@@ -0,0 +1,65 @@
+// Score plausibility rules: hard limits a client-submitted score update must
+// respect, checked before the update is applied.
+//
+//   maxDelta              - largest gain a single update may add
+//   maxPointsPerSecond    - largest gain per second since the player's previous
+//                           update in the mode (or session)
+//   timeLimitGraceSeconds - late updates accepted after a session's timeLimit,
+//                           to absorb network latency
+//
+// Sessions also cap the session score at gameSettings.scoreLimit. Override
+// per game mode with PLAUSIBILITY_RULES, e.g.
+// PLAUSIBILITY_RULES='{"blitz":{"maxDelta":2000,"maxPointsPerSecond":400}}'
+const DEFAULT_RULES = {
+    maxDelta: 10000,
+    maxPointsPerSecond: 500,
+    timeLimitGraceSeconds: 5
+};
+
+const GAME_MODE_RULES = {
+    blitz: { maxPointsPerSecond: 1000 },
+    ranked: { maxDelta: 5000, maxPointsPerSecond: 250 }
+};
+
+const RULE_KEYS = Object.keys(DEFAULT_RULES);
+
+const loadOverrides = () => {
+    if (!process.env.PLAUSIBILITY_RULES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.PLAUSIBILITY_RULES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid PLAUSIBILITY_RULES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateRules = (rules, key) => {
+    RULE_KEYS.forEach(rule => {
+        if (typeof rules[rule] !== 'number' || rules[rule] < 0) {
+            throw new Error(`Plausibility rule "${rule}" for ${key} must be a non-negative number`);
+        }
+    });
+
+    return rules;
+};
+
+// Rules for a game mode: defaults, then the mode's own rules, then overrides
+const getPlausibilityRules = (gameMode = null) => {
+    const key = gameMode || 'default';
+
+    return validateRules({
+        ...DEFAULT_RULES,
+        ...overrides.default,
+        ...(gameMode && GAME_MODE_RULES[gameMode]),
+        ...(gameMode && overrides[gameMode])
+    }, key);
+};
+
+module.exports = {
+    getPlausibilityRules
+};
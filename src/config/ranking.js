@@ -0,0 +1,74 @@
+// Ranking rules applied by every leaderboard and rank endpoint.
+//
+// style:
+//   competition - tied players share a rank and the next rank is skipped (1, 2, 2, 4)
+//   dense       - tied players share a rank and no rank is skipped (1, 2, 2, 3)
+//   ordinal     - every player gets a distinct rank (1, 2, 3, 4)
+//
+// tiebreakers, applied in order to players with equal scores:
+//   first_to_reach  - whoever reached the score first ranks higher
+//   fewer_games     - fewer games played ranks higher
+//   higher_win_rate - higher win rate ranks higher
+//   recent_activity - most recently active ranks higher
+//
+// Override per game mode with RANKING_RULES, e.g.
+// RANKING_RULES='{"default":{"style":"dense"},"blitz":{"tiebreakers":["fewer_games"]}}'
+const RANKING_STYLES = ['competition', 'dense', 'ordinal'];
+
+const TIEBREAKERS = ['first_to_reach', 'fewer_games', 'higher_win_rate', 'recent_activity'];
+
+const DEFAULT_RULES = {
+    style: 'competition',
+    tiebreakers: ['first_to_reach']
+};
+
+const GAME_MODE_RULES = {
+    ranked: { tiebreakers: ['first_to_reach', 'higher_win_rate'] }
+};
+
+const loadOverrides = () => {
+    if (!process.env.RANKING_RULES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.RANKING_RULES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid RANKING_RULES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateRules = (rules, key) => {
+    if (!RANKING_STYLES.includes(rules.style)) {
+        throw new Error(`Unknown ranking style "${rules.style}" for ${key}`);
+    }
+
+    rules.tiebreakers.forEach(tiebreaker => {
+        if (!TIEBREAKERS.includes(tiebreaker)) {
+            throw new Error(`Unknown tiebreaker "${tiebreaker}" for ${key}`);
+        }
+    });
+
+    return rules;
+};
+
+// Rules for a board; the overall board (no game mode) uses the defaults
+const getRankingRules = (gameMode = null) => {
+    const key = gameMode || 'default';
+
+    return validateRules({
+        ...DEFAULT_RULES,
+        ...overrides.default,
+        ...(gameMode && GAME_MODE_RULES[gameMode]),
+        ...(gameMode && overrides[gameMode])
+    }, key);
+};
+
+module.exports = {
+    RANKING_STYLES,
+    TIEBREAKERS,
+    getRankingRules
+};
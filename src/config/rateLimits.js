@@ -0,0 +1,68 @@
+// HTTP rate limit policies per route group. Each policy allows `max`
+// requests in any `windowMs` (a sliding window) for a key:
+//
+//   ip     - the client address
+//   player - the player of a valid bearer token (or the signing game
+//            server), falling back to the client address
+//
+// Every /api request counts against `reads` (GET, HEAD) or `writes` (other
+// methods); score submissions and player creation also count against their
+// own, tighter policy. `reads` and `writes` default to RATE_LIMIT_WINDOW_MS
+// and RATE_LIMIT_MAX_REQUESTS. Override any policy with RATE_LIMIT_POLICIES,
+// e.g. RATE_LIMIT_POLICIES='{"scoreWrites":{"max":120}}'
+const RATE_LIMIT_KEYS = ['ip', 'player'];
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+// Keys the in-memory store keeps before evicting the least recently used
+const RATE_LIMIT_MAX_KEYS = parseInt(process.env.RATE_LIMIT_MAX_KEYS) || 10000;
+
+const DEFAULT_POLICIES = {
+    reads: { windowMs: WINDOW_MS, max: MAX_REQUESTS, keyBy: 'player' },
+    writes: { windowMs: WINDOW_MS, max: MAX_REQUESTS, keyBy: 'player' },
+    scoreWrites: { windowMs: 60 * 1000, max: 60, keyBy: 'player' },
+    playerCreation: { windowMs: 60 * 60 * 1000, max: 10, keyBy: 'ip' }
+};
+
+const loadOverrides = () => {
+    if (!process.env.RATE_LIMIT_POLICIES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.RATE_LIMIT_POLICIES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid RATE_LIMIT_POLICIES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const policies = Object.fromEntries(
+    Object.entries(DEFAULT_POLICIES).map(([name, policy]) => [name, { ...policy, ...overrides[name] }])
+);
+
+Object.entries(policies).forEach(([name, policy]) => {
+    if (!RATE_LIMIT_KEYS.includes(policy.keyBy)) {
+        throw new Error(`Unknown rate limit key "${policy.keyBy}" for ${name}`);
+    }
+    if (!(policy.windowMs > 0) || !(policy.max > 0)) {
+        throw new Error(`Rate limit policy ${name} needs a positive windowMs and max`);
+    }
+});
+
+const getRateLimitPolicy = (name) => {
+    const policy = policies[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+    return policy;
+};
+
+module.exports = {
+    RATE_LIMIT_KEYS,
+    RATE_LIMIT_MAX_KEYS,
+    getRateLimitPolicy
+};
@@ -0,0 +1,85 @@
+// Rate limits of real-time score updates. Every update counts against the
+// player's `default` limits, whatever its game mode, so switching modes does
+// not raise the rate. A mode with limits of its own (below or in the
+// overrides) is held to those as well; they should be stricter.
+//
+// algorithm:
+//   sliding_window - at most `limit` updates in any `windowMs`
+//   token_bucket   - bursts of up to `capacity` updates, refilled at
+//                    `refillPerSecond` tokens a second
+//
+// Override per game mode with SCORE_RATE_LIMITS, e.g.
+// SCORE_RATE_LIMITS='{"blitz":{"algorithm":"token_bucket","capacity":10,"refillPerSecond":1}}'
+const RATE_LIMIT_ALGORITHMS = {
+    sliding_window: ['limit', 'windowMs'],
+    token_bucket: ['capacity', 'refillPerSecond']
+};
+
+const DEFAULT_LIMITS = {
+    algorithm: 'sliding_window',
+    limit: 60,
+    windowMs: 60 * 1000,
+    capacity: 20,
+    refillPerSecond: 1
+};
+
+// Blitz rounds are short: their bursts are capped below the overall limit
+const GAME_MODE_LIMITS = {
+    blitz: { algorithm: 'token_bucket', capacity: 20, refillPerSecond: 1 }
+};
+
+// Keys the in-memory store keeps before evicting the least recently used
+const SCORE_RATE_LIMIT_MAX_KEYS = parseInt(process.env.SCORE_RATE_LIMIT_MAX_KEYS) || 10000;
+
+const loadOverrides = () => {
+    if (!process.env.SCORE_RATE_LIMITS) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.SCORE_RATE_LIMITS);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid SCORE_RATE_LIMITS:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateLimits = (limits, key) => {
+    const params = RATE_LIMIT_ALGORITHMS[limits.algorithm];
+    if (!params) {
+        throw new Error(`Unknown rate limit algorithm "${limits.algorithm}" for ${key}`);
+    }
+
+    params.forEach(param => {
+        if (typeof limits[param] !== 'number' || limits[param] <= 0) {
+            throw new Error(`Score rate limit "${param}" for ${key} must be a positive number`);
+        }
+    });
+
+    return limits;
+};
+
+// Whether a game mode is held to limits of its own, on top of the default ones
+const hasOwnScoreRateLimits = (gameMode) =>
+    Boolean(gameMode) && Boolean(GAME_MODE_LIMITS[gameMode] || overrides[gameMode]);
+
+// Limits for a game mode: defaults, then the mode's own limits, then overrides
+const getScoreRateLimits = (gameMode = null) => {
+    const key = gameMode || 'default';
+
+    return validateLimits({
+        ...DEFAULT_LIMITS,
+        ...overrides.default,
+        ...(gameMode && GAME_MODE_LIMITS[gameMode]),
+        ...(gameMode && overrides[gameMode])
+    }, key);
+};
+
+module.exports = {
+    RATE_LIMIT_ALGORITHMS,
+    SCORE_RATE_LIMIT_MAX_KEYS,
+    hasOwnScoreRateLimits,
+    getScoreRateLimits
+};
@@ -0,0 +1,144 @@
+// How a finished session turns into score for each player, per game mode.
+//
+//   method      - what the result is based on:
+//                   placement  - the player's session score
+//                   time_alive - pointsPerSecond for every second the player
+//                                stayed in the session (survival)
+//                   rating     - the change of the player's skill rating,
+//                                times ratingFactor (ranked)
+//   positionBonus         - bonus for first place, scaled down linearly to
+//                           last place (0 turns it off)
+//   multiplier            - applied to the result and the bonus
+//   difficultyMultipliers - applied on top, by `gameSettings.difficulty`
+//   operation             - how the result is applied to the mode score:
+//                           `set`, `increment` or `max` (see SCORE_OPERATIONS)
+//
+// Override with SCORING_POLICIES, keyed by `default`, a game mode or
+// `<gameMode>:<difficulty>`, e.g.
+// SCORING_POLICIES='{"blitz":{"multiplier":2},"survival:hard":{"pointsPerSecond":3}}'
+const { GAME_MODES, SCORE_OPERATIONS } = require('./constants');
+
+const SCORING_METHODS = ['placement', 'time_alive', 'rating'];
+
+const SESSION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Operations a session result can use; `min` keeps best times, which no method produces
+const SCORING_OPERATIONS = SCORE_OPERATIONS.filter(op => op !== 'min');
+
+const DEFAULT_POLICY = {
+    method: 'placement',
+    positionBonus: 100,
+    pointsPerSecond: 1,
+    ratingFactor: 1,
+    multiplier: 1,
+    difficultyMultipliers: { easy: 0.75, medium: 1, hard: 1.5 },
+    operation: 'set'
+};
+
+const GAME_MODE_POLICIES = {
+    survival: {
+        method: 'time_alive',
+        pointsPerSecond: 2,
+        operation: 'max'
+    },
+    blitz: {
+        multiplier: 1.5
+    },
+    ranked: {
+        method: 'rating',
+        positionBonus: 0,
+        ratingFactor: 2,
+        operation: 'increment'
+    }
+};
+
+const NUMERIC_FIELDS = ['positionBonus', 'pointsPerSecond', 'ratingFactor', 'multiplier'];
+
+const loadOverrides = () => {
+    if (!process.env.SCORING_POLICIES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.SCORING_POLICIES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid SCORING_POLICIES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validatePolicy = (policy, key) => {
+    if (!SCORING_METHODS.includes(policy.method)) {
+        throw new Error(`Unknown scoring method "${policy.method}" for ${key}`);
+    }
+
+    if (!SCORING_OPERATIONS.includes(policy.operation)) {
+        throw new Error(`Unknown scoring operation "${policy.operation}" for ${key}`);
+    }
+
+    NUMERIC_FIELDS.forEach(field => {
+        if (typeof policy[field] !== 'number' || policy[field] < 0) {
+            throw new Error(`Scoring "${field}" for ${key} must be a non-negative number`);
+        }
+    });
+
+    SESSION_DIFFICULTIES.forEach(difficulty => {
+        const multiplier = policy.difficultyMultipliers[difficulty];
+        if (typeof multiplier !== 'number' || multiplier < 0) {
+            throw new Error(`Scoring multiplier for ${difficulty} difficulty in ${key} must be a non-negative number`);
+        }
+    });
+
+    return policy;
+};
+
+// Merge policy layers; difficulty multipliers merge per difficulty
+const mergePolicies = (...layers) => layers.reduce((policy, layer) => (layer ? {
+    ...policy,
+    ...layer,
+    difficultyMultipliers: { ...policy.difficultyMultipliers, ...layer.difficultyMultipliers }
+} : policy), {});
+
+const policyKey = (gameMode, difficulty) => `${gameMode}:${difficulty}`;
+
+const OVERRIDE_KEYS = ['default', ...GAME_MODES,
+    ...GAME_MODES.flatMap(gameMode => SESSION_DIFFICULTIES.map(difficulty => policyKey(gameMode, difficulty)))];
+
+Object.keys(overrides).forEach(key => {
+    if (!OVERRIDE_KEYS.includes(key)) {
+        throw new Error(`Unknown SCORING_POLICIES key "${key}"`);
+    }
+});
+
+// Every policy is resolved and validated up front, so a bad override stops
+// the server at startup instead of failing a session as it ends. Each game
+// mode and difficulty gets the defaults, then the mode's own policy, then
+// overrides for every mode, the mode, and the mode at that difficulty.
+const policies = {
+    default: validatePolicy(mergePolicies(DEFAULT_POLICY, overrides.default), 'default')
+};
+
+GAME_MODES.forEach(gameMode => {
+    SESSION_DIFFICULTIES.forEach(difficulty => {
+        const key = policyKey(gameMode, difficulty);
+        policies[key] = validatePolicy(mergePolicies(
+            DEFAULT_POLICY,
+            overrides.default,
+            GAME_MODE_POLICIES[gameMode],
+            overrides[gameMode],
+            overrides[key]
+        ), key);
+    });
+});
+
+// Scoring policy for a game mode and difficulty
+const getScoringPolicy = (gameMode = null, difficulty = 'medium') =>
+    (gameMode && policies[policyKey(gameMode, difficulty)]) || policies.default;
+
+module.exports = {
+    SCORING_METHODS,
+    SESSION_DIFFICULTIES,
+    getScoringPolicy
+};
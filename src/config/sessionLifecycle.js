@@ -0,0 +1,26 @@
+// Automatic session lifecycle. A sweep runs every SESSION_SWEEP_INTERVAL_MS
+// and:
+//   - ends active sessions whose `gameSettings.timeLimit` has run out,
+//     awarding scores as a normal end does
+//   - abandons waiting sessions that saw no event (such as a player joining)
+//     for SESSION_WAITING_IDLE_SECONDS
+//   - abandons active sessions that saw no event for
+//     SESSION_ACTIVE_IDLE_SECONDS, e.g. after every client crashed
+// Abandoned sessions award nothing. Set an idle period to 0 to keep such
+// sessions open.
+const SESSION_SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS) || 30000;
+
+const parseSeconds = (value, fallback) => {
+    const seconds = parseInt(value);
+    return Number.isNaN(seconds) || seconds < 0 ? fallback : seconds;
+};
+
+const SESSION_WAITING_IDLE_SECONDS = parseSeconds(process.env.SESSION_WAITING_IDLE_SECONDS, 10 * 60);
+
+const SESSION_ACTIVE_IDLE_SECONDS = parseSeconds(process.env.SESSION_ACTIVE_IDLE_SECONDS, 15 * 60);
+
+module.exports = {
+    SESSION_SWEEP_INTERVAL_MS,
+    SESSION_WAITING_IDLE_SECONDS,
+    SESSION_ACTIVE_IDLE_SECONDS
+};
@@ -0,0 +1,48 @@
+// Trust rules for score submissions. Registered game servers sign their
+// requests (see services/signatureService.js); what happens to unsigned
+// client submissions is set per game mode:
+//
+//   unverified - accept them, recording the change as unverified
+//   reject     - refuse them, only signed results count
+//
+// Override with SUBMISSION_POLICIES, e.g.
+// SUBMISSION_POLICIES='{"default":"unverified","ranked":"reject","blitz":"reject"}'
+const SUBMISSION_POLICIES = ['unverified', 'reject'];
+
+const DEFAULT_POLICIES = {
+    default: 'unverified',
+    ranked: 'reject'
+};
+
+// How far a signed request's timestamp may drift from the server clock
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+const loadOverrides = () => {
+    if (!process.env.SUBMISSION_POLICIES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.SUBMISSION_POLICIES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid SUBMISSION_POLICIES:', error.message);
+        return {};
+    }
+};
+
+const policies = { ...DEFAULT_POLICIES, ...loadOverrides() };
+
+Object.entries(policies).forEach(([key, policy]) => {
+    if (!SUBMISSION_POLICIES.includes(policy)) {
+        throw new Error(`Unknown submission policy "${policy}" for ${key}`);
+    }
+});
+
+// Policy for unsigned submissions in a game mode
+const getSubmissionPolicy = (gameMode = null) => (gameMode && policies[gameMode]) || policies.default;
+
+module.exports = {
+    SUBMISSION_POLICIES,
+    SIGNATURE_TOLERANCE_SECONDS,
+    getSubmissionPolicy
+};
@@ -0,0 +1,70 @@
+// Suspicious-score detection: statistical checks on client score updates that
+// pass the plausibility rules. A flagged update is held in the quarantine
+// queue until a moderator approves or rejects it.
+//
+//   zScoreThreshold        - flag a gain this many standard deviations above the
+//                            player's own recent gains in the mode
+//   minHistory             - recent updates needed before the z-score applies
+//   historySize            - recent updates the z-score is computed from
+//   minRankClimb           - flag a climb of at least this many places...
+//   maxRankClimbFraction   - ...that also skips this fraction of the players
+//                            ahead (0.9: from rank 1000 into the top 100)
+//   burstUpdatesPerMinute  - flag a player sending this many updates in a minute
+//
+// Override per game mode with SUSPICION_RULES, e.g.
+// SUSPICION_RULES='{"ranked":{"zScoreThreshold":3}}'
+const DEFAULT_RULES = {
+    zScoreThreshold: 4,
+    minHistory: 10,
+    historySize: 50,
+    minRankClimb: 100,
+    maxRankClimbFraction: 0.9,
+    burstUpdatesPerMinute: 50
+};
+
+const GAME_MODE_RULES = {
+    ranked: { zScoreThreshold: 3, minRankClimb: 50 }
+};
+
+const RULE_KEYS = Object.keys(DEFAULT_RULES);
+
+const loadOverrides = () => {
+    if (!process.env.SUSPICION_RULES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.SUSPICION_RULES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid SUSPICION_RULES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateRules = (rules, key) => {
+    RULE_KEYS.forEach(rule => {
+        if (typeof rules[rule] !== 'number' || rules[rule] < 0) {
+            throw new Error(`Suspicion rule "${rule}" for ${key} must be a non-negative number`);
+        }
+    });
+
+    return rules;
+};
+
+// Rules for a game mode: defaults, then the mode's own rules, then overrides
+const getSuspicionRules = (gameMode = null) => {
+    const key = gameMode || 'default';
+
+    return validateRules({
+        ...DEFAULT_RULES,
+        ...overrides.default,
+        ...(gameMode && GAME_MODE_RULES[gameMode]),
+        ...(gameMode && overrides[gameMode])
+    }, key);
+};
+
+module.exports = {
+    getSuspicionRules
+};
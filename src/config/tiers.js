@@ -0,0 +1,89 @@
+// Tier tables: the visible tier a player holds on a board.
+//
+// basis:
+//   score      - tiers start at a minimum score (`minScore`)
+//   percentile - tiers cover the top `topPercent` of the board's players,
+//                by rank on the global all-time board of the game mode
+//
+// Tiers are listed from lowest to highest. The overall board (no game mode)
+// uses the `default` table. Override per game mode with TIER_TABLES, e.g.
+// TIER_TABLES='{"blitz":{"basis":"score","tiers":[{"name":"Bronze","minScore":0},{"name":"Gold","minScore":500}]}}'
+const TIER_BASES = ['score', 'percentile'];
+
+const DEFAULT_TABLE = {
+    basis: 'score',
+    tiers: [
+        { name: 'Bronze', minScore: 0 },
+        { name: 'Silver', minScore: 1000 },
+        { name: 'Gold', minScore: 2500 },
+        { name: 'Platinum', minScore: 5000 },
+        { name: 'Diamond', minScore: 10000 },
+        { name: 'Master', minScore: 20000 },
+        { name: 'Grandmaster', minScore: 40000 }
+    ]
+};
+
+const GAME_MODE_TABLES = {
+    ranked: {
+        basis: 'percentile',
+        tiers: [
+            { name: 'Bronze', topPercent: 100 },
+            { name: 'Silver', topPercent: 75 },
+            { name: 'Gold', topPercent: 50 },
+            { name: 'Platinum', topPercent: 25 },
+            { name: 'Diamond', topPercent: 10 },
+            { name: 'Master', topPercent: 5 },
+            { name: 'Grandmaster', topPercent: 1 }
+        ]
+    }
+};
+
+const loadOverrides = () => {
+    if (!process.env.TIER_TABLES) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.TIER_TABLES);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid TIER_TABLES:', error.message);
+        return {};
+    }
+};
+
+const overrides = loadOverrides();
+
+const validateTable = (table, key) => {
+    if (!TIER_BASES.includes(table.basis)) {
+        throw new Error(`Unknown tier basis "${table.basis}" for ${key}`);
+    }
+
+    const bound = table.basis === 'score' ? 'minScore' : 'topPercent';
+    if (!Array.isArray(table.tiers) || table.tiers.length === 0) {
+        throw new Error(`Tier table for ${key} has no tiers`);
+    }
+
+    table.tiers.forEach(tier => {
+        if (!tier.name || typeof tier[bound] !== 'number') {
+            throw new Error(`Tier "${tier.name}" for ${key} needs a name and a numeric ${bound}`);
+        }
+    });
+
+    return table;
+};
+
+// Tier table for a board; game modes without their own table use the default
+const getTierTable = (gameMode = null) => {
+    const key = gameMode || 'default';
+    const table = overrides[key]
+        || (gameMode && GAME_MODE_TABLES[gameMode])
+        || overrides.default
+        || DEFAULT_TABLE;
+
+    return validateTable(table, key);
+};
+
+module.exports = {
+    TIER_BASES,
+    getTierTable
+};
@@ -0,0 +1,256 @@
+const Player = require('../models/Player');
+const { verifyToken } = require('../services/authService');
+const { SignatureError, isSignedRequest, verifySignedRequest } = require('../services/signatureService');
+
+// Bearer token from an Authorization header value
+const extractBearerToken = (header) => {
+    if (!header || typeof header !== 'string') return null;
+
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Load the player behind a verified token identity. The stored role wins
+ * over the one in the token, so role changes and bans apply immediately.
+ * Returns { user } or { error: { status, message, code } }.
+ */
+const resolveIdentity = async (identity) => {
+    const player = await Player.findOne({ playerId: identity.playerId })
+        .select('playerId role ban')
+        .lean();
+
+    if (!player) {
+        return { error: { status: 401, message: 'Player no longer exists', code: 'INVALID_TOKEN' } };
+    }
+
+    if (player.ban && player.ban.active) {
+        return { error: { status: 403, message: 'Player is banned', code: 'PLAYER_BANNED' } };
+    }
+
+    return { user: { playerId: player.playerId, role: player.role || 'player' } };
+};
+
+/**
+ * Require a valid access token and bind its identity to `req.user`
+ * ({ playerId, role }).
+ */
+const authenticate = async (req, res, next) => {
+    const token = extractBearerToken(req.headers.authorization);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required',
+            error: 'UNAUTHORIZED'
+        });
+    }
+
+    let identity;
+    try {
+        identity = verifyToken(token);
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+            error: 'INVALID_TOKEN'
+        });
+    }
+
+    try {
+        const { user, error } = await resolveIdentity(identity);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+};
+
+/**
+ * For public routes that show players more about themselves: bind the
+ * identity of a valid access token to `req.user`, and carry on anonymously
+ * (`req.user = null`) without one or with one that does not check out.
+ */
+const identify = async (req, res, next) => {
+    req.user = null;
+
+    const token = extractBearerToken(req.headers.authorization);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const { user } = await resolveIdentity(verifyToken(token));
+        req.user = user || null;
+    } catch (error) {
+        // Invalid or expired tokens leave the request anonymous
+    }
+
+    next();
+};
+
+// Only let players holding one of `roles` through; use after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Insufficient permissions',
+            error: 'FORBIDDEN'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Only let the authenticated player act on their own resources. The target
+ * player is read from `req.params[param]`.
+ */
+const requireOwnership = (param = 'playerId') => (req, res, next) => {
+    if (!req.user || req.user.playerId !== req.params[param]) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only act on your own player',
+            error: 'FORBIDDEN'
+        });
+    }
+
+    next();
+};
+
+/**
+ * For routes that name the acting player in the body: default
+ * `req.body.playerId` to the authenticated player and reject any other.
+ */
+const bindBodyPlayer = (req, res, next) => {
+    const body = req.body || {};
+
+    if (body.playerId && body.playerId !== req.user.playerId) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only act on your own player',
+            error: 'FORBIDDEN'
+        });
+    }
+
+    req.body = { ...body, playerId: req.user.playerId };
+    next();
+};
+
+/**
+ * Verify requests signed by a registered game server and bind the server to
+ * `req.gameServer`. Unsigned requests pass through untouched; a bad
+ * signature is rejected. Needs `req.rawBody` (captured by express.json).
+ */
+const verifyGameServer = async (req, res, next) => {
+    if (!isSignedRequest(req.headers)) {
+        req.gameServer = null;
+        return next();
+    }
+
+    try {
+        req.gameServer = await verifySignedRequest({
+            headers: req.headers,
+            method: req.method,
+            path: req.originalUrl,
+            body: req.rawBody || ''
+        });
+        next();
+    } catch (error) {
+        if (!(error instanceof SignatureError)) {
+            console.error('Error verifying request signature:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to verify signature',
+                error: 'INTERNAL_SERVER_ERROR'
+            });
+        }
+
+        res.status(error.status).json({
+            success: false,
+            message: error.message,
+            error: error.code
+        });
+    }
+};
+
+// Run player middlewares (authenticate, ownership checks) only for requests
+// that did not come from a verified game server
+const unlessGameServer = (...middlewares) => (req, res, next) => {
+    if (req.gameServer) {
+        return next();
+    }
+
+    const run = (index) => {
+        if (index === middlewares.length) {
+            return next();
+        }
+        middlewares[index](req, res, (error) => (error ? next(error) : run(index + 1)));
+    };
+    run(0);
+};
+
+/**
+ * Socket.IO handshake middleware. A token in `auth.token` or the
+ * Authorization header is verified and bound to `socket.data.user`.
+ * Connections without a token stay anonymous (spectators); an invalid
+ * token or a banned player rejects the connection.
+ */
+const authenticateSocket = async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || extractBearerToken(headers.authorization);
+
+    if (!token) {
+        socket.data.user = null;
+        return next();
+    }
+
+    let identity;
+    try {
+        identity = verifyToken(token);
+    } catch (error) {
+        const authError = new Error('Invalid token');
+        authError.data = { type: 'unauthorized' };
+        return next(authError);
+    }
+
+    try {
+        const { user, error } = await resolveIdentity(identity);
+        if (error) {
+            const authError = new Error(error.message);
+            authError.data = { type: error.code === 'PLAYER_BANNED' ? 'banned' : 'unauthorized' };
+            return next(authError);
+        }
+
+        socket.data.user = user;
+        next();
+    } catch (error) {
+        console.error('Error authenticating socket:', error);
+        next(new Error('Failed to authenticate'));
+    }
+};
+
+module.exports = {
+    extractBearerToken,
+    authenticate,
+    identify,
+    requireRole,
+    requireOwnership,
+    bindBodyPlayer,
+    verifyGameServer,
+    unlessGameServer,
+    authenticateSocket
+};
@@ -0,0 +1,86 @@
+const {
+    isValidIdempotencyKey,
+    requestFingerprint,
+    beginRequest,
+    completeRequest,
+    abandonRequest
+} = require('../services/idempotencyService');
+
+/**
+ * Make a write safe to retry with an Idempotency-Key header. The first
+ * response for a key is stored and replayed, with Idempotent-Replayed: true,
+ * to later requests of the same caller with the same key. Server errors are
+ * not stored, so those can be retried. Requests without the header run as
+ * usual. Runs after authentication: keys are scoped to the player or the
+ * signing game server.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!isValidIdempotencyKey(key)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key must be 1 to 255 printable characters',
+            error: 'INVALID_IDEMPOTENCY_KEY'
+        });
+    }
+
+    const scope = req.gameServer ? `server:${req.gameServer.serverId}` : `player:${req.user.playerId}`;
+    const fingerprint = requestFingerprint(`${req.method} ${req.originalUrl}`, req.rawBody || '');
+
+    let begun;
+    try {
+        begun = await beginRequest(scope, key, fingerprint);
+    } catch (error) {
+        console.error('Error starting idempotent request:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process idempotency key',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+
+    if (begun.state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(begun.response.statusCode).json(begun.response.body);
+    }
+
+    if (begun.state === 'in_progress') {
+        return res.status(409).json({
+            success: false,
+            message: 'A request with this idempotency key is still in progress',
+            error: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+    }
+
+    if (begun.state === 'mismatch') {
+        return res.status(422).json({
+            success: false,
+            message: 'Idempotency key was already used for a different request',
+            error: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+    }
+
+    // Store the response before sending it, so a retry never runs the write twice
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        res.json = send;
+        const settle = res.statusCode >= 500
+            ? abandonRequest(scope, key)
+            : completeRequest(scope, key, { statusCode: res.statusCode, body });
+
+        settle
+            .catch(error => console.error('Error storing idempotent response:', error))
+            .then(() => send(body));
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotent
+};
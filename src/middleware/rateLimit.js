@@ -0,0 +1,100 @@
+const { verifyToken } = require('../services/authService');
+const { MemoryRateLimitStore } = require('../services/rateLimitStore');
+const { RATE_LIMIT_MAX_KEYS, getRateLimitPolicy } = require('../config/rateLimits');
+const { extractBearerToken } = require('./auth');
+
+// Request counts per "<policy>:<key>"
+let store = new MemoryRateLimitStore({ maxKeys: RATE_LIMIT_MAX_KEYS });
+
+/**
+ * Replace the store behind HTTP rate limits, e.g. with a shared backend so
+ * that every server instance counts the same requests. The store must
+ * implement RateLimitStore's slidingWindow.
+ */
+const setRateLimitStore = (nextStore) => {
+    store = nextStore;
+};
+
+/**
+ * Client key of a request. Keyed by player, the caller is the signing game
+ * server, the authenticated player or the subject of a valid bearer token;
+ * anything else is keyed by address. Bans are left to `authenticate`.
+ */
+const resolveClientKey = (req, keyBy) => {
+    if (keyBy === 'player') {
+        if (req.gameServer) {
+            return `server:${req.gameServer.serverId}`;
+        }
+        if (req.user) {
+            return `player:${req.user.playerId}`;
+        }
+
+        const token = extractBearerToken(req.headers.authorization);
+        if (token) {
+            try {
+                return `player:${verifyToken(token).playerId}`;
+            } catch (error) {
+                // Invalid tokens count against the address
+            }
+        }
+    }
+
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Limit requests with a named policy from config/rateLimits.js. Sets the
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * headers, and answers 429 with Retry-After once the sliding window is full.
+ */
+const rateLimit = (policyName) => {
+    const policy = getRateLimitPolicy(policyName);
+    const windowSeconds = Math.ceil(policy.windowMs / 1000);
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            const key = resolveClientKey(req, policy.keyBy);
+            result = await store.slidingWindow(`${policyName}:${key}`, { limit: policy.max, windowMs: policy.windowMs });
+        } catch (error) {
+            console.error('Error checking rate limit:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to check rate limit',
+                error: 'INTERNAL_SERVER_ERROR'
+            });
+        }
+
+        res.set({
+            'RateLimit-Limit': String(policy.max),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.resetTime),
+            'RateLimit-Policy': `${policy.max};w=${windowSeconds}`
+        });
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.resetTime));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests',
+                error: 'RATE_LIMIT_EXCEEDED',
+                retryAfter: result.resetTime
+            });
+        }
+
+        next();
+    };
+};
+
+// Every /api request: reads for GET and HEAD, writes otherwise
+const limitReads = rateLimit('reads');
+const limitWrites = rateLimit('writes');
+const apiRateLimit = (req, res, next) => (
+    ['GET', 'HEAD'].includes(req.method) ? limitReads(req, res, next) : limitWrites(req, res, next)
+);
+
+module.exports = {
+    setRateLimitStore,
+    rateLimit,
+    apiRateLimit
+};
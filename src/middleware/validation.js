@@ -1,4 +1,17 @@
 const Joi = require('joi');
+const mongoose = require('mongoose');
+const {
+    SCORE_CHANGE_SOURCES,
+    SCORE_OPERATIONS,
+    SCORE_VIOLATION_CODES,
+    QUARANTINE_STATUSES,
+    REGIONS,
+    GAME_MODES,
+    SESSION_TEAMS,
+    SESSION_EVENT_TYPES,
+    PLAYER_ROLES,
+    ADMIN_ACTIONS
+} = require('../config/constants');
 
 // Player validation schemas
 const playerSchemas = {
@@ -12,6 +25,10 @@ const playerSchemas = {
             .messages({
                 'string.pattern.base': 'Username can only contain letters, numbers, hyphens, and underscores'
             }),
+        password: Joi.string()
+            .min(8)
+            .max(128)
+            .required(),
         email: Joi.string()
             .email()
             .optional()
@@ -44,18 +61,68 @@ const playerSchemas = {
     }),
     
     scoreUpdate: Joi.object({
+        // 'increment' applies `delta`; the other operations apply `score`
+        op: Joi.string()
+            .valid(...SCORE_OPERATIONS)
+            .default('set'),
         score: Joi.number()
             .min(0)
             .max(999999999)
-            .required(),
+            .when('op', { is: 'increment', then: Joi.forbidden(), otherwise: Joi.required() }),
         gameMode: Joi.string()
             .valid('classic', 'blitz', 'survival', 'team', 'ranked')
             .optional(),
         delta: Joi.number()
-            .optional(),
+            .min(-999999999)
+            .max(999999999)
+            .when('op', { is: 'increment', then: Joi.required(), otherwise: Joi.optional() }),
+        // Only the update that ends a game counts towards games played
+        completed: Joi.boolean()
+            .default(false),
         reason: Joi.string()
             .max(100)
             .optional()
+    }),
+    
+    // A finished game: its outcome, and the points it added to (or took from) the score
+    gameResult: Joi.object({
+        result: Joi.string()
+            .valid('win', 'loss', 'draw')
+            .required(),
+        scoreChange: Joi.number()
+            .min(-999999999)
+            .max(999999999)
+            .default(0),
+        gameMode: Joi.string()
+            .valid('classic', 'blitz', 'survival', 'team', 'ranked')
+            .optional()
+    })
+};
+
+// Authentication validation
+const authSchemas = {
+    login: Joi.object({
+        username: Joi.string()
+            .trim()
+            .required(),
+        password: Joi.string()
+            .max(128)
+            .required()
+    }),
+
+    // Players created before passwords set their first one with a claim code
+    claim: Joi.object({
+        username: Joi.string()
+            .trim()
+            .required(),
+        code: Joi.string()
+            .trim()
+            .max(64)
+            .required(),
+        password: Joi.string()
+            .min(8)
+            .max(128)
+            .required()
     })
 };
 
@@ -76,7 +143,45 @@ const leaderboardSchemas = {
             .valid('classic', 'blitz', 'survival', 'team', 'ranked')
             .optional(),
         onlineOnly: Joi.boolean()
-            .default(false)
+            .default(false),
+        window: Joi.string()
+            .valid('daily', 'weekly', 'monthly', 'alltime')
+            .default('alltime'),
+        // Opaque keyset cursors from a previous page; they take precedence over `page`
+        after: Joi.string()
+            .max(1024)
+            .optional(),
+        before: Joi.string()
+            .max(1024)
+            .optional()
+    }).oxor('after', 'before')
+};
+
+// Score history query validation
+const historySchemas = {
+    query: Joi.object({
+        from: Joi.date()
+            .iso()
+            .optional(),
+        to: Joi.date()
+            .iso()
+            .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+            .optional(),
+        source: Joi.string()
+            .valid(...SCORE_CHANGE_SOURCES)
+            .optional(),
+        gameMode: Joi.string()
+            .valid('classic', 'blitz', 'survival', 'team', 'ranked')
+            .optional(),
+        sessionId: Joi.string()
+            .optional(),
+        limit: Joi.number()
+            .min(1)
+            .max(100)
+            .default(50),
+        page: Joi.number()
+            .min(1)
+            .default(1)
     })
 };
 
@@ -96,7 +201,8 @@ const sessionSchemas = {
         gameSettings: Joi.object({
             timeLimit: Joi.number().min(30).max(7200).optional(), // 30 seconds to 2 hours
             scoreLimit: Joi.number().min(100).max(1000000).optional(),
-            difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium')
+            difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
+            teamCount: Joi.number().integer().min(2).max(SESSION_TEAMS.length).optional() // team mode only
         }).optional(),
         metadata: Joi.object({
             serverRegion: Joi.string().optional(),
@@ -105,17 +211,24 @@ const sessionSchemas = {
         }).optional()
     }),
     
+    // The joining player is the authenticated one; playerId, if sent, must match
     join: Joi.object({
         playerId: Joi.string()
-            .required(),
+            .optional(),
         username: Joi.string()
             .trim()
             .min(2)
             .max(30)
-            .required()
+            .optional(),
+        // Team mode only; omitted, the player is placed automatically
+        team: Joi.string()
+            .valid(...SESSION_TEAMS)
+            .optional()
     }),
     
     scoreUpdate: Joi.object({
+        playerId: Joi.string()
+            .optional(),
         score: Joi.number()
             .min(0)
             .required(),
@@ -124,29 +237,294 @@ const sessionSchemas = {
         reason: Joi.string()
             .max(100)
             .optional()
+    }),
+    
+    eventsQuery: Joi.object({
+        eventType: Joi.string()
+            .valid(...SESSION_EVENT_TYPES)
+            .optional(),
+        playerId: Joi.string()
+            .optional(),
+        order: Joi.string()
+            .valid('asc', 'desc')
+            .default('desc'),
+        limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(200)
+            .default(50),
+        // Opaque cursor from the previous page's `nextCursor`
+        after: Joi.string()
+            .max(1024)
+            .optional()
+    }),
+    
+    // A hypothetical session result to score without writing anything
+    scoringDryRun: Joi.object({
+        gameMode: Joi.string()
+            .valid(...GAME_MODES)
+            .required(),
+        difficulty: Joi.string()
+            .valid('easy', 'medium', 'hard')
+            .default('medium'),
+        position: Joi.number()
+            .integer()
+            .min(1)
+            .default(1),
+        players: Joi.number() // players, or teams in team mode, placed in the session
+            .integer()
+            .min(1)
+            .max(100)
+            .default(2),
+        sessionScore: Joi.number()
+            .min(0)
+            .default(0),
+        timeAliveSeconds: Joi.number()
+            .min(0)
+            .default(0),
+        ratingChange: Joi.number()
+            .default(0)
+    }).custom((value, helpers) => (value.position > value.players
+        ? helpers.message('"position" must not be greater than "players"')
+        : value))
+};
+
+// Admin validation: every action carries the reason stored in the audit trail.
+// Score edits also store it on the ScoreChange, which keeps at most 200 characters
+const adminReason = Joi.string()
+    .trim()
+    .min(3)
+    .max(200)
+    .required();
+
+// Season validation; seasons are managed by admins, so changes carry a reason too
+const seasonSchemas = {
+    create: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(2)
+            .max(60)
+            .required(),
+        startDate: Joi.date()
+            .iso()
+            .required(),
+        endDate: Joi.date()
+            .iso()
+            .greater(Joi.ref('startDate'))
+            .required(),
+        reset: Joi.object({
+            strategy: Joi.string().valid('hard', 'soft', 'none').default('soft'),
+            softResetFactor: Joi.number().min(0).max(1).default(0.5)
+        }).optional(),
+        reason: adminReason
+    })
+};
+
+const adminSchemas = {
+    reason: Joi.object({
+        reason: adminReason
+    }),
+
+    role: Joi.object({
+        role: Joi.string()
+            .valid(...PLAYER_ROLES)
+            .required(),
+        reason: adminReason
+    }),
+
+    // 'reset' sets the score to 0; 'adjust' adds a (possibly negative) delta
+    score: Joi.object({
+        action: Joi.string()
+            .valid('reset', 'adjust')
+            .required(),
+        gameMode: Joi.string()
+            .valid('classic', 'blitz', 'survival', 'team', 'ranked')
+            .optional(),
+        delta: Joi.number()
+            .min(-999999999)
+            .max(999999999)
+            .when('action', { is: 'adjust', then: Joi.required(), otherwise: Joi.forbidden() }),
+        reason: adminReason
+    }),
+
+    // An empty gameModes list lets the server submit scores in every mode
+    gameServer: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(3)
+            .max(60)
+            .required(),
+        gameModes: Joi.array()
+            .items(Joi.string().valid(...GAME_MODES))
+            .unique()
+            .default([]),
+        reason: adminReason
+    }),
+
+    purgeEvents: Joi.object({
+        before: Joi.date()
+            .iso()
+            .optional(),
+        eventType: Joi.string()
+            .valid(...SESSION_EVENT_TYPES)
+            .optional(),
+        reason: adminReason
+    }),
+
+    auditQuery: Joi.object({
+        action: Joi.string()
+            .valid(...ADMIN_ACTIONS)
+            .optional(),
+        actorId: Joi.string()
+            .optional(),
+        targetType: Joi.string()
+            .valid('player', 'session', 'game_server', 'season')
+            .optional(),
+        targetId: Joi.string()
+            .optional(),
+        from: Joi.date()
+            .iso()
+            .optional(),
+        to: Joi.date()
+            .iso()
+            .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+            .optional(),
+        limit: Joi.number()
+            .min(1)
+            .max(100)
+            .default(50),
+        page: Joi.number()
+            .min(1)
+            .default(1)
+    }),
+
+    quarantineQuery: Joi.object({
+        status: Joi.string()
+            .valid(...QUARANTINE_STATUSES)
+            .default('pending'),
+        playerId: Joi.string()
+            .optional(),
+        gameMode: Joi.string()
+            .valid('classic', 'blitz', 'survival', 'team', 'ranked')
+            .optional(),
+        limit: Joi.number()
+            .min(1)
+            .max(100)
+            .default(50),
+        page: Joi.number()
+            .min(1)
+            .default(1)
+    }),
+
+    violationsQuery: Joi.object({
+        playerId: Joi.string()
+            .optional(),
+        code: Joi.string()
+            .valid(...SCORE_VIOLATION_CODES)
+            .optional(),
+        limit: Joi.number()
+            .min(1)
+            .max(100)
+            .default(50),
+        page: Joi.number()
+            .min(1)
+            .default(1)
+    })
+};
+
+// Persistent team validation
+const teamSchemas = {
+    create: Joi.object({
+        name: Joi.string()
+            .trim()
+            .min(2)
+            .max(30)
+            .required(),
+        tag: Joi.string()
+            .trim()
+            .alphanum()
+            .min(2)
+            .max(5)
+            .optional(),
+        region: Joi.string()
+            .valid(...REGIONS)
+            .default('GLOBAL')
+    }),
+
+    addMember: Joi.object({
+        playerId: Joi.string()
+            .trim()
+            .required()
+    }),
+
+    leaderboardQuery: Joi.object({
+        region: Joi.string()
+            .valid(...REGIONS)
+            .optional(),
+        limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .default(50),
+        page: Joi.number()
+            .integer()
+            .min(1)
+            .default(1)
+    })
+};
+
+// Matchmaking validation schemas
+const matchmakingSchemas = {
+    enqueue: Joi.object({
+        region: Joi.string()
+            .valid(...REGIONS)
+            .required(),
+        gameMode: Joi.string()
+            .valid(...GAME_MODES)
+            .required()
     })
 };
 
 // Socket event validation
 const socketSchemas = {
+    // Socket identity comes from the handshake token; playerId, if sent, must match it
     joinRoom: Joi.object({
-        playerId: Joi.string().required(),
+        playerId: Joi.string().optional(),
         region: Joi.string().valid('NA', 'EU', 'ASIA', 'SA', 'OCE', 'GLOBAL').optional(),
         gameMode: Joi.string().valid('classic', 'blitz', 'survival', 'team', 'ranked').optional()
     }),
     
     scoreUpdate: Joi.object({
-        playerId: Joi.string().required(),
+        playerId: Joi.string().optional(),
         sessionId: Joi.string().optional(),
-        score: Joi.number().min(0).required(),
+        op: Joi.string().valid(...SCORE_OPERATIONS).default('set'),
+        score: Joi.number().min(0).when('op', { is: 'increment', then: Joi.forbidden(), otherwise: Joi.required() }),
         gameMode: Joi.string().valid('classic', 'blitz', 'survival', 'team', 'ranked').optional(),
-        delta: Joi.number().optional(),
-        reason: Joi.string().max(100).optional()
+        delta: Joi.number().when('op', { is: 'increment', then: Joi.required(), otherwise: Joi.optional() }),
+        completed: Joi.boolean().default(false),
+        reason: Joi.string().max(100).optional(),
+        // Idempotency key: a retry with the same requestId gets the first result again
+        requestId: Joi.string().pattern(/^[\x21-\x7e]{1,255}$/).optional()
     }),
     
     playerStatus: Joi.object({
-        playerId: Joi.string().required(),
+        playerId: Joi.string().optional(),
         isOnline: Joi.boolean().required()
+    }),
+    
+    matchmakingEnqueue: matchmakingSchemas.enqueue,
+    
+    // Positions are seconds from the first recorded event
+    sessionReplay: Joi.object({
+        sessionId: Joi.string().required(),
+        speed: Joi.number().min(0.25).max(16).default(1),
+        position: Joi.number().min(0).default(0)
+    }),
+    
+    sessionReplayControl: Joi.object({
+        action: Joi.string().valid('pause', 'resume', 'seek', 'speed', 'stop').required(),
+        position: Joi.number().min(0).when('action', { is: 'seek', then: Joi.required(), otherwise: Joi.forbidden() }),
+        speed: Joi.number().min(0.25).max(16).when('action', { is: 'speed', then: Joi.required(), otherwise: Joi.forbidden() })
     })
 };
 
@@ -236,64 +614,54 @@ const validateSocketData = (schema, data) => {
     };
 };
 
-// Rate limiting validation for score updates
-const scoreUpdateRateLimit = new Map();
-
-const validateScoreUpdateRate = (playerId, maxUpdatesPerMinute = 60) => {
-    const now = Date.now();
-    const minuteAgo = now - 60 * 1000;
-    
-    if (!scoreUpdateRateLimit.has(playerId)) {
-        scoreUpdateRateLimit.set(playerId, []);
-    }
-    
-    const playerUpdates = scoreUpdateRateLimit.get(playerId);
-    
-    // Remove old updates
-    const recentUpdates = playerUpdates.filter(timestamp => timestamp > minuteAgo);
-    scoreUpdateRateLimit.set(playerId, recentUpdates);
-    
-    if (recentUpdates.length >= maxUpdatesPerMinute) {
-        return {
-            allowed: false,
-            remaining: 0,
-            resetTime: Math.ceil((recentUpdates[0] + 60 * 1000 - now) / 1000)
-        };
-    }
-    
-    // Add current update
-    recentUpdates.push(now);
-    scoreUpdateRateLimit.set(playerId, recentUpdates);
-    
-    return {
-        allowed: true,
-        remaining: maxUpdatesPerMinute - recentUpdates.length,
-        resetTime: 60
-    };
-};
-
 // Export validation middleware
 module.exports = {
     // Player validation
     validateCreatePlayer: createValidationMiddleware(playerSchemas.create),
     validateUpdatePlayer: createValidationMiddleware(playerSchemas.update),
     validatePlayerScoreUpdate: createValidationMiddleware(playerSchemas.scoreUpdate),
+    validateGameResult: createValidationMiddleware(playerSchemas.gameResult),
     
     // Leaderboard validation
     validateLeaderboardQuery: createQueryValidationMiddleware(leaderboardSchemas.query),
+    validateScoreHistoryQuery: createQueryValidationMiddleware(historySchemas.query),
+    
+    // Authentication validation
+    validateLogin: createValidationMiddleware(authSchemas.login),
+    validatePasswordClaim: createValidationMiddleware(authSchemas.claim),
     
     // Game session validation
     validateCreateSession: createValidationMiddleware(sessionSchemas.create),
     validateJoinSession: createValidationMiddleware(sessionSchemas.join),
     validateSessionScoreUpdate: createValidationMiddleware(sessionSchemas.scoreUpdate),
+    validateScoringDryRun: createValidationMiddleware(sessionSchemas.scoringDryRun),
+    validateSessionEventsQuery: createQueryValidationMiddleware(sessionSchemas.eventsQuery),
+    
+    // Season validation
+    validateCreateSeason: createValidationMiddleware(seasonSchemas.create),
+    
+    // Admin validation
+    validateAdminReason: createValidationMiddleware(adminSchemas.reason),
+    validateAdminRole: createValidationMiddleware(adminSchemas.role),
+    validateAdminScore: createValidationMiddleware(adminSchemas.score),
+    validateAdminPurgeEvents: createValidationMiddleware(adminSchemas.purgeEvents),
+    validateAdminGameServer: createValidationMiddleware(adminSchemas.gameServer),
+    validateAdminAuditQuery: createQueryValidationMiddleware(adminSchemas.auditQuery),
+    validateAdminViolationsQuery: createQueryValidationMiddleware(adminSchemas.violationsQuery),
+    validateQuarantineQuery: createQueryValidationMiddleware(adminSchemas.quarantineQuery),
+    
+    // Team validation
+    validateCreateTeam: createValidationMiddleware(teamSchemas.create),
+    validateAddTeamMember: createValidationMiddleware(teamSchemas.addMember),
+    validateTeamLeaderboardQuery: createQueryValidationMiddleware(teamSchemas.leaderboardQuery),
+    
+    // Matchmaking validation
+    validateMatchmakingEnqueue: createValidationMiddleware(matchmakingSchemas.enqueue),
     
     // Socket validation utilities
     validateSocketData,
     socketSchemas,
     
-    // Rate limiting
-    validateScoreUpdateRate,
-    
     // Custom validation middleware
     validatePlayerId: (req, res, next) => {
         const { playerId } = req.params;
@@ -320,6 +688,17 @@ module.exports = {
         }
         
         req.params.sessionId = sessionId.trim();
+        next();
+    },
+    
+    validateQuarantineId: (req, res, next) => {
+        if (!mongoose.isValidObjectId(req.params.quarantineId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quarantine ID'
+            });
+        }
+        
         next();
     }
 }; 
\ No newline at end of file
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { ADMIN_ACTIONS } = require('../config/constants');
+
+// One administrative action: who did what to which player, session, game
+// server or season, and why
+const adminAuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ADMIN_ACTIONS,
+        required: true
+    },
+    actor: {
+        playerId: { type: String, required: true, ref: 'Player' },
+        ip: { type: String, default: null }
+    },
+    targetType: {
+        type: String,
+        enum: ['player', 'session', 'game_server', 'season'],
+        required: true
+    },
+    targetId: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        maxlength: 500
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'admin_audit_logs'
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ 'actor.playerId': 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+adminAuditLogSchema.statics.record = async function(entry) {
+    return this.create(entry);
+};
+
+// Paginated audit trail, newest first
+adminAuditLogSchema.statics.getTrail = async function(options = {}) {
+    const {
+        action = null,
+        actorId = null,
+        targetType = null,
+        targetId = null,
+        from = null,
+        to = null,
+        limit = 50,
+        skip = 0
+    } = options;
+
+    const matchConditions = {};
+
+    if (action) {
+        matchConditions.action = action;
+    }
+
+    if (actorId) {
+        matchConditions['actor.playerId'] = actorId;
+    }
+
+    if (targetType) {
+        matchConditions.targetType = targetType;
+    }
+
+    if (targetId) {
+        matchConditions.targetId = targetId;
+    }
+
+    if (from || to) {
+        matchConditions.createdAt = {};
+        if (from) matchConditions.createdAt.$gte = from;
+        if (to) matchConditions.createdAt.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+        this.find(matchConditions)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v')
+            .lean(),
+        this.countDocuments(matchConditions)
+    ]);
+
+    return { entries, total };
+};
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
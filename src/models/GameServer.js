@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { GAME_MODES } = require('../config/constants');
+
+// A dedicated game server allowed to submit signed scores
+const gameServerSchema = new mongoose.Schema({
+    serverId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => `gs_${uuidv4()}`
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    secret: {
+        type: String,
+        required: true,
+        select: false // HMAC key; only loaded to verify a signature
+    },
+    gameModes: {
+        type: [{ type: String, enum: GAME_MODES }],
+        default: [] // empty means every game mode
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String,
+        default: null // playerId of the admin
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    lastSeenAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'game_servers'
+});
+
+gameServerSchema.methods.canSubmit = function(gameMode) {
+    return this.gameModes.length === 0 || this.gameModes.includes(gameMode);
+};
+
+module.exports = mongoose.model('GameServer', gameServerSchema);
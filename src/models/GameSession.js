@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const Season = require('./Season');
+const SessionEvent = require('./SessionEvent');
+const { SESSION_TEAMS } = require('../config/constants');
+const { checkSessionScore, rejectScoreUpdate } = require('../services/plausibilityService');
 
 const gameSessionSchema = new mongoose.Schema({
     sessionId: {
@@ -25,11 +29,43 @@ const gameSessionSchema = new mongoose.Schema({
             default: 0
         },
         position: Number, // Final position in the game
+        team: {
+            type: String,
+            enum: [...SESSION_TEAMS, null],
+            default: null // team in a team-mode session
+        },
         isActive: {
             type: Boolean,
             default: true
+        },
+        leftAt: {
+            type: Date,
+            default: null // when the player left (or was knocked out of) the session
+        },
+        lastScoreAt: {
+            type: Date,
+            default: null // time of the last accepted score update, for plausibility checks
         }
     }],
+    // Teams of a team-mode session; empty in other modes
+    teams: [{
+        team: {
+            type: String,
+            enum: SESSION_TEAMS,
+            required: true
+        },
+        name: String,
+        teamId: {
+            type: String,
+            default: null, // persistent team (roster) playing as this team
+            ref: 'Team'
+        },
+        score: {
+            type: Number,
+            default: 0 // sum of the members' session scores
+        },
+        position: Number // Final position in the game, shared by the members
+    }],
     gameMode: {
         type: String,
         enum: ['classic', 'blitz', 'survival', 'team', 'ranked'],
@@ -66,27 +102,26 @@ const gameSessionSchema = new mongoose.Schema({
         type: Number, // in seconds
         default: null
     },
+    seasonId: {
+        type: String,
+        default: null,
+        ref: 'Season',
+        index: true
+    },
     gameSettings: {
         timeLimit: Number, // in seconds
         scoreLimit: Number,
+        teamCount: Number, // teams in a team-mode session
         difficulty: {
             type: String,
             enum: ['easy', 'medium', 'hard'],
             default: 'medium'
         }
     },
-    realTimeEvents: [{
-        timestamp: {
-            type: Date,
-            default: Date.now
-        },
-        playerId: String,
-        eventType: {
-            type: String,
-            enum: ['score_update', 'player_joined', 'player_left', 'game_start', 'game_end', 'achievement']
-        },
-        data: mongoose.Schema.Types.Mixed
-    }],
+    lastEventAt: {
+        type: Date,
+        default: Date.now // last real-time event, for idle session cleanup
+    },
     metadata: {
         serverRegion: String,
         version: String,
@@ -103,6 +138,7 @@ gameSessionSchema.index({ gameMode: 1, region: 1, status: 1 });
 gameSessionSchema.index({ 'players.playerId': 1, status: 1 });
 gameSessionSchema.index({ startedAt: -1 });
 gameSessionSchema.index({ endedAt: -1 });
+gameSessionSchema.index({ status: 1, lastEventAt: 1 });
 
 // TTL index to automatically clean up old completed sessions (30 days)
 gameSessionSchema.index({ 
@@ -131,14 +167,86 @@ gameSessionSchema.pre('save', function(next) {
     next();
 });
 
+// Real-time events live in their own collection (see SessionEvent); events
+// queued on a session are written once the session itself is saved
+gameSessionSchema.post('save', async function() {
+    const events = this.$locals.pendingEvents;
+    if (!events || events.length === 0) return;
+    
+    this.$locals.pendingEvents = [];
+    await SessionEvent.record(this.sessionId, events);
+});
+
+// Team helpers for team-mode sessions
+const teamSize = (session, team) => session.players.filter(p => p.team === team.team).length;
+
+const teamCapacity = (session) => Math.ceil(session.maxPlayers / session.teams.length);
+
+/**
+ * Pick the team a joining player plays for: the team they ask for, else the
+ * team already playing for their roster (`playerData.teamId`), else the
+ * emptiest team open to them. A team claimed by a roster only takes that
+ * roster's members; a roster member joining an empty team claims it.
+ */
+const assignTeam = (session, playerData) => {
+    const capacity = teamCapacity(session);
+    const isOpen = (team) => teamSize(session, team) < capacity
+        && (!team.teamId || team.teamId === playerData.teamId);
+
+    let team;
+    if (playerData.team) {
+        team = session.teams.find(t => t.team === playerData.team);
+        if (!team) {
+            throw new Error(`Team ${playerData.team} is not in this session`);
+        }
+        if (!isOpen(team)) {
+            throw new Error(`Team ${playerData.team} is full or plays for another roster`);
+        }
+    } else {
+        team = (playerData.teamId && session.teams.find(t => t.teamId === playerData.teamId && isOpen(t)))
+            || session.teams
+                .filter(isOpen)
+                .sort((a, b) => teamSize(session, a) - teamSize(session, b))[0];
+        if (!team) {
+            throw new Error('Session is full for this player\'s team');
+        }
+    }
+    
+    if (playerData.teamId && !team.teamId && teamSize(session, team) === 0) {
+        team.teamId = playerData.teamId;
+        team.name = playerData.teamName;
+    }
+    
+    return team.team;
+};
+
+const updateTeamScores = (session) => {
+    session.teams.forEach(team => {
+        team.score = session.players
+            .filter(p => p.team === team.team)
+            .reduce((sum, p) => sum + p.currentSessionScore, 0);
+    });
+};
+
 // Static methods for game session management
 gameSessionSchema.statics.createSession = async function(gameData) {
+    const gameSettings = gameData.gameSettings || {};
+    const isTeamMode = gameData.gameMode === 'team';
+    
+    if (isTeamMode) {
+        gameSettings.teamCount = gameSettings.teamCount || 2;
+    }
+    
     const session = new this({
         gameMode: gameData.gameMode,
         region: gameData.region,
         maxPlayers: gameData.maxPlayers || 4,
-        gameSettings: gameData.gameSettings || {},
-        metadata: gameData.metadata || {}
+        gameSettings,
+        teams: isTeamMode
+            ? SESSION_TEAMS.slice(0, gameSettings.teamCount).map(team => ({ team, name: `Team ${team}` }))
+            : [],
+        metadata: gameData.metadata || {},
+        seasonId: await Season.getActiveSeasonId()
     });
     
     return await session.save();
@@ -164,18 +272,21 @@ gameSessionSchema.statics.joinSession = async function(sessionId, playerData) {
         return session;
     }
     
+    const team = session.teams.length > 0 ? assignTeam(session, playerData) : null;
+    
     session.players.push({
         playerId: playerData.playerId,
         username: playerData.username,
         initialScore: playerData.currentScore || 0,
-        currentSessionScore: 0
+        currentSessionScore: 0,
+        team
     });
     
     // Add join event
-    session.realTimeEvents.push({
+    session.queueEvent({
         playerId: playerData.playerId,
         eventType: 'player_joined',
-        data: { username: playerData.username }
+        data: { username: playerData.username, ...(team && { team }) }
     });
     
     // Start game if we have enough players and it's not started yet
@@ -183,7 +294,7 @@ gameSessionSchema.statics.joinSession = async function(sessionId, playerData) {
         session.status = 'active';
         session.startedAt = new Date();
         
-        session.realTimeEvents.push({
+        session.queueEvent({
             eventType: 'game_start',
             data: { playerCount: session.players.length }
         });
@@ -192,7 +303,10 @@ gameSessionSchema.statics.joinSession = async function(sessionId, playerData) {
     return await session.save();
 };
 
-gameSessionSchema.statics.updatePlayerScore = async function(sessionId, playerId, scoreData) {
+// Apply a client-submitted session score. The update must pass the session's
+// plausibility rules; a violation is recorded with `context` ({ source, actor })
+// and thrown as a PlausibilityError.
+gameSessionSchema.statics.updatePlayerScore = async function(sessionId, playerId, scoreData, context = {}) {
     const session = await this.findOne({
         sessionId,
         status: 'active',
@@ -203,16 +317,26 @@ gameSessionSchema.statics.updatePlayerScore = async function(sessionId, playerId
         throw new Error('Active session not found for player');
     }
     
-    const playerIndex = session.players.findIndex(p => p.playerId === playerId);
-    if (playerIndex === -1) {
-        throw new Error('Player not found in session');
+    const sessionPlayer = session.players.find(p => p.playerId === playerId);
+    const now = new Date();
+    const violation = checkSessionScore(session, sessionPlayer, scoreData.score, now);
+    if (violation) {
+        await rejectScoreUpdate(violation, {
+            playerId,
+            sessionId,
+            gameMode: session.gameMode,
+            previousScore: sessionPlayer.currentSessionScore,
+            submittedScore: scoreData.score
+        }, context);
     }
     
     // Update player's session score
-    session.players[playerIndex].currentSessionScore = scoreData.score;
+    sessionPlayer.currentSessionScore = scoreData.score;
+    sessionPlayer.lastScoreAt = now;
+    updateTeamScores(session);
     
     // Add score update event
-    session.realTimeEvents.push({
+    session.queueEvent({
         playerId: playerId,
         eventType: 'score_update',
         data: {
@@ -238,31 +362,97 @@ gameSessionSchema.statics.endSession = async function(sessionId) {
     session.status = 'completed';
     session.endedAt = new Date();
     
-    // Calculate final positions based on scores
-    const sortedPlayers = [...session.players].sort((a, b) => 
-        b.currentSessionScore - a.currentSessionScore
-    );
-    
-    sortedPlayers.forEach((player, index) => {
-        const playerIndex = session.players.findIndex(p => p.playerId === player.playerId);
-        session.players[playerIndex].position = index + 1;
-    });
+    if (session.teams.length > 0) {
+        // Teams with players are placed by their total score; tied teams
+        // share a position, and every member takes their team's position
+        updateTeamScores(session);
+        const sortedTeams = session.teams
+            .filter(team => teamSize(session, team) > 0)
+            .sort((a, b) => b.score - a.score);
+        
+        sortedTeams.forEach((team, index) => {
+            const previous = sortedTeams[index - 1];
+            team.position = previous && previous.score === team.score ? previous.position : index + 1;
+        });
+        
+        session.players.forEach(player => {
+            player.position = session.teams.find(team => team.team === player.team).position;
+        });
+    } else {
+        // Calculate final positions based on scores
+        const sortedPlayers = [...session.players].sort((a, b) => 
+            b.currentSessionScore - a.currentSessionScore
+        );
+        
+        sortedPlayers.forEach((player, index) => {
+            const playerIndex = session.players.findIndex(p => p.playerId === player.playerId);
+            session.players[playerIndex].position = index + 1;
+        });
+    }
     
-    session.realTimeEvents.push({
+    session.queueEvent({
         eventType: 'game_end',
         data: {
             finalScores: session.players.map(p => ({
                 playerId: p.playerId,
                 username: p.username,
                 score: p.currentSessionScore,
-                position: p.position
-            }))
+                position: p.position,
+                ...(p.team && { team: p.team })
+            })),
+            ...(session.teams.length > 0 && {
+                teams: session.teams.map(t => ({ team: t.team, score: t.score, position: t.position }))
+            })
         }
     });
     
     return await session.save();
 };
 
+// Abandon a waiting or active session without awarding scores
+gameSessionSchema.statics.voidSession = async function(sessionId, reason) {
+    const session = await this.findOne({
+        sessionId,
+        status: { $in: ['waiting', 'active'] }
+    });
+    
+    if (!session) {
+        throw new Error('Open session not found');
+    }
+    
+    session.status = 'abandoned';
+    session.endedAt = new Date();
+    session.queueEvent({
+        eventType: 'game_end',
+        data: { voided: true, reason }
+    });
+    
+    return await session.save();
+};
+
+// Abandon an open session that still matches `conditions` (e.g. still idle),
+// without awarding scores. Returns null if it no longer matches.
+gameSessionSchema.statics.abandonSession = async function(sessionId, reason, conditions = {}) {
+    const session = await this.findOne({
+        status: { $in: ['waiting', 'active'] },
+        ...conditions,
+        sessionId
+    });
+    
+    if (!session) {
+        return null;
+    }
+    
+    session.status = 'abandoned';
+    session.endedAt = new Date();
+    session.queueEvent({
+        eventType: 'game_end',
+        data: { abandoned: true, reason }
+    });
+    
+    return await session.save();
+};
+
 gameSessionSchema.statics.getActiveSessions = async function(filters = {}) {
     const matchConditions = { status: 'active' };
     
@@ -281,13 +471,22 @@ gameSessionSchema.statics.getActiveSessions = async function(filters = {}) {
 };
 
 // Instance methods
-gameSessionSchema.methods.addEvent = function(eventData) {
-    this.realTimeEvents.push({
-        playerId: eventData.playerId,
+// Queue an event to be written with the next save
+gameSessionSchema.methods.queueEvent = function(eventData) {
+    const timestamp = new Date();
+    
+    this.$locals.pendingEvents = this.$locals.pendingEvents || [];
+    this.$locals.pendingEvents.push({
+        playerId: eventData.playerId || null,
         eventType: eventData.eventType,
-        data: eventData.data || {}
+        data: eventData.data || {},
+        timestamp
     });
-    
+    this.lastEventAt = timestamp;
+};
+
+gameSessionSchema.methods.addEvent = function(eventData) {
+    this.queueEvent(eventData);
     return this.save();
 };
 
@@ -296,8 +495,9 @@ gameSessionSchema.methods.removePlayer = function(playerId) {
     
     if (playerIndex !== -1) {
         this.players[playerIndex].isActive = false;
+        this.players[playerIndex].leftAt = new Date();
         
-        this.realTimeEvents.push({
+        this.queueEvent({
             playerId: playerId,
             eventType: 'player_left',
             data: { reason: 'disconnected' }
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// How long the first result of an idempotent request is replayed
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+// The first result of a write sent with an idempotency key, replayed to
+// retries of the same request by the same caller
+const idempotencyRecordSchema = new mongoose.Schema({
+    // Who sent the request: "player:<playerId>" or "server:<serverId>"
+    scope: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    // Endpoint (or socket event) plus a hash of the payload, to refuse a key
+    // reused for a different request
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+    },
+    // REST: { statusCode, body }; socket: { event, data }
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'idempotency_keys'
+});
+
+idempotencyRecordSchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_TTL_SECONDS });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
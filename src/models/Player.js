@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { GAME_MODES, PLAYER_ROLES } = require('../config/constants');
+const { getWindowStart } = require('../config/leaderboardPeriods');
+const ScoreChange = require('./ScoreChange');
+const ScoreQuarantine = require('./ScoreQuarantine');
+const rankIndex = require('../services/rankIndexService');
+const {
+    getRankingRules,
+    getTiebreakRaw,
+    getTiebreakValues,
+    getSortSpec,
+    reverseSort,
+    buildStandingFilters,
+    buildKeysetFilter,
+    getStandingGroupKey,
+    assignRanks,
+    encodeCursor
+} = require('../services/rankingService');
+const { attachTiers, updatePlayerTier } = require('../services/tierService');
+const { checkScoreChange, rejectScoreUpdate } = require('../services/plausibilityService');
+const { screenScoreUpdate } = require('../services/suspicionService');
+
+// Per-game-mode score and result tracking
+const modeStatsSchema = new mongoose.Schema({
+    score: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    bestScore: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    gamesPlayed: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    winRatio: { type: Number, default: 0 }, // wins / games with a result, for tie-breaking
+    scoreReachedAt: {
+        type: Date,
+        default: Date.now // when the current score was reached, for tie-breaking
+    },
+    lastPlayedAt: {
+        type: Date,
+        default: null // null means the player has never played this mode
+    },
+    tier: {
+        type: String,
+        default: null // last tier announced to the player, see tierService
+    }
+}, { _id: false });
 
 const playerSchema = new mongoose.Schema({
     playerId: {
@@ -25,6 +80,37 @@ const playerSchema = new mongoose.Schema({
         sparse: true, // Allows multiple null values
         index: { unique: true, sparse: true }
     },
+    passwordHash: {
+        type: String,
+        default: null,
+        select: false // only loaded explicitly for login
+    },
+    passwordClaim: {
+        // One-time code an admin issued so a player without a password can
+        // set one; only the code's hash is kept
+        codeHash: { type: String, default: null, select: false },
+        expiresAt: { type: Date, default: null, select: false }
+    },
+    role: {
+        type: String,
+        enum: PLAYER_ROLES,
+        default: 'player'
+    },
+    ban: {
+        // Banned players cannot authenticate and are left off every leaderboard
+        active: { type: Boolean, default: false },
+        reason: { type: String, default: null },
+        bannedAt: { type: Date, default: null },
+        bannedBy: { type: String, default: null } // playerId of the admin
+    },
+    shadowBan: {
+        // Shadow-banned players play on and see their own standing, but
+        // everyone else's leaderboards, ranks and broadcasts leave them out
+        active: { type: Boolean, default: false },
+        reason: { type: String, default: null },
+        bannedAt: { type: Date, default: null },
+        bannedBy: { type: String, default: null } // playerId of the admin
+    },
     region: {
         type: String,
         required: true,
@@ -38,6 +124,10 @@ const playerSchema = new mongoose.Schema({
         min: 0,
         index: -1 // Descending order for leaderboard
     },
+    scoreReachedAt: {
+        type: Date,
+        default: Date.now // when currentScore was reached, for tie-breaking
+    },
     totalGamesPlayed: {
         type: Number,
         default: 0,
@@ -55,7 +145,7 @@ const playerSchema = new mongoose.Schema({
     },
     currentGameMode: {
         type: String,
-        enum: ['classic', 'blitz', 'survival', 'team', 'ranked'],
+        enum: GAME_MODES,
         default: 'classic',
         index: true
     },
@@ -83,11 +173,32 @@ const playerSchema = new mongoose.Schema({
     gameStats: {
         wins: { type: Number, default: 0 },
         losses: { type: Number, default: 0 },
-        draws: { type: Number, default: 0 }
-    }
+        draws: { type: Number, default: 0 },
+        winRatio: { type: Number, default: 0 }
+    },
+    skillRating: {
+        // Glicko-2 rating used by the ranked game mode
+        rating: { type: Number, default: 1500 },
+        deviation: { type: Number, default: 350 },
+        volatility: { type: Number, default: 0.06 },
+        gamesPlayed: { type: Number, default: 0 },
+        provisional: { type: Boolean, default: true },
+        lastRatedAt: { type: Date, default: null }
+    },
+    modeStats: GAME_MODES.reduce((fields, mode) => {
+        fields[mode] = { type: modeStatsSchema, default: () => ({}) };
+        return fields;
+    }, {})
 }, {
     timestamps: true,
-    collection: 'players'
+    collection: 'players',
+    toJSON: {
+        // A shadow-ban is never revealed to clients, including the player
+        transform: (doc, ret) => {
+            delete ret.shadowBan;
+            return ret;
+        }
+    }
 });
 
 // Compound indexes for efficient leaderboard queries
@@ -97,12 +208,26 @@ playerSchema.index({ region: 1, currentGameMode: 1, currentScore: -1 });
 playerSchema.index({ isOnline: 1, currentScore: -1 });
 playerSchema.index({ lastActiveAt: -1 });
 
+playerSchema.index({ 'skillRating.provisional': 1, 'skillRating.rating': -1 });
+playerSchema.index({ region: 1, 'skillRating.provisional': 1, 'skillRating.rating': -1 });
+
+// Per-mode leaderboard indexes
+GAME_MODES.forEach(mode => {
+    playerSchema.index({ [`modeStats.${mode}.score`]: -1 });
+    playerSchema.index({ region: 1, [`modeStats.${mode}.score`]: -1 });
+});
+
 // Virtual for win rate calculation
 playerSchema.virtual('winRate').get(function() {
     const totalGames = this.gameStats.wins + this.gameStats.losses + this.gameStats.draws;
     return totalGames > 0 ? (this.gameStats.wins / totalGames * 100).toFixed(2) : 0;
 });
 
+const getWinRatio = (stats) => {
+    const totalGames = stats.wins + stats.losses + stats.draws;
+    return totalGames > 0 ? stats.wins / totalGames : 0;
+};
+
 // Pre-save middleware to update averageScore
 playerSchema.pre('save', function(next) {
     if (this.totalGamesPlayed > 0) {
@@ -115,79 +240,546 @@ playerSchema.pre('save', function(next) {
         this.bestScore = this.currentScore;
     }
     
+    // Tie-break fields: when each score was reached and win ratios
+    const now = new Date();
+    if (!this.isNew && this.isModified('currentScore')) {
+        this.scoreReachedAt = now;
+    }
+    this.gameStats.winRatio = getWinRatio(this.gameStats);
+    
+    // Update per-mode best scores
+    GAME_MODES.forEach(mode => {
+        const stats = this.modeStats && this.modeStats[mode];
+        if (!stats) return;
+        
+        if (stats.score > stats.bestScore) {
+            stats.bestScore = stats.score;
+        }
+        if (!this.isNew && this.isModified(`modeStats.${mode}.score`)) {
+            stats.scoreReachedAt = now;
+        }
+        stats.winRatio = getWinRatio(stats);
+    });
+    
     next();
 });
 
-// Static methods for leaderboard operations
-playerSchema.statics.getLeaderboard = async function(options = {}) {
-    const {
-        limit = 50,
-        skip = 0,
-        region = null,
-        gameMode = null,
-        onlineOnly = false
-    } = options;
+// Keep the in-process rank index in step with player writes
+const syncRankIndex = (player) => {
+    rankIndex.syncPlayer(player).catch(error => {
+        console.error('Error syncing rank index:', error);
+    });
+};
+
+playerSchema.post('save', function(doc) {
+    syncRankIndex(doc);
+});
+
+playerSchema.post('findOneAndUpdate', function(doc) {
+    // Only post-update documents carry the values the index needs
+    if (doc && this.getOptions().new) {
+        syncRankIndex(doc);
+    }
+});
+
+playerSchema.post('findOneAndDelete', function(doc) {
+    if (doc) {
+        rankIndex.removePlayer(doc.playerId).catch(error => {
+            console.error('Error removing player from rank index:', error);
+        });
+    }
+});
 
-    const matchConditions = {};
+// Field a leaderboard is ranked by: the mode's own score, or the overall score
+playerSchema.statics.getScoreField = function(gameMode = null) {
+    return gameMode ? `modeStats.${gameMode}.score` : 'currentScore';
+};
+
+// Read the score a player is ranked by for the given mode
+playerSchema.statics.getModeScore = function(player, gameMode = null) {
+    if (!gameMode) {
+        return player.currentScore;
+    }
+    
+    const stats = player.modeStats && player.modeStats[gameMode];
+    return stats ? stats.score : 0;
+};
+
+playerSchema.statics.isShadowBanned = function(player) {
+    return Boolean(player && player.shadowBan && player.shadowBan.active);
+};
+
+// Whether the player `viewerId` may see a player's rank: anyone, unless the
+// player is shadow-banned, when only they themselves do
+playerSchema.statics.isRankVisibleTo = function(player, viewerId = null) {
+    return !this.isShadowBanned(player) || player.playerId === viewerId;
+};
+
+// Players others may see on boards: neither banned nor shadow-banned
+playerSchema.statics.buildVisibilityFilter = function() {
+    return { 'ban.active': { $ne: true }, 'shadowBan.active': { $ne: true } };
+};
+
+// Match conditions shared by leaderboard reads, counts and rank lookups
+playerSchema.statics.buildLeaderboardFilter = function(options = {}) {
+    const { region = null, gameMode = null, onlineOnly = false } = options;
+    const matchConditions = this.buildVisibilityFilter();
     
     if (region && region !== 'GLOBAL') {
         matchConditions.region = region;
     }
     
     if (gameMode) {
-        matchConditions.currentGameMode = gameMode;
+        // Only players who have actually played the mode appear on its board
+        matchConditions[`modeStats.${gameMode}.lastPlayedAt`] = { $ne: null };
     }
     
     if (onlineOnly) {
         matchConditions.isOnline = true;
     }
+    
+    return matchConditions;
+};
+
+// Windowed boards rank by points earned since the window started
+const isWindowed = (window) => Boolean(window) && window !== 'alltime';
 
-    return this.find(matchConditions)
-        .sort({ currentScore: -1, lastActiveAt: -1 })
-        .limit(limit)
-        .skip(skip)
-        .select('playerId username region currentScore currentGameMode isOnline lastActiveAt profilePicture gameStats')
-        .lean(); // Use lean() for better performance when we don't need full Mongoose documents
+// The rank index serves unfiltered boards; online-only boards still query Mongo
+const canUseRankIndex = (options) => rankIndex.isReady() && !options.onlineOnly;
+
+const toWindowOptions = (options) => ({
+    ...options,
+    since: getWindowStart(options.window, options.region)
+});
+
+// Standing used to rank a player: the ranked score plus raw tiebreaker values
+const toStanding = (player, gameMode, score) => ({
+    playerId: player.playerId,
+    score,
+    tiebreakRaw: getTiebreakRaw(player, gameMode)
+});
+
+// Score a leaderboard row is ranked by: window points or the lifetime score
+const getRowScore = (row) => (row.windowScore !== undefined ? row.windowScore : row.score);
+
+// Number the rows of a board page; the first row sits at 0-based `firstPosition` with `firstRank`
+const withRanks = (rows, gameMode, firstPosition, firstRank) => {
+    const { style } = getRankingRules(gameMode);
+    const standings = rows.map(row => ({
+        score: getRowScore(row),
+        tiebreaks: getTiebreakValues(row, gameMode)
+    }));
+    
+    assignRanks(standings, style, firstRank, firstPosition);
+    return rows.map((row, index) => ({ ...row, rank: standings[index].rank }));
 };
 
-playerSchema.statics.getPlayerRank = async function(playerId, options = {}) {
-    const { region = null, gameMode = null } = options;
+// Shape a lean player into a leaderboard row carrying the score it is ranked by
+const toLeaderboardRow = (player, gameMode, score) => {
+    const modeStats = gameMode && player.modeStats ? player.modeStats[gameMode] : null;
     
-    const player = await this.findOne({ playerId });
-    if (!player) return null;
+    return {
+        ...player,
+        score,
+        gameStats: modeStats
+            ? { wins: modeStats.wins, losses: modeStats.losses, draws: modeStats.draws }
+            : player.gameStats
+    };
+};
 
-    const matchConditions = {
-        currentScore: { $gt: player.currentScore }
+// Static methods for leaderboard operations.
+// Rows come back ordered and numbered by the board's ranking rules. Pages are
+// read by offset (`skip`) or from a keyset cursor standing (`after` / `before`).
+playerSchema.statics.getLeaderboard = async function(options = {}) {
+    const {
+        limit = 50,
+        skip = 0,
+        gameMode = null,
+        window = null,
+        after = null,
+        before = null
+    } = options;
+    const keyset = after || before;
+    const direction = after ? 'after' : 'before';
+    let firstPosition = keyset ? null : skip; // 0-based board position of the first row, when known
+    let rows;
+
+    if (isWindowed(window)) {
+        rows = (await ScoreChange.getWindowLeaderboard(toWindowOptions(options))).map(row => ({
+            ...toLeaderboardRow(row.player, gameMode, this.getModeScore(row.player, gameMode)),
+            windowScore: row.points
+        }));
+    } else {
+        const selectFields = 'playerId username region currentScore scoreReachedAt totalGamesPlayed currentGameMode isOnline lastActiveAt profilePicture gameStats modeStats';
+        let players;
+
+        if (canUseRankIndex(options)) {
+            let entries;
+            if (keyset) {
+                const range = await rankIndex.getKeysetRange(options, keyset, direction, limit);
+                entries = range.entries;
+                firstPosition = range.start;
+            } else {
+                entries = await rankIndex.getRange(options, skip, limit);
+            }
+
+            const found = await this.find({ playerId: { $in: entries.map(entry => entry.playerId) } })
+                .select(selectFields)
+                .lean();
+            const playersById = new Map(found.map(player => [player.playerId, player]));
+            
+            players = entries
+                .filter(entry => playersById.has(entry.playerId))
+                .map(entry => playersById.get(entry.playerId));
+        } else {
+            const matchConditions = this.buildLeaderboardFilter(options);
+            const scoreField = this.getScoreField(gameMode);
+            const sort = getSortSpec(scoreField, gameMode);
+
+            const query = keyset
+                ? this.find({ $and: [matchConditions, buildKeysetFilter(scoreField, gameMode, keyset, direction)] })
+                    .sort(before ? reverseSort(sort) : sort)
+                    .limit(limit)
+                : this.find(matchConditions)
+                    .sort(sort)
+                    .limit(limit)
+                    .skip(skip);
+
+            players = await query
+                .select(selectFields)
+                .lean(); // Use lean() for better performance when we don't need full Mongoose documents
+
+            if (before) {
+                players.reverse();
+            }
+        }
+
+        rows = players.map(player => toLeaderboardRow(player, gameMode, this.getModeScore(player, gameMode)));
+    }
+
+    if (rows.length === 0) {
+        return rows;
+    }
+
+    const firstStanding = toStanding(rows[0], gameMode, getRowScore(rows[0]));
+    if (firstPosition === null) {
+        firstPosition = (await this.getBoardRank(firstStanding, { ...options, style: 'ordinal' })) - 1;
+    }
+    const firstRank = firstPosition === 0 ? 1 : await this.getBoardRank(firstStanding, options);
+
+    return attachTiers(this, withRanks(rows, gameMode, firstPosition, firstRank), options);
+};
+
+/**
+ * Leaderboard page with opaque `next` / `prev` cursors, keyed on each
+ * boundary row's (score, tiebreakers, playerId). Cursors stay valid while
+ * scores change, so rows neither repeat nor vanish between pages.
+ */
+playerSchema.statics.getLeaderboardPage = async function(options = {}) {
+    const { limit = 50, skip = 0, gameMode = null, after = null, before = null } = options;
+
+    // One extra row tells whether there is more in the direction of travel
+    const rows = await this.getLeaderboard({ ...options, limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const page = hasMore
+        ? (before ? rows.slice(1) : rows.slice(0, limit))
+        : rows;
+
+    const hasNext = before ? true : hasMore;
+    const hasPrev = before ? hasMore : Boolean(after) || skip > 0;
+    const cursorFor = (row) => encodeCursor(toStanding(row, gameMode, getRowScore(row)), options);
+
+    return {
+        rows: page,
+        next: hasNext && page.length > 0 ? cursorFor(page[page.length - 1]) : null,
+        prev: hasPrev && page.length > 0 ? cursorFor(page[0]) : null
     };
+};
+
+playerSchema.statics.countLeaderboard = async function(options = {}) {
+    if (isWindowed(options.window)) {
+        return ScoreChange.countWindowLeaderboard(toWindowOptions(options));
+    }
     
-    if (region && region !== 'GLOBAL') {
-        matchConditions.region = region;
+    if (canUseRankIndex(options)) {
+        return rankIndex.count(options);
     }
     
-    if (gameMode) {
-        matchConditions.currentGameMode = gameMode;
+    return this.countDocuments(this.buildLeaderboardFilter(options));
+};
+
+// Score a player is ranked by on a board: window points or the lifetime score
+playerSchema.statics.getRankedScore = async function(player, options = {}) {
+    if (isWindowed(options.window)) {
+        return ScoreChange.getWindowPoints(player.playerId, toWindowOptions(options));
     }
+    
+    return this.getModeScore(player, options.gameMode);
+};
 
-    const playersAhead = await this.countDocuments(matchConditions);
-    return playersAhead + 1;
+// Rank of a standing on any board, using the rank index when it can
+playerSchema.statics.getBoardRank = async function(standing, options = {}) {
+    if (isWindowed(options.window)) {
+        return ScoreChange.getWindowStandingRank(standing, toWindowOptions(options));
+    }
+    
+    if (canUseRankIndex(options)) {
+        const indexedRank = await rankIndex.getRank(standing.playerId, options);
+        if (indexedRank !== null) return indexedRank;
+    }
+    
+    return this.getStandingRank(standing, options);
 };
 
-playerSchema.statics.updatePlayerScore = async function(playerId, newScore, gameMode = null) {
-    const updateData = {
-        currentScore: newScore,
-        lastActiveAt: new Date(),
-        $inc: { totalGamesPlayed: 1 }
+/**
+ * Rank of a standing ({ playerId, score, tiebreakRaw }) on a lifetime board,
+ * under the board's ranking style (or `options.style`) and tiebreakers.
+ */
+playerSchema.statics.getStandingRank = async function(standing, options = {}) {
+    const { gameMode = null } = options;
+    const style = options.style || getRankingRules(gameMode).style;
+    const scoreField = this.getScoreField(gameMode);
+    const boardFilter = this.buildLeaderboardFilter(options);
+    const { better, tied } = buildStandingFilters(scoreField, gameMode, standing);
+
+    if (style === 'dense') {
+        const [result] = await this.aggregate([
+            { $match: { $and: [boardFilter, better] } },
+            { $group: { _id: getStandingGroupKey(scoreField, gameMode) } },
+            { $count: 'ahead' }
+        ]);
+        return (result ? result.ahead : 0) + 1;
+    }
+
+    const ahead = style === 'ordinal'
+        ? { $or: [better, { ...tied, playerId: { $lt: standing.playerId } }] }
+        : better;
+
+    return (await this.countDocuments({ $and: [boardFilter, ahead] })) + 1;
+};
+
+playerSchema.statics.getPlayerRank = async function(playerId, options = {}) {
+    const { gameMode = null } = options;
+    
+    if (!isWindowed(options.window) && canUseRankIndex(options)) {
+        const indexedRank = await rankIndex.getRank(playerId, options);
+        if (indexedRank !== null) return indexedRank;
+    }
+    
+    const player = await this.findOne({ playerId }).lean();
+    if (!player) return null;
+
+    if (isWindowed(options.window)) {
+        const windowOptions = toWindowOptions(options);
+        const points = await ScoreChange.getWindowPoints(playerId, windowOptions);
+        return ScoreChange.getWindowStandingRank(toStanding(player, gameMode, points), windowOptions);
+    }
+
+    return this.getStandingRank(toStanding(player, gameMode, this.getModeScore(player, gameMode)), options);
+};
+
+// Aggregation expression applying a score operation to the stored score
+const scoreOperationExpression = (op, modePath, value) => {
+    const current = { $ifNull: [`$${modePath}.score`, 0] };
+
+    switch (op) {
+        case 'increment':
+            return { $max: [0, { $add: [current, value] }] };
+        case 'max':
+            return { $max: [current, value] };
+        case 'min':
+            // The first score in a mode is taken as is, not compared with the default 0
+            return {
+                $cond: [
+                    { $eq: [{ $ifNull: [`$${modePath}.lastPlayedAt`, null] }, null] },
+                    value,
+                    { $min: [current, value] }
+                ]
+            };
+        default:
+            return value;
+    }
+};
+
+// Fields counting a game's result ('win', 'loss' or 'draw') under `path`,
+// with the win ratio they produce
+const RESULT_FIELDS = { win: 'wins', loss: 'losses', draw: 'draws' };
+
+const countResult = (path, result) => {
+    const counts = {};
+    Object.values(RESULT_FIELDS).forEach(field => {
+        const counted = field === RESULT_FIELDS[result];
+        counts[`${path}.${field}`] = { $add: [{ $ifNull: [`$${path}.${field}`, 0] }, counted ? 1 : 0] };
+    });
+
+    const total = { $add: Object.values(counts) };
+    counts[`${path}.winRatio`] = {
+        $cond: [{ $gt: [total, 0] }, { $divide: [counts[`${path}.wins`], total] }, 0]
     };
+
+    return counts;
+};
+
+// The same operation applied in memory, to report the score the update produced
+const applyScoreOperation = (op, stats, value) => {
+    const current = stats ? stats.score : 0;
+
+    switch (op) {
+        case 'increment':
+            return Math.max(0, current + value);
+        case 'max':
+            return Math.max(current, value);
+        case 'min':
+            return stats && stats.lastPlayedAt ? Math.min(current, value) : value;
+        default:
+            return value;
+    }
+};
+
+/**
+ * Apply a score operation to a player's score in a game mode and record the
+ * change. `value` is the new score for 'set', 'max' and 'min', and the delta
+ * for 'increment'; the whole update is a single atomic Mongo write.
+ * `context` describes the mutation for the audit log:
+ * { source, sessionId, reason, actor: { kind, id, ip } }, and is validated
+ * against ScoreChange before the write.
+ * `options.completed` marks the update as the end of a game, which is the
+ * only time games played are counted; `options.result` ('win', 'loss' or
+ * 'draw') also records the game's outcome in gameStats and the mode's
+ * stats. `options.checkPlausibility` holds client submissions to the game
+ * mode's plausibility rules: a violation is recorded and thrown as a
+ * PlausibilityError before anything is written.
+ * `options.screen` runs the suspicion detectors: a flagged update is not
+ * applied but held in the quarantine queue, and the unchanged player is
+ * returned with the entry as `$locals.quarantine`.
+ * The returned document exposes the real previous value as
+ * `$locals.previousScore`, and `$locals.tierChange` when the player moved
+ * to another tier.
+ */
+playerSchema.statics.updatePlayerScore = async function(playerId, value, gameMode = null, context = {}, options = {}) {
+    const { op = 'set', completed = false, result = null, checkPlausibility = false, screen = false } = options;
     
-    if (gameMode) {
-        updateData.currentGameMode = gameMode;
+    // A change that could not be recorded is refused before anything is written
+    await ScoreChange.validateContext(context);
+    
+    if (!gameMode || checkPlausibility || screen) {
+        const current = await this.findOne({ playerId }).lean();
+        if (!current) return null;
+        
+        // Scores without an explicit mode count towards the player's current mode
+        gameMode = gameMode || current.currentGameMode;
+        
+        const stats = current.modeStats && current.modeStats[gameMode];
+        const previousScore = stats ? stats.score : 0;
+        const newScore = applyScoreOperation(op, stats, value);
+        
+        if (checkPlausibility) {
+            const violation = checkScoreChange({
+                gameMode,
+                previousScore,
+                newScore,
+                lastUpdateAt: stats ? stats.lastPlayedAt : null
+            });
+            
+            if (violation) {
+                await rejectScoreUpdate(violation, {
+                    playerId,
+                    sessionId: context.sessionId || null,
+                    gameMode,
+                    previousScore,
+                    submittedScore: newScore
+                }, context);
+            }
+        }
+        
+        if (screen) {
+            const flags = await screenScoreUpdate(this, current, { gameMode, previousScore, newScore });
+            
+            if (flags.length > 0) {
+                const entry = await ScoreQuarantine.create({
+                    playerId,
+                    gameMode,
+                    op,
+                    value,
+                    completed,
+                    result,
+                    previousScore,
+                    submittedScore: newScore,
+                    flags,
+                    context
+                });
+                
+                const heldPlayer = await this.findOne({ playerId });
+                heldPlayer.$locals.previousScore = this.getModeScore(heldPlayer, gameMode);
+                heldPlayer.$locals.quarantine = entry;
+                return heldPlayer;
+            }
+        }
     }
+    
+    const now = new Date();
+    const modePath = `modeStats.${gameMode}`;
+    const nextScore = scoreOperationExpression(op, modePath, value);
+    // A score only counts as newly reached when it actually changes
+    const reachedAt = (scorePath, reachedAtPath) => ({
+        $cond: [
+            { $eq: [`$${scorePath}`, nextScore] },
+            { $ifNull: [`$${reachedAtPath}`, now] },
+            now
+        ]
+    });
+    const countGame = (path) => ({ $add: [{ $ifNull: [`$${path}`, 0] }, completed ? 1 : 0] });
+    
+    // Pipeline update: every field is computed from the stored values in one atomic write.
+    // The overall currentScore follows the score of the mode just played.
+    const updateData = [{
+        $set: {
+            currentScore: nextScore,
+            scoreReachedAt: reachedAt('currentScore', 'scoreReachedAt'),
+            currentGameMode: gameMode,
+            lastActiveAt: now,
+            bestScore: { $max: [{ $ifNull: ['$bestScore', 0] }, nextScore] },
+            totalGamesPlayed: countGame('totalGamesPlayed'),
+            [`${modePath}.score`]: nextScore,
+            [`${modePath}.scoreReachedAt`]: reachedAt(`${modePath}.score`, `${modePath}.scoreReachedAt`),
+            [`${modePath}.bestScore`]: { $max: [{ $ifNull: [`$${modePath}.bestScore`, 0] }, nextScore] },
+            [`${modePath}.gamesPlayed`]: countGame(`${modePath}.gamesPlayed`),
+            [`${modePath}.lastPlayedAt`]: now,
+            ...(result && {
+                ...countResult('gameStats', result),
+                ...countResult(modePath, result)
+            })
+        }
+    }];
 
-    return this.findOneAndUpdate(
+    // Read the pre-update document so the change can be recorded with its real previous value
+    const previous = await this.findOneAndUpdate(
         { playerId },
         updateData,
-        { new: true, upsert: false }
-    );
+        { new: false, upsert: false }
+    ).lean();
+    
+    if (!previous) return null;
+    
+    const previousStats = previous.modeStats && previous.modeStats[gameMode];
+    const previousScore = this.getModeScore(previous, gameMode);
+    
+    await ScoreChange.record({
+        ...context,
+        operation: op,
+        playerId,
+        region: previous.region,
+        gameMode,
+        previousScore,
+        newScore: applyScoreOperation(op, previousStats, value)
+    });
+
+    const updatedPlayer = await this.findOne({ playerId });
+    updatedPlayer.$locals.previousScore = previousScore;
+    await rankIndex.syncPlayer(updatedPlayer);
+    updatedPlayer.$locals.tierChange = await updatePlayerTier(this, updatedPlayer, gameMode);
+    
+    return updatedPlayer;
 };
 
 // Instance methods
@@ -197,19 +789,4 @@ playerSchema.methods.updateOnlineStatus = function(isOnline) {
     return this.save();
 };
 
-playerSchema.methods.addGameResult = function(result, scoreChange = 0) {
-    if (result === 'win') {
-        this.gameStats.wins += 1;
-    } else if (result === 'loss') {
-        this.gameStats.losses += 1;
-    } else if (result === 'draw') {
-        this.gameStats.draws += 1;
-    }
-    
-    this.currentScore = Math.max(0, this.currentScore + scoreChange);
-    this.totalGamesPlayed += 1;
-    
-    return this.save();
-};
-
 module.exports = mongoose.model('Player', playerSchema); 
\ No newline at end of file
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const { GAME_MODES, REGIONS, SCORE_CHANGE_SOURCES, SCORE_OPERATIONS } = require('../config/constants');
+const Season = require('./Season');
+const {
+    getRankingRules,
+    getSortSpec,
+    reverseSort,
+    buildStandingFilters,
+    buildKeysetFilter,
+    getStandingGroupKey
+} = require('../services/rankingService');
+
+const scoreChangeSchema = new mongoose.Schema({
+    playerId: {
+        type: String,
+        required: true,
+        ref: 'Player'
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        required: true
+    },
+    gameMode: {
+        type: String,
+        enum: GAME_MODES,
+        required: true
+    },
+    previousScore: {
+        type: Number,
+        required: true
+    },
+    newScore: {
+        type: Number,
+        required: true
+    },
+    delta: {
+        type: Number,
+        required: true
+    },
+    seasonId: {
+        type: String,
+        default: null,
+        ref: 'Season'
+    },
+    source: {
+        type: String,
+        enum: SCORE_CHANGE_SOURCES,
+        default: 'system'
+    },
+    operation: {
+        type: String,
+        enum: SCORE_OPERATIONS,
+        default: 'set'
+    },
+    sessionId: {
+        type: String,
+        default: null,
+        ref: 'GameSession'
+    },
+    reason: {
+        type: String,
+        default: null,
+        maxlength: 200
+    },
+    actor: {
+        kind: {
+            type: String,
+            enum: ['player', 'client', 'socket', 'server', 'system', 'admin'],
+            default: 'system'
+        },
+        id: { type: String, default: null },
+        ip: { type: String, default: null }
+    },
+    verified: {
+        type: Boolean,
+        default: true // false for unsigned client submissions, see config/submissions.js
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'score_changes'
+});
+
+// Indexes for summing points inside a time window
+scoreChangeSchema.index({ createdAt: -1, gameMode: 1, region: 1 });
+scoreChangeSchema.index({ playerId: 1, createdAt: -1 });
+scoreChangeSchema.index({ seasonId: 1, playerId: 1 });
+scoreChangeSchema.index({ playerId: 1, source: 1, createdAt: -1 });
+
+// Static methods for time-windowed leaderboards
+scoreChangeSchema.statics.record = async function(changeData) {
+    const { previousScore, newScore } = changeData;
+
+    return this.create({
+        ...changeData,
+        delta: newScore - previousScore,
+        seasonId: await Season.getActiveSeasonId()
+    });
+};
+
+// Validate the fields a change is described by (source, reason, actor, ...)
+// before the score write, so the write cannot succeed without its record
+scoreChangeSchema.statics.validateContext = async function(context = {}) {
+    const paths = Object.keys(context).filter(path =>
+        context[path] !== undefined && this.schema.pathType(path) !== 'adhocOrUndefined');
+
+    if (paths.length > 0) {
+        await this.validate(context, paths);
+    }
+};
+
+scoreChangeSchema.statics.buildWindowMatch =function(options = {}) {
+    const { since, region = null, gameMode = null } = options;
+    const matchConditions = { createdAt: { $gte: since } };
+
+    if (region && region !== 'GLOBAL') {
+        matchConditions.region = region;
+    }
+
+    if (gameMode) {
+        matchConditions.gameMode = gameMode;
+    }
+
+    return matchConditions;
+};
+
+// Paginated audit trail of one player's score mutations
+scoreChangeSchema.statics.getHistory = async function(playerId, options = {}) {
+    const {
+        from = null,
+        to = null,
+        source = null,
+        gameMode = null,
+        sessionId = null,
+        limit = 50,
+        skip = 0
+    } = options;
+    
+    const matchConditions = { playerId };
+    
+    if (from || to) {
+        matchConditions.createdAt = {};
+        if (from) matchConditions.createdAt.$gte = from;
+        if (to) matchConditions.createdAt.$lte = to;
+    }
+    
+    if (source) {
+        matchConditions.source = source;
+    }
+    
+    if (gameMode) {
+        matchConditions.gameMode = gameMode;
+    }
+    
+    if (sessionId) {
+        matchConditions.sessionId = sessionId;
+    }
+    
+    const [changes, total] = await Promise.all([
+        this.find(matchConditions)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v -_id')
+            .lean(),
+        this.countDocuments(matchConditions)
+    ]);
+    
+    return { changes, total };
+};
+
+// Pipeline summing each player's points inside the window, joined to the player
+scoreChangeSchema.statics.buildWindowPipeline = function(options = {}) {
+    const { onlineOnly = false } = options;
+
+    const pipeline = [
+        { $match: this.buildWindowMatch(options) },
+        { $group: { _id: '$playerId', points: { $sum: '$delta' } } },
+        {
+            $lookup: {
+                from: 'players',
+                localField: '_id',
+                foreignField: 'playerId',
+                as: 'player'
+            }
+        },
+        { $unwind: '$player' },
+        { $match: { 'player.ban.active': { $ne: true }, 'player.shadowBan.active': { $ne: true } } }
+    ];
+
+    if (onlineOnly) {
+        pipeline.push({ $match: { 'player.isOnline': true } });
+    }
+
+    return pipeline;
+};
+
+// Page of a windowed board, by offset or from a keyset cursor (`after` / `before` standing)
+scoreChangeSchema.statics.getWindowLeaderboard = async function(options = {}) {
+    const { limit = 50, skip = 0, after = null, before = null } = options;
+    const sort = getSortSpec('points', options.gameMode, 'player.', '_id');
+
+    if (after || before) {
+        const rows = await this.aggregate([
+            ...this.buildWindowPipeline(options),
+            {
+                $match: buildKeysetFilter(
+                    'points', options.gameMode, after || before, after ? 'after' : 'before', 'player.', '_id'
+                )
+            },
+            { $sort: before ? reverseSort(sort) : sort },
+            { $limit: limit }
+        ]);
+        return before ? rows.reverse() : rows;
+    }
+
+    return this.aggregate([
+        ...this.buildWindowPipeline(options),
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit }
+    ]);
+};
+
+scoreChangeSchema.statics.countWindowLeaderboard = async function(options = {}) {
+    const [result] = await this.aggregate([
+        ...this.buildWindowPipeline(options),
+        { $count: 'total' }
+    ]);
+
+    return result ? result.total : 0;
+};
+
+scoreChangeSchema.statics.getWindowPoints = async function(playerId, options = {}) {
+    const [result] = await this.aggregate([
+        { $match: { ...this.buildWindowMatch(options), playerId } },
+        { $group: { _id: '$playerId', points: { $sum: '$delta' } } }
+    ]);
+
+    return result ? result.points : 0;
+};
+
+/**
+ * Rank of a standing ({ playerId, score: points, tiebreakRaw }) on a
+ * windowed board, under the board's ranking style (or `options.style`)
+ * and tiebreakers.
+ */
+scoreChangeSchema.statics.getWindowStandingRank = async function(standing, options = {}) {
+    const { gameMode = null } = options;
+    const style = options.style || getRankingRules(gameMode).style;
+    const pipeline = this.buildWindowPipeline(options);
+    const { better, tied } = buildStandingFilters('points', gameMode, standing, 'player.');
+
+    if (style === 'dense') {
+        const [result] = await this.aggregate([
+            ...pipeline,
+            { $match: better },
+            { $group: { _id: getStandingGroupKey('points', gameMode, 'player.') } },
+            { $count: 'ahead' }
+        ]);
+        return (result ? result.ahead : 0) + 1;
+    }
+
+    const [result] = await this.aggregate([
+        ...pipeline,
+        {
+            $match: style === 'ordinal'
+                ? { $or: [better, { ...tied, _id: { $lt: standing.playerId } }] }
+                : better
+        },
+        { $count: 'ahead' }
+    ]);
+
+    return (result ? result.ahead : 0) + 1;
+};
+
+module.exports = mongoose.model('ScoreChange', scoreChangeSchema);
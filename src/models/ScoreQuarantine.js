@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const {
+    GAME_MODES,
+    SCORE_CHANGE_SOURCES,
+    SCORE_OPERATIONS,
+    SUSPICION_DETECTORS,
+    QUARANTINE_STATUSES
+} = require('../config/constants');
+
+// A flagged score update held out of the leaderboards until a moderator reviews it.
+// The update is stored as submitted and only applied on approval.
+const scoreQuarantineSchema = new mongoose.Schema({
+    playerId: {
+        type: String,
+        required: true,
+        ref: 'Player'
+    },
+    gameMode: {
+        type: String,
+        enum: GAME_MODES,
+        required: true
+    },
+    op: {
+        type: String,
+        enum: SCORE_OPERATIONS,
+        default: 'set'
+    },
+    value: {
+        type: Number,
+        required: true // new score, or the delta for 'increment'
+    },
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    result: {
+        type: String,
+        enum: ['win', 'loss', 'draw', null],
+        default: null // the game's outcome, for held game results
+    },
+    previousScore: Number,
+    submittedScore: Number, // the score the update would have produced when it was held
+    flags: [{
+        detector: { type: String, enum: SUSPICION_DETECTORS },
+        details: mongoose.Schema.Types.Mixed
+    }],
+    context: {
+        source: { type: String, enum: SCORE_CHANGE_SOURCES, default: 'system' },
+        sessionId: { type: String, default: null },
+        reason: { type: String, default: null },
+        verified: { type: Boolean, default: true },
+        actor: {
+            kind: { type: String, default: 'system' },
+            id: { type: String, default: null },
+            ip: { type: String, default: null }
+        }
+    },
+    status: {
+        type: String,
+        enum: QUARANTINE_STATUSES,
+        default: 'pending'
+    },
+    review: {
+        by: { type: String, default: null }, // playerId of the moderator
+        at: { type: Date, default: null },
+        reason: { type: String, default: null }
+    }
+}, {
+    timestamps: true,
+    collection: 'score_quarantine'
+});
+
+scoreQuarantineSchema.index({ status: 1, createdAt: 1 });
+scoreQuarantineSchema.index({ playerId: 1, gameMode: 1, status: 1, createdAt: 1 });
+
+scoreQuarantineSchema.statics.hasPending = async function(playerId, gameMode) {
+    return Boolean(await this.exists({ playerId, gameMode, status: 'pending' }));
+};
+
+// Updates are reviewed in the order they were held, per player and game mode
+scoreQuarantineSchema.statics.getOlderPending = async function(entry) {
+    return this.findOne({
+        playerId: entry.playerId,
+        gameMode: entry.gameMode,
+        status: 'pending',
+        createdAt: { $lt: entry.createdAt }
+    }).select('_id createdAt').lean();
+};
+
+// Paginated queue; pending entries come oldest first, reviewed ones newest first
+scoreQuarantineSchema.statics.getQueue = async function(options = {}) {
+    const { status = 'pending', playerId = null, gameMode = null, limit = 50, skip = 0 } = options;
+    const matchConditions = { status };
+
+    if (playerId) {
+        matchConditions.playerId = playerId;
+    }
+
+    if (gameMode) {
+        matchConditions.gameMode = gameMode;
+    }
+
+    const [entries, total] = await Promise.all([
+        this.find(matchConditions)
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v')
+            .lean(),
+        this.countDocuments(matchConditions)
+    ]);
+
+    return { entries, total };
+};
+
+module.exports = mongoose.model('ScoreQuarantine', scoreQuarantineSchema);
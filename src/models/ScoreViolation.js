@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { GAME_MODES, SCORE_CHANGE_SOURCES, SCORE_VIOLATION_CODES } = require('../config/constants');
+
+// A client score update rejected by the plausibility rules
+const scoreViolationSchema = new mongoose.Schema({
+    playerId: {
+        type: String,
+        required: true,
+        ref: 'Player'
+    },
+    sessionId: {
+        type: String,
+        default: null,
+        ref: 'GameSession'
+    },
+    gameMode: {
+        type: String,
+        enum: GAME_MODES,
+        required: true
+    },
+    code: {
+        type: String,
+        enum: SCORE_VIOLATION_CODES,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: SCORE_CHANGE_SOURCES,
+        default: 'system'
+    },
+    previousScore: Number,
+    submittedScore: Number,
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    actor: {
+        kind: { type: String, default: 'system' },
+        id: { type: String, default: null },
+        ip: { type: String, default: null }
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'score_violations'
+});
+
+scoreViolationSchema.index({ playerId: 1, createdAt: -1 });
+scoreViolationSchema.index({ code: 1, createdAt: -1 });
+scoreViolationSchema.index({ createdAt: -1 });
+
+// Paginated violations, newest first
+scoreViolationSchema.statics.getViolations = async function(options = {}) {
+    const { playerId = null, code = null, limit = 50, skip = 0 } = options;
+    const matchConditions = {};
+
+    if (playerId) {
+        matchConditions.playerId = playerId;
+    }
+
+    if (code) {
+        matchConditions.code = code;
+    }
+
+    const [violations, total] = await Promise.all([
+        this.find(matchConditions)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .select('-__v')
+            .lean(),
+        this.countDocuments(matchConditions)
+    ]);
+
+    return { violations, total };
+};
+
+module.exports = mongoose.model('ScoreViolation', scoreViolationSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// How long the active season id is cached for score writes
+const ACTIVE_SEASON_CACHE_MS = 30 * 1000;
+
+const seasonSchema = new mongoose.Schema({
+    seasonId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => `season_${uuidv4()}`,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'active', 'archiving', 'ended'],
+        default: 'scheduled',
+        index: true
+    },
+    reset: {
+        strategy: {
+            type: String,
+            enum: ['hard', 'soft', 'none'],
+            default: 'soft'
+        },
+        // Soft resets keep this fraction of each player's distance from the mean
+        softResetFactor: {
+            type: Number,
+            default: 0.5,
+            min: 0,
+            max: 1
+        }
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    archiveSummary: [{
+        gameMode: String,
+        playerCount: Number,
+        averageScore: Number,
+        topScore: Number
+    }]
+}, {
+    timestamps: true,
+    collection: 'seasons'
+});
+
+seasonSchema.index({ status: 1, startDate: -1 });
+
+let activeSeasonCache = { seasonId: null, expiresAt: 0 };
+
+// Static methods for season management
+seasonSchema.statics.createSeason = async function(seasonData) {
+    if (seasonData.endDate <= seasonData.startDate) {
+        throw new Error('Season end date must be after its start date');
+    }
+    
+    const season = new this({
+        name: seasonData.name,
+        startDate: seasonData.startDate,
+        endDate: seasonData.endDate,
+        reset: seasonData.reset || {}
+    });
+    
+    // Start straight away if it is already underway and nothing else is running
+    const activeSeason = await this.findOne({ status: 'active' });
+    if (!activeSeason && season.startDate <= new Date()) {
+        season.status = 'active';
+        this.clearActiveSeasonCache();
+    }
+    
+    return await season.save();
+};
+
+seasonSchema.statics.startSeason = async function(seasonId) {
+    const activeSeason = await this.findOne({ status: 'active' });
+    if (activeSeason) {
+        throw new Error(`Season ${activeSeason.seasonId} is still active`);
+    }
+    
+    const season = await this.findOneAndUpdate(
+        { seasonId, status: 'scheduled' },
+        { status: 'active', startDate: new Date() },
+        { new: true }
+    );
+    
+    if (!season) {
+        throw new Error('Scheduled season not found');
+    }
+    
+    this.clearActiveSeasonCache();
+    return season;
+};
+
+seasonSchema.statics.getActiveSeason = async function() {
+    return this.findOne({ status: 'active' }).lean();
+};
+
+// Cached lookup used to stamp scores and sessions with the running season
+seasonSchema.statics.getActiveSeasonId = async function() {
+    if (Date.now() < activeSeasonCache.expiresAt) {
+        return activeSeasonCache.seasonId;
+    }
+    
+    const season = await this.findOne({ status: 'active' }).select('seasonId').lean();
+    activeSeasonCache = {
+        seasonId: season ? season.seasonId : null,
+        expiresAt: Date.now() + ACTIVE_SEASON_CACHE_MS
+    };
+    
+    return activeSeasonCache.seasonId;
+};
+
+seasonSchema.statics.clearActiveSeasonCache = function() {
+    activeSeasonCache = { seasonId: null, expiresAt: 0 };
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
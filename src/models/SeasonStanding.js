@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { GAME_MODES, REGIONS } = require('../config/constants');
+
+// Frozen final placement of one player in one game mode at the end of a season
+const seasonStandingSchema = new mongoose.Schema({
+    seasonId: {
+        type: String,
+        required: true,
+        ref: 'Season'
+    },
+    playerId: {
+        type: String,
+        required: true,
+        ref: 'Player'
+    },
+    username: String,
+    region: {
+        type: String,
+        enum: REGIONS,
+        required: true
+    },
+    gameMode: {
+        type: String,
+        enum: GAME_MODES,
+        required: true
+    },
+    finalScore: {
+        type: Number,
+        required: true
+    },
+    globalRank: {
+        type: Number,
+        required: true
+    },
+    regionalRank: {
+        type: Number,
+        required: true
+    },
+    gamesPlayed: Number,
+    wins: Number,
+    losses: Number,
+    draws: Number
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'season_standings'
+});
+
+seasonStandingSchema.index({ seasonId: 1, gameMode: 1, globalRank: 1 });
+seasonStandingSchema.index({ seasonId: 1, gameMode: 1, region: 1, regionalRank: 1 });
+seasonStandingSchema.index({ playerId: 1, seasonId: 1 });
+
+seasonStandingSchema.statics.getStandings = async function(seasonId, options = {}) {
+    const { gameMode, region = null, limit = 50, skip = 0 } = options;
+    
+    const matchConditions = { seasonId, gameMode };
+    const rankField = region && region !== 'GLOBAL' ? 'regionalRank' : 'globalRank';
+    
+    if (region && region !== 'GLOBAL') {
+        matchConditions.region = region;
+    }
+    
+    return this.find(matchConditions)
+        .sort({ [rankField]: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v -_id')
+        .lean();
+};
+
+seasonStandingSchema.statics.getPlayerHistory = async function(playerId) {
+    return this.find({ playerId })
+        .sort({ createdAt: -1, gameMode: 1 })
+        .select('-__v -_id')
+        .lean();
+};
+
+module.exports = mongoose.model('SeasonStanding', seasonStandingSchema);
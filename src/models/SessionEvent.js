@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { SESSION_EVENT_TYPES } = require('../config/constants');
+
+// How long session events are kept (30 days, as long as completed sessions)
+const SESSION_EVENT_TTL_SECONDS = parseInt(process.env.SESSION_EVENT_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+// Events read from a session per page at most
+const MAX_PAGE_SIZE = 200;
+
+// One real-time event of a game session: score updates, joins, leaves, the
+// start and the end. Kept apart from the session so long sessions do not
+// grow its document.
+const sessionEventSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        ref: 'GameSession'
+    },
+    playerId: {
+        type: String,
+        default: null
+    },
+    eventType: {
+        type: String,
+        enum: SESSION_EVENT_TYPES,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'session_events'
+});
+
+sessionEventSchema.index({ sessionId: 1, timestamp: 1, _id: 1 });
+sessionEventSchema.index({ sessionId: 1, eventType: 1, timestamp: 1, _id: 1 });
+sessionEventSchema.index({ sessionId: 1, playerId: 1, timestamp: 1, _id: 1 });
+sessionEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: SESSION_EVENT_TTL_SECONDS });
+
+// Opaque cursor pointing at an event
+const encodeEventCursor = (event) => Buffer.from(JSON.stringify({
+    t: event.timestamp.getTime(),
+    i: event._id.toString()
+})).toString('base64url');
+
+// { timestamp, _id } a cursor points at, or null if it is malformed
+const decodeEventCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof payload.t !== 'number' || !mongoose.isValidObjectId(payload.i)) {
+            return null;
+        }
+        return { timestamp: new Date(payload.t), _id: new mongoose.Types.ObjectId(payload.i) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Store events of a session, in order
+sessionEventSchema.statics.record = function(sessionId, events) {
+    return this.insertMany(events.map(event => ({ ...event, sessionId })), { ordered: true });
+};
+
+/**
+ * One page of a session's events, `order` 'desc' (newest first) or 'asc',
+ * optionally of one eventType and/or playerId. `after` is the `nextCursor`
+ * of the previous page in the same order. Resolves to { events, nextCursor },
+ * nextCursor being null on the last page; throws on a malformed cursor.
+ */
+sessionEventSchema.statics.getPage = async function(sessionId, options = {}) {
+    const { eventType = null, playerId = null, order = 'desc', after = null } = options;
+    const limit = Math.min(options.limit || 50, MAX_PAGE_SIZE);
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matchConditions = { sessionId };
+    if (eventType) matchConditions.eventType = eventType;
+    if (playerId) matchConditions.playerId = playerId;
+
+    if (after) {
+        const position = decodeEventCursor(after);
+        if (!position) {
+            throw new Error('Invalid events cursor');
+        }
+
+        const beyond = direction === 1 ? '$gt' : '$lt';
+        matchConditions.$or = [
+            { timestamp: { [beyond]: position.timestamp } },
+            { timestamp: position.timestamp, _id: { [beyond]: position._id } }
+        ];
+    }
+
+    // One extra event tells whether another page follows
+    const events = await this.find(matchConditions)
+        .sort({ timestamp: direction, _id: direction })
+        .limit(limit + 1)
+        .lean();
+
+    const hasMore = events.length > limit;
+    const page = events.slice(0, limit);
+
+    return {
+        events: page,
+        nextCursor: hasMore ? encodeEventCursor(page[page.length - 1]) : null
+    };
+};
+
+// A session's events in the order they happened, at most `limit`
+sessionEventSchema.statics.getTimeline = function(sessionId, limit) {
+    return this.find({ sessionId })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(limit)
+        .select('-__v -sessionId')
+        .lean();
+};
+
+/**
+ * Move events still embedded in game_sessions documents (realTimeEvents,
+ * from before events had their own collection) into this collection.
+ * Runs in the background at startup; each session is moved once.
+ */
+sessionEventSchema.statics.migrateEmbeddedEvents = async function() {
+    const sessions = mongoose.connection.collection('game_sessions');
+    const cursor = sessions.find(
+        { 'realTimeEvents.0': { $exists: true } },
+        { projection: { sessionId: 1, realTimeEvents: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const session of cursor) {
+        // A run interrupted before the unset may have copied this session already
+        await this.collection.deleteMany({ sessionId: session.sessionId, migrated: true });
+        await this.collection.insertMany(session.realTimeEvents.map(event => ({
+            sessionId: session.sessionId,
+            playerId: event.playerId || null,
+            eventType: event.eventType,
+            data: event.data || {},
+            timestamp: event.timestamp || new Date(),
+            migrated: true
+        })), { ordered: true });
+        await sessions.updateOne({ _id: session._id }, { $unset: { realTimeEvents: '' } });
+        migrated++;
+    }
+
+    if (migrated > 0) {
+        console.log(`📦 Moved the embedded events of ${migrated} sessions to session_events`);
+    }
+
+    return migrated;
+};
+
+module.exports = mongoose.model('SessionEvent', sessionEventSchema);
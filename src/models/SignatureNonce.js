@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { SIGNATURE_TOLERANCE_SECONDS } = require('../config/submissions');
+
+// Nonces of accepted signed requests, kept for as long as their timestamp is
+// valid so a captured request cannot be replayed
+const signatureNonceSchema = new mongoose.Schema({
+    serverId: {
+        type: String,
+        required: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'signature_nonces'
+});
+
+signatureNonceSchema.index({ serverId: 1, nonce: 1 }, { unique: true });
+// A timestamp is accepted up to the tolerance on either side of now
+signatureNonceSchema.index({ createdAt: 1 }, { expireAfterSeconds: SIGNATURE_TOLERANCE_SECONDS * 2 });
+
+// Store a nonce; false if the server already used it
+signatureNonceSchema.statics.claim = async function(serverId, nonce) {
+    try {
+        await this.create({ serverId, nonce });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('SignatureNonce', signatureNonceSchema);
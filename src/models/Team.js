@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { REGIONS } = require('../config/constants');
+
+// Most players a roster can hold
+const TEAM_MAX_MEMBERS = 10;
+
+// A persistent team (roster) of players. Members playing a team-mode session
+// together play as this team, and its results are tracked on the team
+// leaderboard. A player belongs to at most one team.
+const teamSchema = new mongoose.Schema({
+    teamId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => `team_${uuidv4()}`
+    },
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 30
+    },
+    tag: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 5,
+        default: null
+    },
+    region: {
+        type: String,
+        enum: REGIONS,
+        default: 'GLOBAL'
+    },
+    captainId: {
+        type: String,
+        default: null // playerId of the member who manages the roster
+    },
+    members: [{
+        playerId: {
+            type: String,
+            required: true
+        },
+        username: String,
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    stats: {
+        score: { type: Number, default: 0 }, // points earned in team sessions
+        gamesPlayed: { type: Number, default: 0 },
+        wins: { type: Number, default: 0 },
+        losses: { type: Number, default: 0 },
+        draws: { type: Number, default: 0 },
+        winRatio: { type: Number, default: 0 },
+        lastPlayedAt: { type: Date, default: null }
+    }
+}, {
+    timestamps: true,
+    collection: 'teams'
+});
+
+// One team per player; rosters left empty are not indexed
+teamSchema.index(
+    { 'members.playerId': 1 },
+    { unique: true, partialFilterExpression: { 'members.playerId': { $exists: true } } }
+);
+teamSchema.index({ 'stats.score': -1, 'stats.wins': -1 });
+teamSchema.index({ region: 1, 'stats.score': -1, 'stats.wins': -1 });
+
+teamSchema.statics.TEAM_MAX_MEMBERS = TEAM_MAX_MEMBERS;
+
+// The team a player belongs to, or null
+teamSchema.statics.findByMember = function(playerId) {
+    return this.findOne({ 'members.playerId': playerId });
+};
+
+// Take a player off the roster; a leaving captain hands over to the
+// longest-serving member
+teamSchema.methods.removeMember = function(playerId) {
+    this.members = this.members.filter(member => member.playerId !== playerId);
+    if (this.captainId === playerId) {
+        this.captainId = this.members.length > 0 ? this.members[0].playerId : null;
+    }
+
+    return this.save();
+};
+
+// Record a finished team-mode session: its result and the points the team earned
+teamSchema.statics.recordResult = async function(teamId, result, points) {
+    const field = { win: 'wins', loss: 'losses', draw: 'draws' }[result];
+
+    const team = await this.findOneAndUpdate(
+        { teamId },
+        {
+            $inc: { 'stats.score': points, 'stats.gamesPlayed': 1, [`stats.${field}`]: 1 },
+            $set: { 'stats.lastPlayedAt': new Date() }
+        },
+        { new: true }
+    );
+    if (!team) return null;
+
+    const { wins, losses, draws } = team.stats;
+    team.stats.winRatio = wins / (wins + losses + draws);
+    return await team.save();
+};
+
+// One page of teams ranked by points, then wins, then age: { teams, totalTeams }
+teamSchema.statics.getLeaderboard = async function(options = {}) {
+    const { region = null, limit = 50, offset = 0 } = options;
+
+    const matchConditions = {};
+    if (region && region !== 'GLOBAL') {
+        matchConditions.region = region;
+    }
+
+    const [teams, totalTeams] = await Promise.all([
+        this.find(matchConditions)
+            .sort({ 'stats.score': -1, 'stats.wins': -1, createdAt: 1 })
+            .skip(offset)
+            .limit(limit)
+            .select('teamId name tag region members stats')
+            .lean(),
+        this.countDocuments(matchConditions)
+    ]);
+
+    const rows = teams.map((team, index) => ({
+        rank: offset + index + 1,
+        teamId: team.teamId,
+        name: team.name,
+        tag: team.tag,
+        region: team.region,
+        memberCount: team.members.length,
+        ...team.stats
+    }));
+
+    return { teams: rows, totalTeams };
+};
+
+module.exports = mongoose.model('Team', teamSchema);
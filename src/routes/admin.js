@@ -0,0 +1,1063 @@
+const express = require('express');
+const Player = require('../models/Player');
+const GameSession = require('../models/GameSession');
+const ScoreChange = require('../models/ScoreChange');
+const SeasonStanding = require('../models/SeasonStanding');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const ScoreViolation = require('../models/ScoreViolation');
+const ScoreQuarantine = require('../models/ScoreQuarantine');
+const GameServer = require('../models/GameServer');
+const Team = require('../models/Team');
+const SessionEvent = require('../models/SessionEvent');
+const { finishSession } = require('../services/sessionService');
+const { generateServerSecret } = require('../services/signatureService');
+const { createPasswordClaim } = require('../services/authService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+    validatePlayerId,
+    validateSessionId,
+    validateAdminReason,
+    validateAdminRole,
+    validateAdminScore,
+    validateAdminPurgeEvents,
+    validateAdminGameServer,
+    validateAdminAuditQuery,
+    validateAdminViolationsQuery,
+    validateQuarantineQuery,
+    validateQuarantineId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Moderators review the quarantine queue; everything else needs an admin
+router.use(authenticate);
+router.use('/quarantine', requireRole('moderator', 'admin'));
+router.use(['/players', '/sessions', '/audit', '/violations', '/game-servers'], requireRole('admin'));
+
+// Record an admin action in the audit trail
+const audit = (req, action, targetType, targetId, details = {}) => AdminAuditLog.record({
+    action,
+    actor: { playerId: req.user.playerId, ip: req.ip },
+    targetType,
+    targetId,
+    reason: req.body.reason,
+    details
+});
+
+const playerNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Player not found',
+    error: 'PLAYER_NOT_FOUND'
+});
+
+// Admins cannot ban, demote or remove themselves and lock everyone out
+const rejectSelf = (req, res, next) => {
+    if (req.params.playerId === req.user.playerId) {
+        return res.status(400).json({
+            success: false,
+            message: 'Admins cannot perform this action on themselves',
+            error: 'SELF_ACTION'
+        });
+    }
+
+    next();
+};
+
+// Replace a player's name wherever it was copied: season standings and sessions
+const renamePlayerCopies = async (playerId, username) => {
+    await Promise.all([
+        SeasonStanding.updateMany({ playerId }, { $set: { username } }),
+        GameSession.updateMany(
+            { 'players.playerId': playerId },
+            { $set: { 'players.$[player].username': username } },
+            { arrayFilters: [{ 'player.playerId': playerId }] }
+        ),
+        Team.updateOne(
+            { 'members.playerId': playerId },
+            { $set: { 'members.$.username': username } }
+        )
+    ]);
+};
+
+const disconnectPlayer = (req, playerId, reason) => {
+    if (req.app.locals.socketService) {
+        req.app.locals.socketService.disconnectPlayer(playerId, reason);
+    }
+};
+
+/**
+ * @route   POST /api/admin/players/:playerId/ban
+ * @desc    Ban a player: no logins, no score updates, off every leaderboard
+ * @access  Admin
+ */
+router.post('/players/:playerId/ban', validatePlayerId, rejectSelf, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { reason } = req.body;
+
+        const player = await Player.findOneAndUpdate(
+            { playerId },
+            {
+                $set: {
+                    ban: {
+                        active: true,
+                        reason,
+                        bannedAt: new Date(),
+                        bannedBy: req.user.playerId
+                    },
+                    isOnline: false
+                }
+            },
+            { new: true }
+        );
+
+        if (!player) {
+            return playerNotFound(res);
+        }
+
+        await audit(req, 'player_ban', 'player', playerId);
+        disconnectPlayer(req, playerId, 'Player is banned');
+
+        res.status(200).json({
+            success: true,
+            message: 'Player banned',
+            data: { playerId, username: player.username, ban: player.ban }
+        });
+
+    } catch (error) {
+        console.error('Error banning player:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to ban player',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/unban
+ * @desc    Lift a player's ban
+ * @access  Admin
+ */
+router.post('/players/:playerId/unban', validatePlayerId, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+
+        const previous = await Player.findOne({ playerId }).select('ban').lean();
+        if (!previous) {
+            return playerNotFound(res);
+        }
+
+        const player = await Player.findOneAndUpdate(
+            { playerId },
+            { $set: { ban: { active: false, reason: null, bannedAt: null, bannedBy: null } } },
+            { new: true }
+        );
+
+        await audit(req, 'player_unban', 'player', playerId, { previousBan: previous.ban || null });
+
+        res.status(200).json({
+            success: true,
+            message: 'Player unbanned',
+            data: { playerId, username: player.username }
+        });
+
+    } catch (error) {
+        console.error('Error unbanning player:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unban player',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/shadow-ban
+ * @desc    Shadow-ban a player: they play on, but nobody else sees them
+ * @access  Admin
+ */
+router.post('/players/:playerId/shadow-ban', validatePlayerId, rejectSelf, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { reason } = req.body;
+
+        const player = await Player.findOneAndUpdate(
+            { playerId },
+            {
+                $set: {
+                    shadowBan: {
+                        active: true,
+                        reason,
+                        bannedAt: new Date(),
+                        bannedBy: req.user.playerId
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!player) {
+            return playerNotFound(res);
+        }
+
+        await audit(req, 'player_shadow_ban', 'player', playerId);
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.setShadowBanned(playerId, true);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Player shadow-banned',
+            data: { playerId, username: player.username, shadowBan: player.shadowBan }
+        });
+
+    } catch (error) {
+        console.error('Error shadow-banning player:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to shadow-ban player',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/shadow-unban
+ * @desc    Lift a player's shadow-ban
+ * @access  Admin
+ */
+router.post('/players/:playerId/shadow-unban', validatePlayerId, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+
+        const previous = await Player.findOne({ playerId }).select('shadowBan').lean();
+        if (!previous) {
+            return playerNotFound(res);
+        }
+
+        const player = await Player.findOneAndUpdate(
+            { playerId },
+            { $set: { shadowBan: { active: false, reason: null, bannedAt: null, bannedBy: null } } },
+            { new: true }
+        );
+
+        await audit(req, 'player_shadow_unban', 'player', playerId, { previousShadowBan: previous.shadowBan || null });
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.setShadowBanned(playerId, false);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Player shadow-ban lifted',
+            data: { playerId, username: player.username }
+        });
+
+    } catch (error) {
+        console.error('Error lifting shadow-ban:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to lift shadow-ban',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/players/:playerId/role
+ * @desc    Grant or revoke a role
+ * @access  Admin
+ */
+router.put('/players/:playerId/role', validatePlayerId, rejectSelf, validateAdminRole, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { role } = req.body;
+
+        const previous = await Player.findOneAndUpdate({ playerId }, { $set: { role } }).lean();
+        if (!previous) {
+            return playerNotFound(res);
+        }
+
+        await audit(req, 'player_role', 'player', playerId, { previousRole: previous.role, role });
+
+        res.status(200).json({
+            success: true,
+            message: 'Player role updated',
+            data: { playerId, username: previous.username, previousRole: previous.role, role }
+        });
+
+    } catch (error) {
+        console.error('Error updating player role:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update player role',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/password-claim
+ * @desc    Issue a one-time code a player created before passwords uses to
+ *          set one; a new code replaces any earlier one
+ * @access  Admin
+ */
+router.post('/players/:playerId/password-claim', validatePlayerId, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { code, codeHash, expiresAt } = createPasswordClaim();
+
+        const player = await Player.findOneAndUpdate(
+            { playerId, passwordHash: null },
+            { $set: { passwordClaim: { codeHash, expiresAt } } }
+        ).lean();
+
+        if (!player) {
+            if (!(await Player.exists({ playerId }))) {
+                return playerNotFound(res);
+            }
+            return res.status(409).json({
+                success: false,
+                message: 'Player already has a password',
+                error: 'PASSWORD_ALREADY_SET'
+            });
+        }
+
+        // The code itself is only ever shown to the admin who issued it
+        await audit(req, 'player_password_claim', 'player', playerId, { expiresAt });
+
+        res.status(201).json({
+            success: true,
+            message: 'Password claim code issued',
+            data: { playerId, username: player.username, code, expiresAt }
+        });
+
+    } catch (error) {
+        console.error('Error issuing password claim:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue password claim',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/score
+ * @desc    Reset a player's score in a game mode, or adjust it by a delta
+ * @access  Admin
+ */
+router.post('/players/:playerId/score', validatePlayerId, validateAdminScore, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { action, gameMode, delta, reason } = req.body;
+        const op = action === 'reset' ? 'set' : 'increment';
+        const value = action === 'reset' ? 0 : delta;
+
+        const updatedPlayer = await Player.updatePlayerScore(playerId, value, gameMode, {
+            source: 'admin',
+            reason,
+            actor: { kind: 'admin', id: req.user.playerId, ip: req.ip }
+        }, { op });
+
+        if (!updatedPlayer) {
+            return playerNotFound(res);
+        }
+
+        const mode = gameMode || updatedPlayer.currentGameMode;
+        const previousScore = updatedPlayer.$locals.previousScore;
+        const newScore = Player.getModeScore(updatedPlayer, mode);
+
+        await audit(req, `score_${action}`, 'player', playerId, {
+            gameMode: mode,
+            previousScore,
+            newScore
+        });
+
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.notifyTierChange(updatedPlayer);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: action === 'reset' ? 'Score reset' : 'Score adjusted',
+            data: { playerId, gameMode: mode, previousScore, newScore }
+        });
+
+    } catch (error) {
+        console.error('Error changing player score:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change player score',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/players/:playerId/anonymize
+ * @desc    Strip a player's personal data but keep their scores and history
+ * @access  Admin
+ */
+router.post('/players/:playerId/anonymize', validatePlayerId, rejectSelf, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const username = `anonymous-${playerId.slice(0, 8)}`;
+
+        const player = await Player.findOneAndUpdate(
+            { playerId },
+            {
+                $set: {
+                    username,
+                    passwordHash: null,
+                    profilePicture: null,
+                    isOnline: false
+                },
+                $unset: { email: '' }
+            },
+            { new: true }
+        );
+
+        if (!player) {
+            return playerNotFound(res);
+        }
+
+        await Promise.all([
+            renamePlayerCopies(playerId, username),
+            ScoreChange.updateMany({ playerId }, { $set: { 'actor.ip': null } })
+        ]);
+
+        await audit(req, 'player_anonymize', 'player', playerId);
+        disconnectPlayer(req, playerId, 'Player was anonymized');
+
+        res.status(200).json({
+            success: true,
+            message: 'Player anonymized',
+            data: { playerId, username }
+        });
+
+    } catch (error) {
+        console.error('Error anonymizing player:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to anonymize player',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/players/:playerId
+ * @desc    Delete a player and their score history
+ * @access  Admin
+ */
+router.delete('/players/:playerId', validatePlayerId, rejectSelf, validateAdminReason, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+
+        const player = await Player.findOneAndDelete({ playerId });
+        if (!player) {
+            return playerNotFound(res);
+        }
+
+        const [scoreChanges] = await Promise.all([
+            ScoreChange.deleteMany({ playerId }),
+            renamePlayerCopies(playerId, 'deleted-player')
+        ]);
+
+        // A deleted player leaves their team's roster
+        const team = await Team.findByMember(playerId);
+        if (team) {
+            await team.removeMember(playerId);
+        }
+
+        await audit(req, 'player_delete', 'player', playerId, {
+            username: player.username,
+            scoreChangesDeleted: scoreChanges.deletedCount
+        });
+        disconnectPlayer(req, playerId, 'Player was deleted');
+
+        res.status(200).json({
+            success: true,
+            message: 'Player deleted',
+            data: { playerId, scoreChangesDeleted: scoreChanges.deletedCount }
+        });
+
+    } catch (error) {
+        console.error('Error deleting player:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete player',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/sessions/:sessionId/end
+ * @desc    Force-end an active session, awarding final scores as usual
+ * @access  Admin
+ */
+router.post('/sessions/:sessionId/end', validateSessionId, validateAdminReason, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const finalResults = await finishSession(sessionId, req.app.locals.socketService, {
+            reason: 'ended by admin'
+        });
+
+        await audit(req, 'session_end', 'session', sessionId, {
+            finalScores: finalResults.finalScores.map(({ playerId, position }) => ({ playerId, position }))
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Session ended',
+            data: finalResults
+        });
+
+    } catch (error) {
+        console.error('Error force-ending session:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end session',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/sessions/:sessionId/void
+ * @desc    Void a waiting or active session: it is abandoned and awards nothing.
+ *          Scores already applied during the session are left as they are.
+ * @access  Admin
+ */
+router.post('/sessions/:sessionId/void', validateSessionId, validateAdminReason, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { reason } = req.body;
+
+        const session = await GameSession.voidSession(sessionId, reason);
+
+        await audit(req, 'session_void', 'session', sessionId, {
+            players: session.players.map(player => player.playerId)
+        });
+
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.io.to(`session:${sessionId}`).emit('session:voided', {
+                sessionId,
+                reason,
+                timestamp: Date.now()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session voided',
+            data: { sessionId, status: session.status, endedAt: session.endedAt }
+        });
+
+    } catch (error) {
+        console.error('Error voiding session:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to void session',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/sessions/:sessionId/events
+ * @desc    Purge a session's real-time events, optionally only those before
+ *          a date or of one event type
+ * @access  Admin
+ */
+router.delete('/sessions/:sessionId/events', validateSessionId, validateAdminPurgeEvents, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { before, eventType } = req.body;
+
+        const session = await GameSession.findOne({ sessionId }).select('sessionId').lean();
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        const condition = { sessionId };
+        if (before) condition.timestamp = { $lt: before };
+        if (eventType) condition.eventType = eventType;
+
+        const { deletedCount: purged } = await SessionEvent.deleteMany(condition);
+
+        await audit(req, 'session_events_purge', 'session', sessionId, {
+            before: before || null,
+            eventType: eventType || null,
+            purged
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Session events purged',
+            data: { sessionId, purged }
+        });
+
+    } catch (error) {
+        console.error('Error purging session events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to purge session events',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Query the admin audit trail, newest first
+ * @access  Admin
+ */
+router.get('/audit', validateAdminAuditQuery, async (req, res) => {
+    try {
+        const { action, actorId, targetType, targetId, from, to, limit, page } = req.query;
+        const skip = (page - 1) * limit;
+
+        const { entries, total } = await AdminAuditLog.getTrail({
+            action,
+            actorId,
+            targetType,
+            targetId,
+            from,
+            to,
+            limit,
+            skip
+        });
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entries: entries.map(entry => ({
+                    id: entry._id,
+                    timestamp: entry.createdAt,
+                    action: entry.action,
+                    actor: entry.actor,
+                    targetType: entry.targetType,
+                    targetId: entry.targetId,
+                    reason: entry.reason,
+                    details: entry.details
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalEntries: total,
+                    hasNextPage: page < totalPages,
+                    hasPreviousPage: page > 1,
+                    entriesPerPage: limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching admin audit trail:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit trail',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/violations
+ * @desc    List score updates rejected by the plausibility rules, newest first
+ * @access  Admin
+ */
+router.get('/violations', validateAdminViolationsQuery, async (req, res) => {
+    try {
+        const { playerId, code, limit, page } = req.query;
+        const skip = (page - 1) * limit;
+
+        const { violations, total } = await ScoreViolation.getViolations({ playerId, code, limit, skip });
+        const totalPages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                violations: violations.map(violation => ({
+                    id: violation._id,
+                    timestamp: violation.createdAt,
+                    playerId: violation.playerId,
+                    sessionId: violation.sessionId,
+                    gameMode: violation.gameMode,
+                    code: violation.code,
+                    source: violation.source,
+                    previousScore: violation.previousScore,
+                    submittedScore: violation.submittedScore,
+                    details: violation.details,
+                    actor: violation.actor
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalViolations: total,
+                    hasNextPage: page < totalPages,
+                    hasPreviousPage: page > 1,
+                    violationsPerPage: limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching score violations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch score violations',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/quarantine
+ * @desc    List held score updates; pending ones oldest first
+ * @access  Moderator
+ */
+router.get('/quarantine', validateQuarantineQuery, async (req, res) => {
+    try {
+        const { status, playerId, gameMode, limit, page } = req.query;
+        const skip = (page - 1) * limit;
+
+        const { entries, total } = await ScoreQuarantine.getQueue({ status, playerId, gameMode, limit, skip });
+        const totalPages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entries: entries.map(entry => ({
+                    id: entry._id,
+                    heldAt: entry.createdAt,
+                    playerId: entry.playerId,
+                    gameMode: entry.gameMode,
+                    op: entry.op,
+                    value: entry.value,
+                    previousScore: entry.previousScore,
+                    submittedScore: entry.submittedScore,
+                    flags: entry.flags,
+                    context: entry.context,
+                    status: entry.status,
+                    review: entry.review
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalEntries: total,
+                    hasNextPage: page < totalPages,
+                    hasPreviousPage: page > 1,
+                    entriesPerPage: limit
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching quarantine queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch quarantine queue',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+// Load a pending entry and mark it reviewed; entries are reviewed oldest first per player and mode.
+// Returns the entry, or null after sending the error response.
+const claimQuarantine = async (req, res, status) => {
+    const entry = await ScoreQuarantine.findById(req.params.quarantineId).lean();
+
+    if (!entry) {
+        res.status(404).json({
+            success: false,
+            message: 'Quarantine entry not found',
+            error: 'QUARANTINE_NOT_FOUND'
+        });
+        return null;
+    }
+
+    const older = entry.status === 'pending' && await ScoreQuarantine.getOlderPending(entry);
+    if (older) {
+        res.status(409).json({
+            success: false,
+            message: 'An earlier update of this player in this game mode must be reviewed first',
+            error: 'QUARANTINE_OUT_OF_ORDER',
+            data: { pendingId: older._id }
+        });
+        return null;
+    }
+
+    const claimed = await ScoreQuarantine.findOneAndUpdate(
+        { _id: entry._id, status: 'pending' },
+        { $set: { status, review: { by: req.user.playerId, at: new Date(), reason: req.body.reason } } },
+        { new: true }
+    ).lean();
+
+    if (!claimed) {
+        res.status(409).json({
+            success: false,
+            message: 'Quarantine entry was already reviewed',
+            error: 'QUARANTINE_ALREADY_REVIEWED'
+        });
+        return null;
+    }
+
+    return claimed;
+};
+
+/**
+ * @route   POST /api/admin/quarantine/:quarantineId/approve
+ * @desc    Approve a held score update and apply it
+ * @access  Moderator
+ */
+router.post('/quarantine/:quarantineId/approve', validateQuarantineId, validateAdminReason, async (req, res) => {
+    try {
+        const entry = await claimQuarantine(req, res, 'approved');
+        if (!entry) return;
+
+        const updatedPlayer = await Player.updatePlayerScore(
+            entry.playerId, entry.value, entry.gameMode, entry.context,
+            { op: entry.op, completed: entry.completed, result: entry.result }
+        );
+        const newScore = updatedPlayer ? Player.getModeScore(updatedPlayer, entry.gameMode) : null;
+
+        await audit(req, 'score_approve', 'player', entry.playerId, {
+            quarantineId: entry._id,
+            gameMode: entry.gameMode,
+            previousScore: updatedPlayer ? updatedPlayer.$locals.previousScore : null,
+            newScore
+        });
+
+        const socketService = req.app.locals.socketService;
+        if (socketService && updatedPlayer) {
+            socketService.broadcastPlayerScore(updatedPlayer, {
+                playerId: updatedPlayer.playerId,
+                username: updatedPlayer.username,
+                oldScore: updatedPlayer.$locals.previousScore,
+                newScore: updatedPlayer.currentScore,
+                delta: updatedPlayer.currentScore - updatedPlayer.$locals.previousScore,
+                op: entry.op,
+                gameMode: entry.gameMode,
+                region: updatedPlayer.region,
+                timestamp: Date.now(),
+                reason: entry.context.reason || 'score_update'
+            });
+            socketService.notifyTierChange(updatedPlayer);
+            socketService.notifyPlayer(entry.playerId, 'score:reviewed', {
+                quarantineId: entry._id,
+                status: 'approved',
+                gameMode: entry.gameMode,
+                score: newScore,
+                timestamp: Date.now()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: updatedPlayer ? 'Score update approved and applied' : 'Score update approved; the player no longer exists',
+            data: {
+                quarantineId: entry._id,
+                playerId: entry.playerId,
+                gameMode: entry.gameMode,
+                applied: Boolean(updatedPlayer),
+                score: newScore
+            }
+        });
+
+    } catch (error) {
+        console.error('Error approving held score:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve held score',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/quarantine/:quarantineId/reject
+ * @desc    Reject a held score update; it is never applied
+ * @access  Moderator
+ */
+router.post('/quarantine/:quarantineId/reject', validateQuarantineId, validateAdminReason, async (req, res) => {
+    try {
+        const entry = await claimQuarantine(req, res, 'rejected');
+        if (!entry) return;
+
+        await audit(req, 'score_reject', 'player', entry.playerId, {
+            quarantineId: entry._id,
+            gameMode: entry.gameMode,
+            submittedScore: entry.submittedScore
+        });
+
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.notifyPlayer(entry.playerId, 'score:reviewed', {
+                quarantineId: entry._id,
+                status: 'rejected',
+                gameMode: entry.gameMode,
+                timestamp: Date.now()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Score update rejected',
+            data: { quarantineId: entry._id, playerId: entry.playerId, gameMode: entry.gameMode }
+        });
+
+    } catch (error) {
+        console.error('Error rejecting held score:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject held score',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+const formatGameServer = (server) => ({
+    serverId: server.serverId,
+    name: server.name,
+    gameModes: server.gameModes,
+    active: server.active,
+    createdBy: server.createdBy,
+    createdAt: server.createdAt,
+    revokedAt: server.revokedAt,
+    lastSeenAt: server.lastSeenAt
+});
+
+/**
+ * @route   POST /api/admin/game-servers
+ * @desc    Register a game server; its signing secret is only returned here
+ * @access  Admin
+ */
+router.post('/game-servers', validateAdminGameServer, async (req, res) => {
+    try {
+        const { name, gameModes } = req.body;
+        const secret = generateServerSecret();
+
+        const server = await GameServer.create({
+            name,
+            gameModes,
+            secret,
+            createdBy: req.user.playerId
+        });
+
+        await audit(req, 'game_server_register', 'game_server', server.serverId, { name, gameModes });
+
+        res.status(201).json({
+            success: true,
+            message: 'Game server registered',
+            data: {
+                ...formatGameServer(server),
+                secret
+            }
+        });
+
+    } catch (error) {
+        console.error('Error registering game server:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register game server',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/game-servers
+ * @desc    List registered game servers, newest first
+ * @access  Admin
+ */
+router.get('/game-servers', async (req, res) => {
+    try {
+        const servers = await GameServer.find().sort({ createdAt: -1 }).lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                gameServers: servers.map(formatGameServer)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching game servers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch game servers',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/admin/game-servers/:serverId/revoke
+ * @desc    Revoke a game server; its signed requests are refused from now on
+ * @access  Admin
+ */
+router.post('/game-servers/:serverId/revoke', validateAdminReason, async (req, res) => {
+    try {
+        const { serverId } = req.params;
+
+        const server = await GameServer.findOneAndUpdate(
+            { serverId, active: true },
+            { $set: { active: false, revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!server) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active game server not found',
+                error: 'GAME_SERVER_NOT_FOUND'
+            });
+        }
+
+        await audit(req, 'game_server_revoke', 'game_server', serverId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Game server revoked',
+            data: formatGameServer(server)
+        });
+
+    } catch (error) {
+        console.error('Error revoking game server:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke game server',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const Player = require('../models/Player');
+const { hashPassword, verifyPassword, hashClaimCode, verifyClaimCode, issueToken } = require('../services/authService');
+const { validateLogin, validatePasswordClaim } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Body of a successful login: a fresh token and who it belongs to
+const loginData = (player) => {
+    const { token, expiresIn } = issueToken(player);
+
+    return {
+        token,
+        tokenType: 'Bearer',
+        expiresIn,
+        player: {
+            playerId: player.playerId,
+            username: player.username,
+            region: player.region,
+            role: player.role
+        }
+    };
+};
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Exchange a username and password for an access token
+ * @access  Public
+ */
+router.post('/login', validateLogin, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        const player = await Player.findOne({ username }).select('+passwordHash');
+        const valid = player && await verifyPassword(password, player.passwordHash);
+
+        if (!valid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password',
+                error: 'INVALID_CREDENTIALS'
+            });
+        }
+
+        if (player.ban && player.ban.active) {
+            return res.status(403).json({
+                success: false,
+                message: 'Player is banned',
+                error: 'PLAYER_BANNED'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            data: loginData(player)
+        });
+
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/claim
+ * @desc    Set the first password of a player created before passwords, with
+ *          the one-time code an admin issued, and log in
+ * @access  Public
+ */
+router.post('/claim', validatePasswordClaim, async (req, res) => {
+    try {
+        const { username, code, password } = req.body;
+
+        const player = await Player.findOne({ username })
+            .select('+passwordHash +passwordClaim.codeHash +passwordClaim.expiresAt');
+
+        if (!player || !verifyClaimCode(code, player.passwordClaim)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired claim code',
+                error: 'INVALID_CLAIM_CODE'
+            });
+        }
+
+        if (player.passwordHash) {
+            return res.status(409).json({
+                success: false,
+                message: 'Player already has a password',
+                error: 'PASSWORD_ALREADY_SET'
+            });
+        }
+
+        if (player.ban && player.ban.active) {
+            return res.status(403).json({
+                success: false,
+                message: 'Player is banned',
+                error: 'PLAYER_BANNED'
+            });
+        }
+
+        // The code is used up in the same write, so it cannot set a password twice
+        const claimed = await Player.findOneAndUpdate(
+            { playerId: player.playerId, passwordHash: null, 'passwordClaim.codeHash': hashClaimCode(code) },
+            { $set: { passwordHash: await hashPassword(password), passwordClaim: { codeHash: null, expiresAt: null } } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired claim code',
+                error: 'INVALID_CLAIM_CODE'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Password set successfully',
+            data: loginData(claimed)
+        });
+
+    } catch (error) {
+        console.error('Error claiming password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set password',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,58 +1,71 @@
 const express = require('express');
 const Player = require('../models/Player');
-const { validateLeaderboardQuery } = require('../middleware/validation');
+const Team = require('../models/Team');
+const { validateLeaderboardQuery, validateTeamLeaderboardQuery } = require('../middleware/validation');
+const { identify } = require('../middleware/auth');
+const { LEADERBOARD_WINDOWS } = require('../config/leaderboardPeriods');
+const { decodeCursor } = require('../services/rankingService');
+const { getPlayerTier } = require('../services/tierService');
 const _ = require('lodash');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/leaderboard
- * @desc    Get leaderboard with filtering options
+ * @desc    Get leaderboard with filtering options. Paginate with `page`, or
+ *          with the `after` / `before` cursors returned in `pagination.cursors`
  * @access  Public
  */
 router.get('/', validateLeaderboardQuery, async (req, res) => {
     try {
-        const { limit, page, region, gameMode, onlineOnly } = req.query;
-        const skip = (page - 1) * limit;
+        const { limit, page, region, gameMode, onlineOnly, window, after, before } = req.query;
+        const usingCursor = Boolean(after || before);
+        const skip = usingCursor ? 0 : (page - 1) * limit;
         
         const leaderboardOptions = {
             limit,
             skip,
             region,
             gameMode,
-            onlineOnly
+            onlineOnly,
+            window
         };
         
+        if (usingCursor) {
+            const standing = decodeCursor(after || before, leaderboardOptions);
+            
+            if (!standing) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired cursor for this leaderboard',
+                    error: 'INVALID_CURSOR'
+                });
+            }
+            
+            leaderboardOptions[after ? 'after' : 'before'] = standing;
+        }
+        
         // Get leaderboard data
-        const players = await Player.getLeaderboard(leaderboardOptions);
+        const { rows: players, next, prev } = await Player.getLeaderboardPage(leaderboardOptions);
         
         // Get total count for pagination
-        const matchConditions = {};
-        if (region && region !== 'GLOBAL') {
-            matchConditions.region = region;
-        }
-        if (gameMode) {
-            matchConditions.currentGameMode = gameMode;
-        }
-        if (onlineOnly) {
-            matchConditions.isOnline = true;
-        }
-        
-        const totalPlayers = await Player.countDocuments(matchConditions);
+        const totalPlayers = await Player.countLeaderboard(leaderboardOptions);
         const totalPages = Math.ceil(totalPlayers / limit);
         
         // Add rank to each player
-        const leaderboardWithRanks = players.map((player, index) => ({
-            rank: skip + index + 1,
+        const leaderboardWithRanks = players.map(player => ({
+            rank: player.rank,
             playerId: player.playerId,
             username: player.username,
-            currentScore: player.currentScore,
+            currentScore: player.score,
+            windowScore: player.windowScore,
             region: player.region,
-            gameMode: player.currentGameMode,
+            gameMode: gameMode || player.currentGameMode,
             isOnline: player.isOnline,
             lastActiveAt: player.lastActiveAt,
             profilePicture: player.profilePicture,
             gameStats: player.gameStats,
+            tier: player.tier,
             winRate: ((player.gameStats.wins / Math.max(
                 player.gameStats.wins + player.gameStats.losses + player.gameStats.draws, 1
             )) * 100).toFixed(2)
@@ -63,17 +76,19 @@ router.get('/', validateLeaderboardQuery, async (req, res) => {
             data: {
                 leaderboard: leaderboardWithRanks,
                 pagination: {
-                    currentPage: page,
+                    currentPage: usingCursor ? null : page,
                     totalPages,
                     totalPlayers,
-                    hasNextPage: page < totalPages,
-                    hasPreviousPage: page > 1,
-                    playersPerPage: limit
+                    hasNextPage: next !== null,
+                    hasPreviousPage: prev !== null,
+                    playersPerPage: limit,
+                    cursors: { next, prev }
                 },
                 filters: {
                     region: region || 'ALL',
                     gameMode: gameMode || 'ALL',
-                    onlineOnly
+                    onlineOnly,
+                    window
                 },
                 meta: {
                     generatedAt: new Date(),
@@ -111,26 +126,37 @@ router.get('/top/:count', async (req, res) => {
             });
         }
         
-        const { region, gameMode, onlineOnly } = req.query;
+        const { region, gameMode, onlineOnly, window = 'alltime' } = req.query;
+        
+        if (!LEADERBOARD_WINDOWS.includes(window)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid window. Must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`,
+                error: 'INVALID_WINDOW'
+            });
+        }
         
         const topPlayers = await Player.getLeaderboard({
             limit: count,
             skip: 0,
             region,
             gameMode,
-            onlineOnly: onlineOnly === 'true'
+            onlineOnly: onlineOnly === 'true',
+            window
         });
         
-        const topPlayersWithRanks = topPlayers.map((player, index) => ({
-            rank: index + 1,
+        const topPlayersWithRanks = topPlayers.map(player => ({
+            rank: player.rank,
             playerId: player.playerId,
             username: player.username,
-            currentScore: player.currentScore,
+            currentScore: player.score,
+            windowScore: player.windowScore,
             region: player.region,
-            gameMode: player.currentGameMode,
+            gameMode: gameMode || player.currentGameMode,
             isOnline: player.isOnline,
             profilePicture: player.profilePicture,
-            gameStats: player.gameStats
+            gameStats: player.gameStats,
+            tier: player.tier
         }));
         
         res.status(200).json({
@@ -141,7 +167,8 @@ router.get('/top/:count', async (req, res) => {
                 filters: {
                     region: region || 'ALL',
                     gameMode: gameMode || 'ALL',
-                    onlineOnly: onlineOnly === 'true'
+                    onlineOnly: onlineOnly === 'true',
+                    window
                 }
             }
         });
@@ -177,13 +204,14 @@ router.get('/regions', async (req, res) => {
                 
                 return {
                     region,
-                    players: players.map((player, index) => ({
-                        rank: index + 1,
+                    players: players.map(player => ({
+                        rank: player.rank,
                         playerId: player.playerId,
                         username: player.username,
-                        currentScore: player.currentScore,
+                        currentScore: player.score,
                         isOnline: player.isOnline,
-                        gameMode: player.currentGameMode
+                        gameMode: gameMode || player.currentGameMode,
+                        tier: player.tier
                     }))
                 };
             })
@@ -232,13 +260,14 @@ router.get('/game-modes', async (req, res) => {
                 
                 return {
                     gameMode,
-                    players: players.map((player, index) => ({
-                        rank: index + 1,
+                    players: players.map(player => ({
+                        rank: player.rank,
                         playerId: player.playerId,
                         username: player.username,
-                        currentScore: player.currentScore,
+                        currentScore: player.score,
                         region: player.region,
-                        isOnline: player.isOnline
+                        isOnline: player.isOnline,
+                        tier: player.tier
                     }))
                 };
             })
@@ -266,15 +295,141 @@ router.get('/game-modes', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/leaderboard/ratings
+ * @desc    Get skill rating leaderboard for ranked play
+ * @access  Public
+ */
+router.get('/ratings', async (req, res) => {
+    try {
+        const { limit = 50, page = 1, region, includeProvisional } = req.query;
+        const limitValue = parseInt(limit);
+        const pageValue = parseInt(page);
+        
+        if (isNaN(limitValue) || limitValue < 1 || limitValue > 100 || isNaN(pageValue) || pageValue < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid pagination. Limit must be between 1 and 100 and page at least 1',
+                error: 'INVALID_PAGINATION'
+            });
+        }
+        
+        const matchConditions = {
+            ...Player.buildVisibilityFilter(),
+            'skillRating.lastRatedAt': { $ne: null }
+        };
+        if (region && region !== 'GLOBAL') {
+            matchConditions.region = region;
+        }
+        if (includeProvisional !== 'true') {
+            matchConditions['skillRating.provisional'] = false;
+        }
+        
+        const skip = (pageValue - 1) * limitValue;
+        
+        const [players, totalPlayers] = await Promise.all([
+            Player.find(matchConditions)
+                .sort({ 'skillRating.rating': -1, 'skillRating.deviation': 1 })
+                .skip(skip)
+                .limit(limitValue)
+                .select('playerId username region isOnline profilePicture skillRating')
+                .lean(),
+            Player.countDocuments(matchConditions)
+        ]);
+        
+        const ratingsWithRanks = players.map((player, index) => ({
+            rank: skip + index + 1,
+            playerId: player.playerId,
+            username: player.username,
+            region: player.region,
+            rating: Math.round(player.skillRating.rating),
+            deviation: Math.round(player.skillRating.deviation),
+            ratedGames: player.skillRating.gamesPlayed,
+            provisional: player.skillRating.provisional,
+            isOnline: player.isOnline,
+            profilePicture: player.profilePicture
+        }));
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                leaderboard: ratingsWithRanks,
+                pagination: {
+                    currentPage: pageValue,
+                    totalPages: Math.ceil(totalPlayers / limitValue),
+                    totalPlayers,
+                    playersPerPage: limitValue
+                },
+                filters: {
+                    region: region || 'ALL',
+                    includeProvisional: includeProvisional === 'true'
+                },
+                generatedAt: new Date()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching rating leaderboard:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rating leaderboard',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/leaderboard/teams
+ * @desc    Get the leaderboard of persistent teams, ranked by points earned
+ *          in team-mode sessions
+ * @access  Public
+ */
+router.get('/teams', validateTeamLeaderboardQuery, async (req, res) => {
+    try {
+        const { region, limit, page } = req.query;
+        
+        const { teams, totalTeams } = await Team.getLeaderboard({
+            region,
+            limit,
+            offset: (page - 1) * limit
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                leaderboard: teams,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalTeams / limit),
+                    totalTeams,
+                    teamsPerPage: limit
+                },
+                filters: {
+                    region: region || 'ALL'
+                },
+                generatedAt: new Date()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching team leaderboard:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch team leaderboard',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
 /**
  * @route   GET /api/leaderboard/around/:playerId
  * @desc    Get leaderboard around a specific player
- * @access  Public
+ * @access  Public; a shadow-banned player only sees their own rank with their token
  */
-router.get('/around/:playerId', async (req, res) => {
+router.get('/around/:playerId', identify, async (req, res) => {
     try {
         const { playerId } = req.params;
-        const { range = 5, region, gameMode } = req.query;
+        const { range = 5, region, gameMode, window = 'alltime' } = req.query;
         
         if (!playerId || typeof playerId !== 'string') {
             return res.status(400).json({
@@ -293,6 +448,14 @@ router.get('/around/:playerId', async (req, res) => {
             });
         }
         
+        if (!LEADERBOARD_WINDOWS.includes(window)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid window. Must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`,
+                error: 'INVALID_WINDOW'
+            });
+        }
+        
         // Get the player to check if they exist
         const player = await Player.findOne({ playerId });
         if (!player) {
@@ -303,37 +466,70 @@ router.get('/around/:playerId', async (req, res) => {
             });
         }
         
-        // Get player's rank
-        const playerRank = await Player.getPlayerRank(playerId, {
+        const boardOptions = {
             region: region || player.region,
-            gameMode: gameMode || player.currentGameMode
-        });
+            gameMode: gameMode || player.currentGameMode,
+            window
+        };
+        
+        // Get player's rank, and their position on the board to fetch around
+        const rankVisible = Player.isRankVisibleTo(player, req.user && req.user.playerId);
+        const playerRank = await Player.getPlayerRank(playerId, boardOptions);
+        const position = await Player.getPlayerRank(playerId, { ...boardOptions, style: 'ordinal' });
         
         // Calculate the range to fetch
-        const startRank = Math.max(1, playerRank - rangeValue);
-        const endRank = playerRank + rangeValue;
-        const skip = startRank - 1;
-        const limit = endRank - startRank + 1;
+        const startPosition = Math.max(1, position - rangeValue);
+        const skip = startPosition - 1;
+        const limit = position + rangeValue - startPosition + 1;
         
         // Get players around the target player
         const playersAround = await Player.getLeaderboard({
+            ...boardOptions,
             limit,
-            skip,
-            region: region || player.region,
-            gameMode: gameMode || player.currentGameMode
+            skip
         });
         
-        const playersWithRanks = playersAround.map((p, index) => ({
-            rank: startRank + index,
+        // Points earned in the window, for windowed boards only
+        const windowScore = window !== 'alltime'
+            ? await Player.getRankedScore(player, boardOptions)
+            : undefined;
+        
+        // A shadow-banned player is on nobody else's board, but sees
+        // themselves in their own window, at the rank they are told they hold
+        if (Player.isShadowBanned(player) && rankVisible) {
+            const modeStats = boardOptions.gameMode && player.modeStats ? player.modeStats[boardOptions.gameMode] : null;
+            playersAround.splice(position - startPosition, 0, {
+                rank: playerRank,
+                playerId: player.playerId,
+                username: player.username,
+                score: Player.getModeScore(player, boardOptions.gameMode),
+                windowScore,
+                region: player.region,
+                isOnline: player.isOnline,
+                profilePicture: player.profilePicture,
+                gameStats: modeStats
+                    ? { wins: modeStats.wins, losses: modeStats.losses, draws: modeStats.draws }
+                    : player.gameStats,
+                tier: await getPlayerTier(Player, player, boardOptions.gameMode)
+            });
+            playersAround.splice(limit);
+        }
+        
+        // Anyone else is not told the rank of a shadow-banned player
+        const shownRank = rankVisible ? playerRank : null;
+        const playersWithRanks = playersAround.map(p => ({
+            rank: p.rank,
             playerId: p.playerId,
             username: p.username,
-            currentScore: p.currentScore,
+            currentScore: p.score,
+            windowScore: p.windowScore,
             region: p.region,
-            gameMode: p.currentGameMode,
+            gameMode: boardOptions.gameMode,
             isOnline: p.isOnline,
             isTargetPlayer: p.playerId === playerId,
             profilePicture: p.profilePicture,
-            gameStats: p.gameStats
+            gameStats: p.gameStats,
+            tier: p.tier
         }));
         
         res.status(200).json({
@@ -342,19 +538,19 @@ router.get('/around/:playerId', async (req, res) => {
                 targetPlayer: {
                     playerId: player.playerId,
                     username: player.username,
-                    currentRank: playerRank,
-                    currentScore: player.currentScore
+                    currentRank: shownRank,
+                    currentScore: Player.getModeScore(player, boardOptions.gameMode),
+                    windowScore
                 },
                 playersAround: playersWithRanks,
                 range: {
-                    startRank,
-                    endRank,
+                    startRank: playersWithRanks.length > 0 ? playersWithRanks[0].rank : shownRank,
+                    endRank: playersWithRanks.length > 0
+                        ? playersWithRanks[playersWithRanks.length - 1].rank
+                        : shownRank,
                     rangeRequested: rangeValue
                 },
-                filters: {
-                    region: region || player.region,
-                    gameMode: gameMode || player.currentGameMode
-                }
+                filters: boardOptions
             }
         });
         
@@ -378,13 +574,9 @@ router.get('/stats', async (req, res) => {
         const { region, gameMode } = req.query;
         
         // Build match conditions
-        const matchConditions = {};
-        if (region && region !== 'GLOBAL') {
-            matchConditions.region = region;
-        }
-        if (gameMode) {
-            matchConditions.currentGameMode = gameMode;
-        }
+        const matchConditions = Player.buildLeaderboardFilter({ region, gameMode });
+        const scoreField = `$${Player.getScoreField(gameMode)}`;
+        const gamesPlayedField = gameMode ? `$modeStats.${gameMode}.gamesPlayed` : '$totalGamesPlayed';
         
         // Get aggregated statistics
         const [
@@ -401,10 +593,10 @@ router.get('/stats', async (req, res) => {
                 {
                     $group: {
                         _id: null,
-                        averageScore: { $avg: '$currentScore' },
-                        maxScore: { $max: '$currentScore' },
-                        minScore: { $min: '$currentScore' },
-                        totalGamesPlayed: { $sum: '$totalGamesPlayed' }
+                        averageScore: { $avg: scoreField },
+                        maxScore: { $max: scoreField },
+                        minScore: { $min: scoreField },
+                        totalGamesPlayed: { $sum: gamesPlayedField }
                     }
                 }
             ]),
@@ -414,7 +606,7 @@ router.get('/stats', async (req, res) => {
                     $group: {
                         _id: '$region',
                         count: { $sum: 1 },
-                        averageScore: { $avg: '$currentScore' }
+                        averageScore: { $avg: scoreField }
                     }
                 },
                 { $sort: { count: -1 } }
@@ -498,6 +690,7 @@ router.get('/live', async (req, res) => {
         const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
         
         const matchConditions = {
+            ...Player.buildVisibilityFilter(),
             lastActiveAt: { $gte: fiveMinutesAgo }
         };
         
@@ -0,0 +1,94 @@
+const express = require('express');
+const Player = require('../models/Player');
+const matchmaking = require('../services/matchmakingService');
+const { authenticate } = require('../middleware/auth');
+const { validateMatchmakingEnqueue } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/matchmaking/queue
+ * @desc    Queue for a match in a region and game mode, replacing any
+ *          earlier ticket. The match arrives as `matchmaking:matched` on the
+ *          player's socket, or through GET /api/matchmaking/queue.
+ * @access  Authenticated player
+ */
+router.post('/queue', validateMatchmakingEnqueue, async (req, res) => {
+    try {
+        const { region, gameMode } = req.body;
+
+        const player = await Player.findOne({ playerId: req.user.playerId })
+            .select('playerId username currentScore modeStats skillRating')
+            .lean();
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+
+        const ticket = matchmaking.enqueue(player, { region, gameMode, source: 'rest' });
+
+        res.status(201).json({
+            success: true,
+            message: 'Queued for matchmaking',
+            data: matchmaking.formatTicket(ticket)
+        });
+
+    } catch (error) {
+        console.error('Error joining matchmaking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to join matchmaking',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/matchmaking/queue
+ * @desc    The caller's ticket with its estimated wait, or their match
+ * @access  Authenticated player
+ */
+router.get('/queue', (req, res) => {
+    const status = matchmaking.getStatus(req.user.playerId);
+    if (!status) {
+        return res.status(404).json({
+            success: false,
+            message: 'Not queued for matchmaking',
+            error: 'NOT_QUEUED'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: status
+    });
+});
+
+/**
+ * @route   DELETE /api/matchmaking/queue
+ * @desc    Leave the matchmaking queue
+ * @access  Authenticated player
+ */
+router.delete('/queue', (req, res) => {
+    const ticket = matchmaking.cancel(req.user.playerId);
+    if (!ticket) {
+        return res.status(404).json({
+            success: false,
+            message: 'Not queued for matchmaking',
+            error: 'NOT_QUEUED'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Left the matchmaking queue',
+        data: { playerId: ticket.playerId, region: ticket.region, gameMode: ticket.gameMode }
+    });
+});
+
+module.exports = router;
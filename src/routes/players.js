@@ -1,11 +1,24 @@
 const express = require('express');
 const Player = require('../models/Player');
+const Season = require('../models/Season');
+const SeasonStanding = require('../models/SeasonStanding');
+const ScoreChange = require('../models/ScoreChange');
+const { GAME_MODES } = require('../config/constants');
+const { getPlayerTier } = require('../services/tierService');
+const { hashPassword, issueToken } = require('../services/authService');
+const { PlausibilityError } = require('../services/plausibilityService');
+const { SignatureError, getSubmissionTrust, getSubmissionActor } = require('../services/signatureService');
+const { authenticate, identify, requireOwnership, verifyGameServer, unlessGameServer } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotent } = require('../middleware/idempotency');
 const {
     validateCreatePlayer,
     validateUpdatePlayer,
     validatePlayerScoreUpdate,
+    validateGameResult,
     validatePlayerId,
-    validateLeaderboardQuery
+    validateLeaderboardQuery,
+    validateScoreHistoryQuery
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -15,9 +28,9 @@ const router = express.Router();
  * @desc    Create a new player
  * @access  Public
  */
-router.post('/', validateCreatePlayer, async (req, res) => {
+router.post('/', rateLimit('playerCreation'), validateCreatePlayer, async (req, res) => {
     try {
-        const { username, email, region, currentGameMode } = req.body;
+        const { username, password, email, region, currentGameMode } = req.body;
         
         // Check if username already exists
         const existingPlayer = await Player.findOne({ username });
@@ -43,6 +56,7 @@ router.post('/', validateCreatePlayer, async (req, res) => {
         
         const newPlayer = new Player({
             username,
+            passwordHash: await hashPassword(password),
             email: email || null,
             region,
             currentGameMode
@@ -68,7 +82,10 @@ router.post('/', validateCreatePlayer, async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Player created successfully',
-            data: playerResponse
+            data: {
+                ...playerResponse,
+                auth: { ...issueToken(savedPlayer), tokenType: 'Bearer' }
+            }
         });
         
     } catch (error) {
@@ -84,9 +101,9 @@ router.post('/', validateCreatePlayer, async (req, res) => {
 /**
  * @route   GET /api/players/:playerId
  * @desc    Get player by ID
- * @access  Public
+ * @access  Public; a shadow-banned player only sees their own rank with their token
  */
-router.get('/:playerId', validatePlayerId, async (req, res) => {
+router.get('/:playerId', validatePlayerId, identify, async (req, res) => {
     try {
         const { playerId } = req.params;
         
@@ -102,13 +119,12 @@ router.get('/:playerId', validatePlayerId, async (req, res) => {
         }
         
         // Get player's rank
-        const rank = await Player.getPlayerRank(playerId, {
-            region: player.region,
-            gameMode: player.currentGameMode
-        });
+        const rank = Player.isRankVisibleTo(player, req.user && req.user.playerId)
+            ? await Player.getPlayerRank(playerId, { region: player.region, gameMode: player.currentGameMode })
+            : null;
         
         const playerResponse = {
-            ...player.toObject(),
+            ...player.toJSON(),
             winRate: player.winRate,
             currentRank: rank
         };
@@ -131,9 +147,9 @@ router.get('/:playerId', validatePlayerId, async (req, res) => {
 /**
  * @route   PUT /api/players/:playerId
  * @desc    Update player information
- * @access  Public (in production, this should require authentication)
+ * @access  Owner (Bearer token of the same player)
  */
-router.put('/:playerId', validatePlayerId, validateUpdatePlayer, async (req, res) => {
+router.put('/:playerId', validatePlayerId, authenticate, requireOwnership(), validateUpdatePlayer, async (req, res) => {
     try {
         const { playerId } = req.params;
         const updateData = req.body;
@@ -202,15 +218,33 @@ router.put('/:playerId', validatePlayerId, validateUpdatePlayer, async (req, res
 
 /**
  * @route   POST /api/players/:playerId/score
- * @desc    Update player score
- * @access  Public (in production, this should require authentication)
+ * @desc    Update player score with an operation: set, increment, max or min
+ * @access  Owner (Bearer token of the same player), or a signed game server
  */
-router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, async (req, res) => {
+router.post('/:playerId/score', validatePlayerId, verifyGameServer, rateLimit('scoreWrites'), unlessGameServer(authenticate, requireOwnership()), idempotent, validatePlayerScoreUpdate, async (req, res) => {
     try {
         const { playerId } = req.params;
-        const { score, gameMode, delta, reason } = req.body;
+        const { op, score, delta, completed, reason } = req.body;
+        
+        // Scores without an explicit mode count towards the player's current mode
+        const player = await Player.findOne({ playerId }).select('currentGameMode').lean();
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+        const gameMode = req.body.gameMode || player.currentGameMode;
+        const { verified } = getSubmissionTrust(req.gameServer, gameMode);
         
-        const updatedPlayer = await Player.updatePlayerScore(playerId, score, gameMode);
+        // Signed results from game servers are trusted and never held for review
+        const updatedPlayer = await Player.updatePlayerScore(playerId, op === 'increment' ? delta : score, gameMode, {
+            source: 'rest_score',
+            reason,
+            verified,
+            actor: getSubmissionActor(req)
+        }, { op, completed, checkPlausibility: true, screen: !req.gameServer });
         
         if (!updatedPlayer) {
             return res.status(404).json({
@@ -220,6 +254,24 @@ router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, asy
             });
         }
         
+        // A flagged update is held for review: nothing changed and nothing is broadcast
+        const quarantine = updatedPlayer.$locals.quarantine;
+        if (quarantine) {
+            return res.status(202).json({
+                success: true,
+                message: 'Score update held for review',
+                data: {
+                    playerId,
+                    held: true,
+                    quarantineId: quarantine._id,
+                    gameMode: quarantine.gameMode,
+                    currentScore: updatedPlayer.$locals.previousScore,
+                    op,
+                    verified
+                }
+            });
+        }
+        
         // Get updated rank
         const newRank = await Player.getPlayerRank(playerId, {
             region: updatedPlayer.region,
@@ -229,12 +281,16 @@ router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, asy
         const responseData = {
             playerId: updatedPlayer.playerId,
             username: updatedPlayer.username,
-            previousScore: score - (delta || 0),
+            previousScore: updatedPlayer.$locals.previousScore,
             currentScore: updatedPlayer.currentScore,
-            delta: delta || 0,
+            delta: updatedPlayer.currentScore - updatedPlayer.$locals.previousScore,
+            op,
+            verified,
             gameMode: updatedPlayer.currentGameMode,
             region: updatedPlayer.region,
             newRank,
+            modeStats: updatedPlayer.modeStats[updatedPlayer.currentGameMode],
+            tierChange: updatedPlayer.$locals.tierChange,
             totalGamesPlayed: updatedPlayer.totalGamesPlayed,
             averageScore: updatedPlayer.averageScore,
             bestScore: updatedPlayer.bestScore,
@@ -244,11 +300,8 @@ router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, asy
         
         // If socket service is available, broadcast the update
         if (req.app.locals.socketService) {
-            req.app.locals.socketService.broadcastToRegion(
-                updatedPlayer.region,
-                'leaderboard:score_updated',
-                responseData
-            );
+            req.app.locals.socketService.broadcastPlayerScore(updatedPlayer, responseData);
+            req.app.locals.socketService.notifyTierChange(updatedPlayer);
         }
         
         res.status(200).json({
@@ -259,6 +312,24 @@ router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, asy
         
     } catch (error) {
         console.error('Error updating score:', error);
+        
+        if (error instanceof SignatureError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+        
+        if (error instanceof PlausibilityError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message,
+                error: error.code,
+                details: error.details
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Failed to update score',
@@ -270,9 +341,9 @@ router.post('/:playerId/score', validatePlayerId, validatePlayerScoreUpdate, asy
 /**
  * @route   GET /api/players/:playerId/rank
  * @desc    Get player's current rank
- * @access  Public
+ * @access  Public; a shadow-banned player only sees their own rank with their token
  */
-router.get('/:playerId/rank', validatePlayerId, async (req, res) => {
+router.get('/:playerId/rank', validatePlayerId, identify, async (req, res) => {
     try {
         const { playerId } = req.params;
         const { region, gameMode } = req.query;
@@ -286,20 +357,20 @@ router.get('/:playerId/rank', validatePlayerId, async (req, res) => {
             });
         }
         
-        const rank = await Player.getPlayerRank(playerId, {
-            region: region || player.region,
-            gameMode: gameMode || player.currentGameMode
-        });
+        const rankGameMode = gameMode || player.currentGameMode;
+        const rank = Player.isRankVisibleTo(player, req.user && req.user.playerId)
+            ? await Player.getPlayerRank(playerId, { region: region || player.region, gameMode: rankGameMode })
+            : null;
         
         res.status(200).json({
             success: true,
             data: {
                 playerId,
                 username: player.username,
-                currentScore: player.currentScore,
+                currentScore: Player.getModeScore(player, rankGameMode),
                 rank,
                 region: region || player.region,
-                gameMode: gameMode || player.currentGameMode
+                gameMode: rankGameMode
             }
         });
         
@@ -315,24 +386,34 @@ router.get('/:playerId/rank', validatePlayerId, async (req, res) => {
 
 /**
  * @route   POST /api/players/:playerId/game-result
- * @desc    Add game result for player
- * @access  Public
+ * @desc    Add game result for player; the score change is held to the same
+ *          plausibility rules and screening as any other score update
+ * @access  Owner (Bearer token of the same player), or a signed game server
  */
-router.post('/:playerId/game-result', validatePlayerId, async (req, res) => {
+router.post('/:playerId/game-result', validatePlayerId, verifyGameServer, rateLimit('scoreWrites'), unlessGameServer(authenticate, requireOwnership()), idempotent, validateGameResult, async (req, res) => {
     try {
         const { playerId } = req.params;
-        const { result, scoreChange = 0 } = req.body;
+        const { result, scoreChange } = req.body;
         
-        if (!['win', 'loss', 'draw'].includes(result)) {
-            return res.status(400).json({
+        const player = await Player.findOne({ playerId }).select('currentGameMode').lean();
+        if (!player) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid game result. Must be win, loss, or draw',
-                error: 'INVALID_RESULT'
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
             });
         }
+        const gameMode = req.body.gameMode || player.currentGameMode;
+        const { verified } = getSubmissionTrust(req.gameServer, gameMode);
         
-        const player = await Player.findOne({ playerId });
-        if (!player) {
+        const updatedPlayer = await Player.updatePlayerScore(playerId, scoreChange, gameMode, {
+            source: 'game_result',
+            reason: result,
+            verified,
+            actor: getSubmissionActor(req)
+        }, { op: 'increment', completed: true, result, checkPlausibility: true, screen: !req.gameServer });
+        
+        if (!updatedPlayer) {
             return res.status(404).json({
                 success: false,
                 message: 'Player not found',
@@ -340,7 +421,26 @@ router.post('/:playerId/game-result', validatePlayerId, async (req, res) => {
             });
         }
         
-        const updatedPlayer = await player.addGameResult(result, scoreChange);
+        // A flagged result is held for review: nothing changed, the result included
+        const quarantine = updatedPlayer.$locals.quarantine;
+        if (quarantine) {
+            return res.status(202).json({
+                success: true,
+                message: 'Game result held for review',
+                data: {
+                    playerId,
+                    held: true,
+                    quarantineId: quarantine._id,
+                    gameMode: quarantine.gameMode,
+                    currentScore: updatedPlayer.$locals.previousScore,
+                    verified
+                }
+            });
+        }
+        
+        if (req.app.locals.socketService) {
+            req.app.locals.socketService.notifyTierChange(updatedPlayer);
+        }
         
         res.status(200).json({
             success: true,
@@ -349,14 +449,36 @@ router.post('/:playerId/game-result', validatePlayerId, async (req, res) => {
                 playerId: updatedPlayer.playerId,
                 username: updatedPlayer.username,
                 currentScore: updatedPlayer.currentScore,
+                gameMode: updatedPlayer.currentGameMode,
+                previousModeScore: updatedPlayer.$locals.previousScore,
                 totalGamesPlayed: updatedPlayer.totalGamesPlayed,
                 gameStats: updatedPlayer.gameStats,
+                modeStats: updatedPlayer.modeStats[updatedPlayer.currentGameMode],
+                tierChange: updatedPlayer.$locals.tierChange,
                 winRate: updatedPlayer.winRate
             }
         });
         
     } catch (error) {
         console.error('Error adding game result:', error);
+        
+        if (error instanceof SignatureError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+        
+        if (error instanceof PlausibilityError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message,
+                error: error.code,
+                details: error.details
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Failed to add game result',
@@ -368,9 +490,9 @@ router.post('/:playerId/game-result', validatePlayerId, async (req, res) => {
 /**
  * @route   GET /api/players/:playerId/stats
  * @desc    Get detailed player statistics
- * @access  Public
+ * @access  Public; a shadow-banned player only sees their own ranks with their token
  */
-router.get('/:playerId/stats', validatePlayerId, async (req, res) => {
+router.get('/:playerId/stats', validatePlayerId, identify, async (req, res) => {
     try {
         const { playerId } = req.params;
         
@@ -384,9 +506,17 @@ router.get('/:playerId/stats', validatePlayerId, async (req, res) => {
         }
         
         // Get rank in different contexts
-        const globalRank = await Player.getPlayerRank(playerId, { region: 'GLOBAL' });
-        const regionalRank = await Player.getPlayerRank(playerId, { region: player.region });
-        const gameModeRank = await Player.getPlayerRank(playerId, { gameMode: player.currentGameMode });
+        const rankVisible = Player.isRankVisibleTo(player, req.user && req.user.playerId);
+        const rankIn = (options) => (rankVisible ? Player.getPlayerRank(playerId, options) : null);
+        const globalRank = await rankIn({ region: 'GLOBAL' });
+        const regionalRank = await rankIn({ region: player.region });
+        const gameModeRank = await rankIn({ gameMode: player.currentGameMode });
+        
+        // Tier in every game mode the player has played
+        const modeTiers = {};
+        for (const mode of GAME_MODES) {
+            modeTiers[mode] = await getPlayerTier(Player, player, mode);
+        }
         
         const stats = {
             player: {
@@ -415,6 +545,27 @@ router.get('/:playerId/stats', validatePlayerId, async (req, res) => {
                 regional: regionalRank,
                 gameMode: gameModeRank
             },
+            tier: modeTiers[player.currentGameMode],
+            rating: {
+                rating: Math.round(player.skillRating.rating),
+                deviation: Math.round(player.skillRating.deviation),
+                ratedGames: player.skillRating.gamesPlayed,
+                provisional: player.skillRating.provisional
+            },
+            gameModes: GAME_MODES.reduce((modes, mode) => {
+                const modeStats = player.modeStats[mode];
+                modes[mode] = {
+                    score: modeStats.score,
+                    best: modeStats.bestScore,
+                    gamesPlayed: modeStats.gamesPlayed,
+                    wins: modeStats.wins,
+                    losses: modeStats.losses,
+                    draws: modeStats.draws,
+                    lastPlayedAt: modeStats.lastPlayedAt,
+                    tier: modeTiers[mode]
+                };
+                return modes;
+            }, {}),
             achievements: player.achievements.map(achievement => ({
                 name: achievement.name,
                 unlockedAt: achievement.unlockedAt
@@ -436,4 +587,153 @@ router.get('/:playerId/stats', validatePlayerId, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/players/:playerId/history
+ * @desc    Get player's score change history
+ * @access  Public
+ */
+router.get('/:playerId/history', validatePlayerId, validateScoreHistoryQuery, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const { from, to, source, gameMode, sessionId, limit, page } = req.query;
+        const skip = (page - 1) * limit;
+        
+        const player = await Player.findOne({ playerId }).select('playerId username');
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+        
+        const { changes, total } = await ScoreChange.getHistory(playerId, {
+            from,
+            to,
+            source,
+            gameMode,
+            sessionId,
+            limit,
+            skip
+        });
+        
+        const totalPages = Math.ceil(total / limit);
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                playerId: player.playerId,
+                username: player.username,
+                history: changes.map(change => ({
+                    timestamp: change.createdAt,
+                    gameMode: change.gameMode,
+                    previousScore: change.previousScore,
+                    newScore: change.newScore,
+                    delta: change.delta,
+                    source: change.source,
+                    sessionId: change.sessionId,
+                    seasonId: change.seasonId,
+                    reason: change.reason,
+                    actor: change.actor
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalChanges: total,
+                    hasNextPage: page < totalPages,
+                    hasPreviousPage: page > 1,
+                    changesPerPage: limit
+                },
+                filters: {
+                    from: from || null,
+                    to: to || null,
+                    source: source || 'ALL',
+                    gameMode: gameMode || 'ALL',
+                    sessionId: sessionId || null
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching score history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch score history',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/players/:playerId/seasons
+ * @desc    Get player's final placements in past seasons
+ * @access  Public
+ */
+router.get('/:playerId/seasons', validatePlayerId, async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        
+        const player = await Player.findOne({ playerId }).select('playerId username');
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+        
+        const standings = await SeasonStanding.getPlayerHistory(playerId);
+        
+        const seasonIds = [...new Set(standings.map(standing => standing.seasonId))];
+        const seasons = await Season.find({ seasonId: { $in: seasonIds } })
+            .select('seasonId name startDate endDate endedAt')
+            .lean();
+        const seasonsById = new Map(seasons.map(season => [season.seasonId, season]));
+        
+        // Group placements by season, most recent season first
+        const history = seasonIds.map(seasonId => {
+            const season = seasonsById.get(seasonId) || { seasonId };
+            
+            return {
+                seasonId,
+                name: season.name,
+                startDate: season.startDate,
+                endDate: season.endDate,
+                endedAt: season.endedAt,
+                placements: standings
+                    .filter(standing => standing.seasonId === seasonId)
+                    .map(standing => ({
+                        gameMode: standing.gameMode,
+                        region: standing.region,
+                        finalScore: standing.finalScore,
+                        globalRank: standing.globalRank,
+                        regionalRank: standing.regionalRank,
+                        gamesPlayed: standing.gamesPlayed,
+                        wins: standing.wins,
+                        losses: standing.losses,
+                        draws: standing.draws
+                    }))
+            };
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                playerId: player.playerId,
+                username: player.username,
+                seasons: history,
+                count: history.length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching player season history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch player season history',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
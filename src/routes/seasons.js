@@ -0,0 +1,292 @@
+const express = require('express');
+const Season = require('../models/Season');
+const SeasonStanding = require('../models/SeasonStanding');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { endSeason } = require('../services/seasonService');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validateCreateSeason, validateAdminReason } = require('../middleware/validation');
+const { GAME_MODES } = require('../config/constants');
+
+const router = express.Router();
+
+// Creating, starting and ending seasons moves everyone's scores, so only
+// admins may do it, and it is written to the admin audit trail
+const adminOnly = [authenticate, requireRole('admin')];
+
+const audit = (req, action, seasonId, details = {}) => AdminAuditLog.record({
+    action,
+    actor: { playerId: req.user.playerId, ip: req.ip },
+    targetType: 'season',
+    targetId: seasonId,
+    reason: req.body.reason,
+    details
+});
+
+/**
+ * @route   POST /api/seasons
+ * @desc    Create a season (starts immediately if no season is active)
+ * @access  Admin
+ */
+router.post('/', adminOnly, validateCreateSeason, async (req, res) => {
+    try {
+        const season = await Season.createSeason(req.body);
+        await audit(req, 'season_create', season.seasonId, {
+            name: season.name,
+            status: season.status,
+            reset: season.reset
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Season created successfully',
+            data: season
+        });
+
+    } catch (error) {
+        console.error('Error creating season:', error);
+
+        if (error.message.includes('end date')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                error: 'INVALID_SEASON_DATES'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create season',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/seasons
+ * @desc    List seasons, most recent first
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 20 } = req.query;
+
+        const matchConditions = {};
+        if (status) matchConditions.status = status;
+
+        const seasons = await Season.find(matchConditions)
+            .sort({ startDate: -1 })
+            .limit(Math.min(parseInt(limit) || 20, 100))
+            .select('-__v -_id')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                seasons,
+                count: seasons.length,
+                filters: {
+                    status: status || 'ALL'
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching seasons:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch seasons',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/seasons/current
+ * @desc    Get the active season
+ * @access  Public
+ */
+router.get('/current', async (req, res) => {
+    try {
+        const season = await Season.getActiveSeason();
+
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active season',
+                error: 'SEASON_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: season
+        });
+
+    } catch (error) {
+        console.error('Error fetching current season:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch current season',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/seasons/:seasonId/start
+ * @desc    Start a scheduled season
+ * @access  Admin
+ */
+router.post('/:seasonId/start', adminOnly, validateAdminReason, async (req, res) => {
+    try {
+        const season = await Season.startSeason(req.params.seasonId);
+        await audit(req, 'season_start', season.seasonId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Season started successfully',
+            data: season
+        });
+
+    } catch (error) {
+        console.error('Error starting season:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'SEASON_NOT_FOUND'
+            });
+        }
+
+        if (error.message.includes('still active')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                error: 'SEASON_ALREADY_ACTIVE'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start season',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/seasons/:seasonId/end
+ * @desc    End a season, archive final standings and reset scores
+ * @access  Admin
+ */
+router.post('/:seasonId/end', adminOnly, validateAdminReason, async (req, res) => {
+    try {
+        const season = await endSeason(req.params.seasonId);
+        await audit(req, 'season_end', season.seasonId, {
+            reset: season.reset,
+            archiveSummary: season.archiveSummary
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Season ended successfully',
+            data: {
+                seasonId: season.seasonId,
+                name: season.name,
+                status: season.status,
+                endedAt: season.endedAt,
+                reset: season.reset,
+                archiveSummary: season.archiveSummary
+            }
+        });
+
+    } catch (error) {
+        console.error('Error ending season:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'SEASON_NOT_FOUND'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end season',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/seasons/:seasonId/standings
+ * @desc    Get archived final standings for a season
+ * @access  Public
+ */
+router.get('/:seasonId/standings', async (req, res) => {
+    try {
+        const { seasonId } = req.params;
+        const { gameMode = 'classic', region, limit = 50, page = 1 } = req.query;
+
+        if (!GAME_MODES.includes(gameMode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid game mode. Must be one of: ${GAME_MODES.join(', ')}`,
+                error: 'INVALID_GAME_MODE'
+            });
+        }
+
+        const season = await Season.findOne({ seasonId }).select('-__v -_id').lean();
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: 'Season not found',
+                error: 'SEASON_NOT_FOUND'
+            });
+        }
+
+        const limitValue = Math.min(parseInt(limit) || 50, 100);
+        const pageValue = Math.max(parseInt(page) || 1, 1);
+
+        const standings = await SeasonStanding.getStandings(seasonId, {
+            gameMode,
+            region,
+            limit: limitValue,
+            skip: (pageValue - 1) * limitValue
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                season: {
+                    seasonId: season.seasonId,
+                    name: season.name,
+                    status: season.status,
+                    startDate: season.startDate,
+                    endDate: season.endDate,
+                    endedAt: season.endedAt
+                },
+                standings,
+                count: standings.length,
+                filters: {
+                    gameMode,
+                    region: region || 'GLOBAL',
+                    page: pageValue,
+                    limit: limitValue
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching season standings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch season standings',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,21 @@
 const express = require('express');
 const GameSession = require('../models/GameSession');
 const Player = require('../models/Player');
+const Team = require('../models/Team');
+const SessionEvent = require('../models/SessionEvent');
+const { finishSession } = require('../services/sessionService');
+const { previewSessionScore } = require('../services/scoringService');
+const { PlausibilityError } = require('../services/plausibilityService');
+const { SignatureError, getSubmissionTrust, getSubmissionActor } = require('../services/signatureService');
+const { authenticate, bindBodyPlayer, verifyGameServer, unlessGameServer } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotent } = require('../middleware/idempotency');
 const {
     validateCreateSession,
     validateJoinSession,
     validateSessionScoreUpdate,
+    validateScoringDryRun,
+    validateSessionEventsQuery,
     validateSessionId
 } = require('../middleware/validation');
 
@@ -45,6 +56,32 @@ router.post('/', validateCreateSession, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/sessions/scoring/dry-run
+ * @desc    Preview the score a hypothetical session result would award under
+ *          the game mode's scoring policy. Nothing is written.
+ * @access  Public
+ */
+router.post('/scoring/dry-run', validateScoringDryRun, (req, res) => {
+    try {
+        const { players, ...result } = req.body;
+        
+        res.status(200).json({
+            success: true,
+            data: previewSessionScore({ ...result, placings: players })
+        });
+        
+    } catch (error) {
+        // An invalid SCORING_POLICIES override for this mode
+        console.error('Error previewing session score:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview session score',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
 /**
  * @route   GET /api/sessions/:sessionId
  * @desc    Get session details
@@ -94,13 +131,14 @@ router.get('/:sessionId', validateSessionId, async (req, res) => {
 
 /**
  * @route   POST /api/sessions/:sessionId/join
- * @desc    Join a game session
- * @access  Public
+ * @desc    Join a game session. In team mode, `team` picks a team; without
+ *          it the player joins their roster's team or the emptiest one.
+ * @access  Authenticated player (joins as themselves)
  */
-router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (req, res) => {
+router.post('/:sessionId/join', validateSessionId, authenticate, validateJoinSession, bindBodyPlayer, async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { playerId, username } = req.body;
+        const { playerId, team } = req.body;
         
         // Verify player exists
         const player = await Player.findOne({ playerId });
@@ -112,13 +150,20 @@ router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (r
             });
         }
         
+        // Roster members play for their team in team mode
+        const roster = await Team.findByMember(player.playerId).select('teamId name').lean();
+        
         const playerData = {
             playerId: player.playerId,
             username: player.username,
-            currentScore: player.currentScore
+            currentScore: player.currentScore,
+            team,
+            teamId: roster ? roster.teamId : null,
+            teamName: roster ? roster.name : null
         };
         
         const updatedSession = await GameSession.joinSession(sessionId, playerData);
+        const sessionPlayer = updatedSession.players.find(p => p.playerId === player.playerId);
         
         // Emit to socket service if available
         if (req.app.locals.socketService) {
@@ -126,6 +171,7 @@ router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (r
                 sessionId,
                 playerId: player.playerId,
                 username: player.username,
+                team: sessionPlayer.team,
                 playerCount: updatedSession.players.length,
                 timestamp: Date.now()
             });
@@ -144,7 +190,8 @@ router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (r
                 player: {
                     playerId: player.playerId,
                     username: player.username,
-                    initialScore: player.currentScore
+                    initialScore: player.currentScore,
+                    team: sessionPlayer.team
                 }
             }
         });
@@ -160,6 +207,14 @@ router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (r
             });
         }
         
+        if (error.message.startsWith('Team ')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                error: 'TEAM_UNAVAILABLE'
+            });
+        }
+        
         if (error.message.includes('full')) {
             return res.status(409).json({
                 success: false,
@@ -179,9 +234,9 @@ router.post('/:sessionId/join', validateSessionId, validateJoinSession, async (r
 /**
  * @route   POST /api/sessions/:sessionId/leave
  * @desc    Leave a game session
- * @access  Public
+ * @access  Authenticated player (leaves as themselves)
  */
-router.post('/:sessionId/leave', validateSessionId, async (req, res) => {
+router.post('/:sessionId/leave', validateSessionId, authenticate, bindBodyPlayer, async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { playerId } = req.body;
@@ -238,9 +293,9 @@ router.post('/:sessionId/leave', validateSessionId, async (req, res) => {
 /**
  * @route   POST /api/sessions/:sessionId/score
  * @desc    Update player score in session
- * @access  Public
+ * @access  Authenticated player (updates their own score), or a signed game server (any player)
  */
-router.post('/:sessionId/score', validateSessionId, validateSessionScoreUpdate, async (req, res) => {
+router.post('/:sessionId/score', validateSessionId, verifyGameServer, rateLimit('scoreWrites'), unlessGameServer(authenticate), idempotent, validateSessionScoreUpdate, unlessGameServer(bindBodyPlayer), async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { playerId, score, delta, reason } = req.body;
@@ -253,19 +308,37 @@ router.post('/:sessionId/score', validateSessionId, validateSessionScoreUpdate,
             });
         }
         
+        const session = await GameSession.findOne({ sessionId }).select('gameMode').lean();
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: 'SESSION_OR_PLAYER_NOT_FOUND'
+            });
+        }
+        const { verified } = getSubmissionTrust(req.gameServer, session.gameMode);
+        
         const scoreData = { score, delta, reason };
-        const updatedSession = await GameSession.updatePlayerScore(sessionId, playerId, scoreData);
+        const auditContext = {
+            source: 'session_score',
+            sessionId,
+            reason,
+            verified,
+            actor: getSubmissionActor(req)
+        };
         
-        // Also update global player score
-        const updatedPlayer = await Player.updatePlayerScore(playerId, score);
+        // Live scores only move the session score; the mode score changes once,
+        // when the session ends and its result is applied with the mode's
+        // scoring policy
+        const updatedSession = await GameSession.updatePlayerScore(sessionId, playerId, scoreData, auditContext);
         
         const responseData = {
             sessionId: updatedSession.sessionId,
             playerId,
             sessionScore: updatedSession.players.find(p => p.playerId === playerId)?.currentSessionScore,
-            globalScore: updatedPlayer?.currentScore,
             delta: delta || 0,
             reason: reason || 'score_update',
+            verified,
             timestamp: Date.now()
         };
         
@@ -274,7 +347,7 @@ router.post('/:sessionId/score', validateSessionId, validateSessionScoreUpdate,
             req.app.locals.socketService.io.to(`session:${sessionId}`).emit('session:score_updated', responseData);
         }
         
-        res.status(200).json({
+        res.json({
             success: true,
             message: 'Score updated successfully',
             data: responseData
@@ -283,6 +356,23 @@ router.post('/:sessionId/score', validateSessionId, validateSessionScoreUpdate,
     } catch (error) {
         console.error('Error updating session score:', error);
         
+        if (error instanceof SignatureError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+        
+        if (error instanceof PlausibilityError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message,
+                error: error.code,
+                details: error.details
+            });
+        }
+        
         if (error.message.includes('not found')) {
             return res.status(404).json({
                 success: false,
@@ -302,48 +392,35 @@ router.post('/:sessionId/score', validateSessionId, validateSessionScoreUpdate,
 /**
  * @route   POST /api/sessions/:sessionId/end
  * @desc    End a game session
- * @access  Public
+ * @access  Player in the session, or a signed game server
  */
-router.post('/:sessionId/end', validateSessionId, async (req, res) => {
+router.post('/:sessionId/end', validateSessionId, verifyGameServer, rateLimit('scoreWrites'), unlessGameServer(authenticate), idempotent, async (req, res) => {
     try {
         const { sessionId } = req.params;
         
-        const endedSession = await GameSession.endSession(sessionId);
-        
-        // Update global scores for all players based on final positions
-        const updatePromises = endedSession.players.map(async (player) => {
-            if (player.isActive) {
-                const scoreBonus = calculatePositionBonus(player.position, endedSession.players.length);
-                const finalScore = player.currentSessionScore + scoreBonus;
-                
-                return Player.updatePlayerScore(player.playerId, finalScore, endedSession.gameMode);
-            }
-        });
-        
-        await Promise.all(updatePromises);
-        
-        const finalResults = {
-            sessionId: endedSession.sessionId,
-            status: endedSession.status,
-            duration: endedSession.duration,
-            finalScores: endedSession.players
-                .filter(p => p.isActive)
-                .sort((a, b) => a.position - b.position)
-                .map(player => ({
-                    playerId: player.playerId,
-                    username: player.username,
-                    position: player.position,
-                    sessionScore: player.currentSessionScore,
-                    positionBonus: calculatePositionBonus(player.position, endedSession.players.length)
-                })),
-            endedAt: endedSession.endedAt
-        };
+        const session = await GameSession.findOne({ sessionId }).select('gameMode players.playerId').lean();
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                error: 'SESSION_NOT_FOUND'
+            });
+        }
         
-        // Emit to socket service if available
-        if (req.app.locals.socketService) {
-            req.app.locals.socketService.io.to(`session:${sessionId}`).emit('session:ended', finalResults);
+        const { verified } = getSubmissionTrust(req.gameServer, session.gameMode);
+        if (!req.gameServer && !session.players.some(player => player.playerId === req.user.playerId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only players in the session can end it',
+                error: 'FORBIDDEN'
+            });
         }
         
+        const finalResults = await finishSession(sessionId, req.app.locals.socketService, {
+            verified,
+            actor: getSubmissionActor(req)
+        });
+        
         res.status(200).json({
             success: true,
             message: 'Session ended successfully',
@@ -353,6 +430,14 @@ router.post('/:sessionId/end', validateSessionId, async (req, res) => {
     } catch (error) {
         console.error('Error ending session:', error);
         
+        if (error instanceof SignatureError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+        
         if (error.message.includes('not found')) {
             return res.status(404).json({
                 success: false,
@@ -424,16 +509,18 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/sessions/:sessionId/events
- * @desc    Get session real-time events
+ * @desc    Get session real-time events, newest first (or `order=asc`),
+ *          filtered by `eventType` and `playerId`. Pass `nextCursor` as
+ *          `after` for the next page.
  * @access  Public
  */
-router.get('/:sessionId/events', validateSessionId, async (req, res) => {
+router.get('/:sessionId/events', validateSessionId, validateSessionEventsQuery, async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { limit = 50, eventType } = req.query;
+        const { eventType, playerId, order, limit, after } = req.query;
         
         const session = await GameSession.findOne({ sessionId })
-            .select('realTimeEvents sessionId gameMode status')
+            .select('sessionId gameMode status')
             .lean();
         
         if (!session) {
@@ -444,17 +531,13 @@ router.get('/:sessionId/events', validateSessionId, async (req, res) => {
             });
         }
         
-        let events = session.realTimeEvents || [];
-        
-        // Filter by event type if specified
-        if (eventType) {
-            events = events.filter(event => event.eventType === eventType);
-        }
-        
-        // Sort by timestamp (most recent first) and limit
-        events = events
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, parseInt(limit));
+        const { events, nextCursor } = await SessionEvent.getPage(sessionId, {
+            eventType,
+            playerId,
+            order,
+            limit,
+            after
+        });
         
         res.status(200).json({
             success: true,
@@ -468,14 +551,29 @@ router.get('/:sessionId/events', validateSessionId, async (req, res) => {
                     data: event.data
                 })),
                 eventCount: events.length,
+                pagination: {
+                    order,
+                    limit,
+                    nextCursor
+                },
                 filters: {
-                    eventType: eventType || 'ALL'
+                    eventType: eventType || 'ALL',
+                    playerId: playerId || 'ALL'
                 }
             }
         });
         
     } catch (error) {
         console.error('Error fetching session events:', error);
+        
+        if (error.message === 'Invalid events cursor') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor for these session events',
+                error: 'INVALID_CURSOR'
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Failed to fetch session events',
@@ -573,13 +671,4 @@ router.get('/stats', async (req, res) => {
     }
 });
 
-// Utility function to calculate position bonus
-function calculatePositionBonus(position, totalPlayers) {
-    if (totalPlayers < 2) return 0;
-    
-    const baseBonus = 100;
-    const positionMultiplier = (totalPlayers - position + 1) / totalPlayers;
-    return Math.round(baseBonus * positionMultiplier);
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,250 @@
+const express = require('express');
+const Team = require('../models/Team');
+const Player = require('../models/Player');
+const { authenticate } = require('../middleware/auth');
+const { validateCreateTeam, validateAddTeamMember } = require('../middleware/validation');
+
+const router = express.Router();
+
+const formatTeam = (team) => ({
+    teamId: team.teamId,
+    name: team.name,
+    tag: team.tag,
+    region: team.region,
+    captainId: team.captainId,
+    members: team.members.map(member => ({
+        playerId: member.playerId,
+        username: member.username,
+        joinedAt: member.joinedAt
+    })),
+    stats: team.stats,
+    createdAt: team.createdAt
+});
+
+// The unique member index refuses a player who already joined a team
+const isDuplicateMember = (error) => error.code === 11000 && /members\.playerId/.test(error.message);
+
+/**
+ * @route   POST /api/teams
+ * @desc    Create a persistent team; the creator becomes its captain
+ * @access  Authenticated player
+ */
+router.post('/', authenticate, validateCreateTeam, async (req, res) => {
+    try {
+        const { name, tag, region } = req.body;
+
+        const player = await Player.findOne({ playerId: req.user.playerId }).select('playerId username').lean();
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+
+        const team = await Team.create({
+            name,
+            tag,
+            region,
+            captainId: player.playerId,
+            members: [{ playerId: player.playerId, username: player.username }]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Team created successfully',
+            data: formatTeam(team)
+        });
+
+    } catch (error) {
+        console.error('Error creating team:', error);
+
+        if (isDuplicateMember(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Player is already in a team',
+                error: 'ALREADY_IN_TEAM'
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'Team name is already taken',
+                error: 'TEAM_NAME_TAKEN'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create team',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/teams/:teamId
+ * @desc    Get a team with its members and stats
+ * @access  Public
+ */
+router.get('/:teamId', async (req, res) => {
+    try {
+        const team = await Team.findOne({ teamId: req.params.teamId }).lean();
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found',
+                error: 'TEAM_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatTeam(team)
+        });
+
+    } catch (error) {
+        console.error('Error fetching team:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch team',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/teams/:teamId/members
+ * @desc    Add a player to the roster
+ * @access  Team captain
+ */
+router.post('/:teamId/members', authenticate, validateAddTeamMember, async (req, res) => {
+    try {
+        const { playerId } = req.body;
+
+        const team = await Team.findOne({ teamId: req.params.teamId });
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found',
+                error: 'TEAM_NOT_FOUND'
+            });
+        }
+
+        if (team.captainId !== req.user.playerId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the team captain can add members',
+                error: 'FORBIDDEN'
+            });
+        }
+
+        if (team.members.length >= Team.TEAM_MAX_MEMBERS) {
+            return res.status(409).json({
+                success: false,
+                message: `A team has at most ${Team.TEAM_MAX_MEMBERS} members`,
+                error: 'TEAM_FULL'
+            });
+        }
+
+        const player = await Player.findOne({ playerId }).select('playerId username').lean();
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found',
+                error: 'PLAYER_NOT_FOUND'
+            });
+        }
+
+        if (team.members.some(m => m.playerId === player.playerId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Player is already in a team',
+                error: 'ALREADY_IN_TEAM'
+            });
+        }
+
+        team.members.push({ playerId: player.playerId, username: player.username });
+        await team.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Player added to team',
+            data: formatTeam(team)
+        });
+
+    } catch (error) {
+        console.error('Error adding team member:', error);
+
+        if (isDuplicateMember(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Player is already in a team',
+                error: 'ALREADY_IN_TEAM'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add team member',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/teams/:teamId/members/:playerId
+ * @desc    Remove a player from the roster. Players may leave on their own;
+ *          a leaving captain hands over to the longest-serving member.
+ * @access  Team captain, or the member themselves
+ */
+router.delete('/:teamId/members/:playerId', authenticate, async (req, res) => {
+    try {
+        const { teamId, playerId } = req.params;
+
+        const team = await Team.findOne({ teamId });
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found',
+                error: 'TEAM_NOT_FOUND'
+            });
+        }
+
+        if (req.user.playerId !== playerId && req.user.playerId !== team.captainId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the team captain can remove other members',
+                error: 'FORBIDDEN'
+            });
+        }
+
+        const member = team.members.find(m => m.playerId === playerId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player is not in this team',
+                error: 'NOT_A_MEMBER'
+            });
+        }
+
+        await team.removeMember(playerId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Player removed from team',
+            data: formatTeam(team)
+        });
+
+    } catch (error) {
+        console.error('Error removing team member:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove team member',
+            error: 'INTERNAL_SERVER_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const PASSWORD_CLAIM_EXPIRES_HOURS = parseInt(process.env.PASSWORD_CLAIM_EXPIRES_HOURS) || 72;
+
+// Production must configure a secret; elsewhere a per-process one keeps development working
+const loadSecret = () => {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    console.warn('⚠️ JWT_SECRET is not set, using a random secret: tokens will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+};
+
+const JWT_SECRET = loadSecret();
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    if (!storedHash) return false;
+
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Claim codes are random, so a plain SHA-256 keeps them out of the database
+function hashClaimCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * One-time code that lets a player without a password set one. Returns the
+ * code to hand to the player and the claim to store: { code, codeHash, expiresAt }.
+ */
+function createPasswordClaim(now = new Date()) {
+    const code = crypto.randomBytes(12).toString('base64url');
+    return {
+        code,
+        codeHash: hashClaimCode(code),
+        expiresAt: new Date(now.getTime() + PASSWORD_CLAIM_EXPIRES_HOURS * 60 * 60 * 1000)
+    };
+}
+
+// Whether `code` matches a stored, unexpired claim ({ codeHash, expiresAt })
+function verifyClaimCode(code, claim, now = new Date()) {
+    if (!claim || !claim.codeHash || !claim.expiresAt || claim.expiresAt <= now) return false;
+
+    const expected = Buffer.from(claim.codeHash, 'hex');
+    const actual = Buffer.from(hashClaimCode(code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issue an access token bound to a player. The token subject is the
+ * playerId; `role` is carried for authorization checks.
+ */
+function issueToken(player) {
+    const token = jwt.sign(
+        { role: player.role || 'player' },
+        JWT_SECRET,
+        { subject: player.playerId, expiresIn: TOKEN_EXPIRES_IN }
+    );
+
+    return { token, expiresIn: TOKEN_EXPIRES_IN };
+}
+
+/**
+ * Verify a token and return the identity it carries: { playerId, role }.
+ * Throws when the token is missing, malformed, expired or forged.
+ */
+function verifyToken(token) {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return {
+        playerId: payload.sub,
+        role: payload.role || 'player'
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    hashClaimCode,
+    createPasswordClaim,
+    verifyClaimCode,
+    issueToken,
+    verifyToken
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+// A pending request older than this is assumed lost (e.g. the process
+// crashed) and a retry may run it again
+const IDEMPOTENCY_LOCK_SECONDS = 30;
+
+// Keys are opaque printable strings, such as UUIDs
+const isValidIdempotencyKey = (key) => typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+
+// Target of a request (route or socket event) plus a hash of its payload
+const requestFingerprint = (target, payload = '') => {
+    const hash = crypto.createHash('sha256').update(payload).digest('hex');
+    return `${target}:${hash}`;
+};
+
+/**
+ * Start an idempotent request. Resolves to { state }:
+ *   started     - first time this key is seen: run the request, then call
+ *                 completeRequest (or abandonRequest to allow a retry)
+ *   replay      - already done; `response` holds the stored result
+ *   in_progress - the first request with this key is still running
+ *   mismatch    - the key was used for a different request
+ */
+const beginRequest = async (scope, key, fingerprint) => {
+    try {
+        await IdempotencyRecord.create({ scope, key, fingerprint });
+        return { state: 'started' };
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    const existing = await IdempotencyRecord.findOne({ scope, key }).lean();
+    if (!existing) {
+        // Expired between the insert and the read
+        return beginRequest(scope, key, fingerprint);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+        return { state: 'mismatch' };
+    }
+
+    if (existing.status === 'completed') {
+        return { state: 'replay', response: existing.response };
+    }
+
+    const staleBefore = new Date(Date.now() - IDEMPOTENCY_LOCK_SECONDS * 1000);
+    const takeover = await IdempotencyRecord.updateOne(
+        { _id: existing._id, status: 'pending', updatedAt: { $lt: staleBefore } },
+        { $set: { updatedAt: new Date() } }
+    );
+
+    return { state: takeover.modifiedCount > 0 ? 'started' : 'in_progress' };
+};
+
+// Store the result replayed to retries; plain JSON so documents and dates serialize once
+const completeRequest = (scope, key, response) => IdempotencyRecord.updateOne(
+    { scope, key },
+    { $set: { status: 'completed', response: JSON.parse(JSON.stringify(response)) } }
+);
+
+// Forget a request that did not produce a result worth replaying
+const abandonRequest = (scope, key) => IdempotencyRecord.deleteOne({ scope, key, status: 'pending' });
+
+module.exports = {
+    isValidIdempotencyKey,
+    requestFingerprint,
+    beginRequest,
+    completeRequest,
+    abandonRequest
+};
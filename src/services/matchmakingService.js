@@ -0,0 +1,286 @@
+const Player = require('../models/Player');
+const GameSession = require('../models/GameSession');
+const { MATCHMAKING_INTERVAL_MS, getMatchmakingRules } = require('../config/matchmaking');
+
+// Recent waits kept per queue for the wait estimate
+const WAIT_HISTORY_SIZE = 20;
+
+// How long a match stays visible to players polling their queue status
+const MATCH_RETENTION_MS = 5 * 60 * 1000;
+
+/**
+ * Skill-based matchmaking. Players wait in a queue per region and game
+ * mode; every tick the oldest ticket is grouped with the closest players its
+ * tolerance (and theirs) accepts, a GameSession is created for the group and
+ * each player is told the sessionId over their socket. Tolerances widen with
+ * wait time. The queue lives in this process.
+ */
+class MatchmakingService {
+    constructor() {
+        this.tickets = new Map(); // playerId -> ticket
+        this.matches = new Map(); // playerId -> recent match, for status polling
+        this.waitHistory = new Map(); // queue key -> recent waits in seconds
+        this.socketService = null;
+        this.timer = null;
+        this.matching = false;
+    }
+
+    start(socketService = null) {
+        this.socketService = socketService;
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => {
+                console.error('Error running matchmaking:', error);
+            });
+        }, MATCHMAKING_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getQueueKey(region, gameMode) {
+        return `${region}:${gameMode}`;
+    }
+
+    getSkill(player, gameMode, basis) {
+        return basis === 'rating'
+            ? (player.skillRating ? player.skillRating.rating : 1500)
+            : Player.getModeScore(player, gameMode) || 0;
+    }
+
+    // Largest skill difference a ticket accepts after waiting until `now`
+    getTolerance(ticket, now = Date.now()) {
+        const rules = getMatchmakingRules(ticket.gameMode);
+        const waitedSeconds = (now - ticket.enqueuedAt) / 1000;
+        return Math.min(rules.maxTolerance, rules.initialTolerance + rules.widenPerSecond * waitedSeconds);
+    }
+
+    /**
+     * Queue a player for a match, replacing any ticket they already hold.
+     * `source` is 'rest' or 'socket'; socket tickets are dropped when the
+     * socket disconnects.
+     */
+    enqueue(player, { region, gameMode, source = 'rest' }) {
+        const rules = getMatchmakingRules(gameMode);
+        const ticket = {
+            playerId: player.playerId,
+            username: player.username,
+            currentScore: Player.getModeScore(player, gameMode) || 0,
+            region,
+            gameMode,
+            skill: this.getSkill(player, gameMode, rules.basis),
+            basis: rules.basis,
+            source,
+            enqueuedAt: Date.now()
+        };
+
+        this.tickets.set(player.playerId, ticket);
+        this.matches.delete(player.playerId);
+        return ticket;
+    }
+
+    // Leave the queue, optionally only a ticket from `source`; returns the
+    // cancelled ticket, or null if there was none
+    cancel(playerId, source = null) {
+        const ticket = this.tickets.get(playerId);
+        if (!ticket || (source && ticket.source !== source)) {
+            return null;
+        }
+
+        this.tickets.delete(playerId);
+        return ticket;
+    }
+
+    /**
+     * Seconds a ticket is likely to wait in total: the average wait of recent
+     * matches in its queue or, before any match, the wait after which a
+     * smaller match is accepted.
+     */
+    estimateWait(ticket) {
+        const history = this.waitHistory.get(this.getQueueKey(ticket.region, ticket.gameMode)) || [];
+        if (history.length > 0) {
+            return Math.round(history.reduce((sum, seconds) => sum + seconds, 0) / history.length);
+        }
+
+        return getMatchmakingRules(ticket.gameMode).maxWaitSeconds;
+    }
+
+    getQueueSize(region, gameMode) {
+        let size = 0;
+        this.tickets.forEach(ticket => {
+            if (ticket.region === region && ticket.gameMode === gameMode) size++;
+        });
+        return size;
+    }
+
+    formatTicket(ticket, now = Date.now()) {
+        const waitedSeconds = Math.floor((now - ticket.enqueuedAt) / 1000);
+        const estimatedWaitSeconds = this.estimateWait(ticket);
+
+        return {
+            playerId: ticket.playerId,
+            region: ticket.region,
+            gameMode: ticket.gameMode,
+            basis: ticket.basis,
+            skill: ticket.skill,
+            tolerance: Math.round(this.getTolerance(ticket, now)),
+            enqueuedAt: new Date(ticket.enqueuedAt),
+            waitedSeconds,
+            estimatedWaitSeconds,
+            estimatedRemainingSeconds: Math.max(0, estimatedWaitSeconds - waitedSeconds),
+            queueSize: this.getQueueSize(ticket.region, ticket.gameMode)
+        };
+    }
+
+    // { status: 'queued', ticket } or { status: 'matched', match }, or null
+    getStatus(playerId) {
+        const ticket = this.tickets.get(playerId);
+        if (ticket) {
+            return { status: 'queued', ticket: this.formatTicket(ticket) };
+        }
+
+        const match = this.matches.get(playerId);
+        if (match && Date.now() - match.matchedAt.getTime() < MATCH_RETENTION_MS) {
+            return { status: 'matched', match };
+        }
+
+        return null;
+    }
+
+    /**
+     * Group the tickets of one queue. The oldest unmatched ticket anchors
+     * each group and takes the closest players both sides accept: a full
+     * match, or once the anchor has waited `maxWaitSeconds`, at least
+     * `minMatchSize` players.
+     */
+    findGroups(tickets, now = Date.now()) {
+        const rules = getMatchmakingRules(tickets[0].gameMode);
+        const waiting = [...tickets].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+        const matched = new Set();
+        const groups = [];
+
+        waiting.forEach(anchor => {
+            if (matched.has(anchor.playerId)) return;
+
+            const anchorTolerance = this.getTolerance(anchor, now);
+            const candidates = waiting
+                .filter(ticket => ticket !== anchor && !matched.has(ticket.playerId))
+                .map(ticket => ({ ticket, distance: Math.abs(ticket.skill - anchor.skill) }))
+                .filter(({ ticket, distance }) => distance <= Math.min(anchorTolerance, this.getTolerance(ticket, now)))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, rules.matchSize - 1)
+                .map(({ ticket }) => ticket);
+
+            const waitedSeconds = (now - anchor.enqueuedAt) / 1000;
+            const groupSize = candidates.length + 1;
+            const ready = groupSize === rules.matchSize
+                || (waitedSeconds >= rules.maxWaitSeconds && groupSize >= rules.minMatchSize);
+
+            if (ready) {
+                const group = [anchor, ...candidates];
+                group.forEach(ticket => matched.add(ticket.playerId));
+                groups.push(group);
+            }
+        });
+
+        return groups;
+    }
+
+    // Create the session for a group and tell its players
+    async createMatch(group) {
+        const { region, gameMode } = group[0];
+        const rules = getMatchmakingRules(gameMode);
+
+        // A player cancelled or re-queued while earlier matches were created
+        if (group.some(ticket => this.tickets.get(ticket.playerId) !== ticket)) {
+            return null;
+        }
+
+        // Take the tickets first, so a cancel from now on finds nothing to cancel
+        group.forEach(ticket => this.tickets.delete(ticket.playerId));
+
+        let session;
+        try {
+            session = await GameSession.createSession({ gameMode, region, maxPlayers: rules.matchSize });
+            for (const ticket of group) {
+                session = await GameSession.joinSession(session.sessionId, ticket);
+            }
+        } catch (error) {
+            console.error('Error creating matchmade session:', error);
+            // Back in the queue with their original wait time
+            group.forEach(ticket => {
+                if (!this.tickets.has(ticket.playerId)) {
+                    this.tickets.set(ticket.playerId, ticket);
+                }
+            });
+            return null;
+        }
+
+        const matchedAt = new Date();
+        const history = this.waitHistory.get(this.getQueueKey(region, gameMode)) || [];
+        const players = group.map(ticket => ({
+            playerId: ticket.playerId,
+            username: ticket.username,
+            skill: ticket.skill
+        }));
+
+        group.forEach(ticket => {
+            const waitedSeconds = Math.round((matchedAt.getTime() - ticket.enqueuedAt) / 1000);
+            history.push(waitedSeconds);
+
+            const match = {
+                sessionId: session.sessionId,
+                region,
+                gameMode,
+                players,
+                waitedSeconds,
+                matchedAt
+            };
+            this.matches.set(ticket.playerId, match);
+
+            if (this.socketService) {
+                this.socketService.notifyPlayer(ticket.playerId, 'matchmaking:matched', match);
+            }
+        });
+
+        this.waitHistory.set(this.getQueueKey(region, gameMode), history.slice(-WAIT_HISTORY_SIZE));
+        console.log(`🎯 Matched ${group.length} players into ${session.sessionId} (${region} ${gameMode})`);
+
+        return session;
+    }
+
+    // One matching pass over every queue
+    async tick(now = Date.now()) {
+        if (this.matching) return;
+        this.matching = true;
+
+        try {
+            this.matches.forEach((match, playerId) => {
+                if (now - match.matchedAt.getTime() >= MATCH_RETENTION_MS) {
+                    this.matches.delete(playerId);
+                }
+            });
+
+            const queues = new Map();
+            this.tickets.forEach(ticket => {
+                const key = this.getQueueKey(ticket.region, ticket.gameMode);
+                if (!queues.has(key)) queues.set(key, []);
+                queues.get(key).push(ticket);
+            });
+
+            for (const tickets of queues.values()) {
+                for (const group of this.findGroups(tickets, now)) {
+                    await this.createMatch(group);
+                }
+            }
+        } finally {
+            this.matching = false;
+        }
+    }
+}
+
+module.exports = new MatchmakingService();
@@ -0,0 +1,198 @@
+// Indexable skip list: ordered set with O(log n) insert, delete, rank and
+// positional lookups. Each forward link stores how many elements it skips,
+// which is what makes rank and "nth element" queries logarithmic.
+const MAX_LEVEL = 32;
+const LEVEL_PROBABILITY = 0.25;
+
+const createNode = (key, level) => ({
+    key,
+    next: new Array(level).fill(null),
+    span: new Array(level).fill(0)
+});
+
+class OrderStatisticsList {
+    /**
+     * @param {Function} compare - (a, b) => negative when a sorts before b.
+     *                             Keys must be unique under this ordering.
+     */
+    constructor(compare) {
+        this.compare = compare;
+        this.clear();
+    }
+
+    clear() {
+        this.head = createNode(null, MAX_LEVEL);
+        this.level = 1;
+        this.length = 0;
+    }
+
+    get size() {
+        return this.length;
+    }
+
+    randomLevel() {
+        let level = 1;
+        while (level < MAX_LEVEL && Math.random() < LEVEL_PROBABILITY) {
+            level += 1;
+        }
+        return level;
+    }
+
+    // Insert a key and return its 0-based position
+    insert(key) {
+        const update = new Array(MAX_LEVEL);
+        const rank = new Array(MAX_LEVEL);
+        let node = this.head;
+
+        for (let i = this.level - 1; i >= 0; i--) {
+            rank[i] = i === this.level - 1 ? 0 : rank[i + 1];
+            while (node.next[i] && this.compare(node.next[i].key, key) < 0) {
+                rank[i] += node.span[i];
+                node = node.next[i];
+            }
+            update[i] = node;
+        }
+
+        const level = this.randomLevel();
+        if (level > this.level) {
+            for (let i = this.level; i < level; i++) {
+                rank[i] = 0;
+                update[i] = this.head;
+                update[i].span[i] = this.length;
+            }
+            this.level = level;
+        }
+
+        const newNode = createNode(key, level);
+        for (let i = 0; i < level; i++) {
+            newNode.next[i] = update[i].next[i];
+            update[i].next[i] = newNode;
+            newNode.span[i] = update[i].span[i] - (rank[0] - rank[i]);
+            update[i].span[i] = rank[0] - rank[i] + 1;
+        }
+
+        // Links above the new node now skip one more element
+        for (let i = level; i < this.level; i++) {
+            update[i].span[i] += 1;
+        }
+
+        this.length += 1;
+        return rank[0];
+    }
+
+    // Remove a key, returning whether it was present
+    remove(key) {
+        const update = new Array(MAX_LEVEL);
+        let node = this.head;
+
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (node.next[i] && this.compare(node.next[i].key, key) < 0) {
+                node = node.next[i];
+            }
+            update[i] = node;
+        }
+
+        const target = node.next[0];
+        if (!target || this.compare(target.key, key) !== 0) {
+            return false;
+        }
+
+        for (let i = 0; i < this.level; i++) {
+            if (update[i].next[i] === target) {
+                update[i].span[i] += target.span[i] - 1;
+                update[i].next[i] = target.next[i];
+            } else {
+                update[i].span[i] -= 1;
+            }
+        }
+
+        while (this.level > 1 && !this.head.next[this.level - 1]) {
+            this.level -= 1;
+        }
+
+        this.length -= 1;
+        return true;
+    }
+
+    // 0-based position of a key, or -1 if absent
+    indexOf(key) {
+        let node = this.head;
+        let traversed = 0;
+
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (node.next[i] && this.compare(node.next[i].key, key) <= 0) {
+                traversed += node.span[i];
+                node = node.next[i];
+            }
+            if (node !== this.head && this.compare(node.key, key) === 0) {
+                return traversed - 1;
+            }
+        }
+
+        return -1;
+    }
+
+    // Number of keys sorting strictly before the probe (which need not be present)
+    countBefore(probe) {
+        let node = this.head;
+        let traversed = 0;
+
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (node.next[i] && this.compare(node.next[i].key, probe) < 0) {
+                traversed += node.span[i];
+                node = node.next[i];
+            }
+        }
+
+        return traversed;
+    }
+
+    // Key at a 0-based position, or null when out of range
+    at(index) {
+        if (index < 0 || index >= this.length) {
+            return null;
+        }
+
+        let node = this.head;
+        let traversed = 0;
+
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (node.next[i] && traversed + node.span[i] <= index + 1) {
+                traversed += node.span[i];
+                node = node.next[i];
+            }
+            if (traversed === index + 1) {
+                return node.key;
+            }
+        }
+
+        return null;
+    }
+
+    // Up to `count` keys starting at a 0-based position
+    range(start, count) {
+        const keys = [];
+        if (start < 0 || start >= this.length || count <= 0) {
+            return keys;
+        }
+
+        // Find the first node positionally, then walk the bottom level
+        let node = this.head;
+        let traversed = 0;
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (node.next[i] && traversed + node.span[i] <= start + 1) {
+                traversed += node.span[i];
+                node = node.next[i];
+            }
+        }
+
+        while (node && node !== this.head && keys.length < count) {
+            keys.push(node.key);
+            node = node.next[0];
+        }
+
+        return keys;
+    }
+}
+
+module.exports = OrderStatisticsList;
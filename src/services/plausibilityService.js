@@ -0,0 +1,114 @@
+const ScoreViolation = require('../models/ScoreViolation');
+const { getPlausibilityRules } = require('../config/plausibility');
+
+/**
+ * Thrown when a score update breaks a plausibility rule. `code` is one of
+ * SCORE_VIOLATION_CODES and `details` carries the limit that was crossed.
+ */
+class PlausibilityError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'PlausibilityError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Check the gain of one update against the game mode's rules. `lastUpdateAt`
+ * is the player's previous update in the mode or session; without one only
+ * the single-update limit applies. Returns a PlausibilityError or null.
+ */
+const checkScoreChange = ({ gameMode, previousScore, newScore, lastUpdateAt = null, now = new Date() }) => {
+    const rules = getPlausibilityRules(gameMode);
+    const gain = newScore - previousScore;
+
+    if (gain > rules.maxDelta) {
+        return new PlausibilityError(
+            'MAX_DELTA_EXCEEDED',
+            `Score cannot rise by more than ${rules.maxDelta} in one update`,
+            { gain, maxDelta: rules.maxDelta }
+        );
+    }
+
+    if (lastUpdateAt && gain > 0) {
+        // Updates less than a second apart are measured over one second
+        const seconds = Math.max(1, (now - new Date(lastUpdateAt)) / 1000);
+        const pointsPerSecond = gain / seconds;
+
+        if (pointsPerSecond > rules.maxPointsPerSecond) {
+            return new PlausibilityError(
+                'POINTS_PER_SECOND_EXCEEDED',
+                `Score cannot rise faster than ${rules.maxPointsPerSecond} points per second`,
+                { gain, seconds, pointsPerSecond, maxPointsPerSecond: rules.maxPointsPerSecond }
+            );
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check a new session score for one player of an active session: the
+ * session's time and score limits, then the game mode's rules against the
+ * player's previous session score. Returns a PlausibilityError or null.
+ */
+const checkSessionScore = (session, sessionPlayer, newScore, now = new Date()) => {
+    const { timeLimit, scoreLimit } = session.gameSettings || {};
+    const rules = getPlausibilityRules(session.gameMode);
+
+    if (timeLimit && session.startedAt) {
+        const elapsed = (now - session.startedAt) / 1000;
+        if (elapsed > timeLimit + rules.timeLimitGraceSeconds) {
+            return new PlausibilityError(
+                'SESSION_TIME_LIMIT_ELAPSED',
+                'Session time limit has elapsed',
+                { elapsed, timeLimit }
+            );
+        }
+    }
+
+    if (scoreLimit && newScore > scoreLimit) {
+        return new PlausibilityError(
+            'SESSION_SCORE_LIMIT_EXCEEDED',
+            `Session score cannot exceed ${scoreLimit}`,
+            { score: newScore, scoreLimit }
+        );
+    }
+
+    return checkScoreChange({
+        gameMode: session.gameMode,
+        previousScore: sessionPlayer.currentSessionScore,
+        newScore,
+        lastUpdateAt: sessionPlayer.lastScoreAt || session.startedAt,
+        now
+    });
+};
+
+/**
+ * Record a violation and throw it. `update` describes the rejected update:
+ * { playerId, sessionId, gameMode, previousScore, submittedScore };
+ * `context` is the score change context ({ source, actor }).
+ */
+const rejectScoreUpdate = async (error, update, context = {}) => {
+    try {
+        await ScoreViolation.create({
+            ...update,
+            code: error.code,
+            details: error.details,
+            source: context.source,
+            actor: context.actor
+        });
+    } catch (recordError) {
+        console.error('Error recording score violation:', recordError);
+    }
+
+    throw error;
+};
+
+module.exports = {
+    PlausibilityError,
+    checkScoreChange,
+    checkSessionScore,
+    rejectScoreUpdate
+};
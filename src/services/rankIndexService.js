@@ -0,0 +1,198 @@
+const { MemoryRankIndexStore } = require('./rankIndexStore');
+const { GAME_MODES } = require('../config/constants');
+const { getRankingRules, getTiebreakValues, normalizeTiebreaks } = require('./rankingService');
+
+const OVERALL_BOARD = 'overall';
+
+/**
+ * Keeps an order-statistics index of every leaderboard partition so rank
+ * lookups and range reads do not have to scan Mongo. Mongo stays the source
+ * of truth: the index is rebuilt from it on startup and kept in sync by
+ * player writes. Until a rebuild finishes, callers fall back to Mongo.
+ */
+class RankIndexService {
+    constructor(store = new MemoryRankIndexStore()) {
+        this.store = store;
+        this.ready = false;
+        this.rebuilding = false;
+        this.pendingPlayers = new Map(); // playerId -> player written during a rebuild
+        this.memberships = new Map(); // playerId -> Set of partitions
+    }
+
+    setStore(store) {
+        this.store = store;
+        this.ready = false;
+        this.memberships.clear();
+    }
+
+    isReady() {
+        return this.ready;
+    }
+
+    getPartitionKey(region, gameMode) {
+        const regionKey = region && region !== 'GLOBAL' ? region : 'GLOBAL';
+        return `${regionKey}:${gameMode || OVERALL_BOARD}`;
+    }
+
+    // Boards a player appears on, mirroring Player.buildLeaderboardFilter,
+    // with the standing ({ score, tiebreaks }) the player holds on each
+    getPlayerPartitions(player) {
+        const partitions = new Map();
+        if ((player.ban && player.ban.active) || (player.shadowBan && player.shadowBan.active)) {
+            return partitions;
+        }
+
+        const regions = player.region && player.region !== 'GLOBAL'
+            ? ['GLOBAL', player.region]
+            : ['GLOBAL'];
+        const overall = {
+            score: player.currentScore || 0,
+            tiebreaks: getTiebreakValues(player, null)
+        };
+
+        regions.forEach(region => {
+            partitions.set(this.getPartitionKey(region, null), overall);
+
+            GAME_MODES.forEach(mode => {
+                const stats = player.modeStats && player.modeStats[mode];
+                if (stats && stats.lastPlayedAt) {
+                    partitions.set(this.getPartitionKey(region, mode), {
+                        score: stats.score,
+                        tiebreaks: getTiebreakValues(player, mode)
+                    });
+                }
+            });
+        });
+
+        return partitions;
+    }
+
+    async applyPlayer(player) {
+        const partitions = this.getPlayerPartitions(player);
+        const previous = this.memberships.get(player.playerId) || new Set();
+
+        for (const partition of previous) {
+            if (!partitions.has(partition)) {
+                await this.store.remove(partition, player.playerId);
+            }
+        }
+
+        for (const [partition, { score, tiebreaks }] of partitions) {
+            await this.store.upsert(partition, player.playerId, score, tiebreaks);
+        }
+
+        this.memberships.set(player.playerId, new Set(partitions.keys()));
+    }
+
+    async syncPlayer(player) {
+        if (!player || !player.playerId) return;
+
+        if (this.rebuilding) {
+            this.pendingPlayers.set(player.playerId, player);
+            return;
+        }
+
+        await this.applyPlayer(player);
+    }
+
+    async removePlayer(playerId) {
+        if (this.rebuilding) {
+            this.pendingPlayers.set(playerId, null);
+            return;
+        }
+
+        const partitions = this.memberships.get(playerId) || new Set();
+        for (const partition of partitions) {
+            await this.store.remove(partition, playerId);
+        }
+        this.memberships.delete(playerId);
+    }
+
+    /**
+     * Rebuild every partition from Mongo. Writes that arrive while the scan
+     * runs are queued and applied once it finishes.
+     */
+    async rebuild(PlayerModel) {
+        if (this.rebuilding) return;
+
+        this.rebuilding = true;
+        this.ready = false;
+        const startedAt = Date.now();
+        let playerCount = 0;
+
+        try {
+            await this.store.clear();
+            this.memberships.clear();
+
+            const cursor = PlayerModel.find({})
+                .select('playerId region currentScore lastActiveAt modeStats scoreReachedAt totalGamesPlayed gameStats ban shadowBan')
+                .lean()
+                .cursor();
+
+            for await (const player of cursor) {
+                await this.applyPlayer(player);
+                playerCount += 1;
+            }
+
+            this.rebuilding = false;
+
+            for (const [playerId, player] of this.pendingPlayers) {
+                if (player) {
+                    await this.applyPlayer(player);
+                } else {
+                    await this.removePlayer(playerId);
+                }
+            }
+            this.pendingPlayers.clear();
+
+            this.ready = true;
+            console.log(`📇 Rank index rebuilt: ${playerCount} players in ${Date.now() - startedAt}ms`);
+
+        } catch (error) {
+            this.rebuilding = false;
+            this.pendingPlayers.clear();
+            console.error('❌ Rank index rebuild failed, falling back to database ranks:', error.message);
+        }
+    }
+
+    // Rank under the board's ranking style (or options.style), or null if the player is not on the board
+    async getRank(playerId, options = {}) {
+        const partition = this.getPartitionKey(options.region, options.gameMode);
+        const style = options.style || getRankingRules(options.gameMode).style;
+
+        return this.store.getRank(partition, playerId, style);
+    }
+
+    async getRange(options, start, count) {
+        const partition = this.getPartitionKey(options.region, options.gameMode);
+        return this.store.getRange(partition, start, count);
+    }
+
+    /**
+     * Up to `count` entries after (or before) a cursor standing
+     * ({ playerId, score, tiebreakRaw }), with the 0-based position of the first.
+     */
+    async getKeysetRange(options, standing, direction, count) {
+        const partition = this.getPartitionKey(options.region, options.gameMode);
+        const entry = {
+            playerId: standing.playerId,
+            score: standing.score,
+            tiebreaks: normalizeTiebreaks(standing.tiebreakRaw, options.gameMode)
+        };
+
+        if (direction === 'after') {
+            const start = await this.store.countBefore(partition, entry, true);
+            return { start, entries: await this.store.getRange(partition, start, count) };
+        }
+
+        const end = await this.store.countBefore(partition, entry);
+        const start = Math.max(0, end - count);
+        return { start, entries: await this.store.getRange(partition, start, end - start) };
+    }
+
+    async count(options = {}) {
+        return this.store.size(this.getPartitionKey(options.region, options.gameMode));
+    }
+}
+
+module.exports = new RankIndexService();
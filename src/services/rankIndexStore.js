@@ -0,0 +1,206 @@
+const OrderStatisticsList = require('./orderStatisticsList');
+
+/**
+ * Storage interface for the rank index. A partition is one leaderboard
+ * (region x game mode). Entries are ordered by score descending, then by
+ * each tiebreak value descending (callers normalise them so higher ranks
+ * first), then by playerId. Every method is async so a shared backend
+ * (e.g. Redis sorted sets) can implement the same contract.
+ */
+class RankIndexStore {
+    async upsert(partition, playerId, score, tiebreaks) {
+        throw new Error('RankIndexStore.upsert not implemented');
+    }
+
+    async remove(partition, playerId) {
+        throw new Error('RankIndexStore.remove not implemented');
+    }
+
+    // Score stored for a player, or null if the player is not in the partition
+    async getScore(partition, playerId) {
+        throw new Error('RankIndexStore.getScore not implemented');
+    }
+
+    // Rank of a player under a ranking style ('competition', 'dense' or 'ordinal'), or null
+    async getRank(partition, playerId, style) {
+        throw new Error('RankIndexStore.getRank not implemented');
+    }
+
+    // 0-based position of a player in the ordering, or -1
+    async getPosition(partition, playerId) {
+        throw new Error('RankIndexStore.getPosition not implemented');
+    }
+
+    // Number of entries ordered before an entry { playerId, score, tiebreaks },
+    // counting the entry itself when `inclusive` and present
+    async countBefore(partition, entry, inclusive = false) {
+        throw new Error('RankIndexStore.countBefore not implemented');
+    }
+
+    // [{ playerId, score, tiebreaks }] for positions start .. start + count - 1
+    async getRange(partition, start, count) {
+        throw new Error('RankIndexStore.getRange not implemented');
+    }
+
+    async size(partition) {
+        throw new Error('RankIndexStore.size not implemented');
+    }
+
+    async clear() {
+        throw new Error('RankIndexStore.clear not implemented');
+    }
+}
+
+// Orders standings (score + tiebreaks) without looking at the player
+const compareStandings = (a, b) => {
+    if (a.score !== b.score) return b.score - a.score;
+    for (let i = 0; i < a.tiebreaks.length; i++) {
+        if (a.tiebreaks[i] !== b.tiebreaks[i]) return b.tiebreaks[i] - a.tiebreaks[i];
+    }
+    return 0;
+};
+
+const compareEntries = (a, b) => {
+    const standing = compareStandings(a, b);
+    if (standing !== 0) return standing;
+    if (a.playerId === b.playerId) return 0;
+    return a.playerId < b.playerId ? -1 : 1;
+};
+
+const standingKey = (entry) => `${entry.score}|${entry.tiebreaks.join('|')}`;
+
+const sameStanding = (a, b) => compareStandings(a, b) === 0;
+
+/**
+ * In-process store: one skip list per partition plus a playerId -> entry map.
+ * A second skip list holds each distinct standing once, for dense ranks.
+ */
+class MemoryRankIndexStore extends RankIndexStore {
+    constructor() {
+        super();
+        this.partitions = new Map(); // partition -> { list, entries: Map(playerId -> entry) }
+    }
+
+    getPartition(partition, create = false) {
+        let data = this.partitions.get(partition);
+        if (!data && create) {
+            data = {
+                list: new OrderStatisticsList(compareEntries),
+                entries: new Map(),
+                standings: new OrderStatisticsList(compareStandings),
+                standingCounts: new Map() // standing key -> number of players on it
+            };
+            this.partitions.set(partition, data);
+        }
+        return data;
+    }
+
+    addStanding(data, entry) {
+        const key = standingKey(entry);
+        const count = data.standingCounts.get(key) || 0;
+        if (count === 0) {
+            data.standings.insert({ score: entry.score, tiebreaks: entry.tiebreaks });
+        }
+        data.standingCounts.set(key, count + 1);
+    }
+
+    removeStanding(data, entry) {
+        const key = standingKey(entry);
+        const count = data.standingCounts.get(key) || 0;
+        if (count <= 1) {
+            data.standings.remove(entry);
+            data.standingCounts.delete(key);
+        } else {
+            data.standingCounts.set(key, count - 1);
+        }
+    }
+
+    async upsert(partition, playerId, score, tiebreaks = []) {
+        const data = this.getPartition(partition, true);
+        const existing = data.entries.get(playerId);
+        const entry = { playerId, score, tiebreaks };
+
+        if (existing) {
+            if (sameStanding(existing, entry)) {
+                return;
+            }
+            data.list.remove(existing);
+            this.removeStanding(data, existing);
+        }
+
+        data.list.insert(entry);
+        this.addStanding(data, entry);
+        data.entries.set(playerId, entry);
+    }
+
+    async remove(partition, playerId) {
+        const data = this.getPartition(partition);
+        const existing = data && data.entries.get(playerId);
+        if (!existing) return;
+
+        data.list.remove(existing);
+        this.removeStanding(data, existing);
+        data.entries.delete(playerId);
+    }
+
+    async getScore(partition, playerId) {
+        const data = this.getPartition(partition);
+        const entry = data && data.entries.get(playerId);
+        return entry ? entry.score : null;
+    }
+
+    async getRank(partition, playerId, style = 'competition') {
+        const data = this.getPartition(partition);
+        const entry = data && data.entries.get(playerId);
+        if (!entry) return null;
+
+        if (style === 'ordinal') {
+            return data.list.indexOf(entry) + 1;
+        }
+        if (style === 'dense') {
+            return data.standings.countBefore(entry) + 1;
+        }
+
+        // The empty playerId sorts before everyone tied with the entry
+        return data.list.countBefore({ ...entry, playerId: '' }) + 1;
+    }
+
+    async getPosition(partition, playerId) {
+        const data = this.getPartition(partition);
+        const entry = data && data.entries.get(playerId);
+        return entry ? data.list.indexOf(entry) : -1;
+    }
+
+    async countBefore(partition, entry, inclusive = false) {
+        const data = this.getPartition(partition);
+        if (!data) return 0;
+
+        const before = data.list.countBefore(entry);
+        return inclusive && data.list.indexOf(entry) >= 0 ? before + 1 : before;
+    }
+
+    async getRange(partition, start, count) {
+        const data = this.getPartition(partition);
+        if (!data) return [];
+
+        return data.list.range(start, count).map(entry => ({
+            playerId: entry.playerId,
+            score: entry.score,
+            tiebreaks: entry.tiebreaks
+        }));
+    }
+
+    async size(partition) {
+        const data = this.getPartition(partition);
+        return data ? data.list.size : 0;
+    }
+
+    async clear() {
+        this.partitions.clear();
+    }
+}
+
+module.exports = {
+    RankIndexStore,
+    MemoryRankIndexStore
+};
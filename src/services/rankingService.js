@@ -0,0 +1,262 @@
+const { getRankingRules } = require('../config/ranking');
+
+// Document path and direction of a tiebreaker on a board.
+// direction 1 means a lower value ranks higher, -1 a higher value.
+const getTiebreakerField = (tiebreaker, gameMode) => {
+    const modePrefix = gameMode ? `modeStats.${gameMode}.` : '';
+
+    switch (tiebreaker) {
+        case 'first_to_reach':
+            return { path: `${modePrefix}scoreReachedAt`, direction: 1 };
+        case 'fewer_games':
+            return { path: gameMode ? `${modePrefix}gamesPlayed` : 'totalGamesPlayed', direction: 1 };
+        case 'higher_win_rate':
+            return { path: gameMode ? `${modePrefix}winRatio` : 'gameStats.winRatio', direction: -1 };
+        case 'recent_activity':
+            return { path: 'lastActiveAt', direction: -1 };
+        default:
+            throw new Error(`Unknown tiebreaker "${tiebreaker}"`);
+    }
+};
+
+/**
+ * Tiebreaker fields for a board, optionally under a path prefix
+ * (e.g. 'player.' when the player document is nested in an aggregation).
+ */
+const getTiebreakFields = (gameMode = null, prefix = '') =>
+    getRankingRules(gameMode).tiebreakers.map(tiebreaker => {
+        const field = getTiebreakerField(tiebreaker, gameMode);
+        return { ...field, path: `${prefix}${field.path}` };
+    });
+
+const getPath = (object, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Raw tiebreaker values as stored on the player, for building Mongo filters
+const getTiebreakRaw = (player, gameMode = null) =>
+    getTiebreakFields(gameMode).map(({ path }) => {
+        const value = getPath(player, path);
+        return value === undefined ? null : value;
+    });
+
+// A missing value sorts below every other, as null does in Mongo
+const toNumber = (value) => {
+    if (value == null) return -Infinity;
+    if (value instanceof Date) return value.getTime();
+    return Number(value);
+};
+
+// Raw tiebreaker values normalised so that a higher number always ranks first
+const normalizeTiebreaks = (tiebreakRaw, gameMode = null) =>
+    getTiebreakFields(gameMode).map(({ direction }, index) => {
+        const value = toNumber(tiebreakRaw[index]);
+        return direction === 1 ? -value : value;
+    });
+
+const getTiebreakValues = (player, gameMode = null) =>
+    normalizeTiebreaks(getTiebreakRaw(player, gameMode), gameMode);
+
+// Mongo sort matching the ranking order: score, tiebreakers, then playerId
+const getSortSpec = (scorePath, gameMode = null, prefix = '', idPath = 'playerId') => {
+    const sort = { [scorePath]: -1 };
+
+    getTiebreakFields(gameMode, prefix).forEach(({ path, direction }) => {
+        sort[path] = direction;
+    });
+
+    sort[idPath] = 1;
+    return sort;
+};
+
+// Conditions for a value strictly above or below `value` in Mongo's sort
+// order, where null and missing fields come before everything else. Players
+// stored before a tiebreaker existed have no value for it, and $gt/$lt never
+// match null, so they need a branch of their own.
+const isAbove = (path, value) => (value === null
+    ? { [path]: { $ne: null } }
+    : { [path]: { $gt: value } });
+
+const isBelow = (path, value) => (value === null
+    ? null // nothing sorts below null
+    : { $or: [{ [path]: { $lt: value } }, { [path]: null }] });
+
+/**
+ * Mongo filters relative to a standing { playerId, score, tiebreakRaw }:
+ * `better` matches everyone ranked strictly ahead of it, `tied` everyone
+ * level with it on score and every tiebreaker.
+ */
+const buildStandingFilters = (scorePath, gameMode, standing, prefix = '') => {
+    const fields = getTiebreakFields(gameMode, prefix);
+    const better = [{ [scorePath]: { $gt: standing.score } }];
+    const tied = { [scorePath]: standing.score };
+
+    fields.forEach(({ path, direction }, index) => {
+        const value = standing.tiebreakRaw[index];
+        const ahead = direction === 1 ? isBelow(path, value) : isAbove(path, value);
+
+        if (ahead) {
+            better.push({ ...tied, ...ahead });
+        }
+        tied[path] = value;
+    });
+
+    return { better: { $or: better }, tied };
+};
+
+/**
+ * Mongo filter for keyset pagination: everyone ordered strictly after
+ * (direction 'after') or before ('before') a standing, in full board order
+ * including the final playerId tiebreak.
+ */
+const buildKeysetFilter = (scorePath, gameMode, standing, direction, prefix = '', idPath = 'playerId') => {
+    const after = direction === 'after';
+    const fields = [
+        { path: scorePath, direction: -1, value: standing.score },
+        ...getTiebreakFields(gameMode, prefix).map((field, index) => ({
+            ...field,
+            value: standing.tiebreakRaw[index]
+        })),
+        { path: idPath, direction: 1, value: standing.playerId }
+    ];
+    const conditions = [];
+    const equal = {};
+
+    fields.forEach(({ path, direction: fieldDirection, value }) => {
+        // Later on an ascending field means a larger value, on a descending one a smaller value
+        const later = (fieldDirection === 1) === after ? isAbove(path, value) : isBelow(path, value);
+
+        if (later) {
+            conditions.push({ ...equal, ...later });
+        }
+        equal[path] = value;
+    });
+
+    return { $or: conditions };
+};
+
+// Flip a sort spec, for reading a page backwards from a cursor
+const reverseSort = (sort) =>
+    Object.fromEntries(Object.entries(sort).map(([path, direction]) => [path, -direction]));
+
+// Identifies the board a cursor was issued for, including the rules it was ordered by
+const getBoardKey = (board = {}) => {
+    const { style, tiebreakers } = getRankingRules(board.gameMode);
+
+    return [
+        board.region || 'GLOBAL',
+        board.gameMode || 'overall',
+        board.window || 'alltime',
+        board.onlineOnly ? 'online' : 'all',
+        style,
+        tiebreakers.join(',')
+    ].join(':');
+};
+
+// Opaque cursor pointing at a standing on a board
+const encodeCursor = (standing, board) => Buffer.from(JSON.stringify({
+    b: getBoardKey(board),
+    s: standing.score,
+    t: standing.tiebreakRaw.map(value => (value instanceof Date ? { d: value.getTime() } : value)),
+    p: standing.playerId
+})).toString('base64url');
+
+const isCursorValue = (value) =>
+    value === null || typeof value === 'number' || (typeof value === 'object' && typeof value.d === 'number');
+
+// Standing a cursor points at, or null if it is malformed or from another board
+const decodeCursor = (cursor, board) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const valid = payload
+        && payload.b === getBoardKey(board)
+        && typeof payload.s === 'number'
+        && typeof payload.p === 'string'
+        && Array.isArray(payload.t)
+        && payload.t.length === getTiebreakFields(board.gameMode).length
+        && payload.t.every(isCursorValue);
+
+    if (!valid) return null;
+
+    return {
+        playerId: payload.p,
+        score: payload.s,
+        tiebreakRaw: payload.t.map(value => (value && typeof value === 'object' ? new Date(value.d) : value))
+    };
+};
+
+// $group key that collapses fully tied players into one standing (dense ranks)
+const getStandingGroupKey = (scorePath, gameMode, prefix = '') => {
+    const key = { score: `$${scorePath}` };
+
+    getTiebreakFields(gameMode, prefix).forEach(({ path }, index) => {
+        key[`tiebreak${index}`] = `$${path}`;
+    });
+
+    return key;
+};
+
+const isTied = (a, b) =>
+    a.score === b.score && a.tiebreaks.every((value, index) => value === b.tiebreaks[index]);
+
+/**
+ * Assign ranks to a contiguous, ordered page of rows. Each row needs
+ * `score` and normalised `tiebreaks`; `firstRank` is the rank of the first
+ * row and `firstPosition` its 0-based position on the board.
+ */
+const assignRanks = (rows, style, firstRank, firstPosition) => {
+    let rank = firstRank;
+
+    rows.forEach((row, index) => {
+        if (index > 0) {
+            if (style === 'ordinal') {
+                rank = firstPosition + index + 1;
+            } else if (!isTied(rows[index - 1], row)) {
+                rank = style === 'dense' ? rank + 1 : firstPosition + index + 1;
+            }
+        }
+        row.rank = rank;
+    });
+
+    return rows;
+};
+
+/**
+ * Rank counter for walking a board in order: call it with each standing
+ * ({ score, tiebreaks }) in turn and it returns that standing's rank.
+ */
+const createRankCounter = (style) => {
+    let position = 0;
+    let rank = 0;
+    let previous = null;
+
+    return (standing) => {
+        position += 1;
+        if (style === 'ordinal' || !previous || !isTied(previous, standing)) {
+            rank = style === 'dense' ? rank + 1 : position;
+        }
+        previous = standing;
+        return rank;
+    };
+};
+
+module.exports = {
+    getRankingRules,
+    getTiebreakFields,
+    getTiebreakRaw,
+    normalizeTiebreaks,
+    getTiebreakValues,
+    getSortSpec,
+    reverseSort,
+    buildStandingFilters,
+    buildKeysetFilter,
+    encodeCursor,
+    decodeCursor,
+    getStandingGroupKey,
+    assignRanks,
+    createRankCounter
+};
@@ -0,0 +1,130 @@
+/**
+ * Storage for rate limit state. Each algorithm is one method that reads,
+ * updates and answers in a single atomic step, so a shared backend (e.g.
+ * Redis with a script per algorithm) can let every server instance enforce
+ * the same limits. Methods resolve to { allowed, remaining, resetTime },
+ * where resetTime is the number of seconds until the next update would be
+ * allowed (or until the state is fresh again when allowed).
+ */
+class RateLimitStore {
+    // Allow at most `limit` hits in any `windowMs`
+    async slidingWindow(key, { limit, windowMs }, now = Date.now()) {
+        throw new Error(`${this.constructor.name} does not implement slidingWindow`);
+    }
+
+    // Allow bursts of `capacity` hits, refilled at `refillPerSecond`
+    async tokenBucket(key, { capacity, refillPerSecond }, now = Date.now()) {
+        throw new Error(`${this.constructor.name} does not implement tokenBucket`);
+    }
+}
+
+/**
+ * Per-process store. Each key holds a fixed-size state: the sliding window
+ * is approximated from the current and previous window counts, and a bucket
+ * is its token count. Entries expire once their state is fresh again, and at
+ * most `maxKeys` are kept, evicting the least recently used.
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+    constructor({ maxKeys = 10000, pruneIntervalMs = 60 * 1000 } = {}) {
+        super();
+        this.maxKeys = maxKeys;
+        this.entries = new Map(); // key -> { state, expiresAt }, least recently used first
+
+        this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    read(key, now) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        return entry.expiresAt > now ? entry.state : null;
+    }
+
+    // Re-inserting moves the key to the most recently used end
+    write(key, state, expiresAt) {
+        this.entries.set(key, { state, expiresAt });
+
+        while (this.entries.size > this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    prune(now = Date.now()) {
+        this.entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    async slidingWindow(key, { limit, windowMs }, now = Date.now()) {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        let state = this.read(key, now) || { windowStart, current: 0, previous: 0 };
+
+        if (state.windowStart !== windowStart) {
+            const previous = state.windowStart === windowStart - windowMs ? state.current : 0;
+            state = { windowStart, current: 0, previous };
+        }
+
+        // The previous window counts for the part of it still inside the sliding window
+        const elapsed = now - windowStart;
+        const estimate = state.previous * (1 - elapsed / windowMs) + state.current;
+        const allowed = estimate + 1 <= limit;
+
+        if (allowed) {
+            state.current++;
+        }
+
+        let waitMs;
+        if (allowed || state.current + 1 > limit) {
+            waitMs = windowMs - elapsed;
+        } else {
+            // The previous window's share has to decay until one more hit fits
+            waitMs = windowMs * (1 - (limit - 1 - state.current) / state.previous) - elapsed;
+        }
+
+        this.write(key, state, windowStart + 2 * windowMs);
+
+        return {
+            allowed,
+            remaining: Math.max(0, Math.floor(limit - estimate - (allowed ? 1 : 0))),
+            resetTime: Math.max(1, Math.ceil(waitMs / 1000))
+        };
+    }
+
+    async tokenBucket(key, { capacity, refillPerSecond }, now = Date.now()) {
+        const state = this.read(key, now) || { tokens: capacity, updatedAt: now };
+
+        const refilled = ((now - state.updatedAt) / 1000) * refillPerSecond;
+        state.tokens = Math.min(capacity, state.tokens + refilled);
+        state.updatedAt = now;
+
+        const allowed = state.tokens >= 1;
+        if (allowed) {
+            state.tokens -= 1;
+        }
+
+        // A full bucket carries no information, so the entry can go once refilled
+        const refillMs = ((capacity - state.tokens) / refillPerSecond) * 1000;
+        this.write(key, state, now + refillMs);
+
+        const waitSeconds = allowed ? refillMs / 1000 : (1 - state.tokens) / refillPerSecond;
+
+        return {
+            allowed,
+            remaining: Math.floor(state.tokens),
+            resetTime: Math.max(1, Math.ceil(waitSeconds))
+        };
+    }
+}
+
+module.exports = {
+    RateLimitStore,
+    MemoryRateLimitStore
+};
@@ -0,0 +1,218 @@
+const Player = require('../models/Player');
+
+// Glicko-2 system constants
+const GLICKO_SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const SYSTEM_TAU = 0.5; // Constrains volatility change over time
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Ratings stay provisional until a player has completed this many rated games
+const PROVISIONAL_GAMES = parseInt(process.env.RATING_PROVISIONAL_GAMES) || 10;
+
+// Game modes whose sessions update skill ratings
+const RATED_GAME_MODES = ['ranked'];
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, muOpponent, phiOpponent) =>
+    1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+
+// Iterative volatility update (step 5 of the Glicko-2 paper, Illinois algorithm)
+function computeVolatility(phi, sigma, v, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (SYSTEM_TAU * SYSTEM_TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * SYSTEM_TAU) < 0) {
+            k += 1;
+        }
+        B = a - k * SYSTEM_TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player against a set of results from a single rating period.
+ * Each result is { rating, deviation, score } where score is 1, 0.5 or 0.
+ */
+function ratePlayer(player, results) {
+    const mu = (player.rating - DEFAULT_RATING) / GLICKO_SCALE;
+    const phi = player.deviation / GLICKO_SCALE;
+    const sigma = player.volatility;
+
+    if (results.length === 0) {
+        // No games: only the deviation grows
+        const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+        return {
+            rating: player.rating,
+            deviation: Math.min(phiStar * GLICKO_SCALE, DEFAULT_DEVIATION),
+            volatility: sigma
+        };
+    }
+
+    let vInverse = 0;
+    let improvement = 0;
+    results.forEach(result => {
+        const muOpponent = (result.rating - DEFAULT_RATING) / GLICKO_SCALE;
+        const phiOpponent = result.deviation / GLICKO_SCALE;
+        const expected = expectedScore(mu, muOpponent, phiOpponent);
+
+        vInverse += g(phiOpponent) * g(phiOpponent) * expected * (1 - expected);
+        improvement += g(phiOpponent) * (result.score - expected);
+    });
+
+    const v = 1 / vInverse;
+    const delta = v * improvement;
+    const newSigma = computeVolatility(phi, sigma, v, delta);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+        rating: newMu * GLICKO_SCALE + DEFAULT_RATING,
+        deviation: Math.min(newPhi * GLICKO_SCALE, DEFAULT_DEVIATION),
+        volatility: newSigma
+    };
+}
+
+/**
+ * Compute new ratings for every participant of a finished match.
+ * A multiplayer result is treated as pairwise games: a better final position
+ * is a win against that opponent, an equal position a draw.
+ *
+ * @param {Array} participants - [{ playerId, position, rating, deviation, volatility }]
+ * @returns {Map} playerId -> { rating, deviation, volatility }
+ */
+function computeMatchRatings(participants) {
+    const updatedRatings = new Map();
+
+    participants.forEach(player => {
+        const results = participants
+            .filter(opponent => opponent.playerId !== player.playerId)
+            .map(opponent => ({
+                rating: opponent.rating,
+                deviation: opponent.deviation,
+                score: player.position < opponent.position ? 1
+                    : player.position === opponent.position ? 0.5 : 0
+            }));
+
+        updatedRatings.set(player.playerId, ratePlayer(player, results));
+    });
+
+    return updatedRatings;
+}
+
+function isRatedGameMode(gameMode) {
+    return RATED_GAME_MODES.includes(gameMode);
+}
+
+/**
+ * Update the skill ratings of everyone who took part in an ended session.
+ * Players who left early are still rated at their final position so leaving
+ * a losing match does not protect a rating.
+ *
+ * @returns {Map} playerId -> { before, after, change, deviation, provisional }
+ */
+async function updateSessionRatings(session) {
+    const changes = new Map();
+
+    if (!isRatedGameMode(session.gameMode) || session.players.length < 2) {
+        return changes;
+    }
+
+    const playerIds = session.players.map(p => p.playerId);
+    const players = await Player.find({ playerId: { $in: playerIds } })
+        .select('playerId skillRating')
+        .lean();
+
+    const participants = players.map(player => {
+        const sessionPlayer = session.players.find(p => p.playerId === player.playerId);
+        const skillRating = player.skillRating || {};
+
+        return {
+            playerId: player.playerId,
+            position: sessionPlayer.position,
+            rating: skillRating.rating ?? DEFAULT_RATING,
+            deviation: skillRating.deviation ?? DEFAULT_DEVIATION,
+            volatility: skillRating.volatility ?? DEFAULT_VOLATILITY,
+            gamesPlayed: skillRating.gamesPlayed || 0
+        };
+    });
+
+    const updatedRatings = computeMatchRatings(participants);
+    const now = new Date();
+
+    const operations = participants.map(participant => {
+        const updated = updatedRatings.get(participant.playerId);
+        const gamesPlayed = participant.gamesPlayed + 1;
+        const provisional = gamesPlayed < PROVISIONAL_GAMES;
+
+        changes.set(participant.playerId, {
+            before: Math.round(participant.rating),
+            after: Math.round(updated.rating),
+            change: Math.round(updated.rating) - Math.round(participant.rating),
+            deviation: Math.round(updated.deviation),
+            provisional
+        });
+
+        return {
+            updateOne: {
+                filter: { playerId: participant.playerId },
+                update: {
+                    $set: {
+                        'skillRating.rating': updated.rating,
+                        'skillRating.deviation': updated.deviation,
+                        'skillRating.volatility': updated.volatility,
+                        'skillRating.gamesPlayed': gamesPlayed,
+                        'skillRating.provisional': provisional,
+                        'skillRating.lastRatedAt': now
+                    }
+                }
+            }
+        };
+    });
+
+    if (operations.length > 0) {
+        await Player.bulkWrite(operations);
+    }
+
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    PROVISIONAL_GAMES,
+    ratePlayer,
+    computeMatchRatings,
+    isRatedGameMode,
+    updateSessionRatings
+};
@@ -0,0 +1,244 @@
+const GameSession = require('../models/GameSession');
+const SessionEvent = require('../models/SessionEvent');
+
+// Most events a replay loads
+const MAX_REPLAY_EVENTS = 20000;
+
+class ReplayError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ReplayError';
+        this.code = code;
+    }
+}
+
+const formatEvent = (event) => ({
+    timestamp: event.timestamp,
+    playerId: event.playerId,
+    eventType: event.eventType,
+    data: event.data
+});
+
+/**
+ * Scoreboard after the first `count` events of a replay: every player's
+ * session score and rank, team totals in team mode, and whether the match
+ * had started and ended by then.
+ */
+function buildScoreboard(session, events, count) {
+    const players = new Map();
+    let started = false;
+    let ended = false;
+
+    events.slice(0, count).forEach(({ eventType, playerId, data = {} }) => {
+        switch (eventType) {
+            case 'player_joined':
+                // A player who rejoins keeps their score
+                players.set(playerId, {
+                    playerId,
+                    username: data.username,
+                    team: data.team || null,
+                    score: players.has(playerId) ? players.get(playerId).score : 0,
+                    isActive: true
+                });
+                break;
+            case 'player_left':
+                if (players.has(playerId)) players.get(playerId).isActive = false;
+                break;
+            case 'score_update':
+                if (players.has(playerId)) players.get(playerId).score = data.newScore;
+                break;
+            case 'game_start':
+                started = true;
+                break;
+            case 'game_end':
+                ended = true;
+                break;
+        }
+    });
+
+    const standings = [...players.values()].sort((a, b) => b.score - a.score);
+    standings.forEach((player, index) => {
+        const previous = standings[index - 1];
+        player.rank = previous && previous.score === player.score ? previous.rank : index + 1;
+    });
+
+    const teams = session.teams.map(({ team }) => ({
+        team,
+        score: standings.filter(player => player.team === team).reduce((sum, player) => sum + player.score, 0)
+    }));
+
+    return {
+        started,
+        ended,
+        players: standings,
+        ...(teams.length > 0 && { teams })
+    };
+}
+
+/**
+ * Replays of completed sessions over Socket.IO, one per socket. The
+ * recorded events are sent as `session:replay_event` with their original
+ * spacing divided by the replay speed; a viewer can pause, resume, seek and
+ * change speed, and gets the scoreboard rebuilt at every seek.
+ */
+class ReplayService {
+    constructor() {
+        this.replays = new Map(); // socketId -> replay
+    }
+
+    // Replay position in ms from the first event
+    getPosition(replay) {
+        const position = replay.playing
+            ? replay.position + (Date.now() - replay.resumedAt) * replay.speed
+            : replay.position;
+        return Math.min(position, replay.duration);
+    }
+
+    getState(replay, withScoreboard = false) {
+        return {
+            sessionId: replay.session.sessionId,
+            status: replay.playing ? 'playing' : 'paused',
+            position: this.getPosition(replay) / 1000,
+            duration: replay.duration / 1000,
+            speed: replay.speed,
+            ...(withScoreboard && { scoreboard: buildScoreboard(replay.session, replay.events, replay.index) })
+        };
+    }
+
+    /**
+     * Start replaying a completed session to a socket from `position`
+     * seconds, replacing the socket's current replay. Emits
+     * `session:replay_started` with the scoreboard at that point.
+     */
+    async start(socket, sessionId, { speed = 1, position = 0 } = {}) {
+        this.stop(socket.id);
+
+        const session = await GameSession.findOne({ sessionId })
+            .select('sessionId gameMode region status teams.team startedAt endedAt')
+            .lean();
+        if (!session) {
+            throw new ReplayError('session_not_found', 'Session not found');
+        }
+        if (session.status !== 'completed') {
+            throw new ReplayError('session_not_completed', 'Only completed sessions can be replayed');
+        }
+
+        const events = await SessionEvent.getTimeline(sessionId, MAX_REPLAY_EVENTS);
+        if (events.length === 0) {
+            throw new ReplayError('replay_unavailable', 'No recorded events for this session; they may be past the retention period');
+        }
+
+        const firstAt = events[0].timestamp.getTime();
+        const replay = {
+            socket,
+            session,
+            events: events.map(event => ({ ...formatEvent(event), offset: event.timestamp.getTime() - firstAt })),
+            duration: events[events.length - 1].timestamp.getTime() - firstAt,
+            speed,
+            position: 0,
+            playing: true,
+            resumedAt: Date.now(),
+            index: 0,
+            timer: null
+        };
+        this.replays.set(socket.id, replay);
+
+        this.moveTo(replay, position * 1000);
+        socket.emit('session:replay_started', {
+            ...this.getState(replay, true),
+            eventCount: replay.events.length,
+            gameMode: session.gameMode,
+            region: session.region
+        });
+        this.schedule(replay);
+    }
+
+    // Jump to a position (ms); the events before it count as already shown,
+    // those at it are sent next
+    moveTo(replay, position) {
+        replay.position = Math.max(0, Math.min(position, replay.duration));
+        replay.resumedAt = Date.now();
+
+        const next = replay.events.findIndex(event => event.offset >= replay.position);
+        replay.index = next === -1 ? replay.events.length : next;
+    }
+
+    // Send the events that are due, then wait for the next one
+    schedule(replay) {
+        clearTimeout(replay.timer);
+        replay.timer = null;
+        if (!replay.playing) return;
+
+        const position = this.getPosition(replay);
+        while (replay.index < replay.events.length && replay.events[replay.index].offset <= position) {
+            const { offset, ...event } = replay.events[replay.index];
+            replay.socket.emit('session:replay_event', {
+                sessionId: replay.session.sessionId,
+                position: offset / 1000,
+                event
+            });
+            replay.index++;
+        }
+
+        if (replay.index >= replay.events.length) {
+            replay.socket.emit('session:replay_ended', { sessionId: replay.session.sessionId });
+            this.replays.delete(replay.socket.id);
+            return;
+        }
+
+        const delay = (replay.events[replay.index].offset - position) / replay.speed;
+        replay.timer = setTimeout(() => this.schedule(replay), delay);
+    }
+
+    /**
+     * Control the socket's replay: `pause`, `resume`, `seek` to `position`
+     * seconds, set `speed`, or `stop`. Emits `session:replay_state`, with the
+     * rebuilt scoreboard after a seek.
+     */
+    control(socket, { action, position, speed }) {
+        const replay = this.replays.get(socket.id);
+        if (!replay) {
+            throw new ReplayError('not_replaying', 'No replay is running on this connection');
+        }
+
+        switch (action) {
+            case 'pause':
+                replay.position = this.getPosition(replay);
+                replay.playing = false;
+                break;
+            case 'resume':
+                // Resuming a running replay would restart its clock from the last pause
+                if (replay.playing) break;
+                replay.resumedAt = Date.now();
+                replay.playing = true;
+                break;
+            case 'seek':
+                this.moveTo(replay, position * 1000);
+                break;
+            case 'speed':
+                replay.position = this.getPosition(replay);
+                replay.resumedAt = Date.now();
+                replay.speed = speed;
+                break;
+            case 'stop':
+                this.stop(socket.id);
+                socket.emit('session:replay_stopped', { sessionId: replay.session.sessionId });
+                return;
+        }
+
+        socket.emit('session:replay_state', this.getState(replay, action === 'seek'));
+        this.schedule(replay);
+    }
+
+    stop(socketId) {
+        const replay = this.replays.get(socketId);
+        if (!replay) return;
+
+        clearTimeout(replay.timer);
+        this.replays.delete(socketId);
+    }
+}
+
+module.exports = new ReplayService();
+module.exports.ReplayError = ReplayError;
+module.exports.buildScoreboard = buildScoreboard;
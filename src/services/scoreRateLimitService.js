@@ -0,0 +1,46 @@
+const { MemoryRateLimitStore } = require('./rateLimitStore');
+const { SCORE_RATE_LIMIT_MAX_KEYS, hasOwnScoreRateLimits, getScoreRateLimits } = require('../config/scoreRateLimits');
+
+let store = new MemoryRateLimitStore({ maxKeys: SCORE_RATE_LIMIT_MAX_KEYS });
+
+/**
+ * Replace the store behind score rate limits, e.g. with a shared backend so
+ * that every server instance counts the same updates. The store must
+ * implement the RateLimitStore methods.
+ */
+const setScoreRateLimitStore = (nextStore) => {
+    store = nextStore;
+};
+
+const check = (key, limits, now) => (limits.algorithm === 'token_bucket'
+    ? store.tokenBucket(key, limits, now)
+    : store.slidingWindow(key, limits, now));
+
+/**
+ * Count a score update of a player against their overall limit and, when
+ * the game mode has limits of its own, the mode's limit. The mode is checked
+ * first, so an update it refuses does not use up the overall limit.
+ * Resolves to { allowed, remaining, resetTime } (seconds) of the limit
+ * closest to running out.
+ */
+const checkScoreUpdateRate = async (playerId, gameMode = null, now = Date.now()) => {
+    let modeCheck = null;
+    if (hasOwnScoreRateLimits(gameMode)) {
+        modeCheck = await check(`score:${gameMode}:${playerId}`, getScoreRateLimits(gameMode), now);
+        if (!modeCheck.allowed) {
+            return modeCheck;
+        }
+    }
+
+    const playerCheck = await check(`score:${playerId}`, getScoreRateLimits(), now);
+    if (!playerCheck.allowed || !modeCheck) {
+        return playerCheck;
+    }
+
+    return modeCheck.remaining < playerCheck.remaining ? modeCheck : playerCheck;
+};
+
+module.exports = {
+    setScoreRateLimitStore,
+    checkScoreUpdateRate
+};
@@ -0,0 +1,67 @@
+const { getScoringPolicy } = require('../config/scoring');
+
+// Bonus points for a finishing position: `maxBonus` for first, scaled down
+// linearly to last
+function calculatePositionBonus(position, totalPlayers, maxBonus = 100) {
+    if (totalPlayers < 2 || !position) return 0;
+
+    const positionMultiplier = (totalPlayers - position + 1) / totalPlayers;
+    return Math.round(maxBonus * positionMultiplier);
+}
+
+/**
+ * Score one player's session result under a policy (see config/scoring.js).
+ * `result` holds what the policy's method needs:
+ * { position, placings, sessionScore, timeAliveSeconds, ratingChange }.
+ * Returns the value to apply with `operation`, and how it was made up.
+ */
+function scoreSessionResult(policy, result, difficulty = 'medium') {
+    const { position = null, placings = 1, sessionScore = 0, timeAliveSeconds = 0, ratingChange = 0 } = result;
+
+    let base;
+    switch (policy.method) {
+        case 'time_alive':
+            base = Math.round(timeAliveSeconds * policy.pointsPerSecond);
+            break;
+        case 'rating':
+            base = Math.round(ratingChange * policy.ratingFactor);
+            break;
+        default:
+            base = sessionScore;
+    }
+
+    const positionBonus = calculatePositionBonus(position, placings, policy.positionBonus);
+    const difficultyMultiplier = policy.difficultyMultipliers[difficulty] ?? 1;
+    const value = Math.round((base + positionBonus) * policy.multiplier * difficultyMultiplier);
+
+    return {
+        // Only an increment may take points away; other operations write a score
+        value: policy.operation === 'increment' ? value : Math.max(0, value),
+        operation: policy.operation,
+        breakdown: {
+            method: policy.method,
+            base,
+            positionBonus,
+            multiplier: policy.multiplier,
+            difficultyMultiplier
+        }
+    };
+}
+
+// Preview the score a hypothetical result would award, without writing anything
+function previewSessionScore({ gameMode, difficulty = 'medium', ...result }) {
+    const policy = getScoringPolicy(gameMode, difficulty);
+
+    return {
+        gameMode,
+        difficulty,
+        policy,
+        ...scoreSessionResult(policy, result, difficulty)
+    };
+}
+
+module.exports = {
+    calculatePositionBonus,
+    scoreSessionResult,
+    previewSessionScore
+};
@@ -0,0 +1,225 @@
+const Player = require('../models/Player');
+const Season = require('../models/Season');
+const SeasonStanding = require('../models/SeasonStanding');
+const ScoreChange = require('../models/ScoreChange');
+const rankIndex = require('./rankIndexService');
+const { GAME_MODES } = require('../config/constants');
+const {
+    getRankingRules,
+    getSortSpec,
+    getTiebreakValues,
+    createRankCounter
+} = require('./rankingService');
+
+const ARCHIVE_BATCH_SIZE = 500;
+
+/**
+ * Freeze the final standings of one game mode into the season archive.
+ * Walks the mode's board once, assigning global and per-region ranks.
+ */
+async function archiveGameMode(season, gameMode) {
+    const scoreField = Player.getScoreField(gameMode);
+    const { style } = getRankingRules(gameMode);
+    const globalRanks = createRankCounter(style);
+    const regionalRanks = new Map(); // region -> rank counter
+    let playerCount = 0;
+    let totalScore = 0;
+    let topScore = 0;
+    let batch = [];
+
+    const cursor = Player.find(Player.buildLeaderboardFilter({ gameMode }))
+        .sort(getSortSpec(scoreField, gameMode))
+        .select('playerId username region lastActiveAt modeStats')
+        .lean()
+        .cursor();
+
+    for await (const player of cursor) {
+        const stats = player.modeStats[gameMode];
+        const standing = { score: stats.score, tiebreaks: getTiebreakValues(player, gameMode) };
+        if (!regionalRanks.has(player.region)) {
+            regionalRanks.set(player.region, createRankCounter(style));
+        }
+        const globalRank = globalRanks(standing);
+        const regionalRank = regionalRanks.get(player.region)(standing);
+        playerCount += 1;
+        totalScore += stats.score;
+        topScore = Math.max(topScore, stats.score);
+
+        batch.push({
+            seasonId: season.seasonId,
+            playerId: player.playerId,
+            username: player.username,
+            region: player.region,
+            gameMode,
+            finalScore: stats.score,
+            globalRank,
+            regionalRank,
+            gamesPlayed: stats.gamesPlayed,
+            wins: stats.wins,
+            losses: stats.losses,
+            draws: stats.draws
+        });
+
+        if (batch.length >= ARCHIVE_BATCH_SIZE) {
+            await SeasonStanding.insertMany(batch, { ordered: false });
+            batch = [];
+        }
+    }
+
+    if (batch.length > 0) {
+        await SeasonStanding.insertMany(batch, { ordered: false });
+    }
+
+    return {
+        gameMode,
+        playerCount,
+        averageScore: playerCount > 0 ? Math.round(totalScore / playerCount) : 0,
+        topScore
+    };
+}
+
+// Aggregation expression moving a score field towards the mean
+const squashTowardMean = (field, mean, factor) => ({
+    $max: [0, {
+        $round: [{
+            $add: [mean, { $multiply: [{ $subtract: [`$${field}`, mean] }, factor] }]
+        }, 0]
+    }]
+});
+
+// Score a player of a mode starts the new season with
+const resetScore = (score, strategy, mean, factor) => (strategy === 'hard'
+    ? 0
+    : Math.max(0, Math.round(mean + (score - mean) * factor)));
+
+/**
+ * Reset one game mode's scores, in batches. Every change is recorded as a
+ * `season_reset` score change, so windowed boards and score history, which
+ * add up score changes, still match the stored scores.
+ */
+async function resetGameMode(season, summary) {
+    const { strategy, softResetFactor } = season.reset;
+    const { gameMode, averageScore } = summary;
+    const scoreField = Player.getScoreField(gameMode);
+    let updates = [];
+    let changes = [];
+
+    const flush = async () => {
+        await Player.bulkWrite(updates, { ordered: false });
+        await ScoreChange.insertMany(changes, { ordered: false });
+        updates = [];
+        changes = [];
+    };
+
+    const cursor = Player.find(Player.buildLeaderboardFilter({ gameMode }))
+        .select(`playerId region ${scoreField}`)
+        .lean()
+        .cursor();
+
+    for await (const player of cursor) {
+        const previousScore = player.modeStats[gameMode].score;
+        const newScore = resetScore(previousScore, strategy, averageScore, softResetFactor);
+        if (newScore === previousScore) continue;
+
+        updates.push({
+            updateOne: {
+                filter: { playerId: player.playerId },
+                update: { $set: { [scoreField]: newScore } }
+            }
+        });
+        changes.push({
+            playerId: player.playerId,
+            region: player.region,
+            gameMode,
+            previousScore,
+            newScore,
+            delta: newScore - previousScore,
+            seasonId: season.seasonId,
+            source: 'season_reset',
+            operation: 'set',
+            reason: `${strategy} reset at the end of ${season.name}`
+        });
+
+        if (updates.length >= ARCHIVE_BATCH_SIZE) {
+            await flush();
+        }
+    }
+
+    if (updates.length > 0) {
+        await flush();
+    }
+}
+
+/**
+ * Reset scores for the new season: zero them (hard) or squash them toward
+ * the mean of the mode (soft). Best scores and win/loss records are kept.
+ */
+async function resetScores(season, summaries) {
+    const { strategy, softResetFactor } = season.reset;
+
+    if (strategy === 'none') {
+        return;
+    }
+
+    for (const summary of summaries) {
+        await resetGameMode(season, summary);
+    }
+
+    // The overall score follows the same strategy
+    if (strategy === 'hard') {
+        await Player.updateMany({}, { $set: { currentScore: 0 } });
+    } else {
+        const [overall] = await Player.aggregate([
+            { $group: { _id: null, averageScore: { $avg: '$currentScore' } } }
+        ]);
+        const mean = overall ? Math.round(overall.averageScore) : 0;
+
+        await Player.updateMany({}, [
+            { $set: { currentScore: squashTowardMean('currentScore', mean, softResetFactor) } }
+        ]);
+    }
+}
+
+/**
+ * End the active season: archive final standings for every game mode,
+ * then reset scores according to the season's reset strategy.
+ */
+async function endSeason(seasonId) {
+    // Claim the season so two requests cannot archive it at once.
+    // A season left in 'archiving' by a crash can be ended again.
+    const season = await Season.findOneAndUpdate(
+        { seasonId, status: { $in: ['active', 'archiving'] } },
+        { status: 'archiving' },
+        { new: true }
+    );
+
+    if (!season) {
+        throw new Error('Active season not found');
+    }
+
+    Season.clearActiveSeasonCache();
+    console.log(`🏁 Archiving season ${season.name} (${season.seasonId})`);
+
+    // Drop anything a previous interrupted run wrote
+    await SeasonStanding.deleteMany({ seasonId: season.seasonId });
+
+    const summaries = [];
+    for (const gameMode of GAME_MODES) {
+        summaries.push(await archiveGameMode(season, gameMode));
+    }
+
+    await resetScores(season, summaries);
+
+    // Bulk resets bypass the per-player sync, so rebuild the rank index
+    await rankIndex.rebuild(Player);
+
+    season.status = 'ended';
+    season.endedAt = new Date();
+    season.archiveSummary = summaries;
+
+    return await season.save();
+}
+
+module.exports = {
+    endSeason
+};
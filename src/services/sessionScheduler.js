@@ -0,0 +1,130 @@
+const GameSession = require('../models/GameSession');
+const { finishSession } = require('./sessionService');
+const {
+    SESSION_SWEEP_INTERVAL_MS,
+    SESSION_WAITING_IDLE_SECONDS,
+    SESSION_ACTIVE_IDLE_SECONDS
+} = require('../config/sessionLifecycle');
+
+// Sessions handled per job and sweep; the rest wait for the next sweep
+const SWEEP_BATCH_SIZE = 100;
+
+// Sessions whose last event is older than `cutoff`; sessions created before
+// lastEventAt existed fall back to their last save
+const idleSince = (cutoff) => ({
+    $or: [
+        { lastEventAt: { $lt: cutoff } },
+        { lastEventAt: null, updatedAt: { $lt: cutoff } }
+    ]
+});
+
+/**
+ * Moves sessions along when nobody else will (see src/config/sessionLifecycle.js):
+ * ends sessions at their time limit and abandons idle ones, announcing each
+ * transition to the session room.
+ */
+class SessionScheduler {
+    constructor() {
+        this.socketService = null;
+        this.timer = null;
+        this.sweeping = false;
+    }
+
+    start(socketService = null) {
+        this.socketService = socketService;
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => {
+                console.error('Error sweeping sessions:', error);
+            });
+        }, SESSION_SWEEP_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // End active sessions whose time limit has run out, as POST /api/sessions/:sessionId/end does
+    async endExpiredSessions(now = new Date()) {
+        const expired = await GameSession.find({
+            status: 'active',
+            startedAt: { $ne: null },
+            'gameSettings.timeLimit': { $gt: 0 },
+            $expr: {
+                $lte: [{ $add: ['$startedAt', { $multiply: ['$gameSettings.timeLimit', 1000] }] }, now]
+            }
+        })
+            .select('sessionId')
+            .sort({ startedAt: 1 })
+            .limit(SWEEP_BATCH_SIZE)
+            .lean();
+
+        let ended = 0;
+        for (const { sessionId } of expired) {
+            try {
+                await finishSession(sessionId, this.socketService, { reason: 'time limit reached' });
+                ended++;
+            } catch (error) {
+                // Ended by its players in the meantime
+                if (!error.message.includes('not found')) {
+                    console.error(`Error ending expired session ${sessionId}:`, error);
+                }
+            }
+        }
+
+        return ended;
+    }
+
+    // Abandon sessions in `status` that saw no event for `idleSeconds`
+    async abandonIdleSessions(status, idleSeconds, reason, now = new Date()) {
+        if (idleSeconds <= 0) return 0;
+
+        const conditions = { status, ...idleSince(new Date(now.getTime() - idleSeconds * 1000)) };
+        const idle = await GameSession.find(conditions)
+            .select('sessionId')
+            .sort({ lastEventAt: 1 })
+            .limit(SWEEP_BATCH_SIZE)
+            .lean();
+
+        let abandoned = 0;
+        for (const { sessionId } of idle) {
+            // Re-checked on write, so a player joining meanwhile keeps the session
+            const session = await GameSession.abandonSession(sessionId, reason, conditions);
+            if (!session) continue;
+
+            abandoned++;
+            if (this.socketService) {
+                this.socketService.io.to(`session:${sessionId}`).emit('session:abandoned', {
+                    sessionId,
+                    reason,
+                    timestamp: Date.now()
+                });
+            }
+        }
+
+        return abandoned;
+    }
+
+    // One pass of every job
+    async sweep(now = new Date()) {
+        if (this.sweeping) return;
+        this.sweeping = true;
+
+        try {
+            const ended = await this.endExpiredSessions(now);
+            const abandonedWaiting = await this.abandonIdleSessions('waiting', SESSION_WAITING_IDLE_SECONDS, 'waiting_timeout', now);
+            const abandonedActive = await this.abandonIdleSessions('active', SESSION_ACTIVE_IDLE_SECONDS, 'inactivity_timeout', now);
+
+            if (ended + abandonedWaiting + abandonedActive > 0) {
+                console.log(`⏱️ Session sweep: ${ended} ended at time limit, ${abandonedWaiting + abandonedActive} abandoned while idle`);
+            }
+        } finally {
+            this.sweeping = false;
+        }
+    }
+}
+
+module.exports = new SessionScheduler();
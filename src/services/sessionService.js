@@ -0,0 +1,145 @@
+const GameSession = require('../models/GameSession');
+const Player = require('../models/Player');
+const Team = require('../models/Team');
+const { updateSessionRatings } = require('./ratingService');
+const { calculatePositionBonus, scoreSessionResult } = require('./scoringService');
+const { getScoringPolicy } = require('../config/scoring');
+
+// Seconds a player stayed in a session: until they left, or until it ended
+function getTimeAlive(session, player) {
+    if (!session.startedAt) return 0;
+
+    const until = player.leftAt || session.endedAt;
+    return Math.max(0, Math.round((until - session.startedAt) / 1000));
+}
+
+// A team's result: outright first wins, shared first draws, the rest lose
+function getTeamResult(team, rankedTeams) {
+    if (team.position !== 1) return 'loss';
+    return rankedTeams.filter(t => t.position === 1).length > 1 ? 'draw' : 'win';
+}
+
+/**
+ * End an active session: rank the players, award ratings and final scores,
+ * and announce the results to the session room. Scores follow the scoring
+ * policy of the game mode and difficulty (see config/scoring.js); under a
+ * time-alive policy, players who left were knocked out and are scored too.
+ * In team mode the members share their team's position bonus and win or
+ * loss, and rosters playing as a team have the result added to their team
+ * stats. `reason` is appended to each score change, e.g. when an admin
+ * forces the end; `actor` and `verified` describe who ended it (see
+ * signatureService). Final scores of a session ended by an unverified
+ * client are screened like any client score: a flagged one is held for
+ * review instead of applied.
+ * Returns the final results sent to clients.
+ */
+async function finishSession(sessionId, socketService = null, options = {}) {
+    const { reason = null, actor = { kind: 'system' }, verified = true } = options;
+
+    // Settle the scoring policy before the session is marked completed
+    const session = await GameSession.findOne({ sessionId, status: 'active' })
+        .select('gameMode gameSettings.difficulty')
+        .lean();
+    if (!session) {
+        throw new Error('Active session not found');
+    }
+
+    const difficulty = session.gameSettings?.difficulty || 'medium';
+    const policy = getScoringPolicy(session.gameMode, difficulty);
+    const endedSession = await GameSession.endSession(sessionId);
+
+    // Ranked sessions also move each participant's skill rating, which rating policies score
+    const ratingChanges = await updateSessionRatings(endedSession);
+
+    // Positions are shared out among the teams in team mode
+    const rankedTeams = endedSession.teams.filter(team => team.position);
+    const placings = rankedTeams.length > 0 ? rankedTeams.length : endedSession.players.length;
+    const teamResults = new Map(rankedTeams.map(team => [team.team, getTeamResult(team, rankedTeams)]));
+
+    const scored = endedSession.players.filter(player => player.isActive || policy.method === 'time_alive');
+    const scores = new Map(scored.map(player => [player.playerId, scoreSessionResult(policy, {
+        position: player.position,
+        placings,
+        sessionScore: player.currentSessionScore,
+        timeAliveSeconds: getTimeAlive(endedSession, player),
+        ratingChange: ratingChanges.has(player.playerId) ? ratingChanges.get(player.playerId).change : 0
+    }, difficulty)]));
+
+    // Update global scores for all players based on final positions
+    const updatePromises = scored.map(async (player) => {
+        const { value, operation } = scores.get(player.playerId);
+        const positionReason = `finished position ${player.position}`;
+
+        return Player.updatePlayerScore(player.playerId, value, endedSession.gameMode, {
+            source: 'session_end',
+            sessionId,
+            reason: reason ? `${positionReason} (${reason})` : positionReason,
+            verified,
+            actor
+        }, { op: operation, completed: true, result: teamResults.get(player.team) || null, screen: !verified });
+    });
+
+    const updatedPlayers = await Promise.all(updatePromises);
+    const held = new Map(updatedPlayers
+        .filter(updatedPlayer => updatedPlayer && updatedPlayer.$locals.quarantine)
+        .map(updatedPlayer => [updatedPlayer.playerId, updatedPlayer.$locals.quarantine]));
+
+    if (socketService) {
+        updatedPlayers
+            .filter(updatedPlayer => updatedPlayer && !held.has(updatedPlayer.playerId))
+            .forEach(updatedPlayer => socketService.notifyTierChange(updatedPlayer));
+    }
+
+    const finalTeams = rankedTeams
+        .sort((a, b) => a.position - b.position)
+        .map(team => ({
+            team: team.team,
+            name: team.name,
+            teamId: team.teamId,
+            score: team.score,
+            position: team.position,
+            positionBonus: calculatePositionBonus(team.position, placings, policy.positionBonus),
+            result: teamResults.get(team.team)
+        }));
+
+    await Promise.all(finalTeams
+        .filter(team => team.teamId)
+        .map(team => Team.recordResult(team.teamId, team.result, team.score + team.positionBonus)));
+
+    const finalResults = {
+        sessionId: endedSession.sessionId,
+        status: endedSession.status,
+        duration: endedSession.duration,
+        finalScores: scored
+            .sort((a, b) => a.position - b.position)
+            .map(player => ({
+                playerId: player.playerId,
+                username: player.username,
+                position: player.position,
+                sessionScore: player.currentSessionScore,
+                positionBonus: scores.get(player.playerId).breakdown.positionBonus,
+                scoreAwarded: scores.get(player.playerId).value,
+                ...(held.has(player.playerId) && { held: true, quarantineId: held.get(player.playerId)._id }),
+                ...(player.team && { team: player.team, result: teamResults.get(player.team) }),
+                ...(ratingChanges.has(player.playerId) && {
+                    rating: ratingChanges.get(player.playerId).after,
+                    ratingChange: ratingChanges.get(player.playerId).change,
+                    ratingProvisional: ratingChanges.get(player.playerId).provisional
+                })
+            })),
+        scoring: { method: policy.method, operation: policy.operation, difficulty },
+        ...(finalTeams.length > 0 && { teams: finalTeams }),
+        verified,
+        endedAt: endedSession.endedAt
+    };
+
+    if (socketService) {
+        socketService.io.to(`session:${sessionId}`).emit('session:ended', finalResults);
+    }
+
+    return finalResults;
+}
+
+module.exports = {
+    finishSession
+};
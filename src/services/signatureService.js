@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const GameServer = require('../models/GameServer');
+const SignatureNonce = require('../models/SignatureNonce');
+const { SIGNATURE_TOLERANCE_SECONDS, getSubmissionPolicy } = require('../config/submissions');
+
+// Request headers of the signature scheme
+const SIGNATURE_HEADERS = {
+    serverId: 'x-server-id',
+    timestamp: 'x-timestamp',
+    nonce: 'x-nonce',
+    signature: 'x-signature'
+};
+
+/**
+ * Thrown when a signed request fails verification, or an unsigned submission
+ * is not allowed. `code` is the API error code and `status` the HTTP status.
+ */
+class SignatureError extends Error {
+    constructor(code, message, status = 401) {
+        super(message);
+        this.name = 'SignatureError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const generateServerSecret = () => crypto.randomBytes(32).toString('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Signature of a request: hex HMAC-SHA256 with the server secret over
+ *   METHOD \n path?query \n timestamp \n nonce \n sha256(raw body)
+ * where timestamp is Unix time in seconds.
+ */
+const computeSignature = (secret, { method, path, timestamp, nonce, body = '' }) => {
+    const payload = [method.toUpperCase(), path, timestamp, nonce, sha256(body)].join('\n');
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// True when a request carries any of the signature headers
+const isSignedRequest = (headers) => Boolean(headers[SIGNATURE_HEADERS.signature] || headers[SIGNATURE_HEADERS.serverId]);
+
+/**
+ * Verify a signed request and return the game server that sent it. Checks
+ * the server is registered and active, the timestamp is within tolerance,
+ * the signature matches and the nonce has not been used before.
+ */
+const verifySignedRequest = async ({ headers, method, path, body }) => {
+    const serverId = headers[SIGNATURE_HEADERS.serverId];
+    const timestamp = headers[SIGNATURE_HEADERS.timestamp];
+    const nonce = headers[SIGNATURE_HEADERS.nonce];
+    const signature = headers[SIGNATURE_HEADERS.signature];
+
+    if (!serverId || !timestamp || !nonce || !signature) {
+        throw new SignatureError('INVALID_SIGNATURE', 'Signed requests need X-Server-Id, X-Timestamp, X-Nonce and X-Signature');
+    }
+
+    const drift = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(drift) || drift > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new SignatureError('SIGNATURE_EXPIRED', 'Request timestamp is outside the accepted window');
+    }
+
+    const server = await GameServer.findOne({ serverId, active: true }).select('+secret');
+    if (!server) {
+        throw new SignatureError('INVALID_SIGNATURE', 'Unknown or revoked game server');
+    }
+
+    const expected = Buffer.from(computeSignature(server.secret, { method, path, timestamp, nonce, body }), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new SignatureError('INVALID_SIGNATURE', 'Signature does not match');
+    }
+
+    // Claimed only once the signature is valid, so forged requests cannot burn nonces
+    if (!(await SignatureNonce.claim(serverId, nonce))) {
+        throw new SignatureError('SIGNATURE_REPLAYED', 'Nonce has already been used');
+    }
+
+    GameServer.updateOne({ serverId }, { $set: { lastSeenAt: new Date() } }).catch(error => {
+        console.error('Error updating game server activity:', error);
+    });
+
+    return server;
+};
+
+/**
+ * Decide whether a score submission in a game mode is accepted. Signed
+ * submissions are verified if the server may write the mode; unsigned ones
+ * follow the mode's submission policy. Returns { verified } or throws a
+ * SignatureError.
+ */
+const getSubmissionTrust = (gameServer, gameMode) => {
+    if (gameServer) {
+        if (!gameServer.canSubmit(gameMode)) {
+            throw new SignatureError('SERVER_NOT_ALLOWED', `Game server may not submit ${gameMode} scores`, 403);
+        }
+        return { verified: true };
+    }
+
+    if (getSubmissionPolicy(gameMode) === 'reject') {
+        throw new SignatureError('SIGNATURE_REQUIRED', `${gameMode} scores must come from a signed game server`, 403);
+    }
+
+    return { verified: false };
+};
+
+// Score change actor of a submission: the signing game server, or the client
+const getSubmissionActor = (req) => (req.gameServer
+    ? { kind: 'server', id: req.gameServer.serverId, ip: req.ip }
+    : { kind: 'client', ip: req.ip });
+
+module.exports = {
+    SIGNATURE_HEADERS,
+    SignatureError,
+    generateServerSecret,
+    computeSignature,
+    isSignedRequest,
+    verifySignedRequest,
+    getSubmissionTrust,
+    getSubmissionActor
+};
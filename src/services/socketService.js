@@ -1,6 +1,13 @@
 const Player = require('../models/Player');
 const GameSession = require('../models/GameSession');
-const { validateSocketData, socketSchemas, validateScoreUpdateRate } = require('../middleware/validation');
+const { validateSocketData, socketSchemas } = require('../middleware/validation');
+const { authenticateSocket } = require('../middleware/auth');
+const { PlausibilityError } = require('./plausibilityService');
+const { SignatureError, getSubmissionTrust } = require('./signatureService');
+const { checkScoreUpdateRate } = require('./scoreRateLimitService');
+const { requestFingerprint, beginRequest, completeRequest, abandonRequest } = require('./idempotencyService');
+const matchmaking = require('./matchmakingService');
+const replay = require('./replayService');
 const _ = require('lodash');
 
 class SocketService {
@@ -15,6 +22,9 @@ class SocketService {
     }
 
     setupSocketHandlers() {
+        // Verify the handshake token before any event handler runs
+        this.io.use(authenticateSocket);
+        
         this.io.on('connection', (socket) => {
             console.log(`🔌 New socket connection: ${socket.id}`);
             
@@ -52,6 +62,24 @@ class SocketService {
                 await this.handleSessionLeave(socket, data);
             });
             
+            // Handle matchmaking
+            socket.on('matchmaking:enqueue', async (data) => {
+                await this.handleMatchmakingEnqueue(socket, data);
+            });
+            
+            socket.on('matchmaking:cancel', () => {
+                this.handleMatchmakingCancel(socket);
+            });
+            
+            // Handle replays of completed sessions
+            socket.on('session:replay', async (data) => {
+                await this.handleSessionReplay(socket, data);
+            });
+            
+            socket.on('session:replay_control', (data) => {
+                this.handleSessionReplayControl(socket, data);
+            });
+            
             // Handle heartbeat/ping
             socket.on('ping', () => {
                 socket.emit('pong', { timestamp: Date.now() });
@@ -69,6 +97,29 @@ class SocketService {
         });
     }
 
+    // Player identity from the handshake token; a playerId in the payload must match it
+    resolveAuthenticatedPlayer(socket, requestedPlayerId) {
+        const user = socket.data.user;
+        
+        if (!user) {
+            socket.emit('error', {
+                type: 'unauthorized',
+                message: 'Authentication required'
+            });
+            return null;
+        }
+        
+        if (requestedPlayerId && requestedPlayerId !== user.playerId) {
+            socket.emit('error', {
+                type: 'unauthorized',
+                message: 'Token does not belong to this player'
+            });
+            return null;
+        }
+        
+        return user.playerId;
+    }
+
     async handlePlayerJoin(socket, data) {
         try {
             const validation = validateSocketData(socketSchemas.joinRoom, data);
@@ -81,7 +132,9 @@ class SocketService {
                 return;
             }
 
-            const { playerId, region, gameMode } = validation.data;
+            const { region, gameMode } = validation.data;
+            const playerId = this.resolveAuthenticatedPlayer(socket, validation.data.playerId);
+            if (!playerId) return;
             
             // Verify player exists
             const player = await Player.findOne({ playerId });
@@ -102,7 +155,8 @@ class SocketService {
                 lastActivity: Date.now(),
                 region: region || player.region,
                 gameMode: gameMode || player.currentGameMode,
-                username: player.username
+                username: player.username,
+                shadowBanned: Player.isShadowBanned(player)
             });
             
             this.socketToPlayer.set(socket.id, playerId);
@@ -127,7 +181,7 @@ class SocketService {
             });
             
             // Broadcast to others in the same rooms
-            rooms.forEach(room => {
+            this.getAudienceRooms(playerId).forEach(room => {
                 socket.to(room).emit('player:online', {
                     playerId,
                     username: player.username,
@@ -148,6 +202,15 @@ class SocketService {
     }
 
     async handleScoreUpdate(socket, data) {
+        // Set for updates with a requestId: the result sent back is stored for retries
+        let idempotency = null;
+        const reply = (event, payload) => {
+            if (idempotency) {
+                idempotency.reply = { event, data: payload };
+            }
+            socket.emit(event, payload);
+        };
+        
         try {
             const validation = validateSocketData(socketSchemas.scoreUpdate, data);
             if (!validation.isValid) {
@@ -159,22 +222,21 @@ class SocketService {
                 return;
             }
 
-            const { playerId, sessionId, score, gameMode, delta, reason } = validation.data;
+            const { sessionId, op, score, gameMode, delta, completed, reason, requestId } = validation.data;
+            const playerId = validation.data.playerId || this.socketToPlayer.get(socket.id);
             
-            // Rate limiting check
-            const rateCheck = validateScoreUpdateRate(playerId, 60);
-            if (!rateCheck.allowed) {
+            // Session scores are absolute, so they can only be set
+            if (sessionId && op !== 'set') {
                 socket.emit('error', {
-                    type: 'rate_limit_exceeded',
-                    message: 'Too many score updates',
-                    resetTime: rateCheck.resetTime
+                    type: 'validation_error',
+                    message: 'Session score updates only support op "set"'
                 });
                 return;
             }
             
-            // Verify player ownership
+            // Verify player ownership: the socket's authenticated, joined player
             const socketPlayerId = this.socketToPlayer.get(socket.id);
-            if (socketPlayerId !== playerId) {
+            if (!socketPlayerId || socketPlayerId !== playerId) {
                 socket.emit('error', {
                     type: 'unauthorized',
                     message: 'Cannot update score for different player'
@@ -182,25 +244,110 @@ class SocketService {
                 return;
             }
             
-            let updatedPlayer;
-            let sessionUpdate = null;
+            // A retried update with the same requestId gets the first result again
+            if (requestId) {
+                const scope = `player:${playerId}`;
+                const fingerprint = requestFingerprint('score:update', JSON.stringify(_.omit(validation.data, 'requestId')));
+                const begun = await beginRequest(scope, requestId, fingerprint);
+                
+                if (begun.state === 'replay') {
+                    socket.emit(begun.response.event, { ...begun.response.data, replayed: true });
+                    return;
+                }
+                
+                if (begun.state === 'mismatch') {
+                    socket.emit('error', {
+                        type: 'idempotency_key_mismatch',
+                        message: 'requestId was already used for a different update'
+                    });
+                    return;
+                }
+                
+                if (begun.state === 'in_progress') {
+                    socket.emit('error', {
+                        type: 'request_in_progress',
+                        message: 'An update with this requestId is still in progress'
+                    });
+                    return;
+                }
+                
+                idempotency = { scope, key: requestId, reply: null };
+            }
             
-            // Handle session-based vs global score update
+            // A session score counts in the session's mode, whatever the client sends
+            let scoreMode = gameMode;
             if (sessionId) {
-                // Update session score
-                sessionUpdate = await GameSession.updatePlayerScore(sessionId, playerId, {
-                    score,
-                    delta,
-                    reason
+                const session = await GameSession.findOne({ sessionId }).select('gameMode').lean();
+                if (!session) {
+                    socket.emit('error', {
+                        type: 'session_not_found',
+                        message: 'Session not found'
+                    });
+                    return;
+                }
+                scoreMode = session.gameMode;
+            }
+            
+            // Rate limiting check, with the limits of the mode being played
+            const connection = this.connectedPlayers.get(playerId);
+            const rateCheck = await checkScoreUpdateRate(playerId, scoreMode || (connection && connection.gameMode));
+            if (!rateCheck.allowed) {
+                socket.emit('error', {
+                    type: 'rate_limit_exceeded',
+                    message: 'Too many score updates',
+                    resetTime: rateCheck.resetTime
                 });
+                return;
+            }
+            
+            // Socket clients never sign, so the mode's unsigned submission policy applies
+            if (!scoreMode) {
+                const player = await Player.findOne({ playerId }).select('currentGameMode').lean();
+                scoreMode = player && player.currentGameMode;
+            }
+            if (scoreMode) {
+                getSubmissionTrust(null, scoreMode);
+            }
+            
+            const auditContext = {
+                source: 'socket_score',
+                sessionId: sessionId || null,
+                reason,
+                verified: false,
+                actor: { kind: 'socket', id: playerId }
+            };
+            
+            // Live session scores only move the session score; the mode score
+            // changes once, when the session ends and its result is applied
+            if (sessionId) {
+                const updatedSession = await GameSession.updatePlayerScore(
+                    sessionId, playerId, { score, delta, reason }, auditContext
+                );
+                const sessionPlayer = updatedSession.players.find(p => p.playerId === playerId);
+                
+                if (connection) {
+                    connection.lastActivity = Date.now();
+                }
                 
-                // Also update global player score
-                updatedPlayer = await Player.updatePlayerScore(playerId, score, gameMode);
-            } else {
-                // Direct global score update
-                updatedPlayer = await Player.updatePlayerScore(playerId, score, gameMode);
+                const sessionData = {
+                    sessionId,
+                    playerId,
+                    username: sessionPlayer.username,
+                    sessionScore: sessionPlayer.currentSessionScore,
+                    delta: delta || 0,
+                    reason: reason || 'score_update',
+                    timestamp: Date.now()
+                };
+                reply('session:score_updated', sessionData);
+                socket.to(`session:${sessionId}`).emit('session:score_updated', sessionData);
+                return;
             }
             
+            const updatedPlayer = await Player.updatePlayerScore(
+                playerId, op === 'increment' ? delta : score, gameMode, auditContext,
+                { op, completed, checkPlausibility: true, screen: true }
+            );
+            
             if (!updatedPlayer) {
                 socket.emit('error', {
                     type: 'update_failed',
@@ -218,13 +365,26 @@ class SocketService {
                 }
             }
             
+            // A flagged update is held for review: leaderboard rooms hear nothing
+            const quarantine = updatedPlayer.$locals.quarantine;
+            if (quarantine) {
+                reply('score:held', {
+                    quarantineId: quarantine._id,
+                    playerId,
+                    gameMode: quarantine.gameMode,
+                    timestamp: Date.now()
+                });
+                return;
+            }
+            
             // Prepare broadcast data
             const broadcastData = {
                 playerId,
                 username: updatedPlayer.username,
-                oldScore: score - (delta || 0),
+                oldScore: updatedPlayer.$locals.previousScore,
                 newScore: updatedPlayer.currentScore,
-                delta: delta || 0,
+                delta: updatedPlayer.currentScore - updatedPlayer.$locals.previousScore,
+                op,
                 gameMode: updatedPlayer.currentGameMode,
                 region: updatedPlayer.region,
                 timestamp: Date.now(),
@@ -232,9 +392,8 @@ class SocketService {
             };
             
             // Emit to the player first
-            socket.emit('score:updated', {
+            reply('score:updated', {
                 ...broadcastData,
-                sessionId: sessionId || null,
                 playerStats: {
                     totalGamesPlayed: updatedPlayer.totalGamesPlayed,
                     averageScore: updatedPlayer.averageScore,
@@ -243,31 +402,47 @@ class SocketService {
             });
             
             // Broadcast to relevant rooms
-            const rooms = this.roomSubscriptions.get(playerId) || new Set();
-            rooms.forEach(room => {
+            this.setShadowBanned(playerId, Player.isShadowBanned(updatedPlayer));
+            this.getAudienceRooms(playerId).forEach(room => {
                 socket.to(room).emit('leaderboard:score_updated', broadcastData);
             });
             
-            // If it's a session update, broadcast to session room
-            if (sessionId && sessionUpdate) {
-                this.io.to(`session:${sessionId}`).emit('session:score_updated', {
-                    sessionId,
-                    playerId,
-                    username: updatedPlayer.username,
-                    sessionScore: sessionUpdate.players.find(p => p.playerId === playerId)?.currentSessionScore,
-                    globalScore: updatedPlayer.currentScore,
-                    timestamp: Date.now()
-                });
-            }
+            this.notifyTierChange(updatedPlayer);
             
             console.log(`📊 Score updated for ${updatedPlayer.username}: ${broadcastData.oldScore} → ${broadcastData.newScore}`);
             
         } catch (error) {
+            if (error instanceof PlausibilityError) {
+                socket.emit('error', {
+                    type: 'implausible_score',
+                    code: error.code,
+                    message: error.message,
+                    details: error.details
+                });
+                return;
+            }
+            
+            if (error instanceof SignatureError) {
+                socket.emit('error', {
+                    type: 'signature_required',
+                    code: error.code,
+                    message: error.message
+                });
+                return;
+            }
+            
             console.error('Error in handleScoreUpdate:', error);
             socket.emit('error', {
                 type: 'internal_error',
                 message: 'Failed to update score'
             });
+        } finally {
+            // Keep the result for retries; without one the update can be retried
+            if (idempotency) {
+                const { scope, key } = idempotency;
+                await (idempotency.reply ? completeRequest(scope, key, idempotency.reply) : abandonRequest(scope, key))
+                    .catch(error => console.error('Error storing idempotent score update:', error));
+            }
         }
     }
 
@@ -283,11 +458,12 @@ class SocketService {
                 return;
             }
 
-            const { playerId, isOnline } = validation.data;
+            const { isOnline } = validation.data;
+            const playerId = validation.data.playerId || this.socketToPlayer.get(socket.id);
             
-            // Verify player ownership
+            // Verify player ownership: the socket's authenticated, joined player
             const socketPlayerId = this.socketToPlayer.get(socket.id);
-            if (socketPlayerId !== playerId) {
+            if (!socketPlayerId || socketPlayerId !== playerId) {
                 socket.emit('error', {
                     type: 'unauthorized',
                     message: 'Cannot update status for different player'
@@ -313,7 +489,7 @@ class SocketService {
             }
             
             // Broadcast status change
-            const rooms = this.roomSubscriptions.get(playerId) || new Set();
+            const rooms = this.getAudienceRooms(playerId);
             const statusData = {
                 playerId,
                 username: player.username,
@@ -451,20 +627,146 @@ class SocketService {
         }
     }
 
+    async handleMatchmakingEnqueue(socket, data) {
+        try {
+            const validation = validateSocketData(socketSchemas.matchmakingEnqueue, data);
+            if (!validation.isValid) {
+                socket.emit('error', {
+                    type: 'validation_error',
+                    message: 'Invalid matchmaking data',
+                    errors: validation.errors
+                });
+                return;
+            }
+
+            // Matches are delivered to the joined player's socket
+            const playerId = this.socketToPlayer.get(socket.id);
+            if (!playerId) {
+                socket.emit('error', {
+                    type: 'unauthorized',
+                    message: 'Join as a player before matchmaking'
+                });
+                return;
+            }
+
+            const player = await Player.findOne({ playerId })
+                .select('playerId username currentScore modeStats skillRating')
+                .lean();
+            if (!player) {
+                socket.emit('error', {
+                    type: 'player_not_found',
+                    message: 'Player not found'
+                });
+                return;
+            }
+
+            const { region, gameMode } = validation.data;
+            const ticket = matchmaking.enqueue(player, { region, gameMode, source: 'socket' });
+            socket.emit('matchmaking:queued', matchmaking.formatTicket(ticket));
+
+        } catch (error) {
+            console.error('Error in handleMatchmakingEnqueue:', error);
+            socket.emit('error', {
+                type: 'internal_error',
+                message: 'Failed to join matchmaking'
+            });
+        }
+    }
+
+    handleMatchmakingCancel(socket) {
+        const playerId = this.socketToPlayer.get(socket.id);
+        const ticket = playerId ? matchmaking.cancel(playerId) : null;
+
+        if (!ticket) {
+            socket.emit('error', {
+                type: 'not_queued',
+                message: 'Not queued for matchmaking'
+            });
+            return;
+        }
+
+        socket.emit('matchmaking:cancelled', {
+            region: ticket.region,
+            gameMode: ticket.gameMode,
+            timestamp: Date.now()
+        });
+    }
+
+    async handleSessionReplay(socket, data) {
+        try {
+            const validation = validateSocketData(socketSchemas.sessionReplay, data);
+            if (!validation.isValid) {
+                socket.emit('error', {
+                    type: 'validation_error',
+                    message: 'Invalid replay data',
+                    errors: validation.errors
+                });
+                return;
+            }
+
+            const { sessionId, speed, position } = validation.data;
+            await replay.start(socket, sessionId, { speed, position });
+
+        } catch (error) {
+            if (error instanceof replay.ReplayError) {
+                socket.emit('error', {
+                    type: error.code,
+                    message: error.message
+                });
+                return;
+            }
+
+            console.error('Error in handleSessionReplay:', error);
+            socket.emit('error', {
+                type: 'internal_error',
+                message: 'Failed to start replay'
+            });
+        }
+    }
+
+    handleSessionReplayControl(socket, data) {
+        const validation = validateSocketData(socketSchemas.sessionReplayControl, data);
+        if (!validation.isValid) {
+            socket.emit('error', {
+                type: 'validation_error',
+                message: 'Invalid replay control',
+                errors: validation.errors
+            });
+            return;
+        }
+
+        try {
+            replay.control(socket, validation.data);
+        } catch (error) {
+            if (!(error instanceof replay.ReplayError)) throw error;
+
+            socket.emit('error', {
+                type: error.code,
+                message: error.message
+            });
+        }
+    }
+
     async handleDisconnection(socket, reason) {
         try {
             const playerId = this.socketToPlayer.get(socket.id);
             
+            // Replays need no player, so any socket may have one running
+            replay.stop(socket.id);
+            
             if (playerId) {
                 console.log(`🔌 Player ${playerId} disconnected: ${reason}`);
                 
+                // A socket ticket can no longer be told about its match
+                matchmaking.cancel(playerId, 'socket');
+                
                 // Update player offline status
                 const player = await Player.findOne({ playerId });
                 if (player) {
                     await player.updateOnlineStatus(false);
                     
                     // Broadcast offline status
-                    const rooms = this.roomSubscriptions.get(playerId) || new Set();
+                    const rooms = this.getAudienceRooms(playerId);
                     const offlineData = {
                         playerId,
                         username: player.username,
@@ -548,6 +850,74 @@ class SocketService {
         this.io.to(`gamemode:${gameMode}`).emit(event, data);
     }
 
+    // Announce a tier promotion/demotion to the player and the rooms they follow
+    notifyTierChange(player) {
+        const change = player && player.$locals.tierChange;
+        if (!change) return;
+
+        const connection = this.connectedPlayers.get(change.playerId);
+        const targets = Player.isShadowBanned(player) ? [] : this.getAudienceRooms(change.playerId);
+        if (connection) {
+            targets.push(connection.socketId);
+        }
+        if (targets.length === 0) return;
+
+        // A single emit to several rooms reaches each socket once
+        this.io.to(targets).emit('player:tier_changed', {
+            ...change,
+            timestamp: Date.now()
+        });
+    }
+
+    // Rooms told about a player's activity; none for a shadow-banned player
+    getAudienceRooms(playerId) {
+        const connection = this.connectedPlayers.get(playerId);
+        if (connection && connection.shadowBanned) {
+            return [];
+        }
+        return [...(this.roomSubscriptions.get(playerId) || [])];
+    }
+
+    // Keep a connected player's shadow-ban in step with an admin change
+    setShadowBanned(playerId, shadowBanned) {
+        const connection = this.connectedPlayers.get(playerId);
+        if (connection) {
+            connection.shadowBanned = shadowBanned;
+        }
+    }
+
+    // Announce a score to the player's region; a shadow-banned player only hears it themselves
+    broadcastPlayerScore(player, data) {
+        if (Player.isShadowBanned(player)) {
+            this.notifyPlayer(player.playerId, 'leaderboard:score_updated', data);
+            return;
+        }
+        this.broadcastToRegion(player.region, 'leaderboard:score_updated', data);
+    }
+
+    // Send an event to one player's socket, if they are connected
+    notifyPlayer(playerId, event, data) {
+        const connection = this.connectedPlayers.get(playerId);
+        if (connection) {
+            this.io.to(connection.socketId).emit(event, data);
+        }
+    }
+
+    // Drop a player's live connection, e.g. after an admin ban or deletion
+    disconnectPlayer(playerId, reason) {
+        const connection = this.connectedPlayers.get(playerId);
+        if (!connection) return;
+
+        const socket = this.io.sockets.sockets.get(connection.socketId);
+        if (socket) {
+            socket.emit('error', {
+                type: 'disconnected',
+                message: reason
+            });
+            socket.disconnect(true);
+        }
+    }
+
     getConnectedPlayersCount() {
         return this.connectedPlayers.size;
     }
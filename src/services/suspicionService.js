@@ -0,0 +1,100 @@
+const ScoreChange = require('../models/ScoreChange');
+const ScoreQuarantine = require('../models/ScoreQuarantine');
+const { getSuspicionRules } = require('../config/suspicion');
+const { getTiebreakRaw } = require('./rankingService');
+
+// Score changes submitted by clients, the history the detectors learn from
+const CLIENT_SOURCES = ['rest_score', 'socket_score', 'session_score'];
+
+// Gain far above the player's own recent gains in the mode
+const detectScoreJump = async (player, gameMode, gain, rules) => {
+    const history = await ScoreChange.find({
+        playerId: player.playerId,
+        gameMode,
+        source: { $in: CLIENT_SOURCES }
+    })
+        .sort({ createdAt: -1 })
+        .limit(rules.historySize)
+        .select('delta')
+        .lean();
+
+    if (history.length < rules.minHistory) {
+        return null;
+    }
+
+    const deltas = history.map(change => change.delta);
+    const mean = deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length;
+    const variance = deltas.reduce((sum, delta) => sum + (delta - mean) ** 2, 0) / deltas.length;
+    // A player with perfectly regular gains still gets one point of slack
+    const stdDev = Math.max(Math.sqrt(variance), 1);
+    const zScore = (gain - mean) / stdDev;
+
+    return zScore > rules.zScoreThreshold
+        ? { detector: 'score_jump', details: { gain, mean, stdDev, zScore } }
+        : null;
+};
+
+// Leap past most of the players ahead on the game mode's global board
+const detectRankClimb = async (PlayerModel, player, gameMode, newScore, rules) => {
+    const currentRank = await PlayerModel.getPlayerRank(player.playerId, { gameMode, style: 'ordinal' });
+    if (!currentRank) {
+        return null;
+    }
+
+    const projectedRank = await PlayerModel.getStandingRank({
+        playerId: player.playerId,
+        score: newScore,
+        tiebreakRaw: getTiebreakRaw(player, gameMode)
+    }, { gameMode, style: 'ordinal' });
+
+    const climb = currentRank - projectedRank;
+    const fraction = currentRank > 1 ? climb / (currentRank - 1) : 0;
+
+    return climb >= rules.minRankClimb && fraction >= rules.maxRankClimbFraction
+        ? { detector: 'rank_climb', details: { currentRank, projectedRank, climb } }
+        : null;
+};
+
+// Update rate close to the rate limit
+const detectUpdateBurst = async (player, now, rules) => {
+    const recentUpdates = await ScoreChange.countDocuments({
+        playerId: player.playerId,
+        source: { $in: CLIENT_SOURCES },
+        createdAt: { $gte: new Date(now - 60 * 1000) }
+    });
+
+    // This update counts towards the burst too
+    return recentUpdates + 1 >= rules.burstUpdatesPerMinute
+        ? { detector: 'update_burst', details: { updatesLastMinute: recentUpdates + 1 } }
+        : null;
+};
+
+/**
+ * Run the suspicion detectors on a client score update that would move
+ * `player` (a lean document) from `previousScore` to `newScore` in a game
+ * mode. Returns the flags raised; any flag means the update must be held.
+ * An update queued behind a held one is held as well, so approvals apply in
+ * order. Takes the Player model so this service does not depend on it.
+ */
+const screenScoreUpdate = async (PlayerModel, player, { gameMode, previousScore, newScore, now = new Date() }) => {
+    if (await ScoreQuarantine.hasPending(player.playerId, gameMode)) {
+        return [{ detector: 'pending_review', details: {} }];
+    }
+
+    const rules = getSuspicionRules(gameMode);
+    const gain = newScore - previousScore;
+    const stats = player.modeStats && player.modeStats[gameMode];
+    const onBoard = Boolean(stats && stats.lastPlayedAt);
+
+    const flags = await Promise.all([
+        gain > 0 ? detectScoreJump(player, gameMode, gain, rules) : null,
+        gain > 0 && onBoard ? detectRankClimb(PlayerModel, player, gameMode, newScore, rules) : null,
+        detectUpdateBurst(player, now, rules)
+    ]);
+
+    return flags.filter(Boolean);
+};
+
+module.exports = {
+    screenScoreUpdate
+};
@@ -0,0 +1,114 @@
+const { getTierTable } = require('../config/tiers');
+
+/**
+ * Tier for a standing on a board: `score` for score tables, or `rank` out of
+ * `total` players for percentile tables. Returns { name, level, basis },
+ * where level 0 is the lowest tier.
+ */
+const getTier = ({ score = 0, rank = null, total = 0 }, gameMode = null) => {
+    const table = getTierTable(gameMode);
+    let level;
+
+    if (table.basis === 'score') {
+        level = table.tiers.findLastIndex(tier => score >= tier.minScore);
+    } else {
+        const percentile = rank && total > 0 ? (rank / total) * 100 : 100;
+        level = table.tiers.findLastIndex(tier => percentile <= tier.topPercent);
+    }
+
+    level = Math.max(level, 0);
+    return { name: table.tiers[level].name, level, basis: table.basis };
+};
+
+// Percentile tables rank against the global all-time board of the mode
+const needsRank = (gameMode) => getTierTable(gameMode).basis === 'percentile';
+
+/**
+ * Current tier of a player in a game mode, or null if they have not played it.
+ * Takes the Player model so this service does not depend on it.
+ */
+const getPlayerTier = async (PlayerModel, player, gameMode = null) => {
+    const stats = gameMode && player.modeStats ? player.modeStats[gameMode] : null;
+    if (gameMode && (!stats || !stats.lastPlayedAt)) {
+        return null;
+    }
+
+    const score = PlayerModel.getModeScore(player, gameMode);
+    if (!needsRank(gameMode)) {
+        return getTier({ score }, gameMode);
+    }
+
+    const [rank, total] = await Promise.all([
+        PlayerModel.getPlayerRank(player.playerId, { gameMode }),
+        PlayerModel.countLeaderboard({ gameMode })
+    ]);
+
+    return getTier({ score, rank, total }, gameMode);
+};
+
+/**
+ * Add a `tier` to each leaderboard row. Rows from the global all-time board
+ * already carry the rank percentile tiers need; other boards look it up.
+ */
+const attachTiers = async (PlayerModel, rows, options = {}) => {
+    const { gameMode = null, region = null, window = null, onlineOnly = false } = options;
+
+    if (!needsRank(gameMode)) {
+        return rows.map(row => ({ ...row, tier: getTier({ score: row.score }, gameMode) }));
+    }
+
+    const onGlobalBoard = (!region || region === 'GLOBAL') && (!window || window === 'alltime') && !onlineOnly;
+    const total = await PlayerModel.countLeaderboard({ gameMode });
+
+    return Promise.all(rows.map(async row => {
+        const rank = onGlobalBoard
+            ? row.rank
+            : await PlayerModel.getPlayerRank(row.playerId, { gameMode });
+        return { ...row, tier: getTier({ score: row.score, rank, total }, gameMode) };
+    }));
+};
+
+/**
+ * Recompute a player's tier in a game mode after a score change and store it.
+ * Returns { playerId, username, gameMode, previousTier, tier, direction } when
+ * the player crossed a tier boundary, otherwise null. A first placement is
+ * stored without counting as a change.
+ */
+const updatePlayerTier = async (PlayerModel, player, gameMode) => {
+    const tier = await getPlayerTier(PlayerModel, player, gameMode);
+    const stats = player.modeStats[gameMode];
+    const previousName = stats.tier || null;
+
+    if (!tier || tier.name === previousName) {
+        return null;
+    }
+
+    await PlayerModel.updateOne(
+        { playerId: player.playerId },
+        { $set: { [`modeStats.${gameMode}.tier`]: tier.name } }
+    );
+    stats.tier = tier.name;
+
+    if (!previousName) {
+        return null;
+    }
+
+    const table = getTierTable(gameMode);
+    const previousLevel = table.tiers.findIndex(entry => entry.name === previousName);
+
+    return {
+        playerId: player.playerId,
+        username: player.username,
+        gameMode,
+        previousTier: { name: previousName, level: previousLevel },
+        tier: { name: tier.name, level: tier.level },
+        direction: tier.level > previousLevel ? 'promotion' : 'demotion'
+    };
+};
+
+module.exports = {
+    getTier,
+    getPlayerTier,
+    attachTiers,
+    updatePlayerTier
+};
@@ -4,7 +4,7 @@
  * Real-Time Leaderboard System Test Script
  * 
  * This script tests all major functionality of the leaderboard system:
- * - Player creation and management
+ * - Player creation and management (each player gets a password and a token)
  * - Score updates
  * - Leaderboard queries
  * - Game sessions
@@ -18,13 +18,15 @@ const io = require('socket.io-client');
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3001';
 const API_URL = `${BASE_URL}/api`;
 
-// Test data
+// Test data. Ranked scores must come signed from a game server, so the
+// players here score in modes that accept their own submissions.
+const TEST_PASSWORD = 'test-system-password';
 const testPlayers = [
-    { username: 'ProGamer_1', region: 'NA', gameMode: 'ranked' },
-    { username: 'ElitePlayer_2', region: 'EU', gameMode: 'blitz' },
-    { username: 'AceShooter_3', region: 'ASIA', gameMode: 'classic' },
-    { username: 'MasterPlayer_4', region: 'NA', gameMode: 'ranked' },
-    { username: 'Champion_5', region: 'EU', gameMode: 'survival' }
+    { username: 'ProGamer_1', password: TEST_PASSWORD, region: 'NA', gameMode: 'classic' },
+    { username: 'ElitePlayer_2', password: TEST_PASSWORD, region: 'EU', gameMode: 'blitz' },
+    { username: 'AceShooter_3', password: TEST_PASSWORD, region: 'ASIA', gameMode: 'classic' },
+    { username: 'MasterPlayer_4', password: TEST_PASSWORD, region: 'NA', gameMode: 'team' },
+    { username: 'Champion_5', password: TEST_PASSWORD, region: 'EU', gameMode: 'survival' }
 ];
 
 let createdPlayers = [];
@@ -39,7 +41,8 @@ const logError = (message) => console.log(`❌ ${message}`);
 const logInfo = (message) => console.log(`ℹ️  ${message}`);
 const logStep = (message) => console.log(`\n🔄 ${message}`);
 
-async function makeRequest(method, url, data = null) {
+// Requests made as a player pass the token from their creation
+async function makeRequest(method, url, data = null, token = null) {
     try {
         const config = {
             method,
@@ -47,6 +50,10 @@ async function makeRequest(method, url, data = null) {
             headers: { 'Content-Type': 'application/json' }
         };
         
+        if (token) {
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+        
         if (data) {
             config.data = data;
         }
@@ -111,7 +118,7 @@ async function testScoreUpdates() {
                 delta: score - player.currentScore,
                 gameMode: player.currentGameMode,
                 reason: 'test_update'
-            });
+            }, player.auth.token);
             
             if (result.success) {
                 logSuccess(`Updated ${player.username}'s score to ${score}`);
@@ -202,7 +209,7 @@ async function testGameSessions() {
                 const joinResult = await makeRequest('POST', `/sessions/${gameSession.sessionId}/join`, {
                     playerId: player.playerId,
                     username: player.username
-                });
+                }, player.auth.token);
                 
                 if (joinResult.success) {
                     logSuccess(`${player.username} joined session`);
@@ -223,7 +230,7 @@ async function testGameSessions() {
                     score: sessionScore,
                     delta: sessionScore,
                     reason: 'session_gameplay'
-                });
+                }, player.auth.token);
                 
                 if (scoreResult.success) {
                     logSuccess(`Updated ${player.username}'s session score to ${sessionScore}`);
@@ -251,9 +258,13 @@ async function testGameSessions() {
 async function testSocketConnection() {
     logStep('Testing Socket.IO Connection');
     
+    // The socket acts as the first player, identified by their token
+    const testPlayer = createdPlayers[0];
+    
     return new Promise((resolve) => {
         socket = io(BASE_URL, {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            auth: { token: testPlayer.auth.token }
         });
         
         let eventsReceived = 0;
@@ -269,7 +280,6 @@ async function testSocketConnection() {
             logSuccess('Connected to Socket.IO server');
             
             // Test player join
-            const testPlayer = createdPlayers[0];
             socket.emit('player:join', {
                 playerId: testPlayer.playerId,
                 region: testPlayer.region,
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MODULE = require.resolve('../../src/config/leaderboardPeriods');
+
+// Load the periods config fresh with LEADERBOARD_PERIODS set to `overrides`
+const loadPeriods = (overrides) => {
+    if (overrides) process.env.LEADERBOARD_PERIODS = JSON.stringify(overrides);
+    delete require.cache[MODULE];
+    try {
+        return require(MODULE);
+    } finally {
+        delete process.env.LEADERBOARD_PERIODS;
+        delete require.cache[MODULE];
+    }
+};
+
+// A Wednesday, early morning in UTC: still Tuesday evening in NA
+const NOW = new Date('2026-01-07T03:00:00Z');
+
+describe('getWindowStart', () => {
+    const { getWindowStart } = loadPeriods();
+
+    const starts = (region) => ['daily', 'weekly', 'monthly'].map(window => getWindowStart(window, region, NOW).toISOString());
+
+    it('starts each window at the region\'s local midnight', () => {
+        assert.deepEqual(starts('GLOBAL'), ['2026-01-07T00:00:00.000Z', '2026-01-05T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+        assert.deepEqual(starts('NA'), ['2026-01-06T05:00:00.000Z', '2026-01-05T05:00:00.000Z', '2026-01-01T05:00:00.000Z']);
+        assert.deepEqual(starts('EU'), ['2026-01-06T23:00:00.000Z', '2026-01-04T23:00:00.000Z', '2025-12-31T23:00:00.000Z']);
+    });
+
+    it('has no start for all-time', () => {
+        assert.equal(getWindowStart('alltime', 'EU', NOW), null);
+        assert.equal(getWindowStart(null, 'EU', NOW), null);
+    });
+
+    it('takes region periods from LEADERBOARD_PERIODS', () => {
+        const periods = loadPeriods({ NA: { utcOffsetMinutes: -480, weekStartsOn: 0 } });
+
+        assert.deepEqual(periods.getRegionPeriod('NA'), { utcOffsetMinutes: -480, weekStartsOn: 0 });
+        assert.equal(periods.getWindowStart('weekly', 'NA', NOW).toISOString(), '2026-01-04T08:00:00.000Z');
+        assert.equal(periods.getWindowStart('daily', 'EU', NOW).toISOString(), '2026-01-06T23:00:00.000Z');
+    });
+});
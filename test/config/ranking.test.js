@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CONFIG = require.resolve('../../src/config/ranking');
+const SERVICE = require.resolve('../../src/services/rankingService');
+
+// Load the ranking config and service fresh with RANKING_RULES set to `overrides`
+const loadRanking = (overrides) => {
+    if (overrides) process.env.RANKING_RULES = JSON.stringify(overrides);
+    delete require.cache[CONFIG];
+    delete require.cache[SERVICE];
+    try {
+        return { ...require(CONFIG), ...require(SERVICE) };
+    } finally {
+        delete process.env.RANKING_RULES;
+        delete require.cache[CONFIG];
+        delete require.cache[SERVICE];
+    }
+};
+
+describe('ranking rules', () => {
+    it('ranks by competition and first to reach the score by default', () => {
+        const { getRankingRules } = loadRanking();
+
+        assert.deepEqual(getRankingRules(), { style: 'competition', tiebreakers: ['first_to_reach'] });
+        assert.deepEqual(getRankingRules('ranked').tiebreakers, ['first_to_reach', 'higher_win_rate']);
+    });
+
+    it('takes styles and tiebreakers per game mode from RANKING_RULES', () => {
+        const { getRankingRules } = loadRanking({ default: { style: 'dense' }, blitz: { tiebreakers: ['fewer_games'] } });
+
+        assert.deepEqual(getRankingRules('blitz'), { style: 'dense', tiebreakers: ['fewer_games'] });
+        assert.deepEqual(getRankingRules('classic'), { style: 'dense', tiebreakers: ['first_to_reach'] });
+    });
+
+    it('refuses unknown styles and tiebreakers', () => {
+        assert.throws(() => loadRanking({ blitz: { style: 'olympic' } }).getRankingRules('blitz'), /Unknown ranking style "olympic"/);
+        assert.throws(() => loadRanking({ blitz: { tiebreakers: ['luck'] } }).getRankingRules('blitz'), /Unknown tiebreaker "luck"/);
+    });
+
+    it('sorts tied players by the tiebreakers in order, earliest score first', () => {
+        const { getSortSpec } = loadRanking({
+            blitz: { tiebreakers: ['first_to_reach', 'fewer_games', 'higher_win_rate', 'recent_activity'] }
+        });
+
+        assert.deepEqual(Object.entries(getSortSpec('modeStats.blitz.score', 'blitz')), [
+            ['modeStats.blitz.score', -1],
+            ['modeStats.blitz.scoreReachedAt', 1],
+            ['modeStats.blitz.gamesPlayed', 1],
+            ['modeStats.blitz.winRatio', -1],
+            ['lastActiveAt', -1],
+            ['playerId', 1]
+        ]);
+        assert.deepEqual(Object.keys(getSortSpec('currentScore')), ['currentScore', 'scoreReachedAt', 'playerId']);
+    });
+});
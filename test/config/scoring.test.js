@@ -0,0 +1,61 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MODULE = require.resolve('../../src/config/scoring');
+
+// Load the scoring config fresh with SCORING_POLICIES set to `overrides`
+const loadScoring = (overrides) => {
+    process.env.SCORING_POLICIES = typeof overrides === 'string' ? overrides : JSON.stringify(overrides);
+    delete require.cache[MODULE];
+    try {
+        return require(MODULE);
+    } finally {
+        delete process.env.SCORING_POLICIES;
+        delete require.cache[MODULE];
+    }
+};
+
+describe('scoring config', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('layers defaults, mode policies and overrides', () => {
+        const { getScoringPolicy } = loadScoring({
+            default: { positionBonus: 50 },
+            blitz: { multiplier: 2 },
+            'blitz:hard': { difficultyMultipliers: { hard: 3 } }
+        });
+
+        assert.equal(getScoringPolicy('classic').positionBonus, 50);
+        assert.equal(getScoringPolicy('blitz').multiplier, 2);
+        assert.equal(getScoringPolicy('blitz', 'hard').difficultyMultipliers.hard, 3);
+        // Other difficulties keep their multipliers
+        assert.equal(getScoringPolicy('blitz', 'hard').difficultyMultipliers.easy, 0.75);
+        assert.equal(getScoringPolicy('blitz', 'medium').difficultyMultipliers.hard, 1.5);
+        // The mode's own policy still applies under the override
+        assert.equal(getScoringPolicy('survival').method, 'time_alive');
+    });
+
+    it('falls back to the default policy', () => {
+        const { getScoringPolicy } = loadScoring({});
+
+        assert.equal(getScoringPolicy(), getScoringPolicy('unknown'));
+        assert.equal(getScoringPolicy('classic', 'nightmare').method, 'placement');
+    });
+
+    it('rejects unknown keys and invalid policies at load', () => {
+        assert.throws(() => loadScoring({ blits: { multiplier: 2 } }), /Unknown SCORING_POLICIES key "blits"/);
+        assert.throws(() => loadScoring({ 'blitz:insane': {} }), /Unknown SCORING_POLICIES key/);
+        assert.throws(() => loadScoring({ classic: { method: 'kills' } }), /Unknown scoring method "kills" for classic:/);
+        assert.throws(() => loadScoring({ ranked: { operation: 'min' } }), /Unknown scoring operation "min"/);
+        assert.throws(() => loadScoring({ 'survival:hard': { pointsPerSecond: -1 } }), /"pointsPerSecond" for survival:hard/);
+        assert.throws(() => loadScoring({ default: { difficultyMultipliers: { easy: 'low' } } }), /easy difficulty in default/);
+    });
+
+    it('ignores overrides that are not JSON', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const { getScoringPolicy } = loadScoring('{not json');
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.equal(getScoringPolicy('blitz').multiplier, 1.5);
+    });
+});
@@ -0,0 +1,43 @@
+const { once } = require('events');
+const express = require('express');
+
+/**
+ * Serve routes on an ephemeral port, with the body parsing server.js sets
+ * up. `mount(app)` adds the routes. Resolves to { app, request, close };
+ * `request(method, path, { body, headers })` sends `body` as JSON and
+ * resolves to { status, headers, body }.
+ */
+const startApp = async (mount) => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    mount(app);
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { app, request, close };
+};
+
+module.exports = {
+    startApp
+};
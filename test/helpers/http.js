@@ -0,0 +1,40 @@
+// A response that records the status, headers and JSON body a handler sends
+const mockResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    set(name, value) {
+        if (typeof name === 'object') {
+            Object.assign(this.headers, name);
+        } else {
+            this.headers[name] = value;
+        }
+        return this;
+    },
+    json(payload) {
+        this.body = payload;
+        if (this.onSend) this.onSend();
+        return this;
+    }
+});
+
+/**
+ * Run an Express middleware until it calls next() or sends a response.
+ * Resolves with { nextCalled, error, req, res }.
+ */
+const runMiddleware = (middleware, req = {}, res = mockResponse()) => new Promise((resolve, reject) => {
+    req.headers = req.headers || {};
+    res.onSend = () => resolve({ nextCalled: false, error: null, req, res });
+
+    Promise.resolve(middleware(req, res, (error = null) => resolve({ nextCalled: true, error, req, res })))
+        .catch(reject);
+});
+
+module.exports = {
+    mockResponse,
+    runMiddleware
+};
@@ -0,0 +1,127 @@
+const { mock } = require('node:test');
+const Player = require('../../src/models/Player');
+const ScoreChange = require('../../src/models/ScoreChange');
+const rankIndex = require('../../src/services/rankIndexService');
+
+const clone = (value) => structuredClone(value);
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (node[key] == null) node[key] = {};
+        return node[key];
+    }, doc);
+    parent[last] = value;
+};
+
+const compare = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : a === b);
+
+// The aggregation operators Player's pipeline updates use, evaluated against the pre-stage document
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getPath(doc, expression.slice(1));
+    }
+    if (!expression || typeof expression !== 'object' || expression instanceof Date) {
+        return expression;
+    }
+
+    const [[operator, args]] = Object.entries(expression);
+    const values = () => args.map(arg => evaluate(arg, doc));
+
+    switch (operator) {
+        case '$ifNull': {
+            const [value, fallback] = values();
+            return value == null ? fallback : value;
+        }
+        case '$max':
+            return Math.max(...values().filter(value => value != null));
+        case '$min':
+            return Math.min(...values().filter(value => value != null));
+        case '$add':
+            return values().reduce((sum, value) => sum + value, 0);
+        case '$divide': {
+            const [a, b] = values();
+            return a / b;
+        }
+        case '$gt': {
+            const [a, b] = values();
+            return a > b;
+        }
+        case '$eq': {
+            const [a, b] = values();
+            return compare(a ?? null, b ?? null);
+        }
+        case '$cond': {
+            const [condition, then, otherwise] = args;
+            return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+        }
+        default:
+            throw new Error(`Unsupported operator ${operator}`);
+    }
+};
+
+// A query stub: `.lean()` resolves to a plain copy, awaiting it to a hydrated document
+const query = (find) => ({
+    select() {
+        return this;
+    },
+    lean: async () => {
+        const found = find();
+        return found ? clone(found) : null;
+    },
+    then(resolve, reject) {
+        const found = find();
+        return Promise.resolve(found ? Player.hydrate(clone(found)) : null).then(resolve, reject);
+    }
+});
+
+/**
+ * Back Player's score writes with an in-memory collection so the real
+ * updatePlayerScore runs end to end. Returns the stored documents by
+ * playerId and the ScoreChange records written. Undo with mock.restoreAll().
+ */
+const usePlayerStore = (players = []) => {
+    const docs = new Map();
+    const changes = [];
+
+    const add = (data) => {
+        const doc = new Player(data).toObject();
+        docs.set(doc.playerId, doc);
+        return doc;
+    };
+    players.forEach(add);
+
+    mock.method(Player, 'findOne', (filter) => query(() => docs.get(filter.playerId)));
+    mock.method(Player, 'findOneAndUpdate', (filter, pipeline) => query(() => {
+        const doc = docs.get(filter.playerId);
+        if (!doc) return null;
+
+        const before = clone(doc);
+        pipeline.forEach(({ $set }) => {
+            Object.entries($set).forEach(([path, expression]) => setPath(doc, path, evaluate(expression, before)));
+        });
+        return before;
+    }));
+    mock.method(Player, 'updateOne', async (filter, update) => {
+        const doc = docs.get(filter.playerId);
+        Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+        return { modifiedCount: 1 };
+    });
+    mock.method(Player, 'getPlayerRank', async () => 1);
+    mock.method(Player, 'countLeaderboard', async () => docs.size);
+    mock.method(ScoreChange, 'record', async (change) => {
+        changes.push(change);
+        return change;
+    });
+    mock.method(rankIndex, 'syncPlayer', async () => {});
+
+    return { docs, changes, add };
+};
+
+module.exports = {
+    query,
+    usePlayerStore
+};
@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const { issueToken } = require('../../src/services/authService');
+const {
+    authenticate,
+    requireRole,
+    requireOwnership,
+    bindBodyPlayer,
+    authenticateSocket
+} = require('../../src/middleware/auth');
+const { query } = require('../helpers/playerStore');
+const { runMiddleware } = require('../helpers/http');
+
+const bearer = (player) => ({ authorization: `Bearer ${issueToken(player).token}` });
+
+describe('admin permissions', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = { playerId: 'p1', role: 'admin', ban: { active: false } };
+        mock.method(Player, 'findOne', () => query(() => stored));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const authorize = async (headers, ...roles) => {
+        const authenticated = await runMiddleware(authenticate, { headers });
+        if (!authenticated.nextCalled) return authenticated;
+        return runMiddleware(requireRole(...roles), authenticated.req, authenticated.res);
+    };
+
+    it('lets players holding one of the roles through', async () => {
+        const { nextCalled, req } = await authorize(bearer({ playerId: 'p1', role: 'admin' }), 'admin', 'moderator');
+
+        assert.equal(nextCalled, true);
+        assert.deepEqual(req.user, { playerId: 'p1', role: 'admin' });
+    });
+
+    it('uses the stored role, so a revoked role applies at once', async () => {
+        stored.role = 'player';
+
+        const { nextCalled, res } = await authorize(bearer({ playerId: 'p1', role: 'admin' }), 'admin');
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, 'FORBIDDEN');
+    });
+
+    it('rejects banned players before any role check', async () => {
+        stored.ban.active = true;
+
+        const { res } = await authorize(bearer({ playerId: 'p1', role: 'admin' }), 'admin');
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, 'PLAYER_BANNED');
+    });
+});
+
+describe('authenticate', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = { playerId: 'p1', role: 'player', ban: { active: false } };
+        mock.method(Player, 'findOne', () => query(() => stored));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('requires a bearer token', async () => {
+        for (const headers of [{}, { authorization: 'Basic dXNlcjpwYXNz' }, { authorization: 'Bearer' }]) {
+            const { nextCalled, res } = await runMiddleware(authenticate, { headers });
+
+            assert.equal(nextCalled, false);
+            assert.equal(res.statusCode, 401);
+            assert.equal(res.body.error, 'UNAUTHORIZED');
+        }
+    });
+
+    it('rejects forged tokens and players that no longer exist', async () => {
+        const forged = await runMiddleware(authenticate, { headers: { authorization: 'Bearer forged' } });
+        assert.equal(forged.res.statusCode, 401);
+        assert.equal(forged.res.body.error, 'INVALID_TOKEN');
+
+        stored = null;
+        const deleted = await runMiddleware(authenticate, { headers: bearer({ playerId: 'p1' }) });
+        assert.equal(deleted.res.statusCode, 401);
+        assert.equal(deleted.res.body.error, 'INVALID_TOKEN');
+    });
+});
+
+describe('ownership', () => {
+    const as = (playerId, req = {}) => ({ user: { playerId, role: 'player' }, params: {}, ...req });
+
+    it('only lets a player act on their own player', async () => {
+        assert.equal((await runMiddleware(requireOwnership(), as('p1', { params: { playerId: 'p1' } }))).nextCalled, true);
+
+        const { nextCalled, res } = await runMiddleware(requireOwnership(), as('p1', { params: { playerId: 'p2' } }));
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, 'FORBIDDEN');
+    });
+
+    it('fills in the body player and refuses anyone else', async () => {
+        const { req } = await runMiddleware(bindBodyPlayer, as('p1', { body: { score: 10 } }));
+        assert.deepEqual(req.body, { score: 10, playerId: 'p1' });
+
+        const { nextCalled, res } = await runMiddleware(bindBodyPlayer, as('p1', { body: { playerId: 'p2' } }));
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+    });
+});
+
+describe('authenticateSocket', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = { playerId: 'p1', role: 'player', ban: { active: false } };
+        mock.method(Player, 'findOne', () => query(() => stored));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const connect = (handshake) => new Promise(resolve => {
+        const socket = { handshake: { auth: {}, headers: {}, ...handshake }, data: {} };
+        authenticateSocket(socket, (error) => resolve({ socket, error }));
+    });
+
+    it('binds the player of a handshake token', async () => {
+        const { token } = issueToken({ playerId: 'p1' });
+
+        const fromAuth = await connect({ auth: { token } });
+        assert.equal(fromAuth.error, undefined);
+        assert.deepEqual(fromAuth.socket.data.user, { playerId: 'p1', role: 'player' });
+
+        const fromHeader = await connect({ headers: bearer({ playerId: 'p1' }) });
+        assert.deepEqual(fromHeader.socket.data.user, { playerId: 'p1', role: 'player' });
+    });
+
+    it('lets spectators connect without a token', async () => {
+        const { socket, error } = await connect({});
+
+        assert.equal(error, undefined);
+        assert.equal(socket.data.user, null);
+    });
+
+    it('refuses invalid tokens and banned players', async () => {
+        assert.equal((await connect({ auth: { token: 'forged' } })).error.data.type, 'unauthorized');
+
+        stored.ban.active = true;
+        assert.equal((await connect({ auth: { token: issueToken({ playerId: 'p1' }).token } })).error.data.type, 'banned');
+    });
+});
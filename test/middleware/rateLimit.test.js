@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimitStore } = require('../../src/services/rateLimitStore');
+const { issueToken } = require('../../src/services/authService');
+const { setRateLimitStore, rateLimit, apiRateLimit } = require('../../src/middleware/rateLimit');
+const { runMiddleware } = require('../helpers/http');
+
+const limitPlayerCreation = rateLimit('playerCreation'); // 10 an hour per address
+const limitScoreWrites = rateLimit('scoreWrites'); // 60 a minute per player
+
+// Send `count` requests; returns the last result
+const send = async (middleware, count, req = {}) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+        result = await runMiddleware(middleware, { ip: '10.0.0.1', method: 'POST', ...req, headers: { ...req.headers } });
+    }
+    return result;
+};
+
+describe('rateLimit', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryRateLimitStore();
+        setRateLimitStore(store);
+    });
+
+    after(() => setRateLimitStore(new MemoryRateLimitStore()));
+
+    it('describes the policy in the RateLimit headers', async () => {
+        const { nextCalled, res } = await send(limitPlayerCreation, 1);
+
+        assert.equal(nextCalled, true);
+        assert.equal(res.headers['RateLimit-Limit'], '10');
+        assert.equal(res.headers['RateLimit-Remaining'], '9');
+        assert.equal(res.headers['RateLimit-Policy'], '10;w=3600');
+        assert.ok(Number(res.headers['RateLimit-Reset']) > 0);
+    });
+
+    it('answers 429 with Retry-After once the window is full', async () => {
+        assert.equal((await send(limitPlayerCreation, 10)).nextCalled, true);
+
+        const { nextCalled, res } = await send(limitPlayerCreation, 1);
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 429);
+        assert.equal(res.body.error, 'RATE_LIMIT_EXCEEDED');
+        assert.equal(res.headers['Retry-After'], String(res.body.retryAfter));
+        assert.equal(res.headers['RateLimit-Remaining'], '0');
+
+        // Another address has its own window
+        assert.equal((await send(limitPlayerCreation, 1, { ip: '10.0.0.2' })).nextCalled, true);
+    });
+
+    it('keys player policies on the token, whatever the address', async () => {
+        const headers = { authorization: `Bearer ${issueToken({ playerId: 'p1' }).token}` };
+        await send(limitScoreWrites, 30, { headers, ip: '10.0.0.1' });
+        await send(limitScoreWrites, 30, { headers, ip: '10.0.0.2' });
+
+        assert.equal((await send(limitScoreWrites, 1, { headers, ip: '10.0.0.3' })).res.statusCode, 429);
+        assert.equal((await send(limitScoreWrites, 1, { ip: '10.0.0.3' })).nextCalled, true);
+    });
+
+    it('keeps a bounded number of clients', async () => {
+        setRateLimitStore(store = new MemoryRateLimitStore({ maxKeys: 2 }));
+
+        for (const ip of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) {
+            await send(limitPlayerCreation, 1, { ip });
+        }
+        assert.equal(store.size, 2);
+    });
+
+    it('counts reads and writes apart', async () => {
+        await send(apiRateLimit, 1, { method: 'GET' });
+        const { res } = await send(apiRateLimit, 1, { method: 'POST' });
+
+        assert.equal(res.headers['RateLimit-Remaining'], String(Number(res.headers['RateLimit-Limit']) - 1));
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validatePlayerScoreUpdate,
+    validateAdminScore,
+    validateSocketData,
+    socketSchemas
+} = require('../../src/middleware/validation');
+const { runMiddleware } = require('../helpers/http');
+
+describe('score update operations', () => {
+    it('accepts min with a score on REST and sockets', async () => {
+        const { req } = await runMiddleware(validatePlayerScoreUpdate, { body: { op: 'min', score: 95, gameMode: 'blitz' } });
+        assert.deepEqual(req.body, { op: 'min', score: 95, gameMode: 'blitz', completed: false });
+
+        const { res } = await runMiddleware(validatePlayerScoreUpdate, { body: { op: 'min', delta: 5 } });
+        assert.equal(res.statusCode, 400);
+
+        assert.equal(validateSocketData(socketSchemas.scoreUpdate, { op: 'min', score: 95 }).isValid, true);
+    });
+});
+
+describe('admin reasons', () => {
+    it('fit the score change record they are stored on', async () => {
+        const body = { action: 'reset', gameMode: 'blitz' };
+
+        const { req } = await runMiddleware(validateAdminScore, { body: { ...body, reason: 'x'.repeat(200) } });
+        assert.equal(req.body.reason.length, 200);
+
+        const { res } = await runMiddleware(validateAdminScore, { body: { ...body, reason: 'x'.repeat(201) } });
+        assert.equal(res.statusCode, 400);
+    });
+});
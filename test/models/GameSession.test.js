@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../../src/models/GameSession');
+const Season = require('../../src/models/Season');
+const Team = require('../../src/models/Team');
+const { finishSession } = require('../../src/services/sessionService');
+const { usePlayerStore } = require('../helpers/playerStore');
+
+// A session query: `.select().lean()` resolves to a plain copy, awaiting it to the document
+const sessionQuery = (session) => ({
+    select: () => ({ lean: async () => session && session.toObject() }),
+    then: (resolve, reject) => Promise.resolve(session).then(resolve, reject)
+});
+
+describe('team sessions', () => {
+    let session;
+
+    beforeEach(async () => {
+        mock.method(Season, 'getActiveSeasonId', async () => null);
+        mock.method(GameSession.prototype, 'save', async function() {
+            return this;
+        });
+        mock.method(GameSession, 'findOne', () => sessionQuery(session));
+
+        session = await GameSession.createSession({ gameMode: 'team', region: 'EU', maxPlayers: 4 });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const join = (playerId, extra = {}) => GameSession.joinSession(session.sessionId, { playerId, username: playerId, ...extra });
+
+    const teamsOf = () => session.players.map(player => [player.playerId, player.team]);
+
+    it('creates two teams unless told otherwise', () => {
+        assert.deepEqual(session.teams.map(team => [team.team, team.name]), [['A', 'Team A'], ['B', 'Team B']]);
+    });
+
+    it('balances players across the teams, or puts them on the team they ask for', async () => {
+        await join('a');
+        await join('b');
+        await join('c', { team: 'A' });
+        assert.deepEqual(teamsOf(), [['a', 'A'], ['b', 'B'], ['c', 'A']]);
+
+        await assert.rejects(join('d', { team: 'A' }), /Team A is full/);
+        await assert.rejects(join('d', { team: 'C' }), /Team C is not in this session/);
+        await join('d');
+        assert.equal(session.players.at(-1).team, 'B');
+    });
+
+    it('keeps a roster together and other players off its team', async () => {
+        await join('a', { teamId: 'team_red', teamName: 'Red' });
+        assert.deepEqual([session.teams[0].teamId, session.teams[0].name], ['team_red', 'Red']);
+
+        await join('b');
+        await join('c', { teamId: 'team_red' });
+        assert.deepEqual(teamsOf(), [['a', 'A'], ['b', 'B'], ['c', 'A']]);
+
+        await assert.rejects(join('d', { team: 'A' }), /plays for another roster/);
+    });
+
+    it('places teams by their total score, sharing positions on a tie', async () => {
+        for (const playerId of ['a', 'b', 'c', 'd']) await join(playerId);
+        const scores = { a: 300, b: 100, c: 200, d: 400 };
+        session.players.forEach(player => {
+            player.currentSessionScore = scores[player.playerId];
+        });
+
+        await GameSession.endSession(session.sessionId);
+        assert.deepEqual(session.teams.map(team => [team.team, team.score, team.position]), [['A', 500, 1], ['B', 500, 1]]);
+
+        session.status = 'active';
+        session.players[0].currentSessionScore = 301;
+        await GameSession.endSession(session.sessionId);
+        assert.deepEqual(session.teams.map(team => team.position), [1, 2]);
+        assert.deepEqual(session.players.map(player => player.position), [1, 2, 1, 2]);
+    });
+
+    it('gives the members their team\'s position bonus and result, and records the roster\'s', async () => {
+        const store = usePlayerStore(['a', 'b', 'c', 'd'].map(playerId => ({ playerId, username: playerId, region: 'EU' })));
+        const recordResult = mock.method(Team, 'recordResult', async () => ({}));
+
+        await join('a', { teamId: 'team_red', teamName: 'Red' });
+        await join('b');
+        await join('c', { teamId: 'team_red' });
+        await join('d');
+        const scores = { a: 300, b: 100, c: 200, d: 50 };
+        session.players.forEach(player => {
+            player.currentSessionScore = scores[player.playerId];
+        });
+
+        const results = await finishSession(session.sessionId);
+
+        assert.deepEqual(results.teams.map(team => [team.team, team.position, team.result]), [['A', 1, 'win'], ['B', 2, 'loss']]);
+        const bonus = (playerId) => results.finalScores.find(score => score.playerId === playerId).positionBonus;
+        assert.equal(bonus('a'), bonus('c'));
+        assert.equal(bonus('b'), bonus('d'));
+        assert.ok(bonus('a') > bonus('b'));
+
+        const stats = (playerId) => store.docs.get(playerId).modeStats.team;
+        assert.deepEqual([stats('a').wins, stats('c').wins, stats('b').losses, stats('d').losses], [1, 1, 1, 1]);
+        assert.equal(store.docs.get('c').gameStats.wins, 1);
+
+        assert.equal(recordResult.mock.callCount(), 1);
+        assert.deepEqual(recordResult.mock.calls[0].arguments.slice(0, 2), ['team_red', 'win']);
+    });
+});
+
+describe('Team.getLeaderboard', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('ranks a page of teams from its offset', async () => {
+        let query;
+        mock.method(Team, 'find', (filter) => {
+            const chain = {
+                sort: (sort) => {
+                    query = { filter, sort };
+                    return chain;
+                },
+                skip: () => chain,
+                limit: () => chain,
+                select: () => chain,
+                lean: async () => [
+                    { teamId: 't1', name: 'Red', tag: 'RED', region: 'EU', members: [{}, {}], stats: { score: 900, wins: 3 } },
+                    { teamId: 't2', name: 'Blue', tag: 'BLU', region: 'EU', members: [{}], stats: { score: 800, wins: 2 } }
+                ]
+            };
+            return chain;
+        });
+        mock.method(Team, 'countDocuments', async () => 12);
+
+        const { teams, totalTeams } = await Team.getLeaderboard({ region: 'EU', limit: 2, offset: 10 });
+
+        assert.deepEqual(query, { filter: { region: 'EU' }, sort: { 'stats.score': -1, 'stats.wins': -1, createdAt: 1 } });
+        assert.deepEqual(teams.map(team => [team.rank, team.teamId, team.memberCount, team.score]), [[11, 't1', 2, 900], [12, 't2', 1, 800]]);
+        assert.equal(totalTeams, 12);
+    });
+});
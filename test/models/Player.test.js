@@ -0,0 +1,99 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const { usePlayerStore } = require('../helpers/playerStore');
+
+describe('Player.updatePlayerScore', () => {
+    afterEach(() => mock.restoreAll());
+
+    const update = (value, op, gameMode = 'classic') =>
+        Player.updatePlayerScore('p1', value, gameMode, { source: 'rest_score' }, { op });
+
+    it('applies set, increment and max to the mode score', async () => {
+        const { docs } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        await update(100, 'set');
+        await update(50, 'increment');
+        assert.equal(docs.get('p1').modeStats.classic.score, 150);
+
+        await update(120, 'max');
+        assert.equal(docs.get('p1').modeStats.classic.score, 150);
+        await update(-500, 'increment');
+        assert.equal(docs.get('p1').modeStats.classic.score, 0);
+    });
+
+    it('keeps the lowest score with min, taking the first one as is', async () => {
+        const { docs, changes } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        const first = await update(95, 'min', 'blitz');
+        assert.equal(first.modeStats.blitz.score, 95);
+        assert.equal(first.$locals.previousScore, 0);
+
+        await update(120, 'min', 'blitz');
+        assert.equal(docs.get('p1').modeStats.blitz.score, 95);
+        await update(80, 'min', 'blitz');
+        assert.equal(docs.get('p1').modeStats.blitz.score, 80);
+
+        assert.deepEqual(changes.map(change => [change.operation, change.previousScore, change.newScore]), [
+            ['min', 0, 95],
+            ['min', 95, 95],
+            ['min', 95, 80]
+        ]);
+    });
+
+    it('applies min the same way when the update is checked first', async () => {
+        const { docs } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        await Player.updatePlayerScore('p1', 95, null, {}, { op: 'min' });
+        await Player.updatePlayerScore('p1', 120, 'classic', {}, { op: 'min', checkPlausibility: true });
+        assert.equal(docs.get('p1').modeStats.classic.score, 95);
+    });
+
+    it('refuses a change it could not record before writing the score', async () => {
+        const { docs, changes } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        await assert.rejects(
+            Player.updatePlayerScore('p1', 0, 'classic', { source: 'admin', reason: 'x'.repeat(201) }, { op: 'set' }),
+            error => error.name === 'ValidationError' && Boolean(error.errors.reason)
+        );
+        assert.equal(Player.findOneAndUpdate.mock.callCount(), 0);
+        assert.equal(docs.get('p1').modeStats.classic.lastPlayedAt, null);
+        assert.equal(changes.length, 0);
+    });
+});
+
+describe('per-mode scores', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('keeps each mode\'s score, best score and results apart', async () => {
+        const { docs } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        await Player.updatePlayerScore('p1', 900, 'blitz', {}, { completed: true, result: 'win' });
+        await Player.updatePlayerScore('p1', 300, 'classic', {}, { completed: true, result: 'loss' });
+        await Player.updatePlayerScore('p1', 200, 'classic', {});
+
+        const { blitz, classic, survival } = docs.get('p1').modeStats;
+        assert.deepEqual([blitz.score, blitz.bestScore, blitz.gamesPlayed, blitz.wins, blitz.losses], [900, 900, 1, 1, 0]);
+        assert.deepEqual([classic.score, classic.bestScore, classic.gamesPlayed, classic.wins, classic.losses], [200, 300, 1, 0, 1]);
+        assert.equal(survival.lastPlayedAt, null);
+
+        // The overall fields follow the mode just played
+        assert.equal(docs.get('p1').currentScore, 200);
+        assert.equal(docs.get('p1').currentGameMode, 'classic');
+        assert.deepEqual([docs.get('p1').gameStats.wins, docs.get('p1').gameStats.losses], [1, 1]);
+    });
+
+    it('ranks a mode board by that mode\'s score among players who played it', () => {
+        assert.equal(Player.getScoreField('blitz'), 'modeStats.blitz.score');
+        assert.equal(Player.getScoreField(), 'currentScore');
+
+        const filter = Player.buildLeaderboardFilter({ gameMode: 'blitz', region: 'EU' });
+        assert.deepEqual(filter['modeStats.blitz.lastPlayedAt'], { $ne: null });
+        assert.equal(filter.region, 'EU');
+
+        const player = { currentScore: 200, modeStats: { blitz: { score: 900 } } };
+        assert.equal(Player.getModeScore(player, 'blitz'), 900);
+        assert.equal(Player.getModeScore(player, 'classic'), 0);
+        assert.equal(Player.getModeScore(player), 200);
+    });
+});
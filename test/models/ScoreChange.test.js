@@ -0,0 +1,40 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ScoreChange = require('../../src/models/ScoreChange');
+const Season = require('../../src/models/Season');
+
+describe('ScoreChange', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('records the points a change earned, in the active season', async () => {
+        mock.method(Season, 'getActiveSeasonId', async () => 'season_1');
+        const create = mock.method(ScoreChange, 'create', async (change) => change);
+
+        await ScoreChange.record({ playerId: 'p1', region: 'EU', gameMode: 'classic', previousScore: 500, newScore: 350 });
+
+        assert.deepEqual(create.mock.calls[0].arguments[0], {
+            playerId: 'p1',
+            region: 'EU',
+            gameMode: 'classic',
+            previousScore: 500,
+            newScore: 350,
+            delta: -150,
+            seasonId: 'season_1'
+        });
+    });
+
+    it('sums a window\'s points from its start, by region and mode', () => {
+        const since = new Date('2026-01-07T00:00:00Z');
+
+        assert.deepEqual(ScoreChange.buildWindowMatch({ since, region: 'EU', gameMode: 'blitz' }), {
+            createdAt: { $gte: since },
+            region: 'EU',
+            gameMode: 'blitz'
+        });
+        assert.deepEqual(ScoreChange.buildWindowMatch({ since, region: 'GLOBAL' }), { createdAt: { $gte: since } });
+
+        const [match, group] = ScoreChange.buildWindowPipeline({ since });
+        assert.deepEqual(match, { $match: { createdAt: { $gte: since } } });
+        assert.deepEqual(group, { $group: { _id: '$playerId', points: { $sum: '$delta' } } });
+    });
+});
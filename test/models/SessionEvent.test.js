@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const GameSession = require('../../src/models/GameSession');
+const SessionEvent = require('../../src/models/SessionEvent');
+
+const START = Date.UTC(2026, 0, 1);
+
+// Ten events, two per second, alternating players; the last is the game end
+const EVENTS = Array.from({ length: 10 }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sessionId: 's1',
+    playerId: index === 9 ? null : (index % 2 === 0 ? 'a' : 'b'),
+    eventType: index === 9 ? 'game_end' : 'score_update',
+    data: { index },
+    timestamp: new Date(START + Math.floor(index / 2) * 1000)
+}));
+
+// Order of timestamps, then ids, as Mongo compares them
+const compare = (x, y) => (x.timestamp - y.timestamp) || x._id.toString().localeCompare(y._id.toString());
+
+// The operators getPage's filters use
+const beyond = (operator, value, bound) => (operator === '$gt' ? compare(value, bound) > 0 : compare(value, bound) < 0);
+
+const matches = (event, conditions) => Object.entries(conditions).every(([key, condition]) => {
+    if (key !== '$or') return event[key] === condition;
+
+    return condition.some(({ timestamp, _id }) => {
+        if (_id) {
+            const [operator] = Object.keys(_id);
+            return +event.timestamp === +timestamp && beyond(operator, event, { timestamp, _id: _id[operator] });
+        }
+        const [operator] = Object.keys(timestamp);
+        return operator === '$gt' ? event.timestamp > timestamp[operator] : event.timestamp < timestamp[operator];
+    });
+});
+
+describe('SessionEvent.getPage', () => {
+    beforeEach(() => {
+        mock.method(SessionEvent, 'find', (conditions) => {
+            const chain = {
+                sort: (sort) => {
+                    chain.direction = sort.timestamp;
+                    return chain;
+                },
+                limit: (limit) => {
+                    chain.count = limit;
+                    return chain;
+                },
+                lean: async () => EVENTS
+                    .filter(event => matches(event, conditions))
+                    .sort((x, y) => compare(x, y) * chain.direction)
+                    .slice(0, chain.count)
+            };
+            return chain;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    // Every event across the pages, following the cursors
+    const readAll = async (options) => {
+        const pages = [];
+        let after = null;
+        do {
+            const page = await SessionEvent.getPage('s1', { ...options, after });
+            pages.push(page.events.map(event => event.data.index));
+            after = page.nextCursor;
+        } while (after);
+        return pages;
+    };
+
+    it('pages through events newest first, across events sharing a timestamp', async () => {
+        assert.deepEqual(await readAll({ limit: 3 }), [[9, 8, 7], [6, 5, 4], [3, 2, 1], [0]]);
+    });
+
+    it('pages oldest first with order asc', async () => {
+        assert.deepEqual(await readAll({ limit: 4, order: 'asc' }), [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9]]);
+    });
+
+    it('filters by event type and player', async () => {
+        assert.deepEqual(await readAll({ playerId: 'a', order: 'asc' }), [[0, 2, 4, 6, 8]]);
+        assert.deepEqual(await readAll({ eventType: 'game_end' }), [[9]]);
+    });
+
+    it('ends without a cursor when the last page is full', async () => {
+        const page = await SessionEvent.getPage('s1', { limit: 10 });
+
+        assert.equal(page.events.length, 10);
+        assert.equal(page.nextCursor, null);
+    });
+
+    it('rejects malformed cursors', async () => {
+        for (const after of ['not-a-cursor', Buffer.from(JSON.stringify({ t: 'x', i: 'y' })).toString('base64url')]) {
+            await assert.rejects(SessionEvent.getPage('s1', { after }), /Invalid events cursor/);
+        }
+    });
+});
+
+describe('SessionEvent.record', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('stores a session\'s events in order', async () => {
+        const insertMany = mock.method(SessionEvent, 'insertMany', async (events) => events);
+
+        await SessionEvent.record('s1', [{ eventType: 'game_start' }, { eventType: 'game_end' }]);
+
+        assert.deepEqual(insertMany.mock.calls[0].arguments, [
+            [{ eventType: 'game_start', sessionId: 's1' }, { eventType: 'game_end', sessionId: 's1' }],
+            { ordered: true }
+        ]);
+    });
+});
+
+describe('GameSession events', () => {
+    it('are queued for their own collection, not kept in the session document', () => {
+        const session = new GameSession({ gameMode: 'classic', region: 'EU' });
+
+        session.queueEvent({ playerId: 'a', eventType: 'player_joined', data: { username: 'alice' } });
+
+        assert.equal(session.toObject().realTimeEvents, undefined);
+        assert.deepEqual(session.$locals.pendingEvents.map(({ playerId, eventType }) => [playerId, eventType]), [['a', 'player_joined']]);
+        assert.equal(session.lastEventAt, session.$locals.pendingEvents[0].timestamp);
+    });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const AdminAuditLog = require('../../src/models/AdminAuditLog');
+const authRoutes = require('../../src/routes/auth');
+const adminRoutes = require('../../src/routes/admin');
+const { hashPassword, hashClaimCode, createPasswordClaim, issueToken, verifyToken } = require('../../src/services/authService');
+const { query } = require('../helpers/playerStore');
+const { startApp } = require('../helpers/app');
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, value]) => {
+    const actual = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), doc);
+    return value === null ? actual == null : actual === value;
+});
+
+describe('auth routes', () => {
+    let server;
+    let players;
+    let audits;
+
+    before(async () => {
+        server = await startApp(app => {
+            app.use('/api/auth', authRoutes);
+            app.use('/api/admin', adminRoutes);
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+        players = [
+            { playerId: 'admin', username: 'admin', region: 'EU', role: 'admin', passwordHash: await hashPassword('admin-password'), ban: { active: false } },
+            { playerId: 'p1', username: 'alice', region: 'EU', role: 'player', passwordHash: await hashPassword('alice-password'), ban: { active: false } },
+            // Created before passwords
+            { playerId: 'legacy', username: 'legacy', region: 'NA', role: 'player', passwordHash: null, ban: { active: false } }
+        ];
+        audits = [];
+
+        const find = (filter) => players.find(player => matches(player, filter)) || null;
+        mock.method(Player, 'findOne', (filter) => query(() => find(filter)));
+        mock.method(Player, 'exists', async (filter) => (find(filter) ? { _id: filter.playerId } : null));
+        mock.method(Player, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+            const player = find(filter);
+            if (!player) return null;
+
+            const before = structuredClone(player);
+            Object.assign(player, update.$set);
+            return options.new ? player : before;
+        }));
+        mock.method(AdminAuditLog, 'record', async (entry) => audits.push(entry));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const player = (playerId) => players.find(p => p.playerId === playerId);
+
+    describe('POST /api/auth/login', () => {
+        it('issues a token for the right password', async () => {
+            const { status, body } = await server.request('POST', '/api/auth/login', { body: { username: 'alice', password: 'alice-password' } });
+
+            assert.equal(status, 200);
+            assert.equal(body.data.tokenType, 'Bearer');
+            assert.deepEqual(verifyToken(body.data.token), { playerId: 'p1', role: 'player' });
+            assert.deepEqual(body.data.player, { playerId: 'p1', username: 'alice', region: 'EU', role: 'player' });
+        });
+
+        it('gives the same answer for a wrong password, an unknown player and no password', async () => {
+            for (const credentials of [
+                { username: 'alice', password: 'wrong-password' },
+                { username: 'nobody', password: 'alice-password' },
+                { username: 'legacy', password: 'any-password' }
+            ]) {
+                const { status, body } = await server.request('POST', '/api/auth/login', { body: credentials });
+
+                assert.equal(status, 401);
+                assert.equal(body.error, 'INVALID_CREDENTIALS');
+            }
+        });
+
+        it('refuses banned players', async () => {
+            player('p1').ban.active = true;
+
+            const { status, body } = await server.request('POST', '/api/auth/login', { body: { username: 'alice', password: 'alice-password' } });
+            assert.equal(status, 403);
+            assert.equal(body.error, 'PLAYER_BANNED');
+        });
+    });
+
+    describe('password claims', () => {
+        const adminHeaders = () => ({ authorization: `Bearer ${issueToken({ playerId: 'admin', role: 'admin' }).token}` });
+
+        const issue = (playerId) => server.request('POST', `/api/admin/players/${playerId}/password-claim`, {
+            body: { reason: 'legacy account' },
+            headers: adminHeaders()
+        });
+
+        const claim = (code, password = 'legacy-password') => server.request('POST', '/api/auth/claim', {
+            body: { username: 'legacy', code, password }
+        });
+
+        it('lets a player without a password set one with an issued code', async () => {
+            const issued = await issue('legacy');
+            assert.equal(issued.status, 201);
+            assert.equal(player('legacy').passwordClaim.codeHash, hashClaimCode(issued.body.data.code));
+
+            // The audit trail never holds the code
+            assert.equal(audits.length, 1);
+            assert.equal(audits[0].action, 'player_password_claim');
+            assert.ok(!JSON.stringify(audits[0]).includes(issued.body.data.code));
+
+            const { status, body } = await claim(issued.body.data.code);
+            assert.equal(status, 200);
+            assert.deepEqual(verifyToken(body.data.token), { playerId: 'legacy', role: 'player' });
+            assert.deepEqual(player('legacy').passwordClaim, { codeHash: null, expiresAt: null });
+
+            const login = await server.request('POST', '/api/auth/login', { body: { username: 'legacy', password: 'legacy-password' } });
+            assert.equal(login.status, 200);
+        });
+
+        it('uses a code up once it sets a password', async () => {
+            const { code } = (await issue('legacy')).body.data;
+            await claim(code);
+
+            const again = await claim(code, 'takeover-password');
+            assert.equal(again.status, 401);
+            assert.equal(again.body.error, 'INVALID_CLAIM_CODE');
+        });
+
+        it('rejects wrong and expired codes', async () => {
+            const { code } = (await issue('legacy')).body.data;
+            assert.equal((await claim(`${code}x`)).body.error, 'INVALID_CLAIM_CODE');
+
+            player('legacy').passwordClaim.expiresAt = new Date(Date.now() - 1000);
+            assert.equal((await claim(code)).status, 401);
+            assert.equal(player('legacy').passwordHash, null);
+        });
+
+        it('never replaces an existing password', async () => {
+            const issued = await issue('p1');
+            assert.equal(issued.status, 409);
+            assert.equal(issued.body.error, 'PASSWORD_ALREADY_SET');
+
+            // Even with a code left over from before the password was set
+            const { code, codeHash, expiresAt } = createPasswordClaim();
+            player('p1').passwordClaim = { codeHash, expiresAt };
+            const { status, body } = await server.request('POST', '/api/auth/claim', {
+                body: { username: 'alice', code, password: 'takeover-password' }
+            });
+            assert.equal(status, 409);
+            assert.equal(body.error, 'PASSWORD_ALREADY_SET');
+        });
+
+        it('only lets admins issue codes', async () => {
+            const { status } = await server.request('POST', '/api/admin/players/legacy/password-claim', {
+                body: { reason: 'legacy account' },
+                headers: { authorization: `Bearer ${issueToken({ playerId: 'p1' }).token}` }
+            });
+
+            assert.equal(status, 403);
+            assert.equal((await issue('missing')).status, 404);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const ScoreChange = require('../../src/models/ScoreChange');
+const playerRoutes = require('../../src/routes/players');
+const { usePlayerStore } = require('../helpers/playerStore');
+const { startApp } = require('../helpers/app');
+
+describe('score history', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('records every change with its real previous value and context', async () => {
+        const { changes } = usePlayerStore([{ playerId: 'p1', username: 'alice', region: 'EU' }]);
+        const actor = { kind: 'player', id: 'p1', ip: '10.0.0.1' };
+
+        await Player.updatePlayerScore('p1', 300, 'classic', { source: 'rest_score', reason: 'level 1', actor }, {});
+        // Whatever score the client claims it had, the stored one is recorded
+        await Player.updatePlayerScore('p1', 50, 'classic', { source: 'session_end', sessionId: 's1', actor }, { op: 'increment' });
+
+        assert.deepEqual(changes.map(c => [c.source, c.sessionId, c.reason, c.previousScore, c.newScore]), [
+            ['rest_score', undefined, 'level 1', 0, 300],
+            ['session_end', 's1', undefined, 300, 350]
+        ]);
+        assert.deepEqual(changes[0].actor, actor);
+        assert.equal(changes[0].region, 'EU');
+    });
+
+    describe('GET /api/players/:playerId/history', () => {
+        let server;
+        let found;
+
+        before(async () => {
+            server = await startApp(app => app.use('/api/players', playerRoutes));
+        });
+
+        after(() => server.close());
+
+        beforeEach(() => {
+            usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+            found = {};
+            mock.method(ScoreChange, 'find', (filter) => {
+                found.filter = filter;
+                const keep = (option) => (value) => {
+                    found[option] = value;
+                    return chain;
+                };
+                const chain = {
+                    sort: keep('sort'),
+                    skip: keep('skip'),
+                    limit: keep('limit'),
+                    select: () => chain,
+                    lean: async () => [{
+                        createdAt: new Date('2026-01-02T00:00:00Z'),
+                        gameMode: 'classic',
+                        previousScore: 0,
+                        newScore: 300,
+                        delta: 300,
+                        source: 'rest_score',
+                        reason: 'level 1'
+                    }]
+                };
+                return chain;
+            });
+            mock.method(ScoreChange, 'countDocuments', async () => 45);
+        });
+
+        it('filters by time range and source, newest first, a page at a time', async () => {
+            const { status, body } = await server.request('GET',
+                '/api/players/p1/history?from=2026-01-01T00:00:00Z&to=2026-01-31T00:00:00Z&source=rest_score&limit=20&page=2');
+
+            assert.equal(status, 200);
+            assert.deepEqual(found.filter, {
+                playerId: 'p1',
+                createdAt: { $gte: new Date('2026-01-01T00:00:00Z'), $lte: new Date('2026-01-31T00:00:00Z') },
+                source: 'rest_score'
+            });
+            assert.deepEqual([found.sort, found.skip, found.limit], [{ createdAt: -1 }, 20, 20]);
+
+            assert.equal(body.data.history[0].previousScore, 0);
+            assert.equal(body.data.history[0].timestamp, '2026-01-02T00:00:00.000Z');
+            assert.deepEqual(body.data.pagination, {
+                currentPage: 2,
+                totalPages: 3,
+                totalChanges: 45,
+                hasNextPage: true,
+                hasPreviousPage: true,
+                changesPerPage: 20
+            });
+        });
+
+        it('rejects a range that ends before it starts', async () => {
+            const { status } = await server.request('GET', '/api/players/p1/history?from=2026-02-01T00:00:00Z&to=2026-01-01T00:00:00Z');
+
+            assert.equal(status, 400);
+        });
+
+        it('answers 404 for an unknown player', async () => {
+            assert.equal((await server.request('GET', '/api/players/nobody/history')).status, 404);
+        });
+    });
+});
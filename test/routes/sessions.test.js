@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameServer = require('../../src/models/GameServer');
+const GameSession = require('../../src/models/GameSession');
+const Player = require('../../src/models/Player');
+const SignatureNonce = require('../../src/models/SignatureNonce');
+const sessionRoutes = require('../../src/routes/sessions');
+const { finishSession } = require('../../src/services/sessionService');
+const { SIGNATURE_HEADERS, computeSignature } = require('../../src/services/signatureService');
+const { usePlayerStore } = require('../helpers/playerStore');
+const { startApp } = require('../helpers/app');
+
+const SECRET = 'a'.repeat(64);
+
+// Headers of a request signed by server_1
+let nonce = 0;
+const signed = (path, body) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const requestNonce = `nonce_${++nonce}`;
+    return {
+        [SIGNATURE_HEADERS.serverId]: 'server_1',
+        [SIGNATURE_HEADERS.timestamp]: timestamp,
+        [SIGNATURE_HEADERS.nonce]: requestNonce,
+        [SIGNATURE_HEADERS.signature]: computeSignature(SECRET, {
+            method: 'POST', path, timestamp, nonce: requestNonce, body: JSON.stringify(body)
+        })
+    };
+};
+
+describe('ranked session scores', () => {
+    let server;
+    let store;
+    let sessions;
+
+    before(async () => {
+        server = await startApp(app => app.use('/api/sessions', sessionRoutes));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        store = usePlayerStore([
+            { playerId: 'a', username: 'alice', region: 'EU' },
+            { playerId: 'b', username: 'bob', region: 'EU' }
+        ]);
+        sessions = new Map();
+
+        const gameServer = new GameServer({ serverId: 'server_1', name: 'eu-1', secret: SECRET, gameModes: ['ranked'] });
+        mock.method(GameServer, 'findOne', () => ({ select: async () => gameServer }));
+        mock.method(GameServer, 'updateOne', async () => ({}));
+        mock.method(SignatureNonce, 'claim', async () => true);
+
+        mock.method(GameSession, 'findOne', (filter) => ({
+            select: () => ({ lean: async () => sessions.get(filter.sessionId) || null })
+        }));
+        mock.method(GameSession, 'updatePlayerScore', async (sessionId, playerId, scoreData) => {
+            const session = sessions.get(sessionId);
+            session.players.find(p => p.playerId === playerId).currentSessionScore = scoreData.score;
+            return session;
+        });
+        mock.method(GameSession, 'endSession', async (sessionId) => {
+            const session = sessions.get(sessionId);
+            const ranked = [...session.players].sort((x, y) => y.currentSessionScore - x.currentSessionScore);
+            ranked.forEach((player, index) => {
+                player.position = index + 1;
+            });
+            return { ...session, status: 'completed', endedAt: new Date() };
+        });
+
+        // Ratings start fresh and are not stored back
+        mock.method(Player, 'find', () => ({ select: () => ({ lean: async () => [{ playerId: 'a' }, { playerId: 'b' }] }) }));
+        mock.method(Player, 'bulkWrite', async () => ({}));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const playSession = async (sessionId, finalScores) => {
+        sessions.set(sessionId, {
+            sessionId,
+            gameMode: 'ranked',
+            gameSettings: { difficulty: 'medium' },
+            teams: [],
+            players: ['a', 'b'].map(playerId => ({ playerId, isActive: true, currentSessionScore: 0 }))
+        });
+
+        for (const [playerId, score] of Object.entries(finalScores)) {
+            for (const tick of [Math.floor(score / 2), score]) {
+                const path = `/api/sessions/${sessionId}/score`;
+                const body = { playerId, score: tick };
+                const response = await server.request('POST', path, { body, headers: signed(path, body) });
+
+                assert.equal(response.status, 200);
+                assert.equal(response.body.data.sessionScore, tick);
+            }
+        }
+
+        return finishSession(sessionId);
+    };
+
+    it('only moves the session score on live updates', async () => {
+        sessions.set('s1', {
+            sessionId: 's1',
+            gameMode: 'ranked',
+            players: [{ playerId: 'a', currentSessionScore: 0 }]
+        });
+
+        const path = '/api/sessions/s1/score';
+        const body = { playerId: 'a', score: 900 };
+        const response = await server.request('POST', path, { body, headers: signed(path, body) });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.globalScore, undefined);
+        assert.equal(store.docs.get('a').modeStats.ranked.lastPlayedAt, null);
+        assert.equal(store.changes.length, 0);
+    });
+
+    it('adds up the results of consecutive sessions', async () => {
+        const first = await playSession('s1', { a: 900, b: 300 });
+        const second = await playSession('s2', { a: 700, b: 200 });
+
+        const awarded = (results, playerId) => results.finalScores.find(p => p.playerId === playerId).scoreAwarded;
+        const alice = store.docs.get('a').modeStats.ranked;
+
+        assert.ok(awarded(first, 'a') > 0 && awarded(second, 'a') > 0);
+        assert.equal(alice.score, awarded(first, 'a') + awarded(second, 'a'));
+        assert.equal(alice.gamesPlayed, 2);
+        assert.deepEqual(store.changes.filter(change => change.playerId === 'a').map(change => change.source), ['session_end', 'session_end']);
+    });
+});
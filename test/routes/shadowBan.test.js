@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const leaderboardRoutes = require('../../src/routes/leaderboard');
+const playerRoutes = require('../../src/routes/players');
+const { issueToken } = require('../../src/services/authService');
+const { usePlayerStore } = require('../helpers/playerStore');
+const { startApp } = require('../helpers/app');
+
+const tokenOf = (playerId) => ({ authorization: `Bearer ${issueToken({ playerId }).token}` });
+
+const classicStats = (score) => ({ classic: { score, lastPlayedAt: new Date() } });
+
+describe('shadow-banned ranks', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp(app => {
+            app.use('/api/leaderboard', leaderboardRoutes);
+            app.use('/api/players', playerRoutes);
+        });
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        usePlayerStore([
+            { playerId: 'cheat', username: 'cheat', region: 'EU', modeStats: classicStats(500), shadowBan: { active: true } },
+            { playerId: 'fair', username: 'fair', region: 'EU', modeStats: classicStats(400) },
+            { playerId: 'viewer', username: 'viewer', region: 'EU' }
+        ]);
+        Player.getPlayerRank.mock.mockImplementation(async () => 2);
+        // The board as everyone sees it, without the shadow-banned player
+        mock.method(Player, 'getLeaderboard', async () => [
+            { rank: 1, playerId: 'top', username: 'top', score: 900 },
+            { rank: 2, playerId: 'fair', username: 'fair', score: 400 }
+        ]);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const around = async (headers) => {
+        const { status, body } = await server.request('GET', '/api/leaderboard/around/cheat?range=1', { headers });
+        assert.equal(status, 200);
+        return body.data;
+    };
+
+    it('puts the player back in their own /around window', async () => {
+        const data = await around(tokenOf('cheat'));
+
+        assert.deepEqual(data.playersAround.map(p => p.playerId), ['top', 'cheat', 'fair']);
+        assert.equal(data.targetPlayer.currentRank, 2);
+    });
+
+    it('leaves them out of anyone else\'s /around window', async () => {
+        for (const headers of [{}, tokenOf('viewer'), { authorization: 'Bearer forged' }]) {
+            const data = await around(headers);
+
+            assert.deepEqual(data.playersAround.map(p => p.playerId), ['top', 'fair']);
+            assert.equal(data.targetPlayer.currentRank, null);
+        }
+    });
+
+    it('only tells the player their own rank', async () => {
+        const rank = async (playerId, headers = {}) => (await server.request('GET', `/api/players/${playerId}/rank`, { headers })).body.data.rank;
+
+        assert.equal(await rank('cheat', tokenOf('cheat')), 2);
+        assert.equal(await rank('cheat', tokenOf('viewer')), null);
+        assert.equal(await rank('cheat'), null);
+        assert.equal(await rank('fair'), 2);
+
+        const profile = await server.request('GET', '/api/players/cheat', { headers: tokenOf('viewer') });
+        assert.equal(profile.body.data.currentRank, null);
+        assert.equal(profile.body.data.shadowBan, undefined);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+    hashPassword,
+    verifyPassword,
+    hashClaimCode,
+    createPasswordClaim,
+    verifyClaimCode,
+    issueToken,
+    verifyToken
+} = require('../../src/services/authService');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+describe('passwords', () => {
+    it('verifies only the password that was hashed', async () => {
+        const stored = await hashPassword('correct-horse-battery');
+
+        assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.equal(await verifyPassword('correct-horse-battery', stored), true);
+        assert.equal(await verifyPassword('wrong-horse-battery', stored), false);
+    });
+
+    it('never matches a player without a password', async () => {
+        assert.equal(await verifyPassword('anything', null), false);
+        assert.equal(await verifyPassword('anything', 'plain$text'), false);
+    });
+});
+
+describe('password claim codes', () => {
+    it('stores only the hash of the code and expires it after 72 hours', () => {
+        const { code, codeHash, expiresAt } = createPasswordClaim(NOW);
+
+        assert.equal(codeHash, hashClaimCode(code));
+        assert.notEqual(codeHash, code);
+        assert.equal(expiresAt.getTime() - NOW.getTime(), 72 * 60 * 60 * 1000);
+        assert.notEqual(createPasswordClaim(NOW).code, code);
+    });
+
+    it('accepts the code until it expires', () => {
+        const { code, codeHash, expiresAt } = createPasswordClaim(NOW);
+        const claim = { codeHash, expiresAt };
+
+        assert.equal(verifyClaimCode(code, claim, NOW), true);
+        assert.equal(verifyClaimCode(`${code}x`, claim, NOW), false);
+        assert.equal(verifyClaimCode(code, claim, expiresAt), false);
+    });
+
+    it('rejects every code when no claim was issued', () => {
+        assert.equal(verifyClaimCode('code', null, NOW), false);
+        assert.equal(verifyClaimCode('code', { codeHash: null, expiresAt: null }, NOW), false);
+    });
+});
+
+describe('access tokens', () => {
+    it('carries the player and their role', () => {
+        const { token } = issueToken({ playerId: 'p1', role: 'moderator' });
+
+        assert.deepEqual(verifyToken(token), { playerId: 'p1', role: 'moderator' });
+        assert.deepEqual(verifyToken(issueToken({ playerId: 'p2' }).token), { playerId: 'p2', role: 'player' });
+    });
+
+    it('rejects forged tokens', () => {
+        const forged = jwt.sign({ role: 'admin' }, 'another-secret', { subject: 'p1' });
+        assert.throws(() => verifyToken(forged), { name: 'JsonWebTokenError' });
+
+        const [header, , signature] = issueToken({ playerId: 'p1' }).token.split('.');
+        const payload = Buffer.from(JSON.stringify({ sub: 'p1', role: 'admin' })).toString('base64url');
+        assert.throws(() => verifyToken(`${header}.${payload}.${signature}`), { name: 'JsonWebTokenError' });
+
+    });
+
+    it('rejects tokens once they expire', (t) => {
+        const { token } = issueToken({ playerId: 'p1' });
+        const { exp } = jwt.decode(token);
+
+        t.after(() => mock.timers.reset());
+        mock.timers.enable({ apis: ['Date'], now: exp * 1000 });
+        assert.throws(() => verifyToken(token), { name: 'TokenExpiredError' });
+    });
+});
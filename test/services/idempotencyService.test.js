@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const IdempotencyRecord = require('../../src/models/IdempotencyRecord');
+const {
+    isValidIdempotencyKey,
+    requestFingerprint,
+    beginRequest,
+    completeRequest,
+    abandonRequest
+} = require('../../src/services/idempotencyService');
+
+const FINGERPRINT = requestFingerprint('POST /api/players/p1/score', '{"score":10}');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('isValidIdempotencyKey', () => {
+    it('accepts printable keys up to 255 characters', () => {
+        assert.equal(isValidIdempotencyKey('0b6f7c1e-8d4a-4c47-9a51-6f1d2a3b4c5d'), true);
+        assert.equal(isValidIdempotencyKey('x'.repeat(255)), true);
+
+        assert.equal(isValidIdempotencyKey(''), false);
+        assert.equal(isValidIdempotencyKey('x'.repeat(256)), false);
+        assert.equal(isValidIdempotencyKey('has space'), false);
+        assert.equal(isValidIdempotencyKey(42), false);
+    });
+});
+
+describe('requestFingerprint', () => {
+    it('differs by target and payload', () => {
+        assert.equal(requestFingerprint('a', 'x'), requestFingerprint('a', 'x'));
+        assert.notEqual(requestFingerprint('a', 'x'), requestFingerprint('b', 'x'));
+        assert.notEqual(requestFingerprint('a', 'x'), requestFingerprint('a', 'y'));
+        assert.match(requestFingerprint('a'), /^a:[0-9a-f]{64}$/);
+    });
+});
+
+describe('beginRequest', () => {
+    let create;
+    let existing;
+    let updateOne;
+
+    beforeEach(() => {
+        existing = null;
+        create = mock.method(IdempotencyRecord, 'create', async () => {
+            throw duplicateKey();
+        });
+        mock.method(IdempotencyRecord, 'findOne', () => ({ lean: async () => existing }));
+        updateOne = mock.method(IdempotencyRecord, 'updateOne', async () => ({ modifiedCount: 0 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('starts a request whose key is new', async () => {
+        create.mock.mockImplementation(async () => ({}));
+
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), { state: 'started' });
+        assert.deepEqual(create.mock.calls[0].arguments[0], { scope: 'player:p1', key: 'k1', fingerprint: FINGERPRINT });
+    });
+
+    it('replays a completed request', async () => {
+        existing = { fingerprint: FINGERPRINT, status: 'completed', response: { status: 200, body: { success: true } } };
+
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), {
+            state: 'replay',
+            response: { status: 200, body: { success: true } }
+        });
+    });
+
+    it('refuses a key reused for a different request', async () => {
+        existing = { fingerprint: requestFingerprint('POST /other'), status: 'completed' };
+
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), { state: 'mismatch' });
+    });
+
+    it('reports a pending request as in progress until its lock goes stale', async () => {
+        existing = { _id: 'r1', fingerprint: FINGERPRINT, status: 'pending' };
+
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), { state: 'in_progress' });
+        const [filter] = updateOne.mock.calls[0].arguments;
+        assert.equal(filter.status, 'pending');
+        assert.ok(Date.now() - filter.updatedAt.$lt.getTime() >= 30 * 1000);
+
+        updateOne.mock.mockImplementation(async () => ({ modifiedCount: 1 }));
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), { state: 'started' });
+    });
+
+    it('retries the insert when the record expired in between', async () => {
+        // The first insert hits the duplicate, the second finds the key free
+        create.mock.mockImplementationOnce(async () => ({}), 1);
+
+        assert.deepEqual(await beginRequest('player:p1', 'k1', FINGERPRINT), { state: 'started' });
+        assert.equal(create.mock.callCount(), 2);
+    });
+
+    it('passes on other database errors', async () => {
+        create.mock.mockImplementation(async () => {
+            throw new Error('connection lost');
+        });
+
+        await assert.rejects(beginRequest('player:p1', 'k1', FINGERPRINT), /connection lost/);
+    });
+});
+
+describe('completeRequest and abandonRequest', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('stores the response as plain JSON', async () => {
+        const updateOne = mock.method(IdempotencyRecord, 'updateOne', async () => ({}));
+
+        await completeRequest('player:p1', 'k1', { status: 200, body: { at: new Date(0) } });
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [
+            { scope: 'player:p1', key: 'k1' },
+            { $set: { status: 'completed', response: { status: 200, body: { at: '1970-01-01T00:00:00.000Z' } } } }
+        ]);
+    });
+
+    it('only deletes a pending record', async () => {
+        const deleteOne = mock.method(IdempotencyRecord, 'deleteOne', async () => ({}));
+
+        await abandonRequest('player:p1', 'k1');
+        assert.deepEqual(deleteOne.mock.calls[0].arguments, [{ scope: 'player:p1', key: 'k1', status: 'pending' }]);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../../src/models/GameSession');
+const matchmaking = require('../../src/services/matchmakingService');
+
+const START = Date.UTC(2026, 0, 1);
+
+const player = (playerId, score) => ({ playerId, username: playerId, modeStats: { classic: { score } } });
+
+// Queue players at `score`s for EU classic
+const enqueue = (...scores) => scores.map((score, index) =>
+    matchmaking.enqueue(player(`p${index + 1}`, score), { region: 'EU', gameMode: 'classic' }));
+
+describe('matchmaking', () => {
+    let notified;
+    let joined;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: START });
+        [matchmaking.tickets, matchmaking.matches, matchmaking.waitHistory].forEach(map => map.clear());
+
+        notified = [];
+        joined = [];
+        matchmaking.socketService = { notifyPlayer: (playerId, event, data) => notified.push({ playerId, event, data }) };
+        mock.method(GameSession, 'createSession', async ({ gameMode, region, maxPlayers }) => ({ sessionId: 'session_1', gameMode, region, maxPlayers }));
+        mock.method(GameSession, 'joinSession', async (sessionId, ticket) => {
+            joined.push(ticket.playerId);
+            return { sessionId };
+        });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        matchmaking.socketService = null;
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('widens a ticket\'s tolerance while it waits, up to the limit', () => {
+        const [ticket] = enqueue(1000);
+
+        assert.equal(matchmaking.getTolerance(ticket), 250);
+        assert.equal(matchmaking.getTolerance(ticket, START + 10000), 500);
+        assert.equal(matchmaking.getTolerance(ticket, START + 3600000), 5000);
+    });
+
+    it('groups players of similar skill into full matches', () => {
+        const groups = matchmaking.findGroups(enqueue(1000, 5000, 1100, 900, 1200));
+
+        assert.deepEqual(groups.map(group => group.map(ticket => ticket.playerId)), [['p1', 'p3', 'p4', 'p5']]);
+    });
+
+    it('only matches players both sides accept', () => {
+        const tickets = enqueue(1000, 1300, 1350, 1400);
+        // p1 has waited long enough to accept the others, but they only accept each other
+        tickets[0].enqueuedAt = START - 60000;
+
+        assert.deepEqual(matchmaking.findGroups(tickets), []);
+    });
+
+    it('settles for a smaller match once the oldest player has waited long enough', () => {
+        const tickets = enqueue(1000, 1100);
+
+        assert.deepEqual(matchmaking.findGroups(tickets, START + 119000), []);
+        assert.deepEqual(matchmaking.findGroups(tickets, START + 120000).map(group => group.length), [2]);
+    });
+
+    it('creates a session for each match and tells its players', async () => {
+        enqueue(1000, 1100, 900, 1050);
+        mock.timers.tick(30000);
+
+        await matchmaking.tick();
+
+        assert.deepEqual(GameSession.createSession.mock.calls[0].arguments[0], { gameMode: 'classic', region: 'EU', maxPlayers: 4 });
+        assert.deepEqual(joined, ['p1', 'p4', 'p2', 'p3']);
+        assert.deepEqual(notified.map(({ playerId, event }) => [playerId, event]),
+            ['p1', 'p4', 'p2', 'p3'].map(playerId => [playerId, 'matchmaking:matched']));
+        assert.equal(notified[0].data.sessionId, 'session_1');
+
+        assert.equal(matchmaking.tickets.size, 0);
+        assert.equal(matchmaking.getStatus('p2').status, 'matched');
+        // The next ticket in the queue expects the wait these players had
+        assert.equal(matchmaking.formatTicket(enqueue(1000)[0]).estimatedWaitSeconds, 30);
+    });
+
+    it('leaves cancelled players out', async () => {
+        enqueue(1000, 1100, 900, 1050);
+
+        assert.equal(matchmaking.cancel('p2').playerId, 'p2');
+        assert.equal(matchmaking.cancel('p2'), null);
+        await matchmaking.tick();
+
+        assert.equal(GameSession.createSession.mock.callCount(), 0);
+        assert.equal(matchmaking.getStatus('p1').status, 'queued');
+        assert.equal(matchmaking.getStatus('p2'), null);
+    });
+
+    it('puts players back in the queue when the session cannot be created', async () => {
+        const tickets = enqueue(1000, 1100, 900, 1050);
+        GameSession.createSession.mock.mockImplementation(async () => {
+            throw new Error('connection lost');
+        });
+        mock.method(console, 'error', () => {});
+
+        await matchmaking.tick();
+
+        assert.equal(matchmaking.tickets.size, 4);
+        assert.equal(matchmaking.tickets.get('p1'), tickets[0]);
+        assert.equal(notified.length, 0);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OrderStatisticsList = require('../../src/services/orderStatisticsList');
+
+const ascending = (a, b) => a - b;
+
+// Deterministic shuffle so failures reproduce
+const shuffled = (count) => {
+    const values = Array.from({ length: count }, (_, i) => i);
+    let seed = 7;
+    for (let i = values.length - 1; i > 0; i--) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const j = seed % (i + 1);
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+};
+
+describe('OrderStatisticsList', () => {
+    it('returns the insert position and keeps keys ordered', () => {
+        const list = new OrderStatisticsList(ascending);
+
+        assert.equal(list.insert(20), 0);
+        assert.equal(list.insert(10), 0);
+        assert.equal(list.insert(30), 2);
+        assert.equal(list.insert(25), 2);
+
+        assert.equal(list.size, 4);
+        assert.deepEqual(list.range(0, 10), [10, 20, 25, 30]);
+    });
+
+    it('answers positional queries after many inserts and removals', () => {
+        const list = new OrderStatisticsList(ascending);
+        const keys = shuffled(500);
+        keys.forEach(key => list.insert(key));
+
+        // Drop every third key
+        const removed = keys.filter(key => key % 3 === 0);
+        removed.forEach(key => assert.equal(list.remove(key), true));
+        const expected = keys.filter(key => key % 3 !== 0).sort(ascending);
+
+        assert.equal(list.size, expected.length);
+        expected.forEach((key, index) => {
+            assert.equal(list.indexOf(key), index);
+            assert.equal(list.at(index), key);
+        });
+        removed.forEach(key => assert.equal(list.indexOf(key), -1));
+        assert.deepEqual(list.range(100, 5), expected.slice(100, 105));
+    });
+
+    it('counts keys before a probe that is not in the list', () => {
+        const list = new OrderStatisticsList(ascending);
+        [10, 20, 30].forEach(key => list.insert(key));
+
+        assert.equal(list.countBefore(5), 0);
+        assert.equal(list.countBefore(20), 1);
+        assert.equal(list.countBefore(25), 2);
+        assert.equal(list.countBefore(99), 3);
+    });
+
+    it('handles missing keys and out-of-range positions', () => {
+        const list = new OrderStatisticsList(ascending);
+        [1, 2, 3].forEach(key => list.insert(key));
+
+        assert.equal(list.remove(4), false);
+        assert.equal(list.size, 3);
+        assert.equal(list.at(-1), null);
+        assert.equal(list.at(3), null);
+        assert.deepEqual(list.range(3, 2), []);
+        assert.deepEqual(list.range(1, 0), []);
+        assert.deepEqual(list.range(1, 5), [2, 3]);
+    });
+
+    it('empties on clear', () => {
+        const list = new OrderStatisticsList(ascending);
+        [1, 2, 3].forEach(key => list.insert(key));
+        list.clear();
+
+        assert.equal(list.size, 0);
+        assert.equal(list.at(0), null);
+        assert.equal(list.insert(5), 0);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ScoreViolation = require('../../src/models/ScoreViolation');
+const {
+    PlausibilityError,
+    checkScoreChange,
+    checkSessionScore,
+    rejectScoreUpdate
+} = require('../../src/services/plausibilityService');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+describe('checkScoreChange', () => {
+    it('caps the gain of one update per game mode', () => {
+        assert.equal(checkScoreChange({ gameMode: 'classic', previousScore: 0, newScore: 10000, now: NOW }), null);
+        assert.equal(checkScoreChange({ gameMode: 'classic', previousScore: 0, newScore: 10001, now: NOW }).code, 'MAX_DELTA_EXCEEDED');
+        assert.equal(checkScoreChange({ gameMode: 'ranked', previousScore: 0, newScore: 5001, now: NOW }).code, 'MAX_DELTA_EXCEEDED');
+    });
+
+    it('limits points per second since the previous update', () => {
+        const change = { gameMode: 'classic', previousScore: 0, newScore: 1000, now: NOW };
+
+        assert.equal(checkScoreChange({ ...change, lastUpdateAt: secondsAgo(2) }), null);
+        const violation = checkScoreChange({ ...change, lastUpdateAt: secondsAgo(1) });
+        assert.equal(violation.code, 'POINTS_PER_SECOND_EXCEEDED');
+        assert.equal(violation.details.pointsPerSecond, 1000);
+
+        // Blitz scores faster
+        assert.equal(checkScoreChange({ ...change, gameMode: 'blitz', lastUpdateAt: secondsAgo(1) }), null);
+    });
+
+    it('never rejects a score that drops', () => {
+        assert.equal(checkScoreChange({ gameMode: 'classic', previousScore: 90000, newScore: 0, lastUpdateAt: NOW, now: NOW }), null);
+    });
+});
+
+describe('checkSessionScore', () => {
+    const session = (gameSettings = {}) => ({ gameMode: 'classic', startedAt: secondsAgo(60), gameSettings });
+    const player = { currentSessionScore: 100, lastScoreAt: secondsAgo(10) };
+
+    it('enforces the session score limit', () => {
+        assert.equal(checkSessionScore(session({ scoreLimit: 500 }), player, 500, NOW), null);
+        assert.equal(checkSessionScore(session({ scoreLimit: 500 }), player, 501, NOW).code, 'SESSION_SCORE_LIMIT_EXCEEDED');
+    });
+
+    it('refuses updates once the time limit and its grace have passed', () => {
+        assert.equal(checkSessionScore(session({ timeLimit: 56 }), player, 200, NOW), null);
+        assert.equal(checkSessionScore(session({ timeLimit: 54 }), player, 200, NOW).code, 'SESSION_TIME_LIMIT_ELAPSED');
+    });
+
+    it('measures the rate from the previous session score', () => {
+        assert.equal(checkSessionScore(session(), player, 100 + 5001, NOW).code, 'POINTS_PER_SECOND_EXCEEDED');
+        assert.equal(checkSessionScore(session(), { currentSessionScore: 0 }, 5000, NOW), null);
+    });
+});
+
+describe('rejectScoreUpdate', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('records the violation and throws it', async () => {
+        const create = mock.method(ScoreViolation, 'create', async () => ({}));
+        const violation = new PlausibilityError('MAX_DELTA_EXCEEDED', 'too much', { gain: 20000 });
+
+        await assert.rejects(
+            rejectScoreUpdate(violation, { playerId: 'p1', gameMode: 'classic' }, { source: 'rest_score', actor: { kind: 'client' } }),
+            violation
+        );
+        assert.deepEqual(create.mock.calls[0].arguments[0], {
+            playerId: 'p1',
+            gameMode: 'classic',
+            code: 'MAX_DELTA_EXCEEDED',
+            details: { gain: 20000 },
+            source: 'rest_score',
+            actor: { kind: 'client' }
+        });
+    });
+
+    it('still throws when the violation cannot be stored', async () => {
+        mock.method(ScoreViolation, 'create', async () => {
+            throw new Error('connection lost');
+        });
+        mock.method(console, 'error', () => {});
+
+        await assert.rejects(rejectScoreUpdate(new PlausibilityError('MAX_DELTA_EXCEEDED', 'too much'), {}), PlausibilityError);
+    });
+});
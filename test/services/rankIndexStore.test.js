@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RankIndexStore, MemoryRankIndexStore } = require('../../src/services/rankIndexStore');
+
+const BOARD = 'NA:ranked';
+
+describe('MemoryRankIndexStore', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = new MemoryRankIndexStore();
+        // b and c tie on score and tiebreak; d ties on score only
+        await store.upsert(BOARD, 'a', 300, [5]);
+        await store.upsert(BOARD, 'b', 200, [5]);
+        await store.upsert(BOARD, 'c', 200, [5]);
+        await store.upsert(BOARD, 'd', 200, [1]);
+        await store.upsert(BOARD, 'e', 100, [9]);
+    });
+
+    it('orders by score, then tiebreaks, then playerId', async () => {
+        const range = await store.getRange(BOARD, 0, 10);
+
+        assert.deepEqual(range.map(entry => entry.playerId), ['a', 'b', 'c', 'd', 'e']);
+        assert.deepEqual(range[3], { playerId: 'd', score: 200, tiebreaks: [1] });
+        assert.equal(await store.getPosition(BOARD, 'c'), 2);
+        assert.equal(await store.size(BOARD), 5);
+    });
+
+    it('ranks ties under each ranking style', async () => {
+        assert.equal(await store.getRank(BOARD, 'c', 'competition'), 2);
+        assert.equal(await store.getRank(BOARD, 'd', 'competition'), 4);
+        assert.equal(await store.getRank(BOARD, 'e', 'competition'), 5);
+
+        assert.equal(await store.getRank(BOARD, 'c', 'dense'), 2);
+        assert.equal(await store.getRank(BOARD, 'd', 'dense'), 3);
+        assert.equal(await store.getRank(BOARD, 'e', 'dense'), 4);
+
+        assert.equal(await store.getRank(BOARD, 'c', 'ordinal'), 3);
+        assert.equal(await store.getRank(BOARD, 'e', 'ordinal'), 5);
+    });
+
+    it('moves a player when their standing changes', async () => {
+        await store.upsert(BOARD, 'e', 400, [0]);
+
+        assert.equal(await store.getScore(BOARD, 'e'), 400);
+        assert.equal(await store.getRank(BOARD, 'e'), 1);
+        assert.equal(await store.getRank(BOARD, 'a'), 2);
+        assert.equal(await store.size(BOARD), 5);
+    });
+
+    it('keeps dense ranks right as shared standings empty out', async () => {
+        await store.remove(BOARD, 'b');
+        assert.equal(await store.getRank(BOARD, 'd', 'dense'), 3);
+
+        // c leaves the 200/[5] standing empty and opens 250/[0] above d
+        await store.upsert(BOARD, 'c', 250, [0]);
+        assert.equal(await store.getRank(BOARD, 'c', 'dense'), 2);
+        assert.equal(await store.getRank(BOARD, 'd', 'dense'), 3);
+        assert.equal(await store.getRank(BOARD, 'e', 'dense'), 4);
+    });
+
+    it('counts entries before a probe', async () => {
+        assert.equal(await store.countBefore(BOARD, { playerId: 'c', score: 200, tiebreaks: [5] }), 2);
+        assert.equal(await store.countBefore(BOARD, { playerId: 'c', score: 200, tiebreaks: [5] }, true), 3);
+        // Absent entries are never counted themselves
+        assert.equal(await store.countBefore(BOARD, { playerId: 'z', score: 150, tiebreaks: [0] }, true), 4);
+        assert.equal(await store.countBefore('EU:ranked', { playerId: 'a', score: 1, tiebreaks: [] }), 0);
+    });
+
+    it('returns nothing for unknown players and partitions', async () => {
+        assert.equal(await store.getScore(BOARD, 'nobody'), null);
+        assert.equal(await store.getRank(BOARD, 'nobody'), null);
+        assert.equal(await store.getPosition(BOARD, 'nobody'), -1);
+        assert.deepEqual(await store.getRange('EU:ranked', 0, 10), []);
+        assert.equal(await store.size('EU:ranked'), 0);
+
+        await store.remove('EU:ranked', 'a');
+        await store.clear();
+        assert.equal(await store.size(BOARD), 0);
+    });
+});
+
+describe('RankIndexStore', () => {
+    it('rejects calls a backend does not implement', async () => {
+        await assert.rejects(new RankIndexStore().getRank(BOARD, 'a'), /not implemented/);
+    });
+});
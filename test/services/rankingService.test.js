@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getTiebreakRaw,
+    getTiebreakValues,
+    getSortSpec,
+    buildStandingFilters,
+    buildKeysetFilter,
+    encodeCursor,
+    decodeCursor,
+    assignRanks,
+    createRankCounter
+} = require('../../src/services/rankingService');
+
+// Ranked boards break ties by first_to_reach (ascending), then higher_win_rate (descending)
+const MODE = 'ranked';
+const SCORE_PATH = `modeStats.${MODE}.score`;
+
+const valueAt = (doc, path) => {
+    const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), doc);
+    return value === undefined ? null : value;
+};
+
+// Mongo's order for the values used here: null and missing first
+const compareValues = (a, b) => {
+    if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+    const [x, y] = [a, b].map(value => (value instanceof Date ? value.getTime() : value));
+    return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// Evaluates the subset of Mongo query operators the ranking filters use
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+
+    const value = valueAt(doc, key);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if ('$ne' in condition) return value !== null;
+        if ('$gt' in condition) return value !== null && compareValues(value, condition.$gt) > 0;
+        if ('$lt' in condition) return value !== null && compareValues(value, condition.$lt) < 0;
+    }
+    return compareValues(value, condition) === 0;
+});
+
+const mongoSort = (docs, sort) => [...docs].sort((a, b) => {
+    for (const [path, direction] of Object.entries(sort)) {
+        const order = compareValues(valueAt(a, path), valueAt(b, path)) * direction;
+        if (order !== 0) return order;
+    }
+    return 0;
+});
+
+// Every combination of score and tiebreak values, twice: once with unset
+// tiebreaks stored as null and once with the fields missing
+const PLAYERS = [];
+[100, 200].forEach(score => {
+    [null, new Date(1000), new Date(2000)].forEach(scoreReachedAt => {
+        [null, 0.5, 0.7].forEach(winRatio => {
+            [true, false].forEach(storeNulls => {
+                const stats = { score };
+                if (storeNulls || scoreReachedAt) stats.scoreReachedAt = scoreReachedAt;
+                if (storeNulls || winRatio) stats.winRatio = winRatio;
+                PLAYERS.push({ playerId: `p${String(PLAYERS.length).padStart(2, '0')}`, modeStats: { [MODE]: stats } });
+            });
+        });
+    });
+});
+
+const BOARD = mongoSort(PLAYERS, getSortSpec(SCORE_PATH, MODE));
+
+const standingOf = (player) => ({
+    playerId: player.playerId,
+    score: player.modeStats[MODE].score,
+    tiebreakRaw: getTiebreakRaw(player, MODE)
+});
+
+const ids = (players) => players.map(player => player.playerId);
+
+describe('ranking order', () => {
+    it('normalised tiebreaks order players the way Mongo sorts them', () => {
+        const byValues = [...PLAYERS].sort((a, b) => {
+            const [x, y] = [a, b].map(player => [player.modeStats[MODE].score, ...getTiebreakValues(player, MODE)]);
+            const index = x.findIndex((value, i) => value !== y[i]);
+            if (index !== -1) return y[index] - x[index];
+            return a.playerId < b.playerId ? -1 : 1;
+        });
+
+        assert.deepEqual(ids(byValues), ids(BOARD));
+    });
+});
+
+describe('buildKeysetFilter', () => {
+    it('matches exactly the players after or before a standing', () => {
+        BOARD.forEach((player, position) => {
+            const standing = standingOf(player);
+            const after = buildKeysetFilter(SCORE_PATH, MODE, standing, 'after');
+            const before = buildKeysetFilter(SCORE_PATH, MODE, standing, 'before');
+
+            assert.deepEqual(ids(BOARD.filter(doc => matches(doc, after))), ids(BOARD.slice(position + 1)), `after ${player.playerId}`);
+            assert.deepEqual(ids(BOARD.filter(doc => matches(doc, before))), ids(BOARD.slice(0, position)), `before ${player.playerId}`);
+        });
+    });
+});
+
+describe('buildStandingFilters', () => {
+    it('counts the players ahead of and tied with a standing', () => {
+        const rankOf = createRankCounter('competition');
+        const tiebreaks = (player) => getTiebreakValues(player, MODE);
+
+        BOARD.forEach(player => {
+            const rank = rankOf({ score: player.modeStats[MODE].score, tiebreaks: tiebreaks(player) });
+            const { better, tied } = buildStandingFilters(SCORE_PATH, MODE, standingOf(player));
+
+            assert.equal(BOARD.filter(doc => matches(doc, better)).length, rank - 1, `ahead of ${player.playerId}`);
+            // Each combination appears twice, with nulls stored and with the fields missing
+            assert.equal(BOARD.filter(doc => matches(doc, tied)).length, 2, `tied with ${player.playerId}`);
+        });
+    });
+});
+
+describe('cursors', () => {
+    const board = { region: 'NA', gameMode: MODE };
+
+    it('round-trip a standing with dates and missing values', () => {
+        const standing = { playerId: 'p1', score: 200, tiebreakRaw: [new Date(1000), null] };
+
+        assert.deepEqual(decodeCursor(encodeCursor(standing, board), board), standing);
+    });
+
+    it('are rejected on another board or when malformed', () => {
+        const cursor = encodeCursor({ playerId: 'p1', score: 200, tiebreakRaw: [null, 0.5] }, board);
+
+        assert.equal(decodeCursor(cursor, { region: 'EU', gameMode: MODE }), null);
+        assert.equal(decodeCursor('not-a-cursor', board), null);
+    });
+});
+
+describe('rank styles', () => {
+    const rows = () => [
+        { score: 300, tiebreaks: [] },
+        { score: 200, tiebreaks: [] },
+        { score: 200, tiebreaks: [] },
+        { score: 100, tiebreaks: [] }
+    ];
+
+    it('assigns competition, dense and ordinal ranks to a page', () => {
+        assert.deepEqual(assignRanks(rows(), 'competition', 1, 0).map(row => row.rank), [1, 2, 2, 4]);
+        assert.deepEqual(assignRanks(rows(), 'dense', 1, 0).map(row => row.rank), [1, 2, 2, 3]);
+        assert.deepEqual(assignRanks(rows(), 'ordinal', 1, 0).map(row => row.rank), [1, 2, 3, 4]);
+        // A later page continues from its first rank and position
+        assert.deepEqual(assignRanks(rows(), 'competition', 11, 10).map(row => row.rank), [11, 12, 12, 14]);
+    });
+
+    it('counts ranks while walking a board', () => {
+        const rankOf = createRankCounter('dense');
+
+        assert.deepEqual(rows().map(row => rankOf(row)), [1, 2, 2, 3]);
+    });
+});
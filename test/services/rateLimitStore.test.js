@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimitStore, MemoryRateLimitStore } = require('../../src/services/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+const T = 20 * MINUTE; // on a window boundary
+
+describe('MemoryRateLimitStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryRateLimitStore({ maxKeys: 3 });
+    });
+
+    describe('slidingWindow', () => {
+        const rule = { limit: 3, windowMs: MINUTE };
+
+        it('allows up to the limit within a window', async () => {
+            assert.deepEqual(await store.slidingWindow('k', rule, T), { allowed: true, remaining: 2, resetTime: 60 });
+            await store.slidingWindow('k', rule, T + 1000);
+            assert.equal((await store.slidingWindow('k', rule, T + 2000)).remaining, 0);
+
+            assert.deepEqual(await store.slidingWindow('k', rule, T + 30 * 1000), { allowed: false, remaining: 0, resetTime: 30 });
+        });
+
+        it('weighs the previous window by how much of it is still in range', async () => {
+            const wide = { limit: 4, windowMs: MINUTE };
+            for (let i = 0; i < 4; i++) {
+                await store.slidingWindow('k', wide, T);
+            }
+
+            // Halfway through the next window the previous four count as two
+            const halfway = T + MINUTE + 30 * 1000;
+            assert.equal((await store.slidingWindow('k', wide, halfway)).allowed, true);
+            assert.equal((await store.slidingWindow('k', wide, halfway)).allowed, true);
+            const denied = await store.slidingWindow('k', wide, halfway);
+            assert.equal(denied.allowed, false);
+            // One more fits once the previous window's share has decayed to one
+            assert.equal(denied.resetTime, 15);
+            assert.equal((await store.slidingWindow('k', wide, halfway + 15 * 1000)).allowed, true);
+        });
+
+        it('starts fresh after a full idle window', async () => {
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('k', rule, T);
+            }
+
+            assert.equal((await store.slidingWindow('k', rule, T + 2 * MINUTE)).remaining, 2);
+        });
+    });
+
+    describe('tokenBucket', () => {
+        const rule = { capacity: 2, refillPerSecond: 1 };
+
+        it('allows a burst of capacity, then refills over time', async () => {
+            assert.deepEqual(await store.tokenBucket('k', rule, T), { allowed: true, remaining: 1, resetTime: 1 });
+            assert.deepEqual(await store.tokenBucket('k', rule, T), { allowed: true, remaining: 0, resetTime: 2 });
+            assert.deepEqual(await store.tokenBucket('k', rule, T + 500), { allowed: false, remaining: 0, resetTime: 1 });
+            assert.equal((await store.tokenBucket('k', rule, T + 1000)).allowed, true);
+        });
+
+        it('never refills past capacity', async () => {
+            await store.tokenBucket('k', rule, T);
+
+            assert.equal((await store.tokenBucket('k', rule, T + 60 * 1000)).remaining, 1);
+        });
+    });
+
+    it('keeps limits per key', async () => {
+        const rule = { capacity: 1, refillPerSecond: 1 };
+        await store.tokenBucket('a', rule, T);
+
+        assert.equal((await store.tokenBucket('a', rule, T)).allowed, false);
+        assert.equal((await store.tokenBucket('b', rule, T)).allowed, true);
+    });
+
+    it('evicts the least recently used key past maxKeys', async () => {
+        const rule = { capacity: 1, refillPerSecond: 0.001 };
+        for (const key of ['a', 'b', 'c']) {
+            await store.tokenBucket(key, rule, T);
+        }
+        await store.tokenBucket('a', rule, T);
+        await store.tokenBucket('d', rule, T);
+
+        assert.equal(store.size, 3);
+        // b was evicted, so it gets a full bucket again; a kept its state
+        assert.equal((await store.tokenBucket('b', rule, T)).allowed, true);
+        assert.equal((await store.tokenBucket('a', rule, T)).allowed, false);
+    });
+
+    it('prunes entries whose state is fresh again', async () => {
+        await store.tokenBucket('a', { capacity: 2, refillPerSecond: 1 }, T);
+        await store.tokenBucket('b', { capacity: 2, refillPerSecond: 0.01 }, T);
+
+        store.prune(T + 2000);
+        assert.equal(store.size, 1);
+    });
+});
+
+describe('RateLimitStore', () => {
+    it('rejects algorithms a backend does not implement', async () => {
+        await assert.rejects(new RateLimitStore().tokenBucket('k', { capacity: 1, refillPerSecond: 1 }), /does not implement tokenBucket/);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    ratePlayer,
+    computeMatchRatings,
+    isRatedGameMode,
+    updateSessionRatings
+} = require('../../src/services/ratingService');
+
+const close = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const fresh = (playerId, position) => ({
+    playerId,
+    position,
+    rating: DEFAULT_RATING,
+    deviation: DEFAULT_DEVIATION,
+    volatility: DEFAULT_VOLATILITY
+});
+
+describe('ratePlayer', () => {
+    it('matches the worked example from the Glicko-2 paper', () => {
+        const updated = ratePlayer({ rating: 1500, deviation: 200, volatility: 0.06 }, [
+            { rating: 1400, deviation: 30, score: 1 },
+            { rating: 1550, deviation: 100, score: 0 },
+            { rating: 1700, deviation: 300, score: 0 }
+        ]);
+
+        close(updated.rating, 1464.06, 0.01);
+        close(updated.deviation, 151.52, 0.01);
+        close(updated.volatility, 0.05999, 0.00001);
+    });
+
+    it('only widens the deviation when there are no games, up to the default', () => {
+        const idle = ratePlayer({ rating: 1700, deviation: 100, volatility: 0.06 }, []);
+        assert.equal(idle.rating, 1700);
+        assert.ok(idle.deviation > 100);
+
+        const unknown = ratePlayer({ rating: 1500, deviation: DEFAULT_DEVIATION, volatility: 0.06 }, []);
+        assert.equal(unknown.deviation, DEFAULT_DEVIATION);
+    });
+});
+
+describe('computeMatchRatings', () => {
+    it('treats a multiplayer result as pairwise games', () => {
+        const ratings = computeMatchRatings([fresh('a', 1), fresh('b', 2), fresh('c', 3)]);
+
+        close(ratings.get('b').rating, DEFAULT_RATING, 0.000001);
+        assert.ok(ratings.get('a').rating > DEFAULT_RATING);
+        assert.ok(ratings.get('c').rating < DEFAULT_RATING);
+        close(ratings.get('a').rating - DEFAULT_RATING, DEFAULT_RATING - ratings.get('c').rating, 0.000001);
+        ratings.forEach(rating => assert.ok(rating.deviation < DEFAULT_DEVIATION));
+    });
+
+    it('leaves evenly rated players level on a shared position', () => {
+        const ratings = computeMatchRatings([fresh('a', 1), fresh('b', 1)]);
+
+        close(ratings.get('a').rating, DEFAULT_RATING, 0.000001);
+        close(ratings.get('b').rating, DEFAULT_RATING, 0.000001);
+    });
+});
+
+describe('updateSessionRatings', () => {
+    afterEach(() => mock.restoreAll());
+
+    const stubPlayers = (players) => {
+        mock.method(Player, 'find', () => ({ select: () => ({ lean: async () => players }) }));
+        return mock.method(Player, 'bulkWrite', async () => ({}));
+    };
+
+    it('rates everyone in a ranked session and reports the change', async () => {
+        const bulkWrite = stubPlayers([
+            { playerId: 'a', skillRating: { rating: 1500, deviation: 200, volatility: 0.06, gamesPlayed: 3 } },
+            { playerId: 'b' }
+        ]);
+
+        const changes = await updateSessionRatings({
+            gameMode: 'ranked',
+            players: [{ playerId: 'a', position: 2 }, { playerId: 'b', position: 1 }]
+        });
+
+        const a = changes.get('a');
+        assert.equal(a.before, 1500);
+        assert.ok(a.change < 0);
+        assert.equal(a.change, a.after - a.before);
+        assert.equal(a.provisional, true);
+        assert.ok(changes.get('b').change > 0);
+
+        const [operations] = bulkWrite.mock.calls[0].arguments;
+        const update = operations.find(op => op.updateOne.filter.playerId === 'a').updateOne.update.$set;
+        assert.equal(update['skillRating.gamesPlayed'], 4);
+    });
+
+    it('skips unrated modes and solo sessions', async () => {
+        const bulkWrite = stubPlayers([]);
+
+        assert.equal(isRatedGameMode('classic'), false);
+        assert.equal((await updateSessionRatings({ gameMode: 'classic', players: [{}, {}] })).size, 0);
+        assert.equal((await updateSessionRatings({ gameMode: 'ranked', players: [{ playerId: 'a' }] })).size, 0);
+        assert.equal(bulkWrite.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../../src/models/GameSession');
+const SessionEvent = require('../../src/models/SessionEvent');
+const replay = require('../../src/services/replayService');
+
+const { ReplayError, buildScoreboard } = replay;
+
+const START = Date.UTC(2024, 0, 1);
+
+const event = (ms, eventType, playerId = null, data = {}) => ({
+    timestamp: new Date(START + ms),
+    eventType,
+    playerId,
+    data
+});
+
+// A team match: A scores twice, B once, A leaves, then the game ends
+const EVENTS = [
+    event(0, 'player_joined', 'a', { username: 'Alice', team: 'A' }),
+    event(1000, 'player_joined', 'b', { username: 'Bob', team: 'B' }),
+    event(1000, 'game_start'),
+    event(3000, 'score_update', 'a', { newScore: 10 }),
+    event(5000, 'score_update', 'b', { newScore: 25 }),
+    event(8000, 'score_update', 'a', { newScore: 30 }),
+    event(9000, 'player_left', 'a'),
+    event(10000, 'game_end')
+];
+
+const SESSION = { sessionId: 'session_1', gameMode: 'team', region: 'EU', status: 'completed', teams: [{ team: 'A' }, { team: 'B' }] };
+
+const createSocket = () => {
+    const emitted = [];
+    return {
+        id: 'socket_1',
+        emitted,
+        emit: (name, data) => emitted.push({ name, data }),
+        named: (name) => emitted.filter(e => e.name === name).map(e => e.data)
+    };
+};
+
+const stubSession = (session) => mock.method(GameSession, 'findOne', () => ({
+    select: () => ({ lean: async () => session })
+}));
+
+describe('buildScoreboard', () => {
+    it('ranks players by their latest score, with team totals', () => {
+        const scoreboard = buildScoreboard(SESSION, EVENTS, 5);
+
+        assert.equal(scoreboard.started, true);
+        assert.equal(scoreboard.ended, false);
+        assert.deepEqual(scoreboard.players.map(p => [p.playerId, p.score, p.rank]), [['b', 25, 1], ['a', 10, 2]]);
+        assert.deepEqual(scoreboard.teams, [{ team: 'A', score: 10 }, { team: 'B', score: 25 }]);
+    });
+
+    it('shares ranks between tied players', () => {
+        const events = [
+            event(0, 'player_joined', 'a', { username: 'Alice' }),
+            event(0, 'player_joined', 'b', { username: 'Bob' }),
+            event(0, 'player_joined', 'c', { username: 'Cat' }),
+            event(1, 'score_update', 'a', { newScore: 5 }),
+            event(1, 'score_update', 'b', { newScore: 5 })
+        ];
+        const scoreboard = buildScoreboard({ teams: [] }, events, events.length);
+
+        assert.deepEqual(scoreboard.players.map(p => p.rank), [1, 1, 3]);
+        assert.equal(scoreboard.teams, undefined);
+    });
+
+    it('marks players who left and keeps the score of one who rejoins', () => {
+        const events = [...EVENTS.slice(0, 7), event(9500, 'player_joined', 'a', { username: 'Alice', team: 'A' })];
+
+        const left = buildScoreboard(SESSION, events, 7).players.find(p => p.playerId === 'a');
+        assert.equal(left.isActive, false);
+
+        const rejoined = buildScoreboard(SESSION, events, 8).players.find(p => p.playerId === 'a');
+        assert.equal(rejoined.isActive, true);
+        assert.equal(rejoined.score, 30);
+    });
+});
+
+describe('ReplayService', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START + 60000 });
+        mock.method(SessionEvent, 'getTimeline', async () => EVENTS);
+    });
+
+    afterEach(() => {
+        replay.stop('socket_1');
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('refuses sessions that are missing, not completed or have no events left', async () => {
+        const socket = createSocket();
+
+        stubSession(null);
+        await assert.rejects(replay.start(socket, 'missing'), { code: 'session_not_found' });
+
+        mock.restoreAll();
+        stubSession({ ...SESSION, status: 'active' });
+        await assert.rejects(replay.start(socket, 'session_1'), { code: 'session_not_completed' });
+
+        mock.restoreAll();
+        stubSession(SESSION);
+        mock.method(SessionEvent, 'getTimeline', async () => []);
+        await assert.rejects(replay.start(socket, 'session_1'), { code: 'replay_unavailable' });
+    });
+
+    it('streams the events in their original timing, scaled by speed', async () => {
+        stubSession(SESSION);
+        const socket = createSocket();
+
+        await replay.start(socket, 'session_1', { speed: 2 });
+        const [started] = socket.named('session:replay_started');
+        assert.equal(started.duration, 10);
+        assert.equal(started.eventCount, EVENTS.length);
+
+        // The first event is due straight away, the next two one second in (half a second at 2x)
+        assert.equal(socket.named('session:replay_event').length, 1);
+        mock.timers.tick(499);
+        assert.equal(socket.named('session:replay_event').length, 1);
+        mock.timers.tick(1);
+        assert.equal(socket.named('session:replay_event').length, 3);
+
+        mock.timers.tick(5000);
+        const events = socket.named('session:replay_event');
+        assert.deepEqual(events.map(e => e.position), [0, 1, 1, 3, 5, 8, 9, 10]);
+        assert.equal(socket.named('session:replay_ended').length, 1);
+    });
+
+    it('pauses, resumes and changes speed', async () => {
+        stubSession(SESSION);
+        const socket = createSocket();
+
+        await replay.start(socket, 'session_1');
+        mock.timers.tick(1000);
+        replay.control(socket, { action: 'pause' });
+        const sent = socket.named('session:replay_event').length;
+
+        mock.timers.tick(60000);
+        assert.equal(socket.named('session:replay_event').length, sent);
+
+        replay.control(socket, { action: 'resume' });
+        replay.control(socket, { action: 'speed', speed: 4 });
+        mock.timers.tick(500); // two seconds of match time
+        assert.equal(socket.named('session:replay_event').at(-1).position, 3);
+        assert.deepEqual(socket.named('session:replay_state').map(s => [s.status, s.speed]),
+            [['paused', 1], ['playing', 1], ['playing', 4]]);
+    });
+
+    it('ignores resume while already playing', async () => {
+        stubSession(SESSION);
+        const socket = createSocket();
+
+        await replay.start(socket, 'session_1');
+        mock.timers.tick(4000);
+        replay.control(socket, { action: 'resume' });
+        assert.equal(socket.named('session:replay_state')[0].position, 4);
+
+        // The event five seconds in still comes on time, and nothing is sent twice
+        mock.timers.tick(1000);
+        assert.deepEqual(socket.named('session:replay_event').map(e => e.position), [0, 1, 1, 3, 5]);
+    });
+
+    it('seeks with a scoreboard rebuilt at the new position', async () => {
+        stubSession(SESSION);
+        const socket = createSocket();
+
+        await replay.start(socket, 'session_1', { position: 6 });
+        const [started] = socket.named('session:replay_started');
+        assert.deepEqual(started.scoreboard.players.map(p => [p.playerId, p.score]), [['b', 25], ['a', 10]]);
+        assert.equal(socket.named('session:replay_event').length, 0);
+
+        replay.control(socket, { action: 'seek', position: 8.5 });
+        const [state] = socket.named('session:replay_state');
+        assert.equal(state.position, 8.5);
+        assert.deepEqual(state.scoreboard.players.map(p => [p.playerId, p.score]), [['a', 30], ['b', 25]]);
+    });
+
+    it('stops on request and refuses controls without a replay', async () => {
+        stubSession(SESSION);
+        const socket = createSocket();
+
+        await replay.start(socket, 'session_1');
+        replay.control(socket, { action: 'stop' });
+        assert.equal(socket.named('session:replay_stopped').length, 1);
+
+        mock.timers.tick(20000);
+        assert.equal(socket.named('session:replay_event').length, 1);
+        assert.throws(() => replay.control(socket, { action: 'pause' }), ReplayError);
+    });
+});
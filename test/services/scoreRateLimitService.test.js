@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimitStore } = require('../../src/services/rateLimitStore');
+const { setScoreRateLimitStore, checkScoreUpdateRate } = require('../../src/services/scoreRateLimitService');
+
+const T = 20 * 60 * 1000; // on a window boundary
+
+// Send `count` updates at `now`, cycling through `modes`; returns how many were allowed
+const sendUpdates = async (count, modes, now = T) => {
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if ((await checkScoreUpdateRate('p1', modes[i % modes.length], now)).allowed) {
+            allowed++;
+        }
+    }
+    return allowed;
+};
+
+describe('checkScoreUpdateRate', () => {
+    beforeEach(() => setScoreRateLimitStore(new MemoryRateLimitStore()));
+
+    after(() => setScoreRateLimitStore(new MemoryRateLimitStore()));
+
+    it('counts every mode against one limit per player', async () => {
+        assert.equal(await sendUpdates(100, ['classic', 'survival', 'team', null]), 60);
+        assert.equal((await checkScoreUpdateRate('p2', 'classic', T)).allowed, true);
+    });
+
+    it('holds a mode with limits of its own to those as well', async () => {
+        // Blitz bursts stop at the bucket's capacity, before the overall limit
+        assert.equal(await sendUpdates(30, ['blitz']), 20);
+
+        const refused = await checkScoreUpdateRate('p1', 'blitz', T);
+        assert.equal(refused.resetTime, 1);
+        // Other modes still have the rest of the overall limit
+        assert.equal(await sendUpdates(60, ['classic']), 40);
+    });
+
+    it('does not let a refused blitz update use up the overall limit', async () => {
+        await sendUpdates(50, ['blitz']);
+
+        assert.equal(await sendUpdates(60, ['classic']), 40);
+    });
+
+    it('reports the limit closest to running out', async () => {
+        await sendUpdates(50, ['classic']);
+
+        assert.equal((await checkScoreUpdateRate('p1', 'blitz', T)).remaining, 9);
+        assert.equal((await checkScoreUpdateRate('p1', 'classic', T)).remaining, 8);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getScoringPolicy } = require('../../src/config/scoring');
+const {
+    calculatePositionBonus,
+    scoreSessionResult,
+    previewSessionScore
+} = require('../../src/services/scoringService');
+
+describe('calculatePositionBonus', () => {
+    it('scales the bonus down linearly from first to last', () => {
+        assert.equal(calculatePositionBonus(1, 6), 100);
+        assert.equal(calculatePositionBonus(3, 6), 67);
+        assert.equal(calculatePositionBonus(6, 6), 17);
+        assert.equal(calculatePositionBonus(1, 4, 200), 200);
+    });
+
+    it('gives nothing without a position or opponents', () => {
+        assert.equal(calculatePositionBonus(null, 6), 0);
+        assert.equal(calculatePositionBonus(1, 1), 0);
+    });
+});
+
+describe('scoreSessionResult', () => {
+    it('adds the position bonus to the session score', () => {
+        assert.deepEqual(scoreSessionResult(getScoringPolicy('classic'), { position: 1, placings: 6, sessionScore: 500 }), {
+            value: 600,
+            operation: 'set',
+            breakdown: { method: 'placement', base: 500, positionBonus: 100, multiplier: 1, difficultyMultiplier: 1 }
+        });
+    });
+
+    it('applies the mode and difficulty multipliers', () => {
+        const result = scoreSessionResult(getScoringPolicy('blitz', 'hard'), { position: 2, placings: 4, sessionScore: 100 }, 'hard');
+
+        // (100 + 75) * 1.5 * 1.5
+        assert.equal(result.value, 394);
+    });
+
+    it('scores survival by time alive, keeping the best run', () => {
+        const result = scoreSessionResult(getScoringPolicy('survival'), { position: 1, placings: 2, timeAliveSeconds: 90 });
+
+        assert.equal(result.value, 280);
+        assert.equal(result.operation, 'max');
+        assert.equal(result.breakdown.base, 180);
+    });
+
+    it('lets only an increment take points away', () => {
+        const ranked = scoreSessionResult(getScoringPolicy('ranked'), { position: 2, placings: 2, ratingChange: -12 });
+        assert.deepEqual([ranked.value, ranked.operation], [-24, 'increment']);
+
+        const classic = scoreSessionResult(getScoringPolicy('classic'), { sessionScore: -50 });
+        assert.equal(classic.value, 0);
+    });
+
+    it('ignores an unknown difficulty', () => {
+        const result = scoreSessionResult(getScoringPolicy('classic'), { sessionScore: 100 }, 'nightmare');
+
+        assert.equal(result.value, 100);
+        assert.equal(result.breakdown.difficultyMultiplier, 1);
+    });
+});
+
+describe('previewSessionScore', () => {
+    it('scores a hypothetical result under the mode policy', () => {
+        const preview = previewSessionScore({ gameMode: 'blitz', difficulty: 'easy', sessionScore: 200 });
+
+        assert.equal(preview.gameMode, 'blitz');
+        assert.equal(preview.difficulty, 'easy');
+        assert.equal(preview.policy, getScoringPolicy('blitz', 'easy'));
+        // 200 * 1.5 * 0.75
+        assert.equal(preview.value, 225);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const Season = require('../../src/models/Season');
+const SeasonStanding = require('../../src/models/SeasonStanding');
+const ScoreChange = require('../../src/models/ScoreChange');
+const rankIndex = require('../../src/services/rankIndexService');
+const { endSeason } = require('../../src/services/seasonService');
+
+const played = (score) => ({ score, gamesPlayed: 3, wins: 2, losses: 1, draws: 0, scoreReachedAt: new Date(0), lastPlayedAt: new Date() });
+
+const PLAYERS = [
+    { playerId: 'a', username: 'alice', region: 'EU', modeStats: { classic: played(900) } },
+    { playerId: 'b', username: 'bob', region: 'NA', modeStats: { classic: played(500), blitz: played(300) } },
+    { playerId: 'c', username: 'cat', region: 'EU', modeStats: { classic: played(100) } }
+];
+
+describe('endSeason', () => {
+    let standings;
+    let updates;
+    let changes;
+    let season;
+
+    beforeEach(() => {
+        standings = [];
+        updates = [];
+        changes = [];
+        season = null;
+
+        mock.method(Season, 'findOneAndUpdate', async () => season);
+        mock.method(Season, 'clearActiveSeasonCache', () => {});
+        mock.method(SeasonStanding, 'deleteMany', async () => ({}));
+        mock.method(SeasonStanding, 'insertMany', async (batch) => standings.push(...batch));
+        // A mode's board: the players who played it, best score first
+        mock.method(Player, 'find', (filter) => {
+            const gameMode = Object.keys(filter).find(key => key.startsWith('modeStats.')).split('.')[1];
+            const board = PLAYERS
+                .filter(player => player.modeStats[gameMode])
+                .sort((x, y) => y.modeStats[gameMode].score - x.modeStats[gameMode].score);
+            const chain = {
+                sort: () => chain,
+                select: () => chain,
+                lean: () => chain,
+                cursor: () => board.values()
+            };
+            return chain;
+        });
+        mock.method(Player, 'bulkWrite', async (batch) => updates.push(...batch.map(({ updateOne }) => updateOne)));
+        mock.method(Player, 'updateMany', async () => ({}));
+        mock.method(Player, 'aggregate', async () => [{ _id: null, averageScore: 500 }]);
+        mock.method(ScoreChange, 'insertMany', async (batch) => changes.push(...batch));
+        mock.method(rankIndex, 'rebuild', async () => {});
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const startSeason = (reset) => {
+        season = { seasonId: 'season_1', name: 'Season 1', status: 'archiving', reset, save: async function() { return this; } };
+        return endSeason('season_1');
+    };
+
+    it('archives each mode\'s final standings with global and regional ranks', async () => {
+        const ended = await startSeason({ strategy: 'none', softResetFactor: 0.5 });
+
+        const classic = standings.filter(standing => standing.gameMode === 'classic');
+        assert.deepEqual(classic.map(s => [s.playerId, s.finalScore, s.globalRank, s.regionalRank]), [
+            ['a', 900, 1, 1],
+            ['b', 500, 2, 1],
+            ['c', 100, 3, 2]
+        ]);
+        assert.deepEqual(standings.filter(s => s.gameMode === 'blitz').map(s => s.playerId), ['b']);
+        assert.equal(classic[0].wins, 2);
+
+        assert.equal(ended.status, 'ended');
+        assert.deepEqual(ended.archiveSummary.find(s => s.gameMode === 'classic'),
+            { gameMode: 'classic', playerCount: 3, averageScore: 500, topScore: 900 });
+        assert.equal(updates.length, 0);
+        assert.equal(Player.updateMany.mock.callCount(), 0);
+    });
+
+    it('soft-resets scores toward the mode mean and records each reset', async () => {
+        await startSeason({ strategy: 'soft', softResetFactor: 0.5 });
+
+        // Players already at the mean keep their score
+        assert.deepEqual(updates.map(({ filter, update }) => [filter.playerId, update.$set]), [
+            ['a', { 'modeStats.classic.score': 700 }],
+            ['c', { 'modeStats.classic.score': 300 }]
+        ]);
+        assert.deepEqual(changes.map(c => [c.playerId, c.previousScore, c.newScore, c.delta, c.source, c.seasonId]), [
+            ['a', 900, 700, -200, 'season_reset', 'season_1'],
+            ['c', 100, 300, 200, 'season_reset', 'season_1']
+        ]);
+        assert.equal(rankIndex.rebuild.mock.callCount(), 1);
+    });
+
+    it('zeroes every score on a hard reset', async () => {
+        await startSeason({ strategy: 'hard', softResetFactor: 0.5 });
+
+        assert.deepEqual(updates.map(({ filter, update }) => [filter.playerId, Object.values(update.$set)[0]]),
+            [['a', 0], ['b', 0], ['c', 0], ['b', 0]]);
+        assert.deepEqual(Player.updateMany.mock.calls[0].arguments, [{}, { $set: { currentScore: 0 } }]);
+    });
+
+    it('refuses a season that is not running', async () => {
+        await assert.rejects(endSeason('season_1'), /Active season not found/);
+        assert.equal(SeasonStanding.insertMany.mock.callCount(), 0);
+    });
+});
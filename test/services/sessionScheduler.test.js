@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../../src/models/GameSession');
+const scheduler = require('../../src/services/sessionScheduler');
+const { usePlayerStore } = require('../helpers/playerStore');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+describe('SessionScheduler', () => {
+    let sessions;
+    let queries;
+    let emitted;
+
+    beforeEach(() => {
+        sessions = new Map();
+        queries = [];
+        emitted = [];
+
+        usePlayerStore([{ playerId: 'a', username: 'alice' }, { playerId: 'b', username: 'bob' }]);
+        // The sweep queries: sessions matching a status, however the rest is filtered
+        mock.method(GameSession, 'find', (filter) => {
+            queries.push(filter);
+            const chain = {
+                select: () => chain,
+                sort: () => chain,
+                limit: () => chain,
+                lean: async () => [...sessions.values()].filter(session => session.status === filter.status)
+            };
+            return chain;
+        });
+        mock.method(GameSession, 'findOne', (filter) => ({
+            select: () => ({ lean: async () => (sessions.get(filter.sessionId)?.status === filter.status ? sessions.get(filter.sessionId) : null) })
+        }));
+        mock.method(GameSession, 'endSession', async (sessionId) => {
+            const session = sessions.get(sessionId);
+            session.status = 'completed';
+            return { ...session, endedAt: NOW, teams: [] };
+        });
+        mock.method(GameSession, 'abandonSession', async (sessionId) => {
+            const session = sessions.get(sessionId);
+            if (!session || session.keepAlive) return null;
+            session.status = 'abandoned';
+            return session;
+        });
+
+        scheduler.socketService = {
+            io: { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) },
+            notifyTierChange() {}
+        };
+    });
+
+    afterEach(() => {
+        scheduler.socketService = null;
+        mock.restoreAll();
+    });
+
+    const addSession = (sessionId, status, extra = {}) => sessions.set(sessionId, {
+        sessionId,
+        status,
+        gameMode: 'classic',
+        gameSettings: { difficulty: 'medium', timeLimit: 300 },
+        players: [
+            { playerId: 'a', username: 'alice', isActive: true, position: 1, currentSessionScore: 500 },
+            { playerId: 'b', username: 'bob', isActive: true, position: 2, currentSessionScore: 300 }
+        ],
+        ...extra
+    });
+
+    it('ends active sessions at their time limit, scoring them like a normal end', async () => {
+        addSession('s1', 'active');
+
+        assert.equal(await scheduler.endExpiredSessions(NOW), 1);
+
+        const [query] = queries;
+        assert.equal(query.status, 'active');
+        assert.deepEqual(query.$expr.$lte[1], NOW);
+        assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [['session:s1', 'session:ended']]);
+        assert.deepEqual(emitted[0].data.finalScores.map(score => [score.playerId, score.position]), [['a', 1], ['b', 2]]);
+        assert.equal(sessions.get('s1').status, 'completed');
+    });
+
+    it('skips a session its players ended in the meantime', async () => {
+        addSession('s1', 'active');
+        GameSession.findOne.mock.mockImplementation(() => ({ select: () => ({ lean: async () => null }) }));
+
+        assert.equal(await scheduler.endExpiredSessions(NOW), 0);
+        assert.equal(emitted.length, 0);
+    });
+
+    it('abandons idle sessions, unless a player turned up before the write', async () => {
+        addSession('s1', 'waiting');
+        addSession('s2', 'waiting', { keepAlive: true });
+
+        assert.equal(await scheduler.abandonIdleSessions('waiting', 600, 'waiting_timeout', NOW), 1);
+
+        const cutoff = new Date(NOW.getTime() - 600 * 1000);
+        assert.deepEqual(queries[0], {
+            status: 'waiting',
+            $or: [{ lastEventAt: { $lt: cutoff } }, { lastEventAt: null, updatedAt: { $lt: cutoff } }]
+        });
+        // The write re-checks the same conditions
+        assert.deepEqual(GameSession.abandonSession.mock.calls[0].arguments, ['s1', 'waiting_timeout', queries[0]]);
+        assert.deepEqual(emitted.map(({ room, event, data }) => [room, event, data.reason]),
+            [['session:s1', 'session:abandoned', 'waiting_timeout']]);
+    });
+
+    it('keeps idle sessions open when the idle period is 0', async () => {
+        addSession('s1', 'waiting');
+
+        assert.equal(await scheduler.abandonIdleSessions('waiting', 0, 'waiting_timeout', NOW), 0);
+        assert.equal(queries.length, 0);
+    });
+
+    it('runs every job in a sweep', async () => {
+        addSession('s1', 'waiting');
+        mock.method(console, 'log', () => {});
+
+        await scheduler.sweep(NOW);
+
+        assert.deepEqual(queries.map(query => query.status), ['active', 'waiting', 'active']);
+        assert.equal(sessions.get('s1').status, 'abandoned');
+    });
+});
+
+describe('GameSession.abandonSession', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('ends the session as abandoned with a game_end event', async () => {
+        const session = new GameSession({ sessionId: 's1', gameMode: 'classic', region: 'EU', status: 'waiting' });
+        mock.method(session, 'save', async function() {
+            return this;
+        });
+        const findOne = mock.method(GameSession, 'findOne', async () => session);
+
+        const abandoned = await GameSession.abandonSession('s1', 'waiting_timeout', { status: 'waiting' });
+
+        assert.deepEqual(findOne.mock.calls[0].arguments[0], { status: 'waiting', sessionId: 's1' });
+        assert.equal(abandoned.status, 'abandoned');
+        assert.ok(abandoned.endedAt);
+        assert.deepEqual(abandoned.$locals.pendingEvents.map(({ eventType, data }) => [eventType, data]),
+            [['game_end', { abandoned: true, reason: 'waiting_timeout' }]]);
+    });
+});
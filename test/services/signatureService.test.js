@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const GameServer = require('../../src/models/GameServer');
+const SignatureNonce = require('../../src/models/SignatureNonce');
+const {
+    SIGNATURE_HEADERS,
+    SignatureError,
+    computeSignature,
+    isSignedRequest,
+    verifySignedRequest,
+    getSubmissionTrust,
+    getSubmissionActor
+} = require('../../src/services/signatureService');
+
+const SECRET = 'a'.repeat(64);
+const BODY = JSON.stringify({ score: 1500 });
+
+// A request signed now by server_1, with any field overridable
+const signedRequest = ({ secret = SECRET, timestamp = Math.floor(Date.now() / 1000), nonce = 'nonce_1', ...overrides } = {}) => {
+    const request = { method: 'POST', path: '/api/players/p1/score', body: BODY, ...overrides };
+    return {
+        ...request,
+        headers: {
+            [SIGNATURE_HEADERS.serverId]: 'server_1',
+            [SIGNATURE_HEADERS.timestamp]: String(timestamp),
+            [SIGNATURE_HEADERS.nonce]: nonce,
+            [SIGNATURE_HEADERS.signature]: computeSignature(secret, { ...request, timestamp: String(timestamp), nonce })
+        }
+    };
+};
+
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error instanceof SignatureError && error.code === code);
+
+describe('computeSignature', () => {
+    it('is the HMAC of method, path, timestamp, nonce and body hash', () => {
+        const bodyHash = crypto.createHash('sha256').update(BODY).digest('hex');
+        const expected = crypto.createHmac('sha256', SECRET)
+            .update(['POST', '/api/x?y=1', '1700000000', 'n', bodyHash].join('\n'))
+            .digest('hex');
+
+        assert.equal(computeSignature(SECRET, { method: 'post', path: '/api/x?y=1', timestamp: '1700000000', nonce: 'n', body: BODY }), expected);
+    });
+
+    it('changes with every signed field', () => {
+        const base = { method: 'POST', path: '/a', timestamp: '1', nonce: 'n', body: '{}' };
+        const signature = computeSignature(SECRET, base);
+
+        ['path', 'timestamp', 'nonce', 'body'].forEach(field => {
+            assert.notEqual(computeSignature(SECRET, { ...base, [field]: `${base[field]}x` }), signature);
+        });
+        assert.notEqual(computeSignature('b'.repeat(64), base), signature);
+    });
+});
+
+describe('isSignedRequest', () => {
+    it('looks for a signature or server id header', () => {
+        assert.equal(isSignedRequest({}), false);
+        assert.equal(isSignedRequest({ [SIGNATURE_HEADERS.serverId]: 'server_1' }), true);
+        assert.equal(isSignedRequest({ [SIGNATURE_HEADERS.signature]: 'abc' }), true);
+    });
+});
+
+describe('verifySignedRequest', () => {
+    let server;
+    let claim;
+
+    beforeEach(() => {
+        server = { serverId: 'server_1', secret: SECRET };
+        mock.method(GameServer, 'findOne', () => ({ select: async () => server }));
+        mock.method(GameServer, 'updateOne', async () => ({}));
+        claim = mock.method(SignatureNonce, 'claim', async () => true);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('returns the server for a valid request and claims its nonce', async () => {
+        assert.equal(await verifySignedRequest(signedRequest()), server);
+        assert.deepEqual(claim.mock.calls[0].arguments, ['server_1', 'nonce_1']);
+    });
+
+    it('rejects missing headers', async () => {
+        const request = signedRequest();
+        delete request.headers[SIGNATURE_HEADERS.nonce];
+
+        await rejectsWith(verifySignedRequest(request), 'INVALID_SIGNATURE');
+    });
+
+    it('rejects timestamps outside the window', async () => {
+        await rejectsWith(verifySignedRequest(signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 3600 })), 'SIGNATURE_EXPIRED');
+        await rejectsWith(verifySignedRequest(signedRequest({ timestamp: 'soon' })), 'SIGNATURE_EXPIRED');
+    });
+
+    it('rejects unknown servers and wrong secrets without claiming the nonce', async () => {
+        await rejectsWith(verifySignedRequest(signedRequest({ secret: 'b'.repeat(64) })), 'INVALID_SIGNATURE');
+
+        server = null;
+        await rejectsWith(verifySignedRequest(signedRequest()), 'INVALID_SIGNATURE');
+        assert.equal(claim.mock.callCount(), 0);
+    });
+
+    it('rejects a tampered body', async () => {
+        const request = signedRequest();
+        request.body = JSON.stringify({ score: 999999 });
+
+        await rejectsWith(verifySignedRequest(request), 'INVALID_SIGNATURE');
+    });
+
+    it('rejects a reused nonce', async () => {
+        claim.mock.mockImplementation(async () => false);
+
+        await rejectsWith(verifySignedRequest(signedRequest()), 'SIGNATURE_REPLAYED');
+    });
+});
+
+describe('getSubmissionTrust', () => {
+    it('verifies servers for the modes they may write', () => {
+        const server = new GameServer({ serverId: 'server_1', gameModes: ['ranked'] });
+
+        assert.deepEqual(getSubmissionTrust(server, 'ranked'), { verified: true });
+        assert.throws(() => getSubmissionTrust(server, 'blitz'), error => error.code === 'SERVER_NOT_ALLOWED' && error.status === 403);
+    });
+
+    it('follows the submission policy for unsigned scores', () => {
+        assert.deepEqual(getSubmissionTrust(null, 'classic'), { verified: false });
+        assert.throws(() => getSubmissionTrust(null, 'ranked'), error => error.code === 'SIGNATURE_REQUIRED');
+    });
+});
+
+describe('getSubmissionActor', () => {
+    it('names the signing server or the client', () => {
+        assert.deepEqual(getSubmissionActor({ ip: '10.0.0.1', gameServer: { serverId: 'server_1' } }), { kind: 'server', id: 'server_1', ip: '10.0.0.1' });
+        assert.deepEqual(getSubmissionActor({ ip: '10.0.0.2' }), { kind: 'client', ip: '10.0.0.2' });
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSession = require('../../src/models/GameSession');
+const SocketService = require('../../src/services/socketService');
+const { MemoryRateLimitStore } = require('../../src/services/rateLimitStore');
+const { setScoreRateLimitStore } = require('../../src/services/scoreRateLimitService');
+
+// A service on a stand-in server, without its cleanup timer
+const createService = () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const service = new SocketService({ use() {}, on() {}, to: () => ({ emit() {} }) });
+    mock.timers.reset();
+    return service;
+};
+
+// A socket of a joined player that records what is sent to it and its rooms
+const joinedSocket = (service, playerId) => {
+    const socket = {
+        id: `socket_${playerId}`,
+        emitted: [],
+        broadcasts: [],
+        emit(event, data) {
+            this.emitted.push({ event, data });
+        },
+        to(room) {
+            return { emit: (event, data) => socket.broadcasts.push({ room, event, data }) };
+        }
+    };
+    service.socketToPlayer.set(socket.id, playerId);
+    service.connectedPlayers.set(playerId, { socketId: socket.id, lastActivity: 0, gameMode: 'classic' });
+    return socket;
+};
+
+describe('SocketService session score updates', () => {
+    let service;
+    let socket;
+    let sessions;
+    let rateKeys;
+    let updateSession;
+
+    beforeEach(() => {
+        service = createService();
+        socket = joinedSocket(service, 'p1');
+        sessions = new Map([
+            ['s_blitz', { sessionId: 's_blitz', gameMode: 'blitz' }],
+            ['s_ranked', { sessionId: 's_ranked', gameMode: 'ranked' }]
+        ]);
+
+        mock.method(GameSession, 'findOne', (filter) => ({
+            select: () => ({ lean: async () => sessions.get(filter.sessionId) || null })
+        }));
+        updateSession = mock.method(GameSession, 'updatePlayerScore', async (sessionId, playerId, scoreData) => ({
+            sessionId,
+            players: [{ playerId, username: 'alice', currentSessionScore: scoreData.score }]
+        }));
+
+        const store = new MemoryRateLimitStore();
+        rateKeys = [];
+        ['slidingWindow', 'tokenBucket'].forEach(method => {
+            const original = store[method].bind(store);
+            store[method] = (key, ...args) => {
+                rateKeys.push(key);
+                return original(key, ...args);
+            };
+        });
+        setScoreRateLimitStore(store);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setScoreRateLimitStore(new MemoryRateLimitStore());
+    });
+
+    it('takes the game mode from the session, not the client', async () => {
+        await service.handleScoreUpdate(socket, { sessionId: 's_blitz', score: 300, gameMode: 'ranked' });
+
+        assert.deepEqual(socket.emitted.map(({ event }) => event), ['session:score_updated']);
+        assert.equal(socket.emitted[0].data.sessionScore, 300);
+        assert.ok(rateKeys.includes('score:blitz:p1'));
+        assert.ok(!rateKeys.some(key => key.includes('ranked')));
+    });
+
+    it('applies the session mode submission policy whatever mode the client claims', async () => {
+        await service.handleScoreUpdate(socket, { sessionId: 's_ranked', score: 300, gameMode: 'classic' });
+
+        assert.equal(socket.emitted[0].event, 'error');
+        assert.equal(socket.emitted[0].data.code, 'SIGNATURE_REQUIRED');
+        assert.equal(updateSession.mock.callCount(), 0);
+    });
+
+    it('reports an unknown session', async () => {
+        await service.handleScoreUpdate(socket, { sessionId: 's_missing', score: 300 });
+
+        assert.equal(socket.emitted[0].data.type, 'session_not_found');
+        assert.equal(updateSession.mock.callCount(), 0);
+    });
+
+    it('sends the new session score to the rest of the session room', async () => {
+        await service.handleScoreUpdate(socket, { sessionId: 's_blitz', score: 300 });
+
+        assert.deepEqual(socket.broadcasts.map(({ room, event }) => [room, event]), [['session:s_blitz', 'session:score_updated']]);
+    });
+});
+
+describe('SocketService tier changes', () => {
+    let service;
+    let sent;
+
+    beforeEach(() => {
+        service = createService();
+        sent = [];
+        service.io.to = (targets) => ({ emit: (event, data) => sent.push({ targets, event, data }) });
+        joinedSocket(service, 'p1');
+        service.roomSubscriptions.set('p1', new Set(['region:EU', 'gamemode:classic']));
+    });
+
+    const tierChange = { playerId: 'p1', gameMode: 'classic', tier: { name: 'Gold', level: 2 }, direction: 'promotion' };
+
+    it('tells the player and the rooms they follow in one emit', () => {
+        service.notifyTierChange({ playerId: 'p1', $locals: { tierChange } });
+
+        assert.equal(sent.length, 1);
+        assert.deepEqual(sent[0].targets, ['region:EU', 'gamemode:classic', 'socket_p1']);
+        assert.equal(sent[0].event, 'player:tier_changed');
+        assert.equal(sent[0].data.direction, 'promotion');
+    });
+
+    it('only tells a shadow-banned player themselves', () => {
+        service.notifyTierChange({ playerId: 'p1', shadowBan: { active: true }, $locals: { tierChange } });
+
+        assert.deepEqual(sent[0].targets, ['socket_p1']);
+    });
+
+    it('stays quiet without a change', () => {
+        service.notifyTierChange({ playerId: 'p1', $locals: { tierChange: null } });
+
+        assert.equal(sent.length, 0);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const ScoreChange = require('../../src/models/ScoreChange');
+const ScoreQuarantine = require('../../src/models/ScoreQuarantine');
+const AdminAuditLog = require('../../src/models/AdminAuditLog');
+const adminRoutes = require('../../src/routes/admin');
+const { screenScoreUpdate } = require('../../src/services/suspicionService');
+const { issueToken } = require('../../src/services/authService');
+const { usePlayerStore } = require('../helpers/playerStore');
+const { startApp } = require('../helpers/app');
+
+const onBoard = { classic: { score: 1000, lastPlayedAt: new Date() } };
+
+describe('screenScoreUpdate', () => {
+    let player;
+    let gains;
+
+    beforeEach(() => {
+        player = { playerId: 'p1', modeStats: onBoard };
+        gains = Array(10).fill(100);
+        mock.method(ScoreQuarantine, 'hasPending', async () => false);
+        mock.method(ScoreChange, 'countDocuments', async () => 0);
+        mock.method(Player, 'getPlayerRank', async () => 500);
+        mock.method(Player, 'getStandingRank', async () => 450);
+        // Recent gains of the player, as the score jump detector reads them
+        mock.method(ScoreChange, 'find', () => {
+            const chain = { sort: () => chain, limit: () => chain, select: () => chain, lean: async () => gains.map(delta => ({ delta })) };
+            return chain;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const screen = (newScore) => screenScoreUpdate(Player, player, { gameMode: 'classic', previousScore: 1000, newScore });
+
+    it('lets ordinary gains through', async () => {
+        assert.deepEqual(await screen(1100), []);
+    });
+
+    it('flags a gain far above the player\'s own recent gains', async () => {
+        const [flag] = await screen(1200);
+
+        assert.equal(flag.detector, 'score_jump');
+        assert.equal(flag.details.zScore, 100);
+    });
+
+    it('waits for enough history before judging gains', async () => {
+        gains = Array(9).fill(100);
+
+        assert.deepEqual(await screen(5000), []);
+    });
+
+    it('flags a climb past most of the players ahead', async () => {
+        Player.getPlayerRank.mock.mockImplementation(async () => 1000);
+        Player.getStandingRank.mock.mockImplementation(async () => 50);
+
+        const flags = await screen(1100);
+        assert.deepEqual(flags, [{ detector: 'rank_climb', details: { currentRank: 1000, projectedRank: 50, climb: 950 } }]);
+    });
+
+    it('flags bursts of updates near the rate limit', async () => {
+        ScoreChange.countDocuments.mock.mockImplementation(async () => 49);
+
+        assert.deepEqual(await screen(1100), [{ detector: 'update_burst', details: { updatesLastMinute: 50 } }]);
+    });
+
+    it('holds every update queued behind a held one', async () => {
+        ScoreQuarantine.hasPending.mock.mockImplementation(async () => true);
+
+        assert.deepEqual(await screen(1000), [{ detector: 'pending_review', details: {} }]);
+    });
+});
+
+describe('quarantine', () => {
+    let server;
+    let store;
+    let entries;
+
+    before(async () => {
+        server = await startApp(app => app.use('/api/admin', adminRoutes));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        store = usePlayerStore([
+            { playerId: 'mod', username: 'mod', role: 'moderator' },
+            { playerId: 'p1', username: 'alice', region: 'EU', modeStats: onBoard }
+        ]);
+        entries = [];
+        mock.method(ScoreQuarantine, 'hasPending', async () => true);
+        mock.method(ScoreQuarantine, 'create', async (entry) => {
+            const created = { _id: '65a000000000000000000001', status: 'pending', createdAt: new Date(), ...entry };
+            entries.push(created);
+            return created;
+        });
+        mock.method(ScoreQuarantine, 'findById', (id) => ({ lean: async () => entries.find(entry => entry._id === id) || null }));
+        mock.method(ScoreQuarantine, 'getOlderPending', async () => null);
+        mock.method(ScoreQuarantine, 'findOneAndUpdate', (filter, update) => ({
+            lean: async () => {
+                const entry = entries.find(e => e._id === filter._id && e.status === filter.status);
+                return entry ? Object.assign(entry, update.$set) : null;
+            }
+        }));
+        mock.method(AdminAuditLog, 'record', async () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const review = (action) => server.request('POST', `/api/admin/quarantine/${entries[0]._id}/${action}`, {
+        body: { reason: 'checked the replay' },
+        headers: { authorization: `Bearer ${issueToken({ playerId: 'mod', role: 'moderator' }).token}` }
+    });
+
+    it('holds a flagged update without touching the score', async () => {
+        const held = await Player.updatePlayerScore('p1', 3000, 'classic', { source: 'rest_score' }, { screen: true });
+
+        assert.equal(held.$locals.quarantine, entries[0]);
+        assert.equal(held.$locals.previousScore, 1000);
+        assert.deepEqual([entries[0].previousScore, entries[0].submittedScore], [1000, 3000]);
+        assert.equal(store.docs.get('p1').modeStats.classic.score, 1000);
+        assert.equal(store.changes.length, 0);
+    });
+
+    it('applies a held update once a moderator approves it, and only once', async () => {
+        await Player.updatePlayerScore('p1', 3000, 'classic', { source: 'rest_score' }, { screen: true });
+
+        const { status, body } = await review('approve');
+        assert.equal(status, 200);
+        assert.deepEqual([body.data.applied, body.data.score], [true, 3000]);
+        assert.equal(store.docs.get('p1').modeStats.classic.score, 3000);
+
+        const again = await review('reject');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error, 'QUARANTINE_ALREADY_REVIEWED');
+    });
+
+    it('never applies a rejected update', async () => {
+        await Player.updatePlayerScore('p1', 3000, 'classic', { source: 'rest_score' }, { screen: true });
+
+        assert.equal((await review('reject')).status, 200);
+        assert.equal(entries[0].status, 'rejected');
+        assert.equal(store.docs.get('p1').modeStats.classic.score, 1000);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../../src/models/Player');
+const { getTier, attachTiers } = require('../../src/services/tierService');
+const { usePlayerStore } = require('../helpers/playerStore');
+
+describe('getTier', () => {
+    it('places score tables by the highest threshold reached', () => {
+        assert.deepEqual(getTier({ score: 0 }, 'classic'), { name: 'Bronze', level: 0, basis: 'score' });
+        assert.equal(getTier({ score: 999 }, 'classic').name, 'Bronze');
+        assert.equal(getTier({ score: 1000 }, 'classic').name, 'Silver');
+        assert.deepEqual(getTier({ score: 1e6 }, 'classic'), { name: 'Grandmaster', level: 6, basis: 'score' });
+    });
+
+    it('places percentile tables by rank among the board\'s players', () => {
+        assert.deepEqual(getTier({ rank: 1, total: 100 }, 'ranked'), { name: 'Grandmaster', level: 6, basis: 'percentile' });
+        assert.equal(getTier({ rank: 2, total: 100 }, 'ranked').name, 'Master');
+        assert.equal(getTier({ rank: 50, total: 100 }, 'ranked').name, 'Gold');
+        assert.equal(getTier({ rank: 100, total: 100 }, 'ranked').name, 'Bronze');
+        // Unranked players start at the bottom
+        assert.equal(getTier({ rank: null, total: 100 }, 'ranked').name, 'Bronze');
+    });
+});
+
+describe('attachTiers', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('uses the row ranks of the global board and looks ranks up elsewhere', async () => {
+        mock.method(Player, 'countLeaderboard', async () => 4);
+        const getPlayerRank = mock.method(Player, 'getPlayerRank', async () => 4);
+        const rows = [{ playerId: 'a', rank: 1, score: 900 }, { playerId: 'b', rank: 2, score: 500 }];
+
+        const global = await attachTiers(Player, rows, { gameMode: 'ranked' });
+        assert.deepEqual(global.map(row => row.tier.name), ['Platinum', 'Gold']);
+        assert.equal(getPlayerRank.mock.callCount(), 0);
+
+        const regional = await attachTiers(Player, rows, { gameMode: 'ranked', region: 'EU' });
+        assert.deepEqual(regional.map(row => row.tier.name), ['Bronze', 'Bronze']);
+
+        const classic = await attachTiers(Player, rows, { gameMode: 'classic' });
+        assert.deepEqual(classic.map(row => row.tier.name), ['Bronze', 'Bronze']);
+    });
+});
+
+describe('tier changes', () => {
+    afterEach(() => mock.restoreAll());
+
+    const update = (value) => Player.updatePlayerScore('p1', value, 'classic', { source: 'rest_score' }, {});
+
+    it('reports promotions and demotions once a player has a tier', async () => {
+        const { docs } = usePlayerStore([{ playerId: 'p1', username: 'alice' }]);
+
+        // A first placement is stored quietly
+        assert.equal((await update(500)).$locals.tierChange, null);
+        assert.equal(docs.get('p1').modeStats.classic.tier, 'Bronze');
+        assert.equal((await update(800)).$locals.tierChange, null);
+
+        const promoted = (await update(2600)).$locals.tierChange;
+        assert.deepEqual(promoted, {
+            playerId: 'p1',
+            username: 'alice',
+            gameMode: 'classic',
+            previousTier: { name: 'Bronze', level: 0 },
+            tier: { name: 'Gold', level: 2 },
+            direction: 'promotion'
+        });
+        assert.equal(docs.get('p1').modeStats.classic.tier, 'Gold');
+
+        assert.equal((await update(1500)).$locals.tierChange.direction, 'demotion');
+    });
+});